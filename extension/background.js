@@ -194,6 +194,28 @@ function shouldNotifyError(tabId, context) {
   return errorCounts[tabId].total <= MAX_ERROR_NOTIFICATIONS;
 }
 
+// Language chosen in the panel (see modules/i18n.js)
+const LOCALE_KEY = 'BRA_Locale';
+
+/**
+ * UI messages in the language chosen in the panel; chrome.i18n would follow
+ * the browser's language instead
+ * @param {Array<string>} keys - Message names in _locales/<locale>/messages.json
+ * @returns {Promise<Object>} Messages by name
+ */
+async function getLocaleMessages(keys) {
+  let messages = {};
+  try {
+    const locale = (await chrome.storage.local.get(LOCALE_KEY))[LOCALE_KEY];
+    if (locale) {
+      messages = await (await fetch(chrome.runtime.getURL(`_locales/${locale}/messages.json`))).json();
+    }
+  } catch (error) {
+    console.warn('[BRA Background] Could not load messages:', error.message || error);
+  }
+  return Object.fromEntries(keys.map(key => [key, messages[key]?.message || chrome.i18n.getMessage(key) || key]));
+}
+
 /**
  * Check if a tab is still connected
  * @param {number} tabId - The tab ID to check
@@ -265,6 +287,315 @@ setInterval(() => {
   });
 }, 30000); // Check every 30 seconds
 
+// Filing sessions: the steps of a multi-page registration wizard, by tab.
+// Kept in session storage so they survive service worker restarts.
+const FILING_SESSIONS_KEY = 'BRA_FilingSessions';
+const filingSessions = {};
+let filingSessionsLoaded = null;
+
+function loadFilingSessions() {
+  if (!filingSessionsLoaded) {
+    filingSessionsLoaded = (chrome.storage.session
+      ? chrome.storage.session.get(FILING_SESSIONS_KEY)
+      : Promise.resolve({})
+    ).then(stored => {
+      Object.assign(filingSessions, stored?.[FILING_SESSIONS_KEY] || {});
+    }).catch(error => {
+      console.warn('[BRA Background] Could not load filing sessions:', error.message || error);
+    });
+  }
+  return filingSessionsLoaded;
+}
+
+function saveFilingSessions() {
+  if (!chrome.storage.session) return;
+  chrome.storage.session.set({ [FILING_SESSIONS_KEY]: filingSessions }).catch(error => {
+    console.warn('[BRA Background] Could not save filing sessions:', error.message || error);
+  });
+}
+
+/**
+ * Key identifying a wizard step: its indicator position when the page shows
+ * one, otherwise its URL without the query string
+ */
+function getStepKey(step) {
+  if (step.indicator && step.indicator.current) {
+    return `step-${step.indicator.current}`;
+  }
+  try {
+    const url = new URL(step.url);
+    return url.origin + url.pathname + url.hash;
+  } catch (e) {
+    return step.url || 'unknown';
+  }
+}
+
+/**
+ * Progress through a filing session for the panel
+ * @param {Object} session - Filing session
+ * @returns {Object} {current, total, visited, remaining, missingRequired}
+ */
+function summarizeFilingSession(session) {
+  const current = session.steps.find(step => step.key === session.currentStepKey) || null;
+  const total = Math.max(session.totalSteps || 0, session.steps.length);
+  const visitedNumbers = session.steps.map(step => step.stepNumber).filter(Boolean);
+  const remaining = [];
+
+  if (session.totalSteps) {
+    for (let number = 1; number <= session.totalSteps; number++) {
+      if (!visitedNumbers.includes(number)) remaining.push(number);
+    }
+  }
+
+  return {
+    current: current ? (current.stepNumber || session.steps.indexOf(current) + 1) : null,
+    total: total,
+    visited: session.steps.length,
+    remaining: remaining,
+    missingRequired: session.steps.reduce((count, step) => count + step.missingRequired, 0)
+  };
+}
+
+/**
+ * Record a wizard step reported by the content script
+ * @param {number} tabId - Tab the step was seen in
+ * @param {Object} step - {url, title, state, indicator, fields, reason}
+ * @returns {Object} The updated session
+ */
+function recordFilingStep(tabId, step) {
+  let origin = '';
+  try {
+    origin = new URL(step.url).origin;
+  } catch (e) {
+    origin = step.url || '';
+  }
+
+  let session = filingSessions[tabId];
+  const indicatorTotal = step.indicator?.total || null;
+
+  // A different site or a wizard of a different length starts a new filing
+  if (!session || session.origin !== origin ||
+      (indicatorTotal && session.totalSteps && indicatorTotal !== session.totalSteps)) {
+    session = {
+      id: `${tabId}-${Date.now()}`,
+      tabId: tabId,
+      origin: origin,
+      state: null,
+      totalSteps: null,
+      currentStepKey: null,
+      steps: [],
+      startedAt: new Date().toISOString()
+    };
+    filingSessions[tabId] = session;
+  }
+
+  const key = getStepKey(step);
+  const fields = Array.isArray(step.fields) ? step.fields : [];
+  const record = {
+    key: key,
+    stepNumber: step.indicator?.current || null,
+    label: step.indicator?.label || step.title || '',
+    url: step.url,
+    title: step.title || '',
+    fields: fields,
+    filledCount: fields.filter(field => field.filled).length,
+    missingRequired: fields.filter(field => field.required && !field.filled).length,
+    lastReason: step.reason,
+    updatedAt: new Date().toISOString()
+  };
+
+  const existing = session.steps.findIndex(s => s.key === key);
+  if (existing >= 0) {
+    record.firstSeenAt = session.steps[existing].firstSeenAt;
+    session.steps[existing] = record;
+  } else {
+    record.firstSeenAt = record.updatedAt;
+    session.steps.push(record);
+  }
+
+  // Numbered steps in wizard order, unnumbered ones in visit order after them
+  session.steps.sort((a, b) => (a.stepNumber || Infinity) - (b.stepNumber || Infinity));
+
+  if (indicatorTotal) session.totalSteps = indicatorTotal;
+  if (step.state) session.state = step.state;
+  // Leaving a page (submit/navigation) only updates its values
+  if (step.reason === 'detected' || !session.currentStepKey) {
+    session.currentStepKey = key;
+  }
+  session.updatedAt = record.updatedAt;
+  session.progress = summarizeFilingSession(session);
+
+  saveFilingSessions();
+  return session;
+}
+
+// Draft encryption: modules/formDrafts.js encrypts the values of sensitive
+// fields through these messages. The AES-GCM key is non-extractable and kept
+// in this worker's IndexedDB, which pages and content scripts cannot read.
+const DRAFT_KEY_DB = 'BRA_DraftKeys';
+const DRAFT_KEY_STORE = 'keys';
+const DRAFT_KEY_ID = 'draft';
+// Earlier versions kept the key as a JWK in storage.local
+const LEGACY_DRAFT_KEY_KEY = 'BRA_DraftKey';
+let draftKeyPromise = null;
+
+/**
+ * Run one request against the draft key store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+function runDraftKeyRequest(mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(DRAFT_KEY_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(DRAFT_KEY_STORE);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const transaction = db.transaction(DRAFT_KEY_STORE, mode);
+      const request = makeRequest(transaction.objectStore(DRAFT_KEY_STORE));
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    };
+  });
+}
+
+/**
+ * The install's draft encryption key, created (or moved out of
+ * storage.local) on first use
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+function getDraftKey() {
+  if (!draftKeyPromise) {
+    draftKeyPromise = (async () => {
+      const saved = await runDraftKeyRequest('readonly', store => store.get(DRAFT_KEY_ID));
+      if (saved) return saved;
+
+      const legacy = (await chrome.storage.local.get(LEGACY_DRAFT_KEY_KEY))[LEGACY_DRAFT_KEY_KEY];
+      const key = legacy
+        ? await crypto.subtle.importKey('jwk', legacy, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt'])
+        : await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await runDraftKeyRequest('readwrite', store => store.put(key, DRAFT_KEY_ID));
+      if (legacy) {
+        await chrome.storage.local.remove(LEGACY_DRAFT_KEY_KEY);
+        console.log('[BRA Background] Moved the draft key out of storage');
+      }
+      return key;
+    })();
+    // A failed attempt can be retried
+    draftKeyPromise.catch(() => {
+      draftKeyPromise = null;
+    });
+  }
+  return draftKeyPromise;
+}
+
+/**
+ * Base64 text of bytes
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {string} Base64
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Bytes of base64 text
+ * @param {string} text - Base64
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Encrypt a draft value
+ * @param {string} text - Plain value
+ * @returns {Promise<Object>} {iv, data} in base64
+ */
+async function encryptDraftValue(text) {
+  const key = await getDraftKey();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(String(text)));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt a draft value
+ * @param {Object} payload - {iv, data} from encryptDraftValue()
+ * @returns {Promise<string>} Plain value
+ */
+async function decryptDraftValue(payload) {
+  const key = await getDraftKey();
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.data));
+  return new TextDecoder().decode(data);
+}
+
+// Compliance reminders: alarms for upcoming filing deadlines, scheduled by
+// the panel from modules/complianceCalendar.js with their notification text
+// already in the panel's language
+const COMPLIANCE_REMINDERS_KEY = 'BRA_ComplianceReminders';
+const COMPLIANCE_ALARM_PREFIX = 'compliance:';
+
+/**
+ * Replace the scheduled compliance alarms
+ * @param {Array} reminders - [{name, when, title, message}]
+ * @returns {Promise<number>} Number of alarms scheduled
+ */
+async function scheduleComplianceReminders(reminders) {
+  const stored = {};
+  reminders
+    .filter(reminder => reminder.name && reminder.name.startsWith(COMPLIANCE_ALARM_PREFIX) && reminder.when > Date.now())
+    .forEach(reminder => {
+      stored[reminder.name] = {
+        when: reminder.when,
+        title: reminder.title || '',
+        message: reminder.message || ''
+      };
+    });
+
+  const alarms = await chrome.alarms.getAll();
+  await Promise.all(alarms
+    .filter(alarm => alarm.name.startsWith(COMPLIANCE_ALARM_PREFIX) && !stored[alarm.name])
+    .map(alarm => chrome.alarms.clear(alarm.name)));
+
+  Object.entries(stored).forEach(([name, reminder]) => {
+    chrome.alarms.create(name, { when: reminder.when });
+  });
+
+  await chrome.storage.local.set({ [COMPLIANCE_REMINDERS_KEY]: stored });
+  console.log('[BRA Background] Scheduled', Object.keys(stored).length, 'compliance reminders');
+  return Object.keys(stored).length;
+}
+
+/**
+ * Re-create stored compliance alarms (the browser may drop alarms on restart)
+ */
+async function restoreComplianceReminders() {
+  try {
+    const stored = (await chrome.storage.local.get(COMPLIANCE_REMINDERS_KEY))[COMPLIANCE_REMINDERS_KEY] || {};
+    const existing = new Set((await chrome.alarms.getAll()).map(alarm => alarm.name));
+    Object.entries(stored).forEach(([name, reminder]) => {
+      if (!existing.has(name) && reminder.when > Date.now()) {
+        chrome.alarms.create(name, { when: reminder.when });
+      }
+    });
+  } catch (error) {
+    console.error('[BRA Background] Could not restore compliance reminders:', error.message || error);
+  }
+}
+
 // Message handler for communications
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Get the tab ID from the sender
@@ -622,22 +953,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     
     // Only show notifications for fatal errors
     if (message.error.isFatal && shouldNotifyError(tabId, message.error.context)) {
-      try {
-        // Show error notification
+      // Show error notification
+      getLocaleMessages(['detectionErrorTitle', 'detectionErrorMessage', 'tryAgain', 'dismiss']).then(messages => {
         chrome.notifications.create(`error-${Date.now()}`, {
           type: 'basic',
           iconUrl: 'icons/icon128.png',
-          title: 'Form Detection Error',
-          message: 'There was a problem analyzing this page. Try refreshing or check permissions.',
+          title: messages.detectionErrorTitle,
+          message: messages.detectionErrorMessage,
           priority: 1,
           buttons: [
-            { title: 'Try Again' },
-            { title: 'Dismiss' }
+            { title: messages.tryAgain },
+            { title: messages.dismiss }
           ]
         });
-      } catch (e) {
+      }).catch(e => {
         console.error('[BRA] Failed to show notification:', e.message || 'Unknown error');
-      }
+      });
     }
     
     // Acknowledge the message
@@ -674,6 +1005,75 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     });
   }
   
+  // Record a step of a multi-page filing
+  if (message.action === 'wizardStepRecorded' && tabId && message.step) {
+    loadFilingSessions().then(() => {
+      const session = recordFilingStep(tabId, message.step);
+
+      sendRuntimeMessage({
+        action: 'wizardSessionUpdated',
+        tabId: tabId,
+        session: session
+      });
+
+      sendResponse({ success: true, progress: session.progress });
+    });
+    return true;
+  }
+
+  // Send the filing session to the panel
+  if (message.action === 'getWizardSession') {
+    const requestedTabId = message.tabId || tabId;
+    loadFilingSessions().then(() => {
+      const session = filingSessions[requestedTabId] || null;
+      sendResponse({ success: !!session, session: session });
+    });
+    return true;
+  }
+
+  // Forget the filing session, e.g. when the user starts over
+  if (message.action === 'resetWizardSession') {
+    const requestedTabId = message.tabId || tabId;
+    loadFilingSessions().then(() => {
+      delete filingSessions[requestedTabId];
+      saveFilingSessions();
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+
+  // Schedule reminder alarms for the compliance calendar
+  if (message.action === 'scheduleComplianceReminders') {
+    scheduleComplianceReminders(message.reminders || [])
+      .then(count => sendResponse({ success: true, scheduled: count }))
+      .catch(error => {
+        console.error('[BRA Background] Could not schedule compliance reminders:', error.message || error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // Encrypt and decrypt sensitive draft values for modules/formDrafts.js
+  if (message.action === 'encryptDraftValue') {
+    encryptDraftValue(message.text)
+      .then(payload => sendResponse({ success: true, payload }))
+      .catch(error => {
+        console.error('[BRA Background] Could not encrypt a draft value:', error.message || error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'decryptDraftValue') {
+    decryptDraftValue(message.payload || {})
+      .then(text => sendResponse({ success: true, text }))
+      .catch(error => {
+        console.error('[BRA Background] Could not decrypt a draft value:', error.message || error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
   // Send detection result to popup or panel
   if (message.action === 'getDetectionResult') {
     const requestedTabId = message.tabId || tabId;
@@ -747,7 +1147,14 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   if (tabLastPingTime[tabId]) {
     delete tabLastPingTime[tabId];
   }
-  
+
+  loadFilingSessions().then(() => {
+    if (filingSessions[tabId]) {
+      delete filingSessions[tabId];
+      saveFilingSessions();
+    }
+  });
+
   console.log('[BRA] Removed data for closed tab', tabId);
 });
 
@@ -820,4 +1227,30 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     // Reset badge
     updateBadge(tabId, false, 0, false);
   }
-});
\ No newline at end of file
+});
+
+// Deliver compliance reminders
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (!alarm.name.startsWith(COMPLIANCE_ALARM_PREFIX)) return;
+
+  const stored = (await chrome.storage.local.get(COMPLIANCE_REMINDERS_KEY))[COMPLIANCE_REMINDERS_KEY] || {};
+  const reminder = stored[alarm.name];
+  if (!reminder) return;
+
+  try {
+    chrome.notifications.create(`compliance-${Date.now()}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: reminder.title,
+      message: reminder.message || '',
+      priority: 1
+    });
+  } catch (e) {
+    console.error('[BRA] Failed to show reminder notification:', e.message || 'Unknown error');
+  }
+
+  delete stored[alarm.name];
+  chrome.storage.local.set({ [COMPLIANCE_REMINDERS_KEY]: stored });
+});
+
+chrome.runtime.onStartup.addListener(restoreComplianceReminders);
@@ -0,0 +1,155 @@
+/**
+ * Business Registration Assistant - Calendar Script
+ * Compliance deadlines for the saved businesses, with reminders and .ics export
+ */
+
+// Compliance calendar module (loaded dynamically)
+let complianceCalendar = null;
+
+// Obligations currently listed (exported as .ics)
+let complianceObligations = [];
+
+// Deadlines within this many days are highlighted
+const COMPLIANCE_SOON_DAYS = 30;
+
+// DOM elements - Compliance calendar
+const complianceList = document.getElementById('compliance-list');
+const complianceExportButton = document.getElementById('compliance-export-button');
+
+/**
+ * Load the compliance calendar module
+ * @returns {Promise<Object|null>} The compliance calendar
+ */
+async function loadComplianceCalendar() {
+  if (complianceCalendar) {
+    return complianceCalendar;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/complianceCalendar.js'));
+    complianceCalendar = module.default || module.complianceCalendar;
+    console.log('[BRA Panel] ComplianceCalendar loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load compliance calendar:', error);
+  }
+
+  return complianceCalendar;
+}
+
+/**
+ * Render the upcoming deadlines list
+ * @param {Array} obligations - From complianceCalendar.getObligations()
+ */
+function renderComplianceList(obligations) {
+  complianceList.innerHTML = '';
+  complianceExportButton.disabled = obligations.length === 0;
+
+  if (obligations.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'no-fields-message';
+    empty.textContent = t('noDeadlines');
+    complianceList.appendChild(empty);
+    return;
+  }
+
+  const soon = new Date(Date.now() + COMPLIANCE_SOON_DAYS * 86400000).toISOString().slice(0, 10);
+
+  obligations.forEach(obligation => {
+    const item = document.createElement('li');
+    item.className = obligation.dueDate <= soon ? 'compliance-item compliance-soon' : 'compliance-item';
+    item.title = obligation.source || '';
+
+    const date = document.createElement('span');
+    date.className = 'compliance-date';
+    date.textContent = obligation.dueDate;
+
+    const details = document.createElement('div');
+    const title = document.createElement('div');
+    title.textContent = obligation.title;
+    const business = document.createElement('div');
+    business.className = 'compliance-business';
+    business.textContent = `${obligation.businessName} (${obligation.stateCode})`;
+    details.appendChild(title);
+    details.appendChild(business);
+
+    item.appendChild(date);
+    item.appendChild(details);
+    complianceList.appendChild(item);
+  });
+}
+
+/**
+ * Add the notification text to a reminder for the background to show
+ * @param {Object} reminder - From complianceCalendar.getReminders()
+ * @returns {Object} Reminder with its notification title and message
+ */
+function describeComplianceReminder(reminder) {
+  const obligation = reminder.obligation;
+  return {
+    ...reminder,
+    title: t('complianceReminderTitle', [obligation.title, String(reminder.daysBefore)]),
+    message: obligation.stateCode
+      ? t('complianceReminderMessageWithState', [obligation.businessName, obligation.stateCode, obligation.dueDate])
+      : t('complianceReminderMessage', [obligation.businessName, obligation.dueDate])
+  };
+}
+
+/**
+ * Rebuild the calendar from the saved businesses and reschedule reminders
+ */
+async function refreshComplianceCalendar() {
+  const calendar = await loadComplianceCalendar();
+  const store = await loadProfileStore();
+  if (!calendar || !store) return;
+
+  complianceObligations = await calendar.getObligations(await store.getProfiles());
+  renderComplianceList(complianceObligations);
+
+  // The notifications are worded now, in the language chosen in the panel
+  const locale = await loadI18n();
+  if (locale) await locale.init();
+
+  chrome.runtime.sendMessage({
+    action: 'scheduleComplianceReminders',
+    reminders: calendar.getReminders(complianceObligations).map(describeComplianceReminder)
+  }, function(response) {
+    if (chrome.runtime.lastError) {
+      console.warn('[BRA Panel] Could not schedule reminders:', chrome.runtime.lastError.message);
+      return;
+    }
+    console.log('[BRA Panel] Compliance reminders scheduled:', response && response.scheduled);
+  });
+}
+
+/**
+ * Download the listed deadlines as an .ics file
+ */
+async function exportComplianceCalendar() {
+  const calendar = await loadComplianceCalendar();
+  if (!calendar || complianceObligations.length === 0) return;
+
+  downloadFile(calendar.toICS(complianceObligations), 'compliance-deadlines.ics', 'text/calendar');
+}
+
+/**
+ * Initialize the compliance calendar
+ */
+function initializeComplianceCalendar() {
+  if (!complianceList) return;
+
+  complianceExportButton.addEventListener('click', exportComplianceCalendar);
+
+  // Formation dates and states are edited in the profile view
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'local' && changes.BRA_BusinessProfiles) {
+      refreshComplianceCalendar();
+    }
+  });
+
+  refreshComplianceCalendar();
+}
+
+// Initialize calendar when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeComplianceCalendar();
+});
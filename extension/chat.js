@@ -71,62 +71,143 @@ function sendChatMessage() {
  * Add a message to the chat window
  * @param {string} text - Message text content
  * @param {string} type - Message type ('user' or 'system')
+ * @param {Array<string>} sources - Knowledge files the message was built from
  */
-function addChatMessage(text, type) {
+function addChatMessage(text, type, sources = []) {
   const messageDiv = document.createElement('div');
   messageDiv.classList.add('message', type);
   messageDiv.textContent = text;
   
+  if (sources.length > 0) {
+    const sourceDiv = document.createElement('div');
+    sourceDiv.className = 'message-source';
+    sourceDiv.textContent = t('chatSource', sources.join(', '));
+    messageDiv.appendChild(sourceDiv);
+  }
+  
   chatMessages.appendChild(messageDiv);
   
   // Scroll to bottom
   chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
+// Knowledge chat module (loaded dynamically)
+let knowledgeChat = null;
+
+/**
+ * Load the knowledge chat module
+ * @returns {Promise<Object|null>} The knowledge chat
+ */
+async function loadKnowledgeChat() {
+  if (knowledgeChat) {
+    return knowledgeChat;
+  }
+  
+  try {
+    const module = await import(chrome.runtime.getURL('modules/knowledgeChat.js'));
+    knowledgeChat = module.default || module.knowledgeChat;
+  } catch (error) {
+    console.error('[BRA Chat] Failed to load knowledge chat:', error);
+  }
+  
+  return knowledgeChat;
+}
+
+/**
+ * Build the default context for questions that don't name a state or
+ * entity type: the state detected on the current tab and the active
+ * business's entity type
+ * @returns {Promise<Object>} {stateCode, entityType}
+ */
+async function getChatContext() {
+  const context = {
+    stateCode: currentDetectionResult?.state || null,
+    entityType: null
+  };
+  
+  const store = await loadProfileStore();
+  if (store) {
+    const profile = await store.getActiveProfile();
+    context.entityType = profile?.entity?.entity_type || null;
+    if (!context.stateCode) {
+      context.stateCode = profile?.entity?.formation_state || null;
+    }
+  }
+  
+  return context;
+}
+
+/**
+ * Reply to messages the knowledge base can't answer
+ * @param {string} message - The user's message
+ * @returns {string} Response text
+ */
+function getFallbackResponse(message) {
+  const lower = message.toLowerCase();
+  
+  if (lower.includes('thank')) {
+    return t('chatThanksReply');
+  }
+  
+  return t('chatFallbackReply');
+}
+
 /**
  * Process user message and generate response
  * @param {string} message - The user's message
  * @param {Function} callback - Function to call after processing
  */
-function processUserMessage(message, callback) {
-  // Simulate processing delay for better UX
-  setTimeout(() => {
-    let response;
-    
-    // Basic keyword matching
-    if (message.toLowerCase().includes('help')) {
-      response = "I can help you with business registration questions. What specifically would you like to know?";
-    } 
-    else if (message.toLowerCase().includes('llc')) {
-      response = "An LLC (Limited Liability Company) is a business structure that combines pass-through taxation with limited liability protection.";
-    }
-    else if (message.toLowerCase().includes('corporation')) {
-      response = "A corporation is a legal entity that is separate and distinct from its owners, offering limited liability protection but with more complex taxation.";
-    }
-    else if (message.toLowerCase().includes('cost') || message.toLowerCase().includes('fee')) {
-      response = "Registration fees vary by state and business type. The base filing fee can range from $40 to $500, with additional fees for expedited processing.";
-    }
-    else if (message.toLowerCase().includes('time') || message.toLowerCase().includes('long')) {
-      response = "Processing times vary by state. Standard processing typically takes 5-10 business days, while expedited options may be available for an additional fee.";
-    }
-    else if (message.toLowerCase().includes('thank')) {
-      response = "You're welcome! Feel free to ask if you have any other questions about business registration.";
+async function processUserMessage(message, callback) {
+  let response = null;
+  let sources = [];
+  
+  try {
+    const chat = await loadKnowledgeChat();
+    if (chat) {
+      const answer = await chat.answer(message, await getChatContext());
+      response = answer.text;
+      sources = answer.sources;
     }
-    else {
-      response = "I'm a simple assistant at the moment. Try asking about LLCs, corporations, registration fees, or processing times.";
+  } catch (error) {
+    console.error('[BRA Chat] Error answering message:', error);
+  }
+  
+  // Add the response message to the chat
+  addChatMessage(response || getFallbackResponse(message), 'system', response ? sources : []);
+  
+  // If there's a callback function, execute it after response is shown
+  if (typeof callback === 'function') {
+    callback();
+  }
+}
+
+/**
+ * Let the user know whose filings the assistant is now working on
+ * when the active business or person changes
+ */
+function watchActiveAccount() {
+  chrome.storage.onChanged.addListener(async function(changes, areaName) {
+    if (areaName !== 'local' || !(changes.BRA_ActiveProfileId || changes.BRA_ActivePersonId)) {
+      return;
     }
-    
-    // Add the response message to the chat
-    addChatMessage(response, 'system');
-    
-    // If there's a callback function, execute it after response is shown
-    if (typeof callback === 'function') {
-      callback();
+
+    const store = await loadProfileStore();
+    if (!store) return;
+
+    const { profile, person } = await store.getActiveAccount();
+    if (!profile) return;
+
+    const entityType = store.getEntityTypeLabel(profile.entity?.entity_type);
+    let text = t('chatNowAssisting', `${profile.label}${entityType ? ` (${entityType})` : ''}`);
+    if (person) {
+      text += ` ${t('chatPersonalFields', describePerson(person))}`;
     }
-  }, 800); // Slightly longer delay for more realistic assistant response time
+    addChatMessage(text, 'system');
+  });
 }
 
 // Initialize chat when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
   initializeChat();
+  watchActiveAccount();
 });
\ No newline at end of file
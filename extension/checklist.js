@@ -0,0 +1,186 @@
+/**
+ * Business Registration Assistant - Checklist Script
+ * Required documents and information for the detected form and entity type,
+ * ticked off per business
+ */
+
+// Document checklist and knowledge loader modules (loaded dynamically)
+let documentChecklist = null;
+let checklistKnowledgeLoader = null;
+
+// Entity type picked in the checklist, overriding the business's own
+let checklistEntityChoice = null;
+
+// Checklist currently shown, with the business it belongs to
+let shownChecklist = null;
+let shownChecklistBusinessId = null;
+
+// Messages naming the entity types forms.json has requirements for
+const CHECKLIST_ENTITY_MESSAGES = {
+  llc: 'entityTypeLlc',
+  corporation: 'entityTypeCorporation',
+  partnership: 'entityTypePartnership'
+};
+
+// DOM elements - Document checklist
+const documentChecklistSection = document.getElementById('document-checklist');
+const documentChecklistEntity = document.getElementById('document-checklist-entity');
+const documentChecklistTitle = document.getElementById('document-checklist-title');
+const documentChecklistProgress = document.getElementById('document-checklist-progress');
+const documentChecklistDocsGroup = document.getElementById('document-checklist-docs-group');
+const documentChecklistDocs = document.getElementById('document-checklist-docs');
+const documentChecklistFieldsGroup = document.getElementById('document-checklist-fields-group');
+const documentChecklistFields = document.getElementById('document-checklist-fields');
+
+/**
+ * Load the document checklist and knowledge loader modules
+ * @returns {Promise<Object|null>} The document checklist
+ */
+async function loadDocumentChecklist() {
+  if (documentChecklist) {
+    return documentChecklist;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/documentChecklist.js'));
+    const loaderModule = await import(chrome.runtime.getURL('modules/knowledgeLoader.js'));
+    documentChecklist = module.default || module.documentChecklist;
+    checklistKnowledgeLoader = loaderModule.default || loaderModule.knowledgeLoader;
+    console.log('[BRA Panel] DocumentChecklist loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load document checklist:', error);
+  }
+
+  return documentChecklist;
+}
+
+/**
+ * Name of an entity type for the picker
+ * @param {string} entityType - entity_specific key
+ * @returns {string} Translated name
+ */
+function formatChecklistEntityType(entityType) {
+  const key = CHECKLIST_ENTITY_MESSAGES[entityType];
+  return key ? t(key) : entityType.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * One tickable checklist line
+ * @param {Object} item - {id, label}
+ * @param {Object} ticks - Ticked item ids
+ * @returns {HTMLElement} List item
+ */
+function createChecklistItem(item, ticks) {
+  const listItem = document.createElement('li');
+  const label = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = Boolean(ticks[item.id]);
+  checkbox.addEventListener('change', async function() {
+    if (!shownChecklist) return;
+    try {
+      const saved = await documentChecklist.setTicked(shownChecklistBusinessId, shownChecklist.id, item.id, checkbox.checked);
+      renderChecklistProgress(saved);
+    } catch (error) {
+      showError(t('checklistSaveFailed', error.message));
+    }
+  });
+
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode(` ${item.label}`));
+  listItem.appendChild(label);
+  return listItem;
+}
+
+/**
+ * Show how much of the checklist is done, naming documents still missing
+ * @param {Object} ticks - Ticked item ids
+ */
+function renderChecklistProgress(ticks) {
+  const progress = documentChecklist.getProgress(shownChecklist, ticks);
+  documentChecklistProgress.classList.toggle('incomplete', progress.missingDocuments.length > 0);
+  documentChecklistProgress.textContent = progress.missingDocuments.length > 0
+    ? t('checklistMissingDocuments', progress.missingDocuments.join(', '))
+    : t('checklistProgress', [String(progress.done), String(progress.total)]);
+}
+
+/**
+ * Show the checklist of the detected form for the chosen entity type
+ * @param {Object} result - Detection result
+ */
+async function refreshDocumentChecklist(result) {
+  if (!documentChecklistSection) return;
+
+  const checklistModule = result?.isBusinessRegistrationForm && result.state ? await loadDocumentChecklist() : null;
+  const stateData = checklistModule ? await checklistKnowledgeLoader.loadStateData(result.state) : null;
+  const formKey = stateData ? checklistModule.findForm(stateData, result) : null;
+  if (!formKey) {
+    shownChecklist = null;
+    documentChecklistSection.classList.add('hidden');
+    return;
+  }
+
+  // The picked entity type, else the active business's, else what the page says
+  const store = typeof loadProfileStore === 'function' ? await loadProfileStore() : null;
+  const profile = store ? await store.getActiveProfile() : null;
+  const form = stateData.forms[formKey];
+  const entityTypes = checklistModule.getEntityTypes(form);
+  const entityType = checklistModule.resolveEntityType(form, checklistEntityChoice) ||
+    checklistModule.resolveEntityType(form, profile?.entity?.entity_type) ||
+    checklistModule.resolveEntityType(form, result.specificFormDetails?.entityType) ||
+    entityTypes[0] || null;
+
+  const checklist = checklistModule.build(stateData, formKey, entityType);
+  if (checklist.documents.length === 0 && checklist.dataPoints.length === 0 && entityTypes.length === 0) {
+    shownChecklist = null;
+    documentChecklistSection.classList.add('hidden');
+    return;
+  }
+
+  shownChecklist = checklist;
+  shownChecklistBusinessId = profile?.id || null;
+  const ticks = await checklistModule.getTicks(shownChecklistBusinessId, checklist.id);
+
+  documentChecklistEntity.replaceChildren(...entityTypes.map(type =>
+    new Option(formatChecklistEntityType(type), type, false, type === checklist.entityType)));
+  documentChecklistEntity.classList.toggle('hidden', entityTypes.length === 0);
+
+  documentChecklistTitle.textContent = checklist.formNumber
+    ? `${checklist.formName} (${checklist.formNumber})`
+    : checklist.formName;
+  documentChecklistDocs.replaceChildren(...checklist.documents.map(item => createChecklistItem(item, ticks)));
+  documentChecklistFields.replaceChildren(...checklist.dataPoints.map(item => createChecklistItem(item, ticks)));
+  documentChecklistDocsGroup.classList.toggle('hidden', checklist.documents.length === 0);
+  documentChecklistFieldsGroup.classList.toggle('hidden', checklist.dataPoints.length === 0);
+
+  renderChecklistProgress(ticks);
+
+  documentChecklistSection.classList.remove('hidden');
+}
+
+/**
+ * Initialize the document checklist
+ */
+function initializeDocumentChecklist() {
+  if (!documentChecklistSection) return;
+
+  documentChecklistEntity.addEventListener('change', function() {
+    checklistEntityChoice = documentChecklistEntity.value || null;
+    refreshDocumentChecklist(currentDetectionResult);
+  });
+
+  // Switching business, or changing its entity type, changes the ticks and documents
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName !== 'local') return;
+    if (changes.BRA_ActiveProfileId || changes.BRA_BusinessProfiles) {
+      refreshDocumentChecklist(currentDetectionResult);
+    }
+  });
+
+  refreshDocumentChecklist(currentDetectionResult);
+}
+
+// Initialize checklist when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeDocumentChecklist();
+});
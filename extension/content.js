@@ -9,6 +9,7 @@ const DEBUG_MODE = true; // Set to true for verbose logging
 // Import modules with proper error handling
 let URLDetector = null;
 let FieldDetector = null;
+let detectionPipeline = null;
 let messagingUtils = null;
 
 // Promise to track module loading
@@ -32,6 +33,11 @@ modulesLoadedPromise = (async function loadModules() {
     const fieldDetectorURL = chrome.runtime.getURL('modules/fieldDetector.js');
     FieldDetector = await import(fieldDetectorURL);
     console.log('[BRA] FieldDetector module loaded successfully');
+
+    // Load the detection pipeline (runs the configured URL, field, classification and section strategies)
+    const pipelineModule = await import(chrome.runtime.getURL('modules/detectionPipeline.js'));
+    detectionPipeline = pipelineModule.default || pipelineModule.detectionPipeline;
+    console.log('[BRA] DetectionPipeline module loaded successfully');
     
     return true;
   } catch (error) {
@@ -710,16 +716,25 @@ async function detectBusinessForm() {
     }
     
     // Analyze different aspects of the page
-    // Use the URL detector module for URL analysis
-    if (!URLDetector.default || !URLDetector.default.analyzeUrl) {
-      throw new Error('URLDetector.default.analyzeUrl is not available');
+    // URL analysis and state identification run through the configured URL strategies
+    let urlAnalysis;
+    let state = null;
+    if (detectionPipeline) {
+      const urlResult = await detectionPipeline.analyzeUrl(currentUrl, document);
+      urlAnalysis = urlResult.analysis;
+      state = urlResult.state;
+    } else {
+      if (!URLDetector.default || !URLDetector.default.analyzeUrl) {
+        throw new Error('URLDetector.default.analyzeUrl is not available');
+      }
+      urlAnalysis = await URLDetector.default.analyzeUrl(currentUrl);
+      state = URLDetector.default.identifyStateFromUrl?.(currentUrl) || null;
     }
-    const urlAnalysis = await URLDetector.default.analyzeUrl(currentUrl);
     const urlScore = urlAnalysis.score;
     
     // Continue with other analyses
     const contentScore = analyzePageContent();
-    const formAnalysis = await analyzeFormElements();
+    const formAnalysis = await analyzeFormElements(state);
     const formScore = formAnalysis.score;
     const fieldDetectionResults = formAnalysis.fieldDetectionResults;
     const classificationStats = formAnalysis.classificationStats;
@@ -780,11 +795,6 @@ async function detectBusinessForm() {
     // Adjust form score if we suspect dynamic loading is still in progress
     const adjustedFormScore = formScore + dynamicLoadingScore;
     
-    // Calculate user feedback data - track prior detections for learning
-    const priorDetections = window.localStorage.getItem('BRA_PriorDetections');
-    let adaptiveScore = 0;
-    let adaptiveConfidence = false;
-    
     // Helper function to extract URL pattern for similarity matching
     function extractUrlPattern(url) {
       try {
@@ -796,37 +806,14 @@ async function detectBusinessForm() {
       }
     }
     
-    if (priorDetections) {
-      try {
-        const detections = JSON.parse(priorDetections);
-        const urlPattern = extractUrlPattern(currentUrl);
-        
-        // Check if we have prior detections for this URL pattern
-        const matchingDetections = detections.filter(d => 
-          d.urlPattern === urlPattern || currentUrl.includes(d.urlRoot)
-        );
-        
-        if (matchingDetections.length > 0) {
-          // Calculate average success rate for this URL pattern
-          const successRate = matchingDetections.reduce(
-            (sum, d) => sum + (d.userConfirmed ? 1 : 0), 0
-          ) / matchingDetections.length;
-          
-          // Add adaptive score based on past success rate
-          adaptiveScore = Math.round(successRate * 15); // Up to 15 points from learning
-          
-          // Strong prior confirmation can override threshold
-          if (successRate > 0.8 && matchingDetections.length >= 3) {
-            adaptiveConfidence = true;
-          }
-          
-          log('Applied adaptive scoring based on user feedback:', adaptiveScore);
-        }
-      } catch (e) {
-        // Ignore errors in adaptive learning
-        log('Error in adaptive scoring:', e.message);
-      }
-    }
+    // Store URL pattern for learning
+    const urlPattern = extractUrlPattern(currentUrl);
+    const urlRoot = new URL(currentUrl).origin;
+    
+    // Learn from detections the user confirmed or rejected on this URL pattern
+    // (narrowed to the form type once it is known)
+    let learnedFeedback = await getLearnedFeedback(urlPattern, null);
+    let adaptiveConfidence = learnedFeedback.adaptiveConfidence;
     
     // Enhanced confidence scoring with breakdown
     const confidenceDetails = {
@@ -836,7 +823,7 @@ async function detectBusinessForm() {
       stateIdentification: 0,
       fieldClassification: 0,
       businessTerminology: 0,
-      adaptive: adaptiveScore
+      learnedFeedback: learnedFeedback.adjustment
     };
     
     // Domain scoring (15-20 points)
@@ -859,13 +846,6 @@ async function detectBusinessForm() {
     }
     
     // State identification (10-15 points)
-    let state = null;
-    if (URLDetector.default && URLDetector.default.identifyStateFromUrl) {
-      state = URLDetector.default.identifyStateFromUrl(currentUrl);
-    }
-    if (!state) {
-      state = identifyStateFromContent();
-    }
     if (state) {
       confidenceDetails.stateIdentification = 10;
       if (urlAnalysis.state === state) {
@@ -926,11 +906,11 @@ async function detectBusinessForm() {
     
     // Calculate total with new scoring
     const totalScore = Object.values(confidenceDetails).reduce((sum, score) => sum + score, 0);
-    let confidenceScore = Math.min(totalScore, 100);
+    let confidenceScore = Math.max(0, Math.min(totalScore, 100));
     
-    // Log confidence breakdown
+    // Log confidence breakdown (learned feedback can be negative)
     const breakdown = Object.entries(confidenceDetails)
-      .filter(([_, score]) => score > 0)
+      .filter(([_, score]) => score !== 0)
       .map(([category, score]) => `${category}(${score})`)
       .join(' + ');
     
@@ -1055,15 +1035,24 @@ async function detectBusinessForm() {
       nextButtons = document.querySelectorAll('.btn-next, .next-button').length > 0;
     }
     
+    const stepIndicator = parseStepIndicator();
     const formStructure = {
-      isMultiStep: isMultiStep || nextButtons,
-      hasProgress: hasProgress,
-      estimatedSteps: isMultiStep ? document.querySelectorAll('.step, .wizard-step, .form-step').length : 1
+      isMultiStep: isMultiStep || nextButtons || !!stepIndicator,
+      hasProgress: hasProgress || !!stepIndicator,
+      estimatedSteps: stepIndicator ? stepIndicator.total :
+        (isMultiStep ? document.querySelectorAll('.step, .wizard-step, .form-step').length : 1)
     };
     
-    // Store URL pattern for learning
-    const urlPattern = extractUrlPattern(currentUrl);
-    const urlRoot = new URL(currentUrl).origin;
+    // Use feedback given for this form type when there is any
+    const formTypeFeedback = await getLearnedFeedback(urlPattern, formType);
+    if (formTypeFeedback.confirmed + formTypeFeedback.rejected > 0) {
+      learnedFeedback = formTypeFeedback;
+      adaptiveConfidence = learnedFeedback.adaptiveConfidence;
+      confidenceDetails.learnedFeedback = learnedFeedback.adjustment;
+      const learnedTotalScore = Object.values(confidenceDetails).reduce((sum, score) => sum + score, 0);
+      confidenceScore = Math.max(0, Math.min(learnedTotalScore, 100));
+      log(`Learned feedback for ${formType}: ${learnedFeedback.adjustment} points`);
+    }
     
     // Update field classification score based on detected fields
     if (fieldDetectionResults && classificationStats) {
@@ -1096,7 +1085,7 @@ async function detectBusinessForm() {
       
       // Recalculate total score with field classification
       const updatedTotalScore = Object.values(confidenceDetails).reduce((sum, score) => sum + score, 0);
-      confidenceScore = Math.min(updatedTotalScore, 100);
+      confidenceScore = Math.max(0, Math.min(updatedTotalScore, 100));
       
       // Log updated confidence
       log(`Field classification added ${confidenceDetails.fieldClassification} points`);
@@ -1199,7 +1188,10 @@ async function detectBusinessForm() {
       formType: formType,
       specificFormDetails: specificFormDetails,
       formStructure: formStructure,
+      stepIndicator: stepIndicator,
+      displayedFee: detectDisplayedFee(),
       adaptiveConfidence: adaptiveConfidence,
+      learnedFeedback: learnedFeedback,
       fieldDetection: fieldDetectionResults,
       fieldClassifications: classificationStats,
       details: {
@@ -1208,7 +1200,6 @@ async function detectBusinessForm() {
         formScore,
         adjustedFormScore,
         dynamicLoadingScore,
-        adaptiveScore,
         urlAnalysisReasons: urlAnalysis.reasons,
         detectionAttempts: detectionAttempts,
         timestamp: new Date().toISOString(),
@@ -1218,7 +1209,21 @@ async function detectBusinessForm() {
     };
     
     log('Detection result:', detectionResult);
-    
+
+    // Start live validation of the detected fields
+    if (isBusinessForm) {
+      attachFieldValidation(detectionResult);
+      recordWizardStep('detected');
+      trackFieldDependencies();
+      trackFormDraft();
+    }
+
+    // Guidance badges next to the fields the state's knowledge explains
+    attachFieldGuidance(detectionResult);
+
+    // Fields in same-origin frames highlight their panel entry too
+    trackFrameFocus(detectionResult);
+
     // Log the detection result before sending
     console.log('[BRA Content] Sending detection result to background:', {
       isBusinessForm: detectionResult.isBusinessRegistrationForm,
@@ -1495,7 +1500,7 @@ function analyzePageContent() {
 /**
  * Analyze form elements for registration patterns
  */
-async function analyzeFormElements() {
+async function analyzeFormElements(state = null) {
   try {
     let score = 0;
     let diagnosticInfo = {}; // Store detailed analysis for debugging
@@ -1514,18 +1519,13 @@ async function analyzeFormElements() {
     console.log('[BRA Content] FieldDetector module available:', !!FieldDetector);
     console.log('[BRA Content] FieldDetector.default available:', !!(FieldDetector && FieldDetector.default));
     
-    if (FieldDetector && FieldDetector.default) {
+    if (detectionPipeline || (FieldDetector && FieldDetector.default)) {
       try {
         log('Using FieldDetector module to analyze form fields');
+        console.log('[BRA Content] State for field detection:', state);
         
-        // Get state from URL if available
-        const currentUrl = window.location.href;
-        const state = URLDetector?.default?.identifyStateFromUrl(currentUrl) || null;
-        console.log('[BRA Content] State from URL:', state);
-        
-        // Create a field detector instance with state context
-        const detector = new FieldDetector.default(document, { 
-          state: state,
+        // Field detector options (state context is added by the caller)
+        const detectorOptions = {
           debug: DEBUG_MODE, // Enable debug mode if DEBUG_MODE is true
           // Add message handler to pass messages through content script
           onDetectionComplete: function(detectionData) {
@@ -1546,16 +1546,23 @@ async function analyzeFormElements() {
             // This callback runs too early, before isBusinessForm is calculated
             console.log('[BRA Content] Field detection complete, will send update after main detection');
           }
-        });
+        };
         
         // Detect all form fields with comprehensive logging
         console.log('%c[BRA] Starting comprehensive field detection...', 'color: blue; font-weight: bold');
-        const fields = await detector.detectFields();
+        let fields;
+        let uiData;
+        let strategies = null;
+        if (detectionPipeline) {
+          // Extraction, classification and sections come from the configured strategies
+          ({ fields, uiData, strategies } = await detectionPipeline.detectFields(document, { state, detectorOptions }));
+        } else {
+          const detector = new FieldDetector.default(document, { ...detectorOptions, state: state });
+          fields = await detector.detectFields();
+          uiData = detector.getUIData();
+        }
         log(`FieldDetector found ${fields.length} form fields`);
         
-        // Get UI-ready data structure
-        const uiData = detector.getUIData();
-        
         // Use the detailed classification summary from detector
         classificationStats = uiData.summary;
         
@@ -1569,7 +1576,8 @@ async function analyzeFormElements() {
           validationScore: null,  // Will be set by detector callback
           fields: fields,
           stats: classificationStats,
-          uiData: uiData
+          uiData: uiData,
+          strategies: strategies
         };
         
         // Store diagnostic info
@@ -1828,69 +1836,6 @@ async function analyzeFormElements() {
   }
 }
 
-/**
- * Identify which state the form is for based on page content
- */
-function identifyStateFromContent() {
-  try {
-    // Get page text
-    const pageText = document.body ? document.body.textContent.toLowerCase() : '';
-    if (!pageText) return null;
-    
-    // Map of state names and their codes
-    const states = {
-      'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR',
-      'california': 'CA', 'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE',
-      'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI', 'idaho': 'ID',
-      'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA', 'kansas': 'KS',
-      'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME', 'maryland': 'MD',
-      'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN', 'mississippi': 'MS',
-      'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV',
-      'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
-      'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH', 'oklahoma': 'OK',
-      'oregon': 'OR', 'pennsylvania': 'PA', 'rhode island': 'RI', 'south carolina': 'SC',
-      'south dakota': 'SD', 'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT',
-      'vermont': 'VT', 'virginia': 'VA', 'washington': 'WA', 'west virginia': 'WV',
-      'wisconsin': 'WI', 'wyoming': 'WY', 'district of columbia': 'DC'
-    };
-    
-    // Look for state name mentions in headings first (more likely to be relevant)
-    const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-    for (const heading of headings) {
-      const headingText = heading.textContent.toLowerCase();
-      for (const [stateName, stateCode] of Object.entries(states)) {
-        if (headingText.includes(stateName) || 
-            (stateCode.length === 2 && headingText.includes(` ${stateCode.toLowerCase()} `))) {
-          return stateCode;
-        }
-      }
-    }
-    
-    // Check for state mentions in the context of business registration
-    const businessPhrases = ['business registration', 'register a business', 'secretary of state', 'department of state'];
-    
-    for (const [stateName, stateCode] of Object.entries(states)) {
-      // Look for state name in combination with business registration phrases
-      for (const phrase of businessPhrases) {
-        if (pageText.includes(`${stateName} ${phrase}`) || 
-            pageText.includes(`${phrase} ${stateName}`)) {
-          return stateCode;
-        }
-      }
-      
-      // Look for phrases like "State of California"
-      if (pageText.includes(`state of ${stateName}`)) {
-        return stateCode;
-      }
-    }
-    
-    return null;
-  } catch (error) {
-    reportError(error, 'identifyStateFromContent');
-    return null;
-  }
-}
-
 // Verify connection status periodically
 function checkConnectionStatus() {
   if (!connectionEstablished && !fallbackDetectionMode) {
@@ -1921,142 +1866,1299 @@ function checkConnectionStatus() {
 // Run connection check periodically
 setInterval(checkConnectionStatus, 30000);
 
+// Detection learning module (loaded on first use)
+let detectionLearning = null;
+
+/**
+ * Load the detection learning module, moving feedback older versions kept
+ * in the page's localStorage into extension storage
+ * @returns {Promise<Object>} The detection learning module
+ */
+async function loadDetectionLearning() {
+  if (detectionLearning) {
+    return detectionLearning;
+  }
+
+  const module = await import(chrome.runtime.getURL('modules/detectionLearning.js'));
+  detectionLearning = module.default;
+
+  try {
+    const legacy = window.localStorage.getItem('BRA_PriorDetections');
+    if (legacy) {
+      await detectionLearning.importRecords(JSON.parse(legacy));
+      window.localStorage.removeItem('BRA_PriorDetections');
+    }
+  } catch (error) {
+    log('Could not migrate detection history:', error.message);
+  }
+
+  return detectionLearning;
+}
+
+/**
+ * Confidence adjustment learned from user feedback on a page
+ * @param {string} urlPattern - URL pattern of the page
+ * @param {string|null} formType - Form type, or null for every form on the pattern
+ * @returns {Promise<Object>} {adjustment, adaptiveConfidence, confirmed, rejected, ...}
+ */
+async function getLearnedFeedback(urlPattern, formType) {
+  try {
+    const learning = await loadDetectionLearning();
+    return await learning.getAdjustment(urlPattern, formType);
+  } catch (error) {
+    // Detection must not fail because feedback could not be read
+    log('Error in adaptive scoring:', error.message);
+    return { adjustment: 0, adaptiveConfidence: false, confirmed: 0, rejected: 0 };
+  }
+}
+
 /**
  * Update stored detection history with user feedback
  * @param {Object} feedbackData - User feedback data
+ * @returns {Promise<boolean>} True if the feedback was stored
  */
-function updateDetectionHistory(feedbackData) {
+async function updateDetectionHistory(feedbackData) {
+  if (!detectionResult) {
+    return false;
+  }
+
   try {
-    // Get existing detection history
-    const existingData = window.localStorage.getItem('BRA_PriorDetections') || '[]';
-    const detections = JSON.parse(existingData);
-    
-    // Create new detection record with user feedback
-    if (detectionResult) {
-      const newDetection = {
-        urlPattern: detectionResult.urlPattern,
-        urlRoot: detectionResult.urlRoot,
-        state: detectionResult.state,
-        formType: detectionResult.formType,
-        confidenceScore: detectionResult.confidenceScore,
-        userConfirmed: feedbackData.isCorrect,
-        userFeedback: feedbackData.feedback || '',
-        timestamp: new Date().toISOString()
-      };
-      
-      // Add to detection history
-      detections.push(newDetection);
-      
-      // Keep only the last 100 detections
-      if (detections.length > 100) {
-        detections.shift();
-      }
-      
-      // Save updated detection history
-      window.localStorage.setItem('BRA_PriorDetections', JSON.stringify(detections));
-      log('Updated detection history with user feedback');
-    }
+    const learning = await loadDetectionLearning();
+    await learning.record(detectionResult, feedbackData);
+    log('Updated detection history with user feedback');
+    return true;
   } catch (error) {
     console.error('[BRA] Error updating detection history:', error.message);
+    return false;
   }
 }
 
-// Add context invalidation listener
-if (typeof window !== 'undefined') {
-  window.addEventListener('extension-context-invalidated', () => {
-    console.log('[BRA] Extension context invalidated event received');
-    // Clean up any active operations
-    detectionResult = null;
-    pendingMessageCallbacks = {};
-  });
+// Categories that describe a person rather than the business
+const PERSON_CATEGORIES = ['name', 'first_name', 'last_name', 'email', 'phone', 'address', 'city', 'state', 'zip'];
+
+// Section wording that identifies which role a group of person fields is for
+const ROLE_PATTERNS = {
+  registered_agent: /registered\s*agent|agent\s*for\s*service|statutory\s*agent|resident\s*agent/i,
+  organizer: /organi[sz]er|incorporator/i,
+  officer: /\bofficers?\b|president|secretary|treasurer|director/i,
+  member: /\bmembers?\b|\bmanagers?\b/i
+};
+
+// Address categories a mailing section fills from the mailing_* fill data
+const ADDRESS_CATEGORIES = ['address', 'city', 'state', 'zip'];
+const MAILING_SECTION_PATTERN = /mailing|postal\s*address|correspondence/i;
+
+/**
+ * Section heading, fieldset legend and label text around a field
+ * @param {Object} field - Detected field
+ * @returns {string} Context text
+ */
+function describeFieldContext(field) {
+  const legend = field.element?.closest?.('fieldset')?.querySelector('legend')?.textContent;
+  return [field.section?.name, field.section?.label, legend, field.label?.text]
+    .filter(Boolean)
+    .join(' ');
 }
 
-// Listen for messages from popup, panel, or background script
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // Check if context is still valid before processing
-  const messaging = messagingUtils || window.messagingUtils;
-  let contextValid = true;
-  
-  if (messaging && typeof messaging.isContextValid === 'function') {
-    contextValid = messaging.isContextValid();
-  } else {
-    try {
-      contextValid = !!(chrome.runtime && chrome.runtime.id);
-    } catch (e) {
-      contextValid = false;
+/**
+ * Work out which role a person field belongs to from its section heading,
+ * fieldset legend or label
+ * @param {Object} field - Detected field
+ * @returns {string|null} Role key or null if the field is not role specific
+ */
+function detectFieldRole(field) {
+  const context = describeFieldContext(field);
+
+  for (const [role, pattern] of Object.entries(ROLE_PATTERNS)) {
+    if (pattern.test(context)) {
+      return role;
     }
   }
-  
-  if (!contextValid) {
-    console.log('[BRA] Ignoring message - extension context invalid');
+  return null;
+}
+
+/**
+ * Pick the option that best matches a fill value. Exact value/label matches
+ * win over partial ones, which win over initials (so "Limited Liability
+ * Company" still finds an "LLC" option when nothing better exists).
+ * @param {Array} options - Options as {value, label, ref}
+ * @param {string} value - Value to fill
+ * @returns {Object|null} The best matching option or null
+ */
+function findBestOption(options, value) {
+  const wanted = String(value).trim().toLowerCase();
+  const words = wanted.split(/\s+/);
+  const initials = words.length > 1
+    ? words.map(w => w[0]).join('').replace(/[^a-z0-9]/g, '')
+    : null;
+
+  let best = null;
+  let bestScore = 0;
+
+  options.forEach(option => {
+    const candidates = [option.value, option.label]
+      .filter(Boolean)
+      .map(text => String(text).trim().toLowerCase());
+
+    let score = 0;
+    if (candidates.some(text => text === wanted)) {
+      score = 3;
+    } else if (candidates.some(text => text.length > 1 && (text.includes(wanted) || wanted.includes(text)))) {
+      score = 2;
+    } else if (initials && initials.length > 1 && candidates.some(text => new RegExp(`\\b${initials}\\b`).test(text))) {
+      score = 1;
+    }
+
+    if (score > bestScore) {
+      best = option;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Write a value into a detected field and fire input/change events.
+ * Handles text inputs, selects and radio/checkbox groups. Fields that
+ * already hold a value are left untouched.
+ * @param {Object} field - Detected field ({element, options?})
+ * @param {string} value - Value to fill
+ * @param {Object} options - {dryRun: only check whether the value could be
+ *   filled, undoLog: array that receives each element's prior state}
+ * @returns {boolean} True if the field was (or could be) filled
+ */
+function applyFieldValue(field, value, options = {}) {
+  const { dryRun = false, undoLog = null } = options;
+  const element = field.element;
+  if (!element || !element.isConnected || element.disabled || element.readOnly) {
     return false;
   }
-  
-  console.log('[BRA Content] Message received:', message.action, 'Detection result exists:', !!detectionResult);
-  log('Message received:', message.action);
-  
-  // Special handling for navigation detection request
-  if (message.action === 'checkNavigation') {
-    // Force check current URL against stored result
-    const currentUrl = location.href;
-    if (detectionResult && detectionResult.url !== currentUrl) {
-      console.log('[BRA] URL mismatch detected - triggering new detection');
-      handleUrlChange();
+
+  // Radio/checkbox groups: check the matching option
+  if (Array.isArray(field.options) && field.options.some(o => o.element)) {
+    if (field.options.some(o => o.element && o.element.checked)) {
+      return false;
+    }
+    const option = findBestOption(
+      field.options.map(o => ({ value: o.value, label: o.label, ref: o.element })),
+      value
+    );
+    if (!option || !option.ref) {
+      return false;
     }
-    sendResponse({ 
-      currentUrl: currentUrl,
-      resultUrl: detectionResult?.url,
-      needsUpdate: !detectionResult || detectionResult.url !== currentUrl
-    });
+    if (dryRun) {
+      return true;
+    }
+    if (undoLog) {
+      undoLog.push({
+        group: field.options
+          .filter(o => o.element)
+          .map(o => ({ element: o.element, checked: o.element.checked }))
+      });
+    }
+    option.ref.checked = true;
+    option.ref.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    option.ref.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
     return true;
   }
-  
-  try {
-    // Mark that we have a connection
-    connectionEstablished = true;
-    connectionAttempts = 0;
-    
-    if (message.action === 'getDetectionResult') {
-      // Return current detection
-      sendResponse(detectionResult || { 
-        isBusinessRegistrationForm: false, 
-        error: 'No detection result available',
-        attempts: detectionAttempts,
-        fallbackMode: fallbackDetectionMode
-      });
+
+  let newValue = value;
+
+  if (element.tagName === 'SELECT') {
+    const option = findBestOption(
+      Array.from(element.options)
+        .filter(opt => opt.value)
+        .map(opt => ({ value: opt.value, label: opt.textContent, ref: opt })),
+      value
+    );
+    if (!option || element.selectedIndex > 0) {
+      return false;
     }
-    else if (message.action === 'triggerDetection') {
-      // Don't trigger if we already have a valid detection result
-      if (detectionResult && detectionResult.isBusinessRegistrationForm !== undefined) {
-        console.log('[BRA Content] Detection already completed, returning existing result');
-        sendResponse({ 
-          success: true, 
-          message: 'Detection already completed',
-          hasResult: true,
-          result: detectionResult
-        });
-        return;
+    newValue = option.value;
+  } else if (element.value || element.type === 'checkbox' || element.type === 'radio') {
+    return false;
+  }
+
+  if (dryRun) {
+    return true;
+  }
+  if (undoLog) {
+    undoLog.push({ element: element, value: element.value });
+  }
+
+  element.value = newValue;
+  // composed so listeners on a web component's host see fills inside its shadow root
+  element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+  return true;
+}
+
+// Fill plan from the last preview, kept so the panel can apply a subset of it
+let pendingFillPlan = [];
+
+// Data the pending plan was built from, for fields revealed while filling
+let pendingFillSource = null;
+
+// Whether the pending plan holds fields revealed by the last applied preview,
+// whose fill then joins the same undo
+let pendingFillRevealed = false;
+
+// Prior element state from the last applied fill, used by undo
+let lastFillUndo = [];
+
+/**
+ * Resolve the values to fill: data sent with the message, or the active
+ * business profile
+ * @param {Object} providedData - Optional category -> value map
+ * @returns {Promise<Object|null>} {fillData, roleFillData, profileLabel} or
+ *   null when there is no data and no active profile
+ */
+async function loadFillData(providedData) {
+  if (providedData) {
+    return { fillData: providedData, roleFillData: {}, profileLabel: null };
+  }
+
+  const profileModule = await import(chrome.runtime.getURL('modules/profileStore.js'));
+  const profileStore = profileModule.default;
+  const { profile, person } = await profileStore.getActiveAccount();
+
+  if (!profile) {
+    return null;
+  }
+
+  return {
+    fillData: profileStore.toFillData(profile, person),
+    roleFillData: profileStore.getRoleFillData(profile),
+    profileLabel: profile.label
+  };
+}
+
+/**
+ * Work out which value would go into which field, without touching the page
+ * @param {Object} fillData - Category -> value map
+ * @param {Object} roleFillData - Role -> (category -> value) map
+ * @param {Array} fields - Detected fields to plan, defaults to the last detection's
+ * @returns {Array} Plan entries ({id, field, category, role, value, confidence, label})
+ */
+function buildFillPlan(fillData, roleFillData, fields = null) {
+  const plan = [];
+  const detectedFields = fields || detectionResult?.fieldDetection?.fields;
+
+  const addEntry = (field, category, role, value, confidence, label) => {
+    if (value && applyFieldValue(field, value, { dryRun: true })) {
+      plan.push({ id: plan.length, field, category, role, value, confidence, label });
+    }
+  };
+
+  // If we have field detection results, use them for precise filling
+  if (detectedFields && detectedFields.length > 0) {
+    detectedFields.forEach(field => {
+      const category = field.classification?.category;
+      if (!category) return;
+
+      // Person fields inside an "Organizer", "Registered Agent", etc.
+      // section come from whoever holds that role
+      let value = fillData[category];
+      const role = PERSON_CATEGORIES.includes(category) ? detectFieldRole(field) : null;
+      if (role) {
+        value = roleFillData[role]?.[category];
+      } else if (ADDRESS_CATEGORIES.includes(category) && MAILING_SECTION_PATTERN.test(describeFieldContext(field))) {
+        value = fillData[`mailing_${category}`];
+      }
+
+      addEntry(field, category, role, value, field.classification.confidence, field.label?.text || field.name || field.id);
+    });
+    return plan;
+  }
+
+  // Fallback to pattern matching
+  const categoryPatterns = {
+    business_name: 'business.*name|company.*name|entity.*name',
+    dba: 'dba|trade.*name|doing.*business',
+    first_name: 'first.*name',
+    last_name: 'last.*name',
+    email: 'email|e-mail',
+    phone: 'phone|telephone',
+    address: 'street|address.*1|address(?!.*2)',
+    city: 'city',
+    state: 'state',
+    zip: 'zip|postal',
+    ein: 'ein|employer.*id|federal.*tax',
+    ssn: 'ssn|social.*security'
+  };
+
+  const inputs = document.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"], input:not([type]), textarea, select');
+
+  inputs.forEach(input => {
+    const fieldIdentifier = [
+      input.name,
+      input.id,
+      input.placeholder,
+      input.getAttribute('aria-label'),
+      input.labels?.[0]?.textContent
+    ].filter(Boolean).join(' ').toLowerCase();
+
+    for (const [category, pattern] of Object.entries(categoryPatterns)) {
+      if (new RegExp(pattern, 'i').test(fieldIdentifier)) {
+        const mailing = ADDRESS_CATEGORIES.includes(category) &&
+          (MAILING_SECTION_PATTERN.test(fieldIdentifier) || MAILING_SECTION_PATTERN.test(describeFieldContext({ element: input })));
+        addEntry({ element: input }, category, null, fillData[mailing ? `mailing_${category}` : category], null,
+          input.labels?.[0]?.textContent?.trim() || input.name || input.id);
+        break;
       }
-      
-      // Only reset if we don't have a result yet
-      detectionAttempts = 0;
-      fallbackDetectionMode = false; // Reset fallback mode to try normal detection
-      connectionEstablished = false; // Reset connection state
-      connectionAttempts = 0; // Reset connection attempts
-      
-      // Run detection
-      tryDetection();
-      sendResponse({ 
-        success: true, 
-        message: 'Detection triggered',
-        fallbackMode: fallbackDetectionMode
-      });
     }
-    else if (message.action === 'getDetectionStatus') {
-      console.log('[BRA Content] getDetectionStatus - returning result:', {
-        hasResult: !!detectionResult,
-        isBusinessForm: detectionResult?.isBusinessRegistrationForm,
-        confidence: detectionResult?.confidenceScore,
+  });
+
+  return plan;
+}
+
+/**
+ * Serializable view of a plan entry for the panel (SSNs masked)
+ * @param {Object} entry - Plan entry
+ * @returns {Object} {id, category, role, label, value, confidence}
+ */
+function describeFillEntry(entry) {
+  const value = entry.category === 'ssn'
+    ? String(entry.value).replace(/\d(?=[\d-]{4})/g, '•')
+    : entry.value;
+
+  return {
+    id: entry.id,
+    category: entry.category,
+    role: entry.role,
+    label: entry.label || entry.category,
+    value: value,
+    confidence: entry.confidence
+  };
+}
+
+/**
+ * Fill plan entries into the page, remembering prior values for undo.
+ * Answers the form's dependency graph says reveal other fields go first;
+ * once the page settles, the rest are filled, then the fields those answers
+ * revealed are filled too or, with previewRevealed, planned for review.
+ * @param {Array} entries - Plan entries to apply
+ * @param {Object} source - {fillData, roleFillData} for revealed fields
+ * @param {Object} options - {previewRevealed, extendUndo: keep the last
+ *   fill's undo records}
+ * @returns {Promise<Object>} {filledCount, revealedCount, revealedPlan}
+ */
+async function applyFillPlan(entries, source = null, options = {}) {
+  const undoLog = options.extendUndo ? lastFillUndo.slice() : [];
+  let filledCount = 0;
+
+  const fill = entry => {
+    if (applyFieldValue(entry.field, entry.value, { undoLog })) {
+      filledCount++;
+      console.log(`[BRA] Filled ${entry.category}${entry.role ? ` (${entry.role})` : ''}`);
+    }
+  };
+
+  // Filling may trigger re-detection, so keep what this plan was built against
+  const fingerprint = getDetectedFormFingerprint();
+  const state = detectionResult?.state || null;
+  const detectedFields = detectionResult?.fieldDetection?.fields || [];
+  const dependencies = fieldDependenciesModule?.default;
+  const controls = dependencies && fingerprint ? await dependencies.getForForm(fingerprint) : {};
+  const controllers = entries.filter(entry => dependencies?.isController(controls, getFieldDependencyKey(entry.field)));
+
+  if (controllers.length === 0) {
+    entries.forEach(fill);
+    lastFillUndo = undoLog;
+    return { filledCount, revealedCount: 0, revealedPlan: [] };
+  }
+
+  controllers.forEach(fill);
+  // The change events just fired are being observed; wait for the page to settle
+  await dependencies.queue;
+  entries.filter(entry => !controllers.includes(entry)).forEach(fill);
+
+  let revealedCount = 0;
+  let revealedPlan = [];
+  if (source) {
+    const knownElements = new Set([
+      ...detectedFields.map(field => field.element),
+      ...entries.map(entry => entry.field.element)
+    ]);
+    const revealedFields = await detectRevealedFields(knownElements, state);
+    if (revealedFields.length > 0) {
+      revealedPlan = buildFillPlan(source.fillData, source.roleFillData, revealedFields);
+    }
+    if (!options.previewRevealed) {
+      const before = filledCount;
+      revealedPlan.forEach(fill);
+      revealedCount = filledCount - before;
+      revealedPlan = [];
+    }
+  }
+
+  lastFillUndo = undoLog;
+  return { filledCount, revealedCount, revealedPlan };
+}
+
+/**
+ * Restore the element state recorded by the last fill and fire the same
+ * input/change events so page scripts see the change
+ * @returns {number} Number of elements restored
+ */
+function undoLastFill() {
+  let restoredCount = 0;
+
+  const fireEvents = element => {
+    element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+  };
+
+  lastFillUndo.slice().reverse().forEach(record => {
+    if (record.group) {
+      // Radio/checkbox group: put every option back the way it was
+      const changed = record.group.filter(option =>
+        option.element.isConnected && option.element.checked !== option.checked
+      );
+      changed.forEach(option => {
+        option.element.checked = option.checked;
+        fireEvents(option.element);
+      });
+      if (changed.length > 0) restoredCount++;
+      return;
+    }
+
+    if (!record.element.isConnected) return;
+    record.element.value = record.value;
+    fireEvents(record.element);
+    restoredCount++;
+  });
+
+  lastFillUndo = [];
+  return restoredCount;
+}
+
+// Validation engine module (loaded when a form is detected)
+let validationEngine = null;
+
+// Latest validation result per field element
+const fieldValidationResults = new Map();
+
+// Elements and forms that already have validation listeners
+const validatedElements = new WeakSet();
+
+/**
+ * Show or clear the inline hint under a field
+ * @param {HTMLElement} element - Field element
+ * @param {Object} result - {valid, message} from the validation engine
+ */
+function showValidationHint(element, result) {
+  if (!element.dataset.braHintId) {
+    element.dataset.braHintId = `bra-validation-hint-${Math.random().toString(36).slice(2, 10)}`;
+  }
+  const hintId = element.dataset.braHintId;
+  // Fields in shadow roots and same-origin frames keep their hint next to them
+  const root = element.getRootNode();
+  let hint = root.getElementById ? root.getElementById(hintId) : element.ownerDocument.getElementById(hintId);
+
+  if (result.valid) {
+    if (hint) hint.remove();
+    element.removeAttribute('aria-invalid');
+    element.style.outline = element.dataset.braOutline || '';
+    return;
+  }
+
+  if (!hint) {
+    hint = element.ownerDocument.createElement('div');
+    hint.id = hintId;
+    hint.setAttribute('role', 'alert');
+    hint.style.cssText = `
+      color: #c62828;
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      margin: 4px 0;
+    `;
+    element.insertAdjacentElement('afterend', hint);
+    element.dataset.braOutline = element.style.outline;
+
+    const describedBy = (element.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    if (!describedBy.includes(hintId)) {
+      element.setAttribute('aria-describedby', [...describedBy, hintId].join(' '));
+    }
+  }
+
+  hint.textContent = result.message;
+  element.setAttribute('aria-invalid', 'true');
+  element.style.outline = '2px solid #c62828';
+}
+
+/**
+ * Send the list of currently invalid fields to the side panel
+ */
+function reportValidationSummary() {
+  const invalidFields = [];
+
+  fieldValidationResults.forEach((entry, element) => {
+    if (!element.isConnected) {
+      fieldValidationResults.delete(element);
+    } else if (!entry.valid) {
+      invalidFields.push({ label: entry.label, category: entry.category, message: entry.message });
+    }
+  });
+
+  chrome.runtime.sendMessage({
+    action: 'validationUpdated',
+    invalidFields: invalidFields,
+    checkedCount: fieldValidationResults.size
+  }, function() {
+    // The panel may be closed; nothing to do
+    void chrome.runtime.lastError;
+  });
+}
+
+/**
+ * Validate one detected field and update its hint
+ * @param {Object} field - Field from FieldDetector
+ * @param {boolean} requireValue - Also flag empty required fields
+ * @returns {boolean} True if the field is valid
+ */
+function validateDetectedField(field, requireValue = false) {
+  const result = validationEngine.validateField(field, field.element.value, { requireValue });
+
+  showValidationHint(field.element, result);
+  fieldValidationResults.set(field.element, {
+    label: field.label?.text || field.name || field.id,
+    category: field.classification?.category || null,
+    valid: result.valid,
+    message: result.message
+  });
+
+  return result.valid;
+}
+
+// Name checker module (loaded when a business name field is detected)
+let nameChecker = null;
+
+/**
+ * Entity type chosen on the page, falling back to the active profile's
+ * @returns {Promise<string|null>} Entity type value or key
+ */
+async function getSelectedEntityType() {
+  const entityField = (detectionResult?.fieldDetection?.fields || [])
+    .find(field => field.classification?.category === 'entity_type');
+  if (entityField) {
+    const value = snapshotFieldValue(entityField).value;
+    if (value && value !== REDACTED_VALUE) return value;
+  }
+
+  try {
+    const profileModule = await import(chrome.runtime.getURL('modules/profileStore.js'));
+    const { profile } = await profileModule.default.getActiveAccount();
+    return profile?.entity?.entity_type || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check the name entered in a business_name field and send the result to
+ * the side panel
+ * @param {Object} field - Field classified as business_name
+ */
+async function checkBusinessNameField(field) {
+  const name = (field.element?.value || '').trim();
+  if (!name) return;
+
+  try {
+    if (!nameChecker) {
+      const module = await import(chrome.runtime.getURL('modules/nameChecker.js'));
+      nameChecker = module.default;
+    }
+
+    const result = await nameChecker.checkName(name, {
+      stateCode: detectionResult?.state || null,
+      entityType: await getSelectedEntityType()
+    });
+
+    chrome.runtime.sendMessage({
+      action: 'nameCheckUpdated',
+      fieldLabel: field.label?.text || field.name || field.id,
+      result: result
+    }, function() {
+      void chrome.runtime.lastError;
+    });
+  } catch (error) {
+    console.error('[BRA Content] Name check failed:', error);
+  }
+}
+
+/**
+ * Validate fields as the user leaves them, and every field before submit
+ * @param {Object} result - Detection result with fieldDetection.fields
+ */
+async function attachFieldValidation(result) {
+  const fields = (result?.fieldDetection?.fields || []).filter(field =>
+    field.element && field.element.isConnected && !['radio', 'checkbox'].includes(field.element.type)
+  );
+  if (fields.length === 0) return;
+
+  try {
+    if (!validationEngine) {
+      const module = await import(chrome.runtime.getURL('modules/validationEngine.js'));
+      validationEngine = module.default;
+    }
+    await validationEngine.loadRules(result.state || null);
+  } catch (error) {
+    console.error('[BRA Content] Could not load validation engine:', error);
+    return;
+  }
+
+  // Listeners look the field up again so re-detection picks up new classifications
+  const currentField = element =>
+    (detectionResult?.fieldDetection?.fields || []).find(field => field.element === element);
+
+  fields.forEach(field => {
+    const element = field.element;
+    if (validatedElements.has(element)) return;
+    validatedElements.add(element);
+
+    element.addEventListener('blur', function() {
+      const latest = currentField(element);
+      if (latest && validationEngine) {
+        validateDetectedField(latest);
+        reportValidationSummary();
+      }
+      if (latest?.classification?.category === 'business_name') {
+        checkBusinessNameField(latest);
+      }
+    });
+
+    // A prefilled name is checked as soon as the field is classified
+    if (field.classification?.category === 'business_name') {
+      checkBusinessNameField(field);
+    }
+
+    const form = element.form;
+    if (form && !validatedElements.has(form)) {
+      validatedElements.add(form);
+      form.addEventListener('submit', function() {
+        (detectionResult?.fieldDetection?.fields || [])
+          .filter(f => f.element && f.element.form === form && validatedElements.has(f.element))
+          .forEach(f => validateDetectedField(f, true));
+        reportValidationSummary();
+      }, true);
+    }
+  });
+
+  console.log('[BRA Content] Live validation attached to', fields.length, 'fields');
+}
+
+// Field guidance module (loaded after the first detection)
+let fieldGuidance = null;
+
+/**
+ * Put guidance badges next to detected fields, or remove them when the page
+ * isn't a business form or the user turned them off for this site
+ * @param {Object|null} result - Detection result
+ */
+async function attachFieldGuidance(result) {
+  try {
+    if (!fieldGuidance) {
+      if (!result?.isBusinessRegistrationForm) return;
+      const module = await import(chrome.runtime.getURL('modules/fieldGuidance.js'));
+      fieldGuidance = module.default;
+    }
+
+    if (!result?.isBusinessRegistrationForm || !result.state ||
+        !(await fieldGuidance.isEnabled(location.hostname))) {
+      fieldGuidance.removeAll(document);
+      return;
+    }
+
+    const loaderModule = await import(chrome.runtime.getURL('modules/knowledgeLoader.js'));
+    const stateData = await loaderModule.default.loadStateData(result.state);
+    const count = await fieldGuidance.attach(result.fieldDetection?.fields || [], fieldGuidance.getGuidance(stateData));
+    if (count > 0) {
+      console.log('[BRA Content] Guidance badges attached to', count, 'fields');
+    }
+  } catch (error) {
+    console.error('[BRA Content] Could not attach field guidance:', error);
+  }
+}
+
+// Field dependencies module (loaded when a form is detected)
+let fieldDependenciesModule = null;
+
+/**
+ * Fingerprint of the detected form, the key of its dependency graph
+ * @returns {string|null} Form fingerprint from FieldDetector
+ */
+function getDetectedFormFingerprint() {
+  return detectionResult?.fieldDetection?.uiData?.formFingerprint || null;
+}
+
+/**
+ * Start learning which controls reveal which fields, from the fields'
+ * visibility right after detection
+ */
+async function trackFieldDependencies() {
+  try {
+    if (!fieldDependenciesModule) {
+      fieldDependenciesModule = await import(chrome.runtime.getURL('modules/fieldDependencies.js'));
+    }
+    fieldDependenciesModule.default.remember(document);
+  } catch (error) {
+    console.error('[BRA Content] Could not track field dependencies:', error);
+  }
+}
+
+// Record what a select, radio or checkbox reveals or hides once the page settles
+document.addEventListener('change', function(event) {
+  const control = event.target;
+  if (!fieldDependenciesModule || !detectionResult?.isBusinessRegistrationForm) return;
+  if (!control || !(control.tagName === 'SELECT' || control.type === 'radio' || control.type === 'checkbox')) return;
+
+  const fingerprint = getDetectedFormFingerprint();
+  const dependencies = fieldDependenciesModule.default;
+  dependencies.observeChange(control, document).then(change => {
+    if (!change || !fingerprint) return;
+    console.log('[BRA Content] Learned field dependency:', change.label, '=', change.valueLabel, change);
+    return dependencies.record(fingerprint, change);
+  }).catch(error => {
+    console.error('[BRA Content] Could not record field dependency:', error);
+  });
+}, true);
+
+/**
+ * Dependency graph key of a detected field (radio groups by name)
+ * @param {Object} field - Detected field
+ * @returns {string|null} Key used by the field dependencies module
+ */
+function getFieldDependencyKey(field) {
+  const element = field.options?.[0]?.element || field.element;
+  return fieldDependenciesModule?.getControlKey(element) || field.name || null;
+}
+
+/**
+ * Fields that appeared since detection, e.g. after auto-fill answered the
+ * questions that reveal them
+ * @param {Set<Element>} knownElements - Elements already detected or planned
+ * @param {string|null} state - State of the form
+ * @returns {Promise<Array>} Newly detected fields
+ */
+async function detectRevealedFields(knownElements, state) {
+  let fields;
+  if (detectionPipeline) {
+    ({ fields } = await detectionPipeline.detectFields(document, { state, detectorOptions: {} }));
+  } else {
+    const detector = new FieldDetector.default(document, { state: state });
+    fields = await detector.detectFields();
+  }
+  return fields.filter(field => field.element && !knownElements.has(field.element));
+}
+
+// How long a located field keeps its highlight ring
+const LOCATE_HIGHLIGHT_MS = 2000;
+const LOCATE_HIGHLIGHT = '0 0 0 3px rgba(46, 92, 184, 0.6)';
+
+/**
+ * Detected field that an element belongs to
+ * @param {Element} element - Field element, or one option of a radio/checkbox group
+ * @returns {Object|null} Field from the last detection
+ */
+function findDetectedField(element) {
+  const fields = detectionResult?.fieldDetection?.fields || [];
+  return fields.find(field => field.element === element ||
+    (Array.isArray(field.options) && field.options.some(option => option.element === element))) || null;
+}
+
+/**
+ * Scroll a detected field into view, focus it and ring it for a moment.
+ * The ring is a box-shadow so it doesn't touch the outline validation hints use.
+ * @param {string} fieldId - fieldId from FieldDetector.getUIData()
+ * @returns {boolean} False if the field isn't on the page
+ */
+function locateField(fieldId) {
+  const fields = detectionResult?.fieldDetection?.fields || [];
+  const field = fields.find(candidate => candidate.fieldId === fieldId);
+  const element = field?.options?.[0]?.element || field?.element;
+  if (!element || !element.isConnected) {
+    return false;
+  }
+
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  element.focus({ preventScroll: true });
+
+  const previousShadow = element.style.boxShadow;
+  element.style.boxShadow = LOCATE_HIGHLIGHT;
+  setTimeout(() => {
+    if (element.style.boxShadow === LOCATE_HIGHLIGHT) {
+      element.style.boxShadow = previousShadow;
+    }
+  }, LOCATE_HIGHLIGHT_MS);
+
+  return true;
+}
+
+// Documents whose focus changes are reported to the panel
+const focusTrackedDocuments = new WeakSet([document]);
+
+/**
+ * Tell the panel which field has focus so it can highlight the entry
+ * @param {FocusEvent} event - focusin event
+ */
+function reportFocusedField(event) {
+  // The panel lists the top frame's fields only
+  if (window.top !== window) return;
+  // Focus inside a shadow root reaches the document retargeted to its host
+  const field = findDetectedField(event.composedPath()[0] || event.target);
+  if (!field?.fieldId) return;
+
+  chrome.runtime.sendMessage({ action: 'fieldFocused', fieldId: field.fieldId }, () => {
+    // The panel may be closed
+    void chrome.runtime.lastError;
+  });
+}
+
+/**
+ * Report focus in the same-origin frames fields were detected in; focus
+ * events inside a frame never reach the page's document
+ * @param {Object} result - Detection result
+ */
+function trackFrameFocus(result) {
+  if (window.top !== window) return;
+
+  (result?.fieldDetection?.fields || []).forEach(field => {
+    const frameDocument = field.element?.ownerDocument;
+    if (!frameDocument || focusTrackedDocuments.has(frameDocument)) return;
+    focusTrackedDocuments.add(frameDocument);
+    frameDocument.addEventListener('focusin', reportFocusedField, true);
+  });
+}
+
+document.addEventListener('focusin', reportFocusedField, true);
+
+// Categories whose entered values never leave the page unredacted
+const SENSITIVE_CATEGORIES = ['ssn', 'ein', 'tax_id', 'itin', 'date_of_birth', 'bank_account', 'routing_number', 'credit_card'];
+const SENSITIVE_FIELD_PATTERN = /ssn|social\s*security|password|passcode|\bpin\b|card\s*number|cvv|cvc|account\s*number|routing/i;
+const REDACTED_VALUE = '[redacted]';
+
+// "Step 2 of 5", "Page 2 / 5", "Step 2 out of 5"
+const STEP_INDICATOR_PATTERN = /\b(?:step|page|part|section)\s+(\d{1,2})\s*(?:of|\/|out\s+of)\s*(\d{1,2})\b/i;
+
+// Wizard steps already reported for this page (re-sent only when values change)
+let lastWizardStepSignature = '';
+
+/**
+ * Find where the page sits in a multi-page filing ("Step 2 of 5", a
+ * progressbar or a step list with aria-current)
+ * @returns {Object|null} {current, total, label}
+ */
+function parseStepIndicator() {
+  try {
+    const candidates = document.querySelectorAll(
+      '[role="progressbar"], .step, .steps, .wizard-step, .form-step, .progress, .stepper, [class*="step-indicator"], h1, h2, h3, legend, caption'
+    );
+    for (const element of candidates) {
+      const match = (element.textContent || '').match(STEP_INDICATOR_PATTERN);
+      if (match && Number(match[1]) <= Number(match[2])) {
+        return { current: Number(match[1]), total: Number(match[2]), label: element.textContent.replace(/\s+/g, ' ').trim().slice(0, 80) };
+      }
+    }
+
+    // Step lists that mark the active item
+    const activeStep = document.querySelector('[aria-current="step"]');
+    const stepList = activeStep && activeStep.closest('ol, ul');
+    if (stepList) {
+      const steps = Array.from(stepList.children);
+      const index = steps.findIndex(item => item === activeStep || item.contains(activeStep));
+      if (index >= 0) {
+        return { current: index + 1, total: steps.length, label: activeStep.textContent.replace(/\s+/g, ' ').trim().slice(0, 80) };
+      }
+    }
+
+    const progressbar = document.querySelector('[role="progressbar"][aria-valuenow][aria-valuemax]');
+    if (progressbar) {
+      const current = parseInt(progressbar.getAttribute('aria-valuenow'), 10);
+      const total = parseInt(progressbar.getAttribute('aria-valuemax'), 10);
+      // Percentage bars are not step counters
+      if (current > 0 && total > 1 && total <= 20 && current <= total) {
+        return { current, total, label: progressbar.getAttribute('aria-valuetext') || '' };
+      }
+    }
+
+    const bodyMatch = (document.body?.innerText || document.body?.textContent || '').match(STEP_INDICATOR_PATTERN);
+    if (bodyMatch && Number(bodyMatch[1]) <= Number(bodyMatch[2])) {
+      return { current: Number(bodyMatch[1]), total: Number(bodyMatch[2]), label: bodyMatch[0] };
+    }
+  } catch (error) {
+    reportError(error, 'parseStepIndicator', false);
+  }
+  return null;
+}
+
+// Payment page amount labels, strongest first
+const DISPLAYED_FEE_LABELS = [
+  /\b(?:grand\s+)?total(?:\s+(?:due|amount|fees?|payment))?\b/i,
+  /\b(?:amount|balance|payment)\s+due\b|\bpayment\s+amount\b/i,
+  /\b(?:filing|registration|processing)\s+fee\b/i
+];
+const DISPLAYED_FEE_AMOUNT = /\$\s?([\d,]+(?:\.\d{2})?)/;
+
+/**
+ * Find the fee an agency payment page asks for ("Total Due: $70.00")
+ * @returns {Object|null} {amount, label}
+ */
+function detectDisplayedFee() {
+  try {
+    const lines = (document.body?.innerText || document.body?.textContent || '')
+      .split(/\n+/)
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line && line.length <= 120);
+
+    for (const labelPattern of DISPLAYED_FEE_LABELS) {
+      // The amount is on the label's line or, in stacked layouts, the next one
+      for (let i = 0; i < lines.length; i++) {
+        if (!labelPattern.test(lines[i])) continue;
+        const match = lines[i].match(DISPLAYED_FEE_AMOUNT) ||
+          (lines[i + 1] && /^\$\s?[\d,]/.test(lines[i + 1]) ? lines[i + 1].match(DISPLAYED_FEE_AMOUNT) : null);
+        if (match) {
+          return { amount: parseFloat(match[1].replace(/,/g, '')), label: lines[i].slice(0, 80) };
+        }
+      }
+    }
+  } catch (error) {
+    reportError(error, 'detectDisplayedFee', false);
+  }
+  return null;
+}
+
+/**
+ * Value entered in a detected field: checked options' labels for groups,
+ * the selected option's text for selects
+ * @param {Object} field - Field from FieldDetector
+ * @returns {string} Value, empty if nothing is entered
+ */
+function readFieldValue(field) {
+  if (Array.isArray(field.options) && field.options.some(o => o.element)) {
+    return field.options.filter(o => o.element && o.element.checked).map(o => o.label || o.value).join(', ');
+  }
+  if (!field.element) {
+    return '';
+  }
+  if (field.element.type === 'checkbox' || field.element.type === 'radio') {
+    return field.element.checked ? (field.element.value || 'on') : '';
+  }
+  if (field.element.tagName === 'SELECT') {
+    return field.element.selectedIndex > 0 ? field.element.options[field.element.selectedIndex].textContent.trim() : '';
+  }
+  return field.element.value || '';
+}
+
+/**
+ * Whether a field holds a value that must not leave the page in the clear
+ * @param {Object} field - Field from FieldDetector
+ * @returns {boolean} True for passwords, IDs, account numbers and the like
+ */
+function isSensitiveField(field) {
+  return field.type === 'password' ||
+    SENSITIVE_CATEGORIES.includes(field.classification?.category) ||
+    SENSITIVE_FIELD_PATTERN.test(`${field.label?.text || ''} ${field.name || ''} ${field.id || ''}`);
+}
+
+/**
+ * Current value of a detected field, redacted when it is sensitive
+ * @param {Object} field - Field from FieldDetector
+ * @returns {Object} {value, filled, redacted}
+ */
+function snapshotFieldValue(field) {
+  const value = readFieldValue(field);
+  const filled = String(value).trim() !== '';
+  const sensitive = isSensitiveField(field);
+
+  return {
+    value: filled && sensitive ? REDACTED_VALUE : String(value).slice(0, 200),
+    filled: filled,
+    redacted: filled && sensitive
+  };
+}
+
+/**
+ * Report this page as a step of the filing session kept by the background
+ * @param {string} reason - 'detected', 'submit', 'navigation' or 'pagehide'
+ */
+function recordWizardStep(reason) {
+  // The session tracks the tab's page; same-origin frames are part of its step
+  if (window.top !== window) return;
+
+  const result = detectionResult;
+  if (!result || !result.isBusinessRegistrationForm) return;
+
+  const fields = (result.fieldDetection?.fields || []).map(field => ({
+    label: field.label?.text || field.placeholder || field.name || field.id || 'Field',
+    category: field.classification?.category || null,
+    required: !!field.required,
+    ...snapshotFieldValue(field)
+  }));
+
+  const step = {
+    // The detection result's URL is the step's URL even after an SPA navigation
+    url: result.url,
+    title: document.title,
+    state: result.state || null,
+    indicator: result.stepIndicator || null,
+    fields: fields,
+    reason: reason
+  };
+
+  const signature = JSON.stringify([step.url, reason === 'detected', fields.map(f => f.value)]);
+  if (signature === lastWizardStepSignature) return;
+  lastWizardStepSignature = signature;
+
+  try {
+    chrome.runtime.sendMessage({ action: 'wizardStepRecorded', step: step }, function() {
+      void chrome.runtime.lastError;
+    });
+  } catch (error) {
+    // Extension context may be gone while the page unloads
+  }
+}
+
+// Capture entered values when the user leaves a step
+document.addEventListener('submit', () => recordWizardStep('submit'), true);
+window.addEventListener('pagehide', () => recordWizardStep('pagehide'));
+
+// Form drafts module (loaded when a form is detected)
+let formDraftsModule = null;
+
+// Wait after the last keystroke before saving a draft
+const DRAFT_SAVE_DELAY = 1000;
+let draftSaveTimer = null;
+
+// Fingerprint whose saved draft was checked on arrival
+let draftCheckedFingerprint = null;
+
+// Draft found on arrival that the panel offers to restore:
+// {fingerprint, savedAt, fieldCount, sensitiveCount}
+let draftOffer = null;
+
+/**
+ * Check for a draft of the detected form from an earlier visit, and offer it
+ * to the panel
+ */
+async function trackFormDraft() {
+  const fingerprint = getDetectedFormFingerprint();
+  if (!fingerprint) return;
+
+  try {
+    if (!formDraftsModule) {
+      formDraftsModule = await import(chrome.runtime.getURL('modules/formDrafts.js'));
+    }
+    const formDrafts = formDraftsModule.default;
+
+    if (fingerprint !== draftCheckedFingerprint) {
+      draftCheckedFingerprint = fingerprint;
+      const summary = await formDrafts.getSummary(fingerprint);
+      draftOffer = summary ? { fingerprint, ...summary } : null;
+    }
+
+    if (!draftOffer || draftOffer.fingerprint !== fingerprint) return;
+    if (detectionResult) {
+      detectionResult.draftOffer = draftOffer;
+    }
+    chrome.runtime.sendMessage({ action: 'formDraftAvailable', offer: draftOffer }, () => {
+      // The panel may be closed
+      void chrome.runtime.lastError;
+    });
+  } catch (error) {
+    console.error('[BRA Content] Could not check for a form draft:', error);
+  }
+}
+
+/**
+ * Save the values entered on the detected form. While an earlier draft is
+ * still on offer, its values are kept for fields not filled in yet.
+ */
+async function saveFormDraft() {
+  const fingerprint = getDetectedFormFingerprint();
+  const fields = detectionResult?.fieldDetection?.fields || [];
+  if (!formDraftsModule || !fingerprint || fields.length === 0) return;
+
+  // Passwords are never kept, even encrypted
+  const entries = fields.filter(field => field.type !== 'password').map(field => ({
+    key: field.fieldId || null,
+    name: field.name || null,
+    label: field.label?.text || field.placeholder || null,
+    category: field.classification?.category || null,
+    value: readFieldValue(field),
+    sensitive: isSensitiveField(field)
+  }));
+
+  try {
+    await formDraftsModule.default.save(fingerprint, entries, {
+      url: detectionResult.url,
+      title: document.title,
+      state: detectionResult.state || null
+    }, { merge: draftOffer?.fingerprint === fingerprint });
+  } catch (error) {
+    console.error('[BRA Content] Could not save form draft:', error);
+  }
+}
+
+// Save a draft shortly after the user stops typing in a detected field
+['input', 'change'].forEach(type => {
+  document.addEventListener(type, function(event) {
+    if (!formDraftsModule || !findDetectedField(event.target)) return;
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = setTimeout(saveFormDraft, DRAFT_SAVE_DELAY);
+  }, true);
+});
+
+/**
+ * Put a saved value back into a field that is still empty
+ * @param {Object} field - Detected field
+ * @param {string} value - Saved value
+ * @param {Array} undoLog - Records for undoLastFill()
+ * @returns {boolean} True if the field was filled
+ */
+function restoreFieldValue(field, value, undoLog) {
+  const element = field.element;
+  const isSingleCheckbox = element && element.type === 'checkbox' &&
+    !(Array.isArray(field.options) && field.options.some(o => o.element));
+
+  if (!isSingleCheckbox) {
+    return applyFieldValue(field, value, { undoLog });
+  }
+  if (!element.isConnected || element.disabled || element.checked) {
+    return false;
+  }
+  undoLog.push({ group: [{ element: element, checked: element.checked }] });
+  element.checked = true;
+  element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+  return true;
+}
+
+/**
+ * Fill the detected form from its saved draft; the fill can be undone like
+ * an auto-fill
+ * @returns {Promise<Object>} {restoredCount, total}
+ */
+async function restoreFormDraft() {
+  const fingerprint = getDetectedFormFingerprint();
+  const draft = formDraftsModule && fingerprint ? await formDraftsModule.default.get(fingerprint) : null;
+  if (!draft) {
+    throw new Error('No saved draft for this form');
+  }
+
+  const matches = formDraftsModule.matchDraftFields(draft.fields, detectionResult?.fieldDetection?.fields || []);
+  const undoLog = [];
+  let restoredCount = 0;
+  matches.forEach(({ field, value }) => {
+    if (restoreFieldValue(field, value, undoLog)) restoredCount++;
+  });
+
+  lastFillUndo = undoLog;
+  draftOffer = null;
+  if (detectionResult) delete detectionResult.draftOffer;
+  console.log(`[BRA Content] Restored ${restoredCount} of ${draft.fields.length} draft values`);
+  return { restoredCount, total: draft.fields.length };
+}
+
+// Add context invalidation listener
+if (typeof window !== 'undefined') {
+  window.addEventListener('extension-context-invalidated', () => {
+    console.log('[BRA] Extension context invalidated event received');
+    // Clean up any active operations
+    detectionResult = null;
+    pendingMessageCallbacks = {};
+  });
+}
+
+// Listen for messages from popup, panel, or background script
+// Failures the panel shows name a message (errorKey, errorSubstitutions) for
+// it to word in the language chosen there
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Check if context is still valid before processing
+  const messaging = messagingUtils || window.messagingUtils;
+  let contextValid = true;
+  
+  if (messaging && typeof messaging.isContextValid === 'function') {
+    contextValid = messaging.isContextValid();
+  } else {
+    try {
+      contextValid = !!(chrome.runtime && chrome.runtime.id);
+    } catch (e) {
+      contextValid = false;
+    }
+  }
+  
+  if (!contextValid) {
+    console.log('[BRA] Ignoring message - extension context invalid');
+    return false;
+  }
+  
+  console.log('[BRA Content] Message received:', message.action, 'Detection result exists:', !!detectionResult);
+  log('Message received:', message.action);
+  
+  // Special handling for navigation detection request
+  if (message.action === 'checkNavigation') {
+    // Force check current URL against stored result
+    const currentUrl = location.href;
+    if (detectionResult && detectionResult.url !== currentUrl) {
+      console.log('[BRA] URL mismatch detected - triggering new detection');
+      handleUrlChange();
+    }
+    sendResponse({ 
+      currentUrl: currentUrl,
+      resultUrl: detectionResult?.url,
+      needsUpdate: !detectionResult || detectionResult.url !== currentUrl
+    });
+    return true;
+  }
+  
+  try {
+    // Mark that we have a connection
+    connectionEstablished = true;
+    connectionAttempts = 0;
+    
+    if (message.action === 'getDetectionResult') {
+      // Return current detection
+      sendResponse(detectionResult || { 
+        isBusinessRegistrationForm: false, 
+        error: 'No detection result available',
+        attempts: detectionAttempts,
+        fallbackMode: fallbackDetectionMode
+      });
+    }
+    else if (message.action === 'triggerDetection') {
+      // Don't trigger if we already have a valid detection result
+      if (detectionResult && detectionResult.isBusinessRegistrationForm !== undefined) {
+        console.log('[BRA Content] Detection already completed, returning existing result');
+        sendResponse({ 
+          success: true, 
+          message: 'Detection already completed',
+          hasResult: true,
+          result: detectionResult
+        });
+        return;
+      }
+      
+      // Only reset if we don't have a result yet
+      detectionAttempts = 0;
+      fallbackDetectionMode = false; // Reset fallback mode to try normal detection
+      connectionEstablished = false; // Reset connection state
+      connectionAttempts = 0; // Reset connection attempts
+      
+      // Run detection
+      tryDetection();
+      sendResponse({ 
+        success: true, 
+        message: 'Detection triggered',
+        fallbackMode: fallbackDetectionMode
+      });
+    }
+    else if (message.action === 'getDetectionStatus') {
+      console.log('[BRA Content] getDetectionStatus - returning result:', {
+        hasResult: !!detectionResult,
+        isBusinessForm: detectionResult?.isBusinessRegistrationForm,
+        confidence: detectionResult?.confidenceScore,
         state: detectionResult?.state
       });
       
@@ -2087,18 +3189,55 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     else if (message.action === 'userFeedback') {
       // Process and store user feedback for adaptive learning
       if (message.feedback) {
-        updateDetectionHistory(message.feedback);
-        sendResponse({
-          success: true,
-          message: 'Feedback recorded successfully'
-        });
+        (async function() {
+          const recorded = await updateDetectionHistory(message.feedback);
+          sendResponse(recorded ? {
+            success: true,
+            message: 'Feedback recorded successfully'
+          } : {
+            success: false,
+            errorKey: 'noDetectionForFeedback'
+          });
+        })();
       } else {
         sendResponse({
           success: false,
-          error: 'Invalid feedback data'
+          errorKey: 'invalidFeedback'
+        });
+      }
+    }
+    else if (message.action === 'getDetectionStrategies') {
+      // Registered strategies per stage for the panel's strategy settings
+      if (detectionPipeline) {
+        detectionPipeline.loadConfig().then(() => {
+          sendResponse({ success: true, strategies: detectionPipeline.listStrategies() });
         });
+      } else {
+        sendResponse({ success: false, errorKey: 'strategiesUnavailable' });
       }
     }
+    else if (message.action === 'setDetectionStrategies') {
+      // Save the chosen strategies ({stage: [names]}, or reset) and detect again with them
+      (async function() {
+        if (!detectionPipeline) {
+          sendResponse({ success: false, errorKey: 'strategiesUnavailable' });
+          return;
+        }
+        const result = message.reset
+          ? await detectionPipeline.resetConfig()
+          : await detectionPipeline.setConfig(message.config || {});
+        if (!result.success) {
+          sendResponse(result);
+          return;
+        }
+
+        detectionResult = null;
+        detectionAttempts = 0;
+        window.BRA_FORCE_REDETECTION = true;
+        tryDetection();
+        sendResponse({ success: true, strategies: detectionPipeline.listStrategies() });
+      })();
+    }
     else if (message.action === 'detectDynamicForms') {
       try {
         // Special detection for dynamic forms that might load after initial detection
@@ -2197,130 +3336,195 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         });
       }
     }
-    else if (message.action === 'autoFillFields') {
-      // Auto-fill form fields with provided data or sample data
-      try {
-        let filledCount = 0;
-        
-        // Use provided data or fall back to sample data
-        const fillData = message.data || {
-          // Business information
-          business_name: 'Sample Business LLC',
-          dba: 'Sample Trade Name',
-          entity_type: 'Limited Liability Company',
-          // Contact information
-          first_name: 'John',
-          last_name: 'Doe',
-          email: 'john.doe@example.com',
-          phone: '555-123-4567',
-          // Address
-          address: '123 Main Street',
-          city: 'Washington',
-          state: 'DC',
-          zip: '20001',
-          // Tax IDs
-          ein: '12-3456789',
-          ssn: '123-45-6789'
-        };
-        
-        console.log('[BRA] Attempting to auto-fill with data:', fillData);
-        
-        // If we have field detection results, use them for precise filling
-        if (fieldDetectionResults && fieldDetectionResults.fields) {
-          console.log('[BRA] Using field detection results for auto-fill');
+    else if (message.action === 'previewAutoFill' || message.action === 'autoFillFields') {
+      // Build a fill plan from provided data or the active business profile.
+      // previewAutoFill returns it for review; autoFillFields applies it all.
+      (async function() {
+        try {
+          const source = await loadFillData(message.data);
+          if (!source) {
+            sendResponse({
+              success: false,
+              errorKey: 'noProfileToFill'
+            });
+            return;
+          }
           
-          fieldDetectionResults.fields.forEach(field => {
-            if (field.classification && fillData[field.classification.category]) {
-              const value = fillData[field.classification.category];
-              if (field.element && !field.element.value && !field.element.disabled) {
-                field.element.value = value;
-                field.element.dispatchEvent(new Event('input', { bubbles: true }));
-                field.element.dispatchEvent(new Event('change', { bubbles: true }));
-                filledCount++;
-                console.log(`[BRA] Filled ${field.classification.category}: ${value}`);
-              }
-            }
-          });
-        } else {
-          // Fallback to pattern matching
-          console.log('[BRA] Using pattern matching for auto-fill');
+          pendingFillPlan = buildFillPlan(source.fillData, source.roleFillData);
+          pendingFillSource = source;
+          pendingFillRevealed = false;
           
-          const sampleData = {
-            // Business information
-            'business.*name|company.*name|entity.*name': fillData.business_name || 'Sample Business LLC',
-            'dba|trade.*name|doing.*business': fillData.dba || 'Sample Trade Name',
-            // Contact information
-            'first.*name': fillData.first_name || 'John',
-            'last.*name': fillData.last_name || 'Doe',
-            'email|e-mail': fillData.email || 'john.doe@example.com',
-            'phone|telephone': fillData.phone || '555-123-4567',
-            // Address
-            'street|address.*1|address(?!.*2)': fillData.address || '123 Main Street',
-            'city': fillData.city || 'Washington',
-            'state': fillData.state || 'DC',
-            'zip|postal': fillData.zip || '20001',
-            // Tax IDs
-            'ein|employer.*id|federal.*tax': fillData.ein || '12-3456789',
-            'ssn|social.*security': fillData.ssn || '123-45-6789'
-          };
-        
-        // Find all input fields
-        const inputs = document.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"], input:not([type]), textarea');
-        
-        inputs.forEach(input => {
-          if (input.value || input.disabled || input.readOnly) return;
+          if (message.action === 'previewAutoFill') {
+            sendResponse({
+              success: true,
+              profileLabel: source.profileLabel,
+              entries: pendingFillPlan.map(describeFillEntry)
+            });
+            return;
+          }
           
-          const fieldIdentifier = [
-            input.name,
-            input.id,
-            input.placeholder,
-            input.getAttribute('aria-label'),
-            input.labels?.[0]?.textContent
-          ].filter(Boolean).join(' ').toLowerCase();
+          const { filledCount, revealedCount } = await applyFillPlan(pendingFillPlan, source);
+          sendResponse({
+            success: true,
+            profileLabel: source.profileLabel,
+            filledCount: filledCount,
+            revealedCount: revealedCount,
+            canUndo: lastFillUndo.length > 0
+          });
+        } catch (error) {
+          reportError(error, message.action);
+          sendResponse({
+            success: false,
+            errorKey: 'autoFillFailed',
+            errorSubstitutions: [error.message]
+          });
+        }
+      })();
+    }
+    else if (message.action === 'applyAutoFill') {
+      // Apply the previewed entries the user left ticked. Fields their answers
+      // reveal weren't in that preview, so they go back for one of their own.
+      (async function() {
+        try {
+          const selectedIds = new Set(message.entryIds || []);
+          const entries = pendingFillPlan.filter(entry => selectedIds.has(entry.id));
+          const { filledCount, revealedPlan } = await applyFillPlan(entries, pendingFillSource, {
+            previewRevealed: true,
+            extendUndo: pendingFillRevealed
+          });
+          pendingFillPlan = revealedPlan;
+          pendingFillRevealed = revealedPlan.length > 0;
           
-          // Try to match against sample data patterns
-          for (const [pattern, value] of Object.entries(sampleData)) {
-            const regex = new RegExp(pattern, 'i');
-            if (regex.test(fieldIdentifier)) {
-              input.value = value;
-              input.dispatchEvent(new Event('input', { bubbles: true }));
-              input.dispatchEvent(new Event('change', { bubbles: true }));
-              filledCount++;
-              break;
-            }
-          }
-        });
-        
-        // Handle select elements for state
-        const stateSelects = document.querySelectorAll('select');
-        stateSelects.forEach(select => {
-          const fieldIdentifier = [select.name, select.id].filter(Boolean).join(' ').toLowerCase();
-          if (fieldIdentifier.includes('state')) {
-            const dcOption = Array.from(select.options).find(opt => 
-              opt.value === 'DC' || opt.textContent.includes('District of Columbia')
-            );
-            if (dcOption) {
-              select.value = dcOption.value;
-              select.dispatchEvent(new Event('change', { bubbles: true }));
-              filledCount++;
-            }
-          }
-        });
-        } // Close the else block
-        
+          sendResponse({
+            success: true,
+            filledCount: filledCount,
+            selectedCount: entries.length,
+            revealedEntries: revealedPlan.map(describeFillEntry),
+            canUndo: lastFillUndo.length > 0
+          });
+        } catch (error) {
+          reportError(error, 'applyAutoFill');
+          sendResponse({
+            success: false,
+            errorKey: 'autoFillFailed',
+            errorSubstitutions: [error.message]
+          });
+        }
+      })();
+    }
+    else if (message.action === 'undoAutoFill') {
+      // Restore the values the last fill overwrote
+      try {
+        const restoredCount = undoLastFill();
         sendResponse({
           success: true,
-          message: `Auto-filled ${filledCount} fields`,
-          filledCount: filledCount
+          restoredCount: restoredCount
         });
       } catch (error) {
-        reportError(error, 'autoFillFields');
+        reportError(error, 'undoAutoFill');
         sendResponse({
           success: false,
-          error: 'Failed to auto-fill fields: ' + error.message
+          errorKey: 'undoFillFailed',
+          errorSubstitutions: [error.message]
         });
       }
     }
+    else if (message.action === 'exportDetectedForm') {
+      // JSON Schema or CSV inventory of the detected form for documentation
+      (async function() {
+        try {
+          const uiData = detectionResult?.fieldDetection?.uiData;
+          if (!uiData || !uiData.totalFields) {
+            sendResponse({ success: false, errorKey: 'noFieldsToExport' });
+            return;
+          }
+
+          const module = await import(chrome.runtime.getURL('modules/formExporter.js'));
+          const formExporter = module.default;
+          const baseName = [detectionResult.state, detectionResult.formType, document.title]
+            .filter(Boolean).join(' ').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'form';
+
+          if (message.format === 'csv') {
+            sendResponse({
+              success: true,
+              filename: `${baseName}-fields.csv`,
+              mimeType: 'text/csv',
+              content: formExporter.toCSV(uiData)
+            });
+          } else {
+            const schema = formExporter.toJSONSchema(uiData, {
+              title: document.title,
+              url: detectionResult.url,
+              state: detectionResult.state,
+              formType: detectionResult.formType
+            });
+            sendResponse({
+              success: true,
+              filename: `${baseName}.schema.json`,
+              mimeType: 'application/schema+json',
+              content: JSON.stringify(schema, null, 2)
+            });
+          }
+        } catch (error) {
+          reportError(error, 'exportDetectedForm');
+          sendResponse({
+            success: false,
+            errorKey: 'exportFailed',
+            errorSubstitutions: [error.message]
+          });
+        }
+      })();
+    }
+    else if (message.action === 'restoreFormDraft') {
+      // Fill the form back in from the draft saved on an earlier visit
+      (async function() {
+        try {
+          const { restoredCount, total } = await restoreFormDraft();
+          sendResponse({
+            success: true,
+            restoredCount: restoredCount,
+            total: total,
+            canUndo: lastFillUndo.length > 0
+          });
+        } catch (error) {
+          reportError(error, 'restoreFormDraft');
+          sendResponse({
+            success: false,
+            errorKey: 'draftRestoreError',
+            errorSubstitutions: [error.message]
+          });
+        }
+      })();
+    }
+    else if (message.action === 'discardFormDraft') {
+      // Forget the saved draft; values entered from now on start a new one
+      (async function() {
+        try {
+          const fingerprint = getDetectedFormFingerprint();
+          if (formDraftsModule && fingerprint) {
+            await formDraftsModule.default.discard(fingerprint);
+          }
+          draftOffer = null;
+          if (detectionResult) delete detectionResult.draftOffer;
+          sendResponse({ success: true });
+        } catch (error) {
+          reportError(error, 'discardFormDraft');
+          sendResponse({
+            success: false,
+            errorKey: 'draftDiscardError',
+            errorSubstitutions: [error.message]
+          });
+        }
+      })();
+    }
+    else if (message.action === 'locateField') {
+      // Panel entry clicked: bring the matching page field into view
+      if (locateField(message.fieldId)) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, errorKey: 'fieldNotOnPage' });
+      }
+    }
   } catch (error) {
     reportError(error, 'messageHandler');
     
@@ -2378,6 +3582,10 @@ function handleUrlChange() {
     const isHashChange = oldUrl.split('#')[0] === currentUrl.split('#')[0];
     console.log('[BRA] Is hash change:', isHashChange);
     
+    // Capture the step being left before its detection result is dropped
+    recordWizardStep('navigation');
+    lastWizardStepSignature = '';
+    
     // Reset detection state
     detectionResult = null;
     detectionAttempts = 0;
@@ -2454,6 +3662,24 @@ function handleUrlChange() {
   }
 }
 
+// Re-detect when field corrections change in the panel so they apply right away
+chrome.storage.onChanged.addListener(function(changes, areaName) {
+  if (areaName !== 'local' || !changes.BRA_FieldCorrections || !detectionResult) return;
+
+  console.log('[BRA] Field corrections changed, re-detecting');
+  detectionResult = null;
+  detectionAttempts = 0;
+  window.BRA_FORCE_REDETECTION = true;
+  tryDetection();
+});
+
+// Redraw guidance badges when they are toggled for a site or the language changes
+chrome.storage.onChanged.addListener(function(changes, areaName) {
+  if (areaName !== 'local' || !(changes.BRA_GuidanceDisabledSites || changes.BRA_Locale) || !detectionResult) return;
+
+  attachFieldGuidance(detectionResult);
+});
+
 // Debounced content change handler
 let contentChangeTimer = null;
 let lastContentHash = '';
@@ -2721,8 +3947,10 @@ window.BRA_DEBUG = {
     errors: window.BRA_Errors,
     modules: {
       URLDetector: !!URLDetector,
-      FieldDetector: !!FieldDetector
-    }
+      FieldDetector: !!FieldDetector,
+      DetectionPipeline: !!detectionPipeline
+    },
+    strategies: detectionPipeline ? detectionPipeline.listStrategies() : null
   }),
   testFieldDetection: async () => {
     console.log('[BRA DEBUG] Testing field detection');
@@ -0,0 +1,180 @@
+/**
+ * Business Registration Assistant - Corrections Script
+ * Lets the user re-assign a detected field's category or ignore it; the
+ * corrections are saved per form and applied on later visits
+ */
+
+// Field corrections module (loaded dynamically)
+let fieldCorrections = null;
+
+// Categories offered when correcting a field
+const CORRECTION_CATEGORIES = [
+  'business_name', 'dba', 'entity_type', 'business_purpose', 'naics_code',
+  'ein', 'tax_id', 'ssn', 'owner_name', 'registered_agent',
+  'address', 'city', 'state', 'zip', 'email', 'phone', 'fax',
+  'certifications', 'ownership_type', 'date_field', 'number_field', 'text_field', 'form_field'
+];
+
+// Select value for "leave this field out"
+const IGNORE_FIELD_VALUE = '__ignore';
+
+// DOM elements - Field corrections
+const fieldCorrectionsBar = document.getElementById('field-corrections');
+const fieldCorrectionsText = document.getElementById('field-corrections-text');
+const fieldCorrectionsExport = document.getElementById('field-corrections-export');
+const fieldCorrectionsReset = document.getElementById('field-corrections-reset');
+
+/**
+ * Load the field corrections module
+ * @returns {Promise<Object|null>} The field corrections store
+ */
+async function loadFieldCorrections() {
+  if (fieldCorrections) {
+    return fieldCorrections;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/fieldCorrections.js'));
+    fieldCorrections = module.default || module.fieldCorrections;
+    console.log('[BRA Panel] FieldCorrections loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load field corrections:', error);
+  }
+
+  return fieldCorrections;
+}
+
+/**
+ * Readable name for a category key
+ * @param {string} category - e.g. "business_name"
+ * @returns {string} e.g. "Business name"
+ */
+function formatCategoryName(category) {
+  const text = String(category || 'unknown').replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Fingerprint of the form shown in the panel
+ * @returns {string|null} Form fingerprint from FieldDetector
+ */
+function getCurrentFormFingerprint() {
+  return currentDetectionResult?.fieldDetection?.uiData?.formFingerprint || null;
+}
+
+/**
+ * Category picker for a field in the fields list
+ * @param {Object} field - UI field with correctionKey and classification
+ * @param {string} label - Label shown for the field
+ * @returns {HTMLElement} Select element
+ */
+function createFieldCorrectionControl(field, label) {
+  const category = field.classification?.category || '';
+  const select = document.createElement('select');
+  select.className = field.classification?.corrected ? 'field-correction-select corrected' : 'field-correction-select';
+  select.setAttribute('aria-label', t('correctionCategoryFor', label));
+  select.title = field.classification?.corrected ? t('correctedByYou') : t('changeFieldCategory');
+
+  const categories = CORRECTION_CATEGORIES.includes(category) || !category
+    ? CORRECTION_CATEGORIES
+    : [category, ...CORRECTION_CATEGORIES];
+  categories.forEach(value => {
+    select.appendChild(new Option(formatCategoryName(value), value, false, value === category));
+  });
+  select.appendChild(new Option(t('ignoreThisField'), IGNORE_FIELD_VALUE));
+
+  select.addEventListener('change', function() {
+    saveFieldCorrection(field, label, select.value);
+  });
+  return select;
+}
+
+/**
+ * Save a correction; the content script re-detects when corrections change
+ * @param {Object} field - UI field
+ * @param {string} label - Field label
+ * @param {string} value - Chosen category or IGNORE_FIELD_VALUE
+ */
+async function saveFieldCorrection(field, label, value) {
+  const fingerprint = getCurrentFormFingerprint();
+  const store = await loadFieldCorrections();
+  if (!store || !fingerprint) {
+    showError(t('correctionFormUnknown'));
+    return;
+  }
+
+  const correction = value === IGNORE_FIELD_VALUE ? { ignore: true } : { category: value };
+  correction.label = label;
+  if (field.classification?.category && !field.classification.corrected) {
+    correction.originalCategory = field.classification.category;
+  }
+
+  try {
+    await store.setCorrection(fingerprint, field.correctionKey, correction, {
+      url: currentDetectionResult?.url || '',
+      state: currentDetectionResult?.state || null
+    });
+  } catch (error) {
+    showError(t('correctionSaveFailed', error.message));
+  }
+}
+
+/**
+ * Show how many corrections apply to the current form
+ * @param {Object} result - Detection result
+ */
+async function refreshFieldCorrections(result) {
+  if (!fieldCorrectionsBar) return;
+  const store = await loadFieldCorrections();
+  if (!store) return;
+
+  const all = await store.getAll();
+  const fingerprint = result?.fieldDetection?.uiData?.formFingerprint || null;
+  const formCount = fingerprint && all[fingerprint] ? Object.keys(all[fingerprint].fields).length : 0;
+  const totalCount = Object.values(all).reduce((sum, form) => sum + Object.keys(form.fields || {}).length, 0);
+
+  fieldCorrectionsBar.classList.toggle('hidden', totalCount === 0);
+  fieldCorrectionsReset.disabled = formCount === 0;
+  if (formCount > 0) {
+    fieldCorrectionsText.textContent = formCount === 1
+      ? t('correctionOnForm', String(totalCount))
+      : t('correctionsOnForm', [String(formCount), String(totalCount)]);
+  } else {
+    fieldCorrectionsText.textContent = totalCount === 1 ? t('correctionSaved') : t('correctionsSaved', String(totalCount));
+  }
+}
+
+/**
+ * Initialize field corrections
+ */
+function initializeFieldCorrections() {
+  if (!fieldCorrectionsBar) return;
+
+  fieldCorrectionsExport.addEventListener('click', async function() {
+    const store = await loadFieldCorrections();
+    if (!store) return;
+    const overrides = store.toOverrides(await store.getAll());
+    downloadFile(JSON.stringify(overrides, null, 2), 'field-classification-overrides.json', 'application/json');
+  });
+
+  fieldCorrectionsReset.addEventListener('click', async function() {
+    const fingerprint = getCurrentFormFingerprint();
+    const store = await loadFieldCorrections();
+    if (!store || !fingerprint) return;
+    if (!confirm(t('correctionsResetConfirm'))) return;
+    await store.reset(fingerprint);
+  });
+
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'local' && changes.BRA_FieldCorrections) {
+      refreshFieldCorrections(currentDetectionResult);
+    }
+  });
+
+  refreshFieldCorrections(currentDetectionResult);
+}
+
+// Initialize corrections when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeFieldCorrections();
+});
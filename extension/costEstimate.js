@@ -0,0 +1,181 @@
+/**
+ * Business Registration Assistant - Cost Estimate Script
+ * Filing cost estimate and payment page fee check for the side panel
+ */
+
+// Cost estimator module (loaded dynamically)
+let costEstimator = null;
+
+// State the user typed in; detection only fills the field while it is untouched
+let costEstimateStateEdited = false;
+
+// DOM elements - Cost estimate
+const costEstimateForm = document.getElementById('cost-estimate-form');
+const costEstimateEntity = document.getElementById('cost-estimate-entity');
+const costEstimateState = document.getElementById('cost-estimate-state');
+const costEstimateFeeCheck = document.getElementById('cost-estimate-fee-check');
+const costEstimateTable = document.getElementById('cost-estimate-table');
+const costEstimateItems = document.getElementById('cost-estimate-items');
+const costEstimateTotal = document.getElementById('cost-estimate-total');
+const costEstimateNotes = document.getElementById('cost-estimate-notes');
+
+/**
+ * Load the cost estimator module
+ * @returns {Promise<Object|null>} The cost estimator
+ */
+async function loadCostEstimator() {
+  if (costEstimator) {
+    return costEstimator;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/costEstimator.js'));
+    costEstimator = module.default || module.costEstimator;
+    console.log('[BRA Panel] CostEstimator loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load cost estimator:', error);
+  }
+
+  return costEstimator;
+}
+
+/**
+ * Format a dollar amount for display
+ * @param {number|null} amount - Amount in dollars
+ * @param {boolean} minimum - Amount is a minimum
+ * @returns {string} e.g. "$70.00", "$300.00+" or "Varies"
+ */
+function formatFee(amount, minimum = false) {
+  if (amount === null || amount === undefined) return t('feeVaries');
+  return `$${amount.toFixed(2)}${minimum ? '+' : ''}`;
+}
+
+/**
+ * Show a cost estimate and, when the page shows a fee, how it compares
+ * @param {Object} estimate - From costEstimator.estimate()
+ * @param {Object|null} comparison - From costEstimator.compareWithDisplayedFee()
+ */
+function renderCostEstimate(estimate, comparison = null) {
+  costEstimateItems.innerHTML = '';
+  costEstimateNotes.innerHTML = '';
+
+  if (!estimate || estimate.items.length === 0) {
+    costEstimateTable.classList.add('hidden');
+    costEstimateFeeCheck.classList.add('hidden');
+    if (estimate && estimate.stateCode) {
+      const item = document.createElement('li');
+      item.textContent = t('noFeeInformation', estimate.stateCode);
+      costEstimateNotes.appendChild(item);
+    }
+    return;
+  }
+
+  estimate.items.forEach(entry => {
+    const row = document.createElement('tr');
+    if (entry.conditional) row.className = 'cost-estimate-conditional';
+
+    const label = document.createElement('th');
+    label.scope = 'row';
+    label.textContent = entry.conditional ? t('costIfApplicable', entry.label) : entry.label;
+    if (entry.note) label.title = entry.note;
+
+    const amount = document.createElement('td');
+    amount.textContent = formatFee(entry.amount, entry.minimum);
+
+    row.appendChild(label);
+    row.appendChild(amount);
+    costEstimateItems.appendChild(row);
+  });
+
+  costEstimateTotal.textContent = formatFee(estimate.total, estimate.minimum || estimate.unknownAmounts > 0);
+  costEstimateTable.classList.remove('hidden');
+
+  const notes = [...estimate.notes];
+  if (estimate.unknownAmounts > 0) {
+    notes.push(estimate.unknownAmounts === 1
+      ? t('costUnknownAmount')
+      : t('costUnknownAmounts', String(estimate.unknownAmounts)));
+  }
+  notes.forEach(note => {
+    const item = document.createElement('li');
+    item.textContent = note;
+    costEstimateNotes.appendChild(item);
+  });
+
+  if (comparison && comparison.status !== 'unknown') {
+    costEstimateFeeCheck.textContent = comparison.message;
+    costEstimateFeeCheck.classList.toggle('cost-estimate-mismatch', comparison.status === 'mismatch');
+    costEstimateFeeCheck.classList.remove('hidden');
+  } else {
+    costEstimateFeeCheck.classList.add('hidden');
+  }
+}
+
+/**
+ * Estimate costs for the form's state and entity type
+ * @param {Object|null} detection - Current detection result (for the payment page fee)
+ */
+async function runCostEstimate(detection = null) {
+  const estimator = await loadCostEstimator();
+  if (!estimator) return;
+
+  const stateCode = costEstimateState.value.trim().toUpperCase();
+  if (!stateCode) {
+    renderCostEstimate(null);
+    return;
+  }
+
+  const estimate = await estimator.estimate(stateCode, costEstimateEntity.value);
+  const comparison = detection && detection.displayedFee && detection.state === stateCode
+    ? estimator.compareWithDisplayedFee(estimate, detection.displayedFee)
+    : null;
+  renderCostEstimate(estimate, comparison);
+}
+
+/**
+ * Re-run the estimate when a new detection arrives
+ * @param {Object|null} detection - Detection result from the background
+ */
+function refreshCostEstimate(detection) {
+  if (!costEstimateForm) return;
+
+  if (detection && detection.state && !costEstimateStateEdited) {
+    costEstimateState.value = detection.state;
+  }
+  runCostEstimate(detection);
+}
+
+/**
+ * Initialize the cost estimate form
+ */
+async function initializeCostEstimate() {
+  if (!costEstimateForm) return;
+
+  costEstimateForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    runCostEstimate(typeof currentDetectionResult !== 'undefined' ? currentDetectionResult : null);
+  });
+
+  costEstimateState.addEventListener('input', function() {
+    costEstimateStateEdited = costEstimateState.value.trim() !== '';
+  });
+
+  // Start from the active business's entity type and formation state
+  const store = typeof loadProfileStore === 'function' ? await loadProfileStore() : null;
+  const profile = store ? await store.getActiveProfile() : null;
+  const entityType = profile?.entity?.entity_type;
+  if (entityType && costEstimateEntity.querySelector(`option[value="${entityType}"]`)) {
+    costEstimateEntity.value = entityType;
+  } else if (['s_corporation', 'nonprofit'].includes(entityType)) {
+    costEstimateEntity.value = 'corporation';
+  }
+  if (profile?.entity?.formation_state && !costEstimateState.value) {
+    costEstimateState.value = profile.entity.formation_state.toUpperCase();
+  }
+  runCostEstimate();
+}
+
+// Initialize cost estimate when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeCostEstimate();
+});
@@ -0,0 +1,101 @@
+/**
+ * Business Registration Assistant - Dependencies Script
+ * Lists the conditional fields learned on the current form: which answers
+ * show or hide which fields
+ */
+
+// Field dependencies module (loaded dynamically)
+let fieldDependencies = null;
+
+// DOM elements - Field dependencies
+const fieldDependenciesSection = document.getElementById('field-dependencies');
+const fieldDependenciesList = document.getElementById('field-dependencies-list');
+const fieldDependenciesReset = document.getElementById('field-dependencies-reset');
+
+/**
+ * Load the field dependencies module
+ * @returns {Promise<Object|null>} The field dependencies module
+ */
+async function loadFieldDependencies() {
+  if (fieldDependencies) {
+    return fieldDependencies;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/fieldDependencies.js'));
+    fieldDependencies = module.default || module.fieldDependencies;
+    console.log('[BRA Panel] FieldDependencies loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load field dependencies:', error);
+  }
+
+  return fieldDependencies;
+}
+
+/**
+ * Text of a rule's condition, e.g. "Entity type = Corporation"
+ * @param {Object} rule - From fieldDependencies.toRules()
+ * @returns {string} Condition text
+ */
+function formatDependencyCondition(rule) {
+  if (rule.type === 'checkbox') {
+    return t(rule.value === 'checked' ? 'dependencyWhenChecked' : 'dependencyWhenUnchecked', rule.label);
+  }
+  return t('dependencyWhenValue', [rule.label, rule.valueLabel]);
+}
+
+/**
+ * Show the conditional fields learned on the current form
+ * @param {Object} result - Detection result
+ */
+async function refreshFieldDependencies(result) {
+  if (!fieldDependenciesSection) return;
+
+  const fingerprint = result?.fieldDetection?.uiData?.formFingerprint || null;
+  const dependencies = fingerprint ? await loadFieldDependencies() : null;
+  const rules = dependencies ? dependencies.toRules(await dependencies.getForForm(fingerprint)) : [];
+
+  fieldDependenciesList.replaceChildren(...rules.map(rule => {
+    const item = document.createElement('li');
+    const condition = document.createElement('strong');
+    condition.textContent = formatDependencyCondition(rule);
+    item.appendChild(condition);
+
+    const effects = [];
+    if (rule.reveals.length > 0) effects.push(t('dependencyShows', rule.reveals.join(', ')));
+    if (rule.hides.length > 0) effects.push(t('dependencyHides', rule.hides.join(', ')));
+    item.appendChild(document.createTextNode(` ${effects.join('; ')}`));
+    return item;
+  }));
+
+  fieldDependenciesSection.classList.toggle('hidden', rules.length === 0);
+}
+
+/**
+ * Initialize the conditional fields list
+ */
+function initializeFieldDependencies() {
+  if (!fieldDependenciesSection) return;
+
+  fieldDependenciesReset.addEventListener('click', async function() {
+    const fingerprint = getCurrentFormFingerprint();
+    const dependencies = await loadFieldDependencies();
+    if (!dependencies || !fingerprint) return;
+    if (!confirm(t('dependenciesResetConfirm'))) return;
+    await dependencies.reset(fingerprint);
+  });
+
+  // The content script records what it learns as the user answers questions
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'local' && changes.BRA_FieldDependencies) {
+      refreshFieldDependencies(currentDetectionResult);
+    }
+  });
+
+  refreshFieldDependencies(currentDetectionResult);
+}
+
+// Initialize dependencies when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeFieldDependencies();
+});
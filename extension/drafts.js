@@ -0,0 +1,121 @@
+/**
+ * Business Registration Assistant - Drafts Script
+ * Offers to restore the values saved from an earlier visit to the detected
+ * form, e.g. after the portal timed out
+ */
+
+// Latest offer from the content script, which detection results cached by
+// the background may predate: {tabId, offer}
+let receivedDraftOffer = null;
+
+// DOM elements - Form drafts
+const formDraftBanner = document.getElementById('form-draft');
+const formDraftText = document.getElementById('form-draft-text');
+const formDraftRestore = document.getElementById('form-draft-restore');
+const formDraftDiscard = document.getElementById('form-draft-discard');
+
+/**
+ * Show or hide the restore offer for the detected form
+ * @param {Object|null} offer - {savedAt, fieldCount, sensitiveCount} from the content script
+ */
+function renderFormDraftOffer(offer) {
+  if (!formDraftBanner) return;
+
+  if (!offer || !offer.fieldCount) {
+    formDraftBanner.classList.add('hidden');
+    return;
+  }
+
+  const savedAt = new Date(offer.savedAt).toLocaleString(document.documentElement.lang || undefined);
+  formDraftText.textContent = offer.sensitiveCount > 0
+    ? t('draftAvailableWithSensitive', [String(offer.fieldCount), savedAt, String(offer.sensitiveCount)])
+    : t('draftAvailable', [String(offer.fieldCount), savedAt]);
+  formDraftRestore.disabled = false;
+  formDraftDiscard.disabled = false;
+  formDraftBanner.classList.remove('hidden');
+}
+
+/**
+ * Show the offer carried by a detection result, or received for its form
+ * @param {Object} result - Detection result
+ */
+function refreshFormDraftOffer(result) {
+  if (!result?.isBusinessRegistrationForm) {
+    renderFormDraftOffer(null);
+    return;
+  }
+
+  const fingerprint = result.fieldDetection?.uiData?.formFingerprint || null;
+  const received = receivedDraftOffer && receivedDraftOffer.tabId === currentTabId &&
+    receivedDraftOffer.offer.fingerprint === fingerprint ? receivedDraftOffer.offer : null;
+  renderFormDraftOffer(result.draftOffer || received);
+}
+
+/**
+ * Keep and show an offer sent by the content script
+ * @param {number} tabId - Tab the offer is for
+ * @param {Object} offer - {fingerprint, savedAt, fieldCount, sensitiveCount}
+ */
+function receiveFormDraftOffer(tabId, offer) {
+  receivedDraftOffer = { tabId, offer };
+  renderFormDraftOffer(offer);
+}
+
+/**
+ * Ask the page to restore or discard its draft
+ * @param {string} action - 'restoreFormDraft' or 'discardFormDraft'
+ * @param {Function} onSuccess - Called with the content script's response
+ */
+function sendFormDraftMessage(action, onSuccess) {
+  if (!currentTabId) return;
+
+  formDraftRestore.disabled = true;
+  formDraftDiscard.disabled = true;
+  chrome.tabs.sendMessage(currentTabId, { action: action }, { frameId: 0 }, function(response) {
+    formDraftRestore.disabled = false;
+    formDraftDiscard.disabled = false;
+
+    if (chrome.runtime.lastError) {
+      showError(t('couldNotConnectToPage', chrome.runtime.lastError.message));
+      return;
+    }
+    if (!response || !response.success) {
+      showError(response && (response.errorKey || response.error) ? describeResponseError(response) : t('draftRestoreFailed'));
+      return;
+    }
+
+    if (currentDetectionResult) {
+      delete currentDetectionResult.draftOffer;
+    }
+    receivedDraftOffer = null;
+    renderFormDraftOffer(null);
+    onSuccess(response);
+  });
+}
+
+/**
+ * Initialize the draft restore offer
+ */
+function initializeFormDrafts() {
+  if (!formDraftBanner) return;
+
+  formDraftRestore.addEventListener('click', function() {
+    sendFormDraftMessage('restoreFormDraft', function(response) {
+      addSystemChatMessage(t('draftRestored', [String(response.restoredCount), String(response.total)]));
+      undoFillButton.classList.toggle('hidden', !response.canUndo);
+    });
+  });
+
+  formDraftDiscard.addEventListener('click', function() {
+    sendFormDraftMessage('discardFormDraft', function() {
+      addSystemChatMessage(t('draftDiscarded'));
+    });
+  });
+
+  refreshFormDraftOffer(currentDetectionResult);
+}
+
+// Initialize drafts when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeFormDrafts();
+});
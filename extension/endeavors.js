@@ -0,0 +1,365 @@
+/**
+ * Business Registration Assistant - Endeavors Script
+ * "My Endeavors" filing tracker for the side panel
+ */
+
+// Endeavor store module (loaded dynamically)
+let endeavorStore = null;
+
+// Filing status values (mirrors FILING_STATUSES in the store module)
+let filingStatuses = [];
+
+// Panel messages of the filing statuses
+const FILING_STATUS_MESSAGES = {
+  not_started: 'filingStatusNotStarted',
+  in_progress: 'filingStatusInProgress',
+  submitted: 'filingStatusSubmitted',
+  approved: 'filingStatusApproved',
+  rejected: 'filingStatusRejected'
+};
+
+// Endeavors whose details are expanded in the list
+const expandedEndeavors = new Set();
+
+// DOM elements - Endeavors
+const endeavorCreateForm = document.getElementById('endeavor-create-form');
+const endeavorNameInput = document.getElementById('endeavor-name-input');
+const endeavorStateInput = document.getElementById('endeavor-state-input');
+const endeavorsList = document.getElementById('endeavors-list');
+
+/**
+ * Load the endeavor store module
+ * @returns {Promise<Object|null>} The endeavor store
+ */
+async function loadEndeavorStore() {
+  if (endeavorStore) {
+    return endeavorStore;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/endeavorStore.js'));
+    endeavorStore = module.default || module.endeavorStore;
+    filingStatuses = module.FILING_STATUSES || [];
+    console.log('[BRA Panel] EndeavorStore loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load endeavor store:', error);
+  }
+
+  return endeavorStore;
+}
+
+/**
+ * Get the business selected in the account switcher
+ * @returns {Promise<string|null>} Active profile id
+ */
+async function getActiveProfileId() {
+  const store = await loadProfileStore();
+  if (!store) return null;
+  const profile = await store.getActiveProfile();
+  return profile ? profile.id : null;
+}
+
+/**
+ * Get the detection the background script holds for the current tab
+ * @returns {Promise<Object|null>} Detection result or null
+ */
+function getCurrentTabDetection() {
+  return new Promise(resolve => {
+    if (!currentTabId) {
+      resolve(null);
+      return;
+    }
+
+    chrome.runtime.sendMessage({ action: 'getDetectionResult', tabId: currentTabId }, function(response) {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        resolve(null);
+        return;
+      }
+      resolve(response.result);
+    });
+  });
+}
+
+/**
+ * Attach the current tab's detection to an endeavor
+ * @param {string} endeavorId - Endeavor id
+ */
+async function attachCurrentDetection(endeavorId) {
+  const detection = await getCurrentTabDetection();
+
+  if (!detection || !detection.isBusinessRegistrationForm) {
+    showError(t('noFormOnCurrentTab'));
+    return;
+  }
+
+  const tab = await chrome.tabs.get(currentTabId).catch(() => null);
+  const filing = await endeavorStore.attachDetection(endeavorId, detection, tab?.title || '');
+
+  if (filing) {
+    hideError();
+    expandedEndeavors.add(endeavorId);
+    renderEndeavors();
+  }
+}
+
+/**
+ * Create a labelled text input that saves on change
+ * @param {string} placeholder - Placeholder text
+ * @param {string} value - Current value
+ * @param {Function} onSave - Called with the new value
+ * @param {boolean} multiline - Use a textarea
+ * @returns {HTMLElement} The input element
+ */
+function createEndeavorInput(placeholder, value, onSave, multiline = false) {
+  const input = document.createElement(multiline ? 'textarea' : 'input');
+  if (!multiline) {
+    input.type = 'text';
+  } else {
+    input.rows = 2;
+  }
+  input.placeholder = placeholder;
+  input.value = value || '';
+  input.addEventListener('change', function() {
+    onSave(input.value.trim());
+  });
+  return input;
+}
+
+/**
+ * Render a single filing row
+ * @param {Object} endeavor - Parent endeavor
+ * @param {Object} filing - Filing to render
+ * @returns {HTMLElement} Filing element
+ */
+function renderFiling(endeavor, filing) {
+  const item = document.createElement('div');
+  item.className = 'filing-item';
+
+  const header = document.createElement('div');
+  header.className = 'filing-header';
+
+  const name = document.createElement('span');
+  name.className = 'filing-name';
+  name.textContent = filing.name;
+  header.appendChild(name);
+
+  const statusSelect = document.createElement('select');
+  statusSelect.className = `filing-status ${filing.status}`;
+  filingStatuses.forEach(status => {
+    const option = document.createElement('option');
+    option.value = status;
+    option.textContent = FILING_STATUS_MESSAGES[status] ? t(FILING_STATUS_MESSAGES[status]) : status.replace(/_/g, ' ');
+    option.selected = status === filing.status;
+    statusSelect.appendChild(option);
+  });
+  statusSelect.addEventListener('change', function() {
+    endeavorStore.updateFiling(endeavor.id, filing.id, { status: statusSelect.value });
+  });
+  header.appendChild(statusSelect);
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'small-button secondary';
+  removeButton.textContent = '×';
+  removeButton.title = t('removeFiling');
+  removeButton.addEventListener('click', function() {
+    if (confirm(t('removeFilingConfirm', filing.name))) {
+      endeavorStore.deleteFiling(endeavor.id, filing.id);
+    }
+  });
+  header.appendChild(removeButton);
+
+  item.appendChild(header);
+
+  item.appendChild(createEndeavorInput(t('confirmationNumber'), filing.confirmationNumber, value => {
+    endeavorStore.updateFiling(endeavor.id, filing.id, { confirmationNumber: value });
+  }));
+
+  item.appendChild(createEndeavorInput(t('filingNotes'), filing.notes, value => {
+    endeavorStore.updateFiling(endeavor.id, filing.id, { notes: value });
+  }, true));
+
+  if (filing.visitedUrls.length > 0) {
+    const urls = document.createElement('ul');
+    urls.className = 'filing-urls';
+    filing.visitedUrls.forEach(visit => {
+      const li = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = visit.url;
+      link.target = '_blank';
+      link.textContent = visit.title || visit.url;
+      link.title = t('filingVisited', [visit.url, new Date(visit.visitedAt).toLocaleString()]);
+      li.appendChild(link);
+      urls.appendChild(li);
+    });
+    item.appendChild(urls);
+  }
+
+  return item;
+}
+
+/**
+ * Render a single endeavor card
+ * @param {Object} endeavor - Endeavor to render
+ * @returns {HTMLElement} Endeavor element
+ */
+function renderEndeavor(endeavor) {
+  const card = document.createElement('div');
+  card.className = 'endeavor-card';
+
+  const header = document.createElement('div');
+  header.className = 'endeavor-header';
+
+  const title = document.createElement('button');
+  title.type = 'button';
+  title.className = 'endeavor-title';
+  const submitted = endeavor.filings.filter(f => ['submitted', 'approved'].includes(f.status)).length;
+  title.textContent = `${endeavor.name}${endeavor.state ? ` (${endeavor.state})` : ''} · ${t('endeavorFiled', [String(submitted), String(endeavor.filings.length)])}`;
+  title.setAttribute('aria-expanded', expandedEndeavors.has(endeavor.id));
+  title.addEventListener('click', function() {
+    if (expandedEndeavors.has(endeavor.id)) {
+      expandedEndeavors.delete(endeavor.id);
+    } else {
+      expandedEndeavors.add(endeavor.id);
+    }
+    renderEndeavors();
+  });
+  header.appendChild(title);
+
+  const attachButton = document.createElement('button');
+  attachButton.type = 'button';
+  attachButton.className = 'small-button';
+  attachButton.textContent = t('attachPage');
+  attachButton.title = t('attachPageTitle');
+  attachButton.addEventListener('click', function() {
+    attachCurrentDetection(endeavor.id);
+  });
+  header.appendChild(attachButton);
+
+  card.appendChild(header);
+
+  if (!expandedEndeavors.has(endeavor.id)) {
+    return card;
+  }
+
+  const details = document.createElement('div');
+  details.className = 'endeavor-details';
+
+  endeavor.filings.forEach(filing => {
+    details.appendChild(renderFiling(endeavor, filing));
+  });
+
+  const addFilingForm = document.createElement('form');
+  addFilingForm.className = 'endeavor-create-form';
+  const filingNameInput = createEndeavorInput(t('addFilingPlaceholder'), '', () => {});
+  filingNameInput.required = true;
+  const addFilingButton = document.createElement('button');
+  addFilingButton.type = 'submit';
+  addFilingButton.className = 'small-button secondary';
+  addFilingButton.textContent = t('add');
+  addFilingForm.appendChild(filingNameInput);
+  addFilingForm.appendChild(addFilingButton);
+  addFilingForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    endeavorStore.addFiling(endeavor.id, { name: filingNameInput.value.trim() });
+  });
+  details.appendChild(addFilingForm);
+
+  // Entity type choices come from the profile form so the two stay in step
+  const entityTypeSelect = document.createElement('select');
+  entityTypeSelect.className = 'endeavor-entity-type';
+  entityTypeSelect.title = t('entityType');
+  const profileEntityTypes = document.querySelector('#profile-form select[name="entity.entity_type"]');
+  Array.from(profileEntityTypes ? profileEntityTypes.options : []).forEach(option => {
+    entityTypeSelect.appendChild(new Option(option.value ? option.textContent : t('entityTypePrompt'), option.value));
+  });
+  entityTypeSelect.value = endeavor.entityType || '';
+  entityTypeSelect.addEventListener('change', function() {
+    endeavorStore.updateEndeavor(endeavor.id, { entityType: entityTypeSelect.value });
+  });
+  details.appendChild(entityTypeSelect);
+
+  details.appendChild(createEndeavorInput(t('endeavorNotes'), endeavor.notes, value => {
+    endeavorStore.updateEndeavor(endeavor.id, { notes: value });
+  }, true));
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.className = 'small-button secondary endeavor-delete';
+  deleteButton.textContent = t('deleteEndeavor');
+  deleteButton.addEventListener('click', function() {
+    if (confirm(t('deleteEndeavorConfirm', endeavor.name))) {
+      expandedEndeavors.delete(endeavor.id);
+      endeavorStore.deleteEndeavor(endeavor.id);
+    }
+  });
+  details.appendChild(deleteButton);
+
+  card.appendChild(details);
+  return card;
+}
+
+/**
+ * Re-render the endeavors list from storage
+ */
+async function renderEndeavors() {
+  const store = await loadEndeavorStore();
+  if (!store) return;
+
+  await store.load();
+
+  // Only show endeavors for the active business (plus unassigned ones)
+  const activeProfileId = await getActiveProfileId();
+  const endeavors = (await store.getEndeavors()).filter(endeavor =>
+    !activeProfileId || !endeavor.profileId || endeavor.profileId === activeProfileId
+  );
+
+  endeavorsList.innerHTML = '';
+
+  if (endeavors.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'no-fields-message';
+    empty.textContent = t('noEndeavors');
+    endeavorsList.appendChild(empty);
+    return;
+  }
+
+  endeavors.forEach(endeavor => {
+    endeavorsList.appendChild(renderEndeavor(endeavor));
+  });
+}
+
+/**
+ * Initialize the endeavors view
+ */
+function initializeEndeavors() {
+  if (!endeavorCreateForm) return;
+
+  endeavorCreateForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const store = await loadEndeavorStore();
+    if (!store) return;
+
+    const endeavor = await store.createEndeavor({
+      name: endeavorNameInput.value.trim(),
+      state: endeavorStateInput.value.trim().toUpperCase(),
+      profileId: await getActiveProfileId()
+    });
+    expandedEndeavors.add(endeavor.id);
+    endeavorCreateForm.reset();
+  });
+
+  // Keep the list in sync with storage (covers edits from other panels too)
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'local' && (changes.BRA_Endeavors || changes.BRA_ActiveProfileId)) {
+      renderEndeavors();
+    }
+  });
+
+  renderEndeavors();
+}
+
+// Initialize endeavors when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeEndeavors();
+});
@@ -0,0 +1,224 @@
+/**
+ * Business Registration Assistant - Entity Wizard Script
+ * Questionnaire that recommends an entity type and applies it to the
+ * active business and a new endeavor
+ */
+
+// Entity advisor module (loaded dynamically)
+let entityAdvisor = null;
+
+// Panel messages of the questionnaire, by question id and answer value
+const ENTITY_QUESTION_MESSAGES = {
+  liability: 'entityQuestionLiability',
+  owners: 'entityQuestionOwners',
+  investors: 'entityQuestionInvestors',
+  tax: 'entityQuestionTax'
+};
+const ENTITY_ANSWER_MESSAGES = {
+  liability: { essential: 'entityAnswerEssential', helpful: 'entityAnswerNiceToHave', unimportant: 'entityAnswerNotAConcern' },
+  owners: { one: 'entityAnswerJustMe', several: 'entityAnswerTwoOrMore' },
+  investors: { yes: 'yes', maybe: 'entityAnswerMaybeLater', no: 'no' },
+  tax: {
+    pass_through: 'entityAnswerPassThrough',
+    reinvest: 'entityAnswerReinvest',
+    self_employment: 'entityAnswerSelfEmployment',
+    unsure: 'entityAnswerUnsure'
+  }
+};
+
+// DOM elements - Entity wizard
+const entityWizardForm = document.getElementById('entity-wizard-form');
+const entityWizardQuestions = document.getElementById('entity-wizard-questions');
+const entityWizardResults = document.getElementById('entity-wizard-results');
+const entityWizardStatus = document.getElementById('entity-wizard-status');
+
+/**
+ * Load the entity advisor module
+ * @returns {Promise<Object|null>} The entity advisor
+ */
+async function loadEntityAdvisor() {
+  if (entityAdvisor) {
+    return entityAdvisor;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/entityAdvisor.js'));
+    entityAdvisor = module.default || module.entityAdvisor;
+    console.log('[BRA Panel] EntityAdvisor loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load entity advisor:', error);
+  }
+
+  return entityAdvisor;
+}
+
+/**
+ * Show a short status message under the results
+ * @param {string} text - Status text
+ */
+function showEntityWizardStatus(text) {
+  entityWizardStatus.textContent = text;
+  setTimeout(() => {
+    if (entityWizardStatus.textContent === text) {
+      entityWizardStatus.textContent = '';
+    }
+  }, 4000);
+}
+
+/**
+ * Render the questionnaire as radio groups
+ * @param {Array} questions - From entityAdvisor.getQuestions()
+ */
+function renderEntityWizardQuestions(questions) {
+  entityWizardQuestions.innerHTML = '';
+
+  questions.forEach(question => {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = ENTITY_QUESTION_MESSAGES[question.id] ? t(ENTITY_QUESTION_MESSAGES[question.id]) : question.text;
+    fieldset.appendChild(legend);
+
+    question.options.forEach(option => {
+      const answerMessage = ENTITY_ANSWER_MESSAGES[question.id]?.[option.value];
+      const label = document.createElement('label');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = question.id;
+      radio.value = option.value;
+      label.appendChild(radio);
+      label.appendChild(document.createTextNode(` ${answerMessage ? t(answerMessage) : option.label}`));
+      fieldset.appendChild(label);
+    });
+
+    entityWizardQuestions.appendChild(fieldset);
+  });
+}
+
+/**
+ * Render ranked entity types with the knowledge entries behind each score
+ * @param {Array} results - From entityAdvisor.recommend()
+ */
+function renderEntityWizardResults(results) {
+  entityWizardResults.innerHTML = '';
+
+  results.forEach(result => {
+    const item = document.createElement('li');
+    item.className = result.excluded ? 'entity-wizard-result excluded' : 'entity-wizard-result';
+
+    const header = document.createElement('div');
+    header.className = 'entity-wizard-result-header';
+    const title = document.createElement('strong');
+    title.textContent = result.excluded
+      ? t('entityTypeNotAvailable', result.name)
+      : `${result.name} · ${result.score > 0 ? '+' : ''}${result.score}`;
+    header.appendChild(title);
+
+    if (!result.excluded) {
+      const useButton = document.createElement('button');
+      useButton.type = 'button';
+      useButton.className = 'small-button';
+      useButton.textContent = t('useEntityType', result.shortName);
+      useButton.addEventListener('click', function() {
+        applyEntityType(result);
+      });
+      header.appendChild(useButton);
+    }
+    item.appendChild(header);
+
+    const reasons = document.createElement('ul');
+    reasons.className = 'entity-wizard-reasons';
+    result.reasons.forEach(reason => {
+      const reasonItem = document.createElement('li');
+      const points = reason.points === 'exclude' ? t('ruledOut') : `${reason.points > 0 ? '+' : ''}${reason.points}`;
+      reasonItem.appendChild(document.createTextNode(`${points}: ${reason.text} `));
+      const cite = document.createElement('cite');
+      cite.textContent = reason.source;
+      reasonItem.appendChild(cite);
+      reasons.appendChild(reasonItem);
+    });
+    item.appendChild(reasons);
+
+    entityWizardResults.appendChild(item);
+  });
+}
+
+/**
+ * Save the chosen entity type on the active business and start an endeavor
+ * for it, or reuse the business's endeavor for that type
+ * @param {Object} result - Chosen entry from entityAdvisor.recommend()
+ */
+async function applyEntityType(result) {
+  const profiles = await loadProfileStore();
+  const endeavors = await loadEndeavorStore();
+  if (!profiles || !endeavors) return;
+
+  try {
+    const profile = await profiles.getActiveProfile();
+    const currentType = profile?.entity?.entity_type;
+    let state = '';
+
+    // Changing a business's entity type is a decision the user confirms
+    if (currentType && currentType !== result.type &&
+        !confirm(t('entityTypeChangeConfirm', [profile.label, profiles.getEntityTypeLabel(currentType), result.name]))) {
+      return;
+    }
+
+    if (profile) {
+      profile.entity = { ...(profile.entity || {}), entity_type: result.type };
+      await profiles.saveProfile(profile);
+      refreshProfileView(profile.id);
+      state = (profile.entity.formation_state || '').toUpperCase();
+    }
+
+    const profileId = profile ? profile.id : null;
+    const existing = (await endeavors.getEndeavors()).find(endeavor =>
+      endeavor.profileId === profileId && endeavor.entityType === result.type
+    );
+    const endeavor = existing || await endeavors.createEndeavor({
+      name: state ? t('endeavorFormTypeInState', [result.shortName, state]) : t('endeavorFormType', result.shortName),
+      state: state,
+      profileId: profileId,
+      entityType: result.type
+    });
+    expandedEndeavors.add(endeavor.id);
+
+    if (existing) {
+      showEntityWizardStatus(t('entityTypeEndeavorExists', [result.shortName, endeavor.name]));
+      return;
+    }
+    showEntityWizardStatus(profile
+      ? t('entityTypeApplied', [profile.label, result.shortName, endeavor.name])
+      : t('endeavorAdded', endeavor.name));
+  } catch (error) {
+    showError(t('entityTypeApplyFailed', error.message));
+  }
+}
+
+/**
+ * Initialize the entity type wizard
+ */
+async function initializeEntityWizard() {
+  if (!entityWizardForm) return;
+
+  entityWizardForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const advisor = await loadEntityAdvisor();
+    if (!advisor) return;
+
+    const answers = {};
+    new FormData(entityWizardForm).forEach((value, key) => {
+      answers[key] = value;
+    });
+    renderEntityWizardResults(await advisor.recommend(answers));
+  });
+
+  const advisor = await loadEntityAdvisor();
+  if (advisor) {
+    renderEntityWizardQuestions(advisor.getQuestions());
+  }
+}
+
+// Initialize entity wizard when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeEntityWizard();
+});
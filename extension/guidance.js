@@ -0,0 +1,85 @@
+/**
+ * Business Registration Assistant - Guidance Script
+ * Turns the guidance badges that the content script shows next to form
+ * fields on or off for the current site
+ */
+
+// Field guidance module (loaded dynamically)
+let fieldGuidance = null;
+
+// DOM elements - Field guidance
+const fieldGuidanceToggle = document.getElementById('field-guidance-toggle');
+const fieldGuidanceCheckbox = document.getElementById('field-guidance-checkbox');
+
+/**
+ * Load the field guidance module
+ * @returns {Promise<Object|null>} The field guidance module
+ */
+async function loadFieldGuidance() {
+  if (fieldGuidance) {
+    return fieldGuidance;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/fieldGuidance.js'));
+    fieldGuidance = module.default || module.fieldGuidance;
+    console.log('[BRA Panel] FieldGuidance loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load field guidance:', error);
+  }
+
+  return fieldGuidance;
+}
+
+/**
+ * Hostname of a detected page
+ * @param {Object} result - Detection result
+ * @returns {string|null} Hostname, or null if the page isn't a business form
+ */
+function getGuidanceHostname(result) {
+  if (!result || !result.isBusinessRegistrationForm) return null;
+  try {
+    return new URL(result.url).hostname || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Show the toggle for the detected site with its current setting
+ * @param {Object} result - Detection result
+ */
+async function refreshFieldGuidanceToggle(result) {
+  if (!fieldGuidanceToggle) return;
+
+  const hostname = getGuidanceHostname(result);
+  fieldGuidanceToggle.classList.toggle('hidden', !hostname);
+  if (!hostname) return;
+
+  const guidance = await loadFieldGuidance();
+  if (guidance) {
+    fieldGuidanceCheckbox.checked = await guidance.isEnabled(hostname);
+  }
+}
+
+/**
+ * Initialize the field guidance toggle
+ */
+function initializeFieldGuidance() {
+  if (!fieldGuidanceToggle) return;
+
+  // The content script redraws the badges when the setting changes
+  fieldGuidanceCheckbox.addEventListener('change', async function() {
+    const hostname = getGuidanceHostname(currentDetectionResult);
+    const guidance = await loadFieldGuidance();
+    if (!guidance || !hostname) return;
+    await guidance.setEnabled(hostname, fieldGuidanceCheckbox.checked);
+  });
+
+  refreshFieldGuidanceToggle(currentDetectionResult);
+}
+
+// Initialize field guidance toggle when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeFieldGuidance();
+});
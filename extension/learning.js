@@ -0,0 +1,173 @@
+/**
+ * Business Registration Assistant - Learning Script
+ * Detection feedback buttons and a view of what the feedback has taught
+ * the detector, with reset
+ */
+
+// Detection learning module (loaded dynamically)
+let detectionLearning = null;
+
+// DOM elements - Detection feedback
+const detectionFeedbackYes = document.getElementById('detection-feedback-yes');
+const detectionFeedbackNo = document.getElementById('detection-feedback-no');
+const detectionFeedbackStatus = document.getElementById('detection-feedback-status');
+const learningList = document.getElementById('learning-list');
+const learningResetButton = document.getElementById('learning-reset-button');
+
+/**
+ * Load the detection learning module
+ * @returns {Promise<Object|null>} The detection learning module
+ */
+async function loadDetectionLearning() {
+  if (detectionLearning) {
+    return detectionLearning;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/detectionLearning.js'));
+    detectionLearning = module.default || module.detectionLearning;
+    console.log('[BRA Panel] DetectionLearning loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load detection learning:', error);
+  }
+
+  return detectionLearning;
+}
+
+/**
+ * Show a short status message under the feedback buttons
+ * @param {string} text - Status text
+ */
+function showDetectionFeedbackStatus(text) {
+  detectionFeedbackStatus.textContent = text;
+  setTimeout(() => {
+    if (detectionFeedbackStatus.textContent === text) {
+      detectionFeedbackStatus.textContent = '';
+    }
+  }, 3000);
+}
+
+/**
+ * Tell the content script whether the current page is a business form
+ * @param {boolean} isBusinessForm - The user's answer
+ */
+function sendDetectionFeedback(isBusinessForm) {
+  if (!currentTabId) return;
+
+  const detected = !!(currentDetectionResult && currentDetectionResult.isBusinessRegistrationForm);
+  const feedback = { isCorrect: isBusinessForm === detected, isBusinessForm: isBusinessForm };
+
+  // Only the top frame holds the detection result
+  chrome.tabs.sendMessage(currentTabId, { action: 'userFeedback', feedback: feedback }, { frameId: 0 }, function(response) {
+    if (chrome.runtime.lastError) {
+      showError(t('couldNotConnectToPage', chrome.runtime.lastError.message));
+      return;
+    }
+
+    if (response && response.success) {
+      showDetectionFeedbackStatus(t('detectionFeedbackThanks'));
+    } else if (response && (response.errorKey || response.error)) {
+      showError(describeResponseError(response));
+    }
+  });
+}
+
+/**
+ * Render the learned adjustments
+ * @param {Array} summary - From detectionLearning.getSummary()
+ */
+function renderLearningList(summary) {
+  learningList.innerHTML = '';
+  learningResetButton.disabled = summary.length === 0;
+
+  if (summary.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'no-fields-message';
+    empty.textContent = t('nothingLearned');
+    learningList.appendChild(empty);
+    return;
+  }
+
+  summary.forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'learning-item';
+
+    const adjustment = document.createElement('span');
+    adjustment.className = 'learning-adjustment';
+    if (entry.adjustment > 0) adjustment.classList.add('positive');
+    if (entry.adjustment < 0) adjustment.classList.add('negative');
+    adjustment.textContent = `${entry.adjustment > 0 ? '+' : ''}${entry.adjustment}`;
+    adjustment.title = t('learningAdjustmentTitle');
+
+    const details = document.createElement('div');
+    details.className = 'learning-item-details';
+    const pattern = document.createElement('div');
+    pattern.textContent = entry.urlPattern;
+    const meta = document.createElement('div');
+    meta.className = 'learning-meta';
+    meta.textContent = [
+      entry.formType ? entry.formType.replace(/_/g, ' ') : null,
+      entry.state,
+      t('learningAnswers', [String(entry.confirmed), String(entry.rejected)]),
+      t('learningLastFeedback', entry.lastFeedback.slice(0, 10))
+    ].filter(Boolean).join(' · ');
+    details.appendChild(pattern);
+    details.appendChild(meta);
+
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.className = 'small-button secondary';
+    resetButton.textContent = t('reset');
+    resetButton.addEventListener('click', async function() {
+      await detectionLearning.reset(entry.urlPattern, entry.formType);
+    });
+
+    item.appendChild(adjustment);
+    item.appendChild(details);
+    item.appendChild(resetButton);
+    learningList.appendChild(item);
+  });
+}
+
+/**
+ * Re-read the learned adjustments from storage
+ */
+async function refreshLearningList() {
+  const learning = await loadDetectionLearning();
+  if (!learning) return;
+  renderLearningList(await learning.getSummary());
+}
+
+/**
+ * Initialize detection feedback
+ */
+function initializeLearning() {
+  if (!learningList) return;
+
+  detectionFeedbackYes.addEventListener('click', function() {
+    sendDetectionFeedback(true);
+  });
+  detectionFeedbackNo.addEventListener('click', function() {
+    sendDetectionFeedback(false);
+  });
+
+  learningResetButton.addEventListener('click', async function() {
+    if (!confirm(t('learningResetConfirm'))) return;
+    const learning = await loadDetectionLearning();
+    if (learning) await learning.reset();
+  });
+
+  // Feedback is written by the content script
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'local' && changes.BRA_PriorDetections) {
+      refreshLearningList();
+    }
+  });
+
+  refreshLearningList();
+}
+
+// Initialize learning view when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeLearning();
+});
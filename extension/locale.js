@@ -0,0 +1,81 @@
+/**
+ * Business Registration Assistant - Locale Script
+ * Loads the language chosen in the panel, translates static markup and
+ * provides t() to the panel and popup scripts
+ */
+
+// I18n module (loaded dynamically)
+let i18n = null;
+
+// DOM elements - Language switch
+const languageSwitch = document.getElementById('language-switch');
+
+/**
+ * Load the i18n module
+ * @returns {Promise<Object|null>} The i18n module
+ */
+async function loadI18n() {
+  if (i18n) {
+    return i18n;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/i18n.js'));
+    i18n = module.default || module.i18n;
+    console.log('[BRA Panel] I18n loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load i18n:', error);
+  }
+
+  return i18n;
+}
+
+/**
+ * Translate a UI message. Until the chosen language has loaded, messages
+ * come from chrome.i18n in the browser's language.
+ * @param {string} key - Message name in _locales/<locale>/messages.json
+ * @param {string|Array<string>} substitutions - Values for the message's placeholders
+ * @returns {string} Translated message
+ */
+function t(key, substitutions = []) {
+  if (i18n) {
+    return i18n.t(key, substitutions);
+  }
+  return chrome.i18n.getMessage(key, substitutions) || key;
+}
+
+/**
+ * Fill the language switch; choosing a language reloads the page in it
+ * @param {Object} module - The i18n module
+ */
+function initializeLanguageSwitch(module) {
+  languageSwitch.innerHTML = '';
+  module.getSupportedLocales().forEach(locale => {
+    languageSwitch.appendChild(new Option(locale.name, locale.code, false, locale.code === module.getLocale()));
+  });
+
+  languageSwitch.addEventListener('change', async function() {
+    await module.setLocale(languageSwitch.value);
+    window.location.reload();
+  });
+}
+
+/**
+ * Load the chosen language and translate the page
+ */
+async function initializeLocale() {
+  const module = await loadI18n();
+  if (!module) return;
+
+  await module.init();
+  module.translateDocument(document);
+
+  if (languageSwitch) {
+    initializeLanguageSwitch(module);
+  }
+}
+
+// Initialize locale when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeLocale();
+});
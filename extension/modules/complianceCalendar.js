@@ -0,0 +1,258 @@
+/**
+ * Compliance Calendar Module
+ * Turns state annual_filing text ("Due within 90 days of registration, then
+ * every 2 years", "Due by June 1") into recurring obligations dated from
+ * each business profile's formation date, and exports them as iCalendar
+ */
+
+import knowledgeLoader from './knowledgeLoader.js';
+import { normalizeEntityType } from './nameChecker.js';
+
+// How far ahead obligations are listed and scheduled
+const HORIZON_YEARS = 3;
+
+// Reminders go out this many days before each due date
+const REMINDER_LEAD_DAYS = [30, 7];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+/**
+ * Parse a filing description into a schedule
+ * @param {string} text - e.g. "Statement of Information (LLC-12) - Due within 90 days of registration, then every 2 years"
+ * @returns {Object|null} {name, initialDays, intervalYears, month, day} (month is 0-based)
+ */
+function parseFilingSchedule(text) {
+  if (typeof text !== 'string' || !text.trim() || /not required/i.test(text)) return null;
+
+  const [name] = text.split(/\s+-\s+/);
+  const schedule = { name: name.trim(), initialDays: null, intervalYears: null, month: null, day: null };
+
+  const initial = text.match(/within\s+(\d+)\s+days/i);
+  if (initial) schedule.initialDays = parseInt(initial[1], 10);
+
+  const every = text.match(/every\s+(\d+|one|two|three|four|five)\s+years?/i);
+  if (every) {
+    schedule.intervalYears = NUMBER_WORDS[every[1].toLowerCase()] || parseInt(every[1], 10);
+  } else if (/biennial/i.test(text)) {
+    schedule.intervalYears = 2;
+  } else if (/annual|every\s+year|each\s+year/i.test(text)) {
+    schedule.intervalYears = 1;
+  }
+
+  const fixedDate = text.match(new RegExp(`\\b(${MONTHS.join('|')})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'));
+  if (fixedDate) {
+    schedule.month = MONTHS.indexOf(fixedDate[1].toLowerCase());
+    schedule.day = parseInt(fixedDate[2], 10);
+    schedule.intervalYears = schedule.intervalYears || 1;
+  }
+
+  return schedule.initialDays !== null || schedule.intervalYears !== null ? schedule : null;
+}
+
+/**
+ * Parse a YYYY-MM-DD date as a UTC date
+ * @param {string} value - Date string
+ * @returns {Date|null} Date or null if invalid
+ */
+function parseDate(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 86400000);
+}
+
+function addYears(date, years) {
+  const result = new Date(date.getTime());
+  result.setUTCFullYear(result.getUTCFullYear() + years);
+  // Feb 29 anniversaries fall back to Feb 28
+  if (result.getUTCDate() !== date.getUTCDate()) result.setUTCDate(0);
+  return result;
+}
+
+/**
+ * Due dates for a schedule between the formation date and the horizon
+ * Fixed-date filings start the year after formation; relative ones recur
+ * on the formation anniversary
+ * @param {Object} schedule - From parseFilingSchedule()
+ * @param {Date} formationDate - Formation date
+ * @param {Date} until - Last date to include
+ * @returns {Array<Date>} Due dates in order
+ */
+function getDueDates(schedule, formationDate, until) {
+  const dates = [];
+
+  if (schedule.initialDays !== null) {
+    dates.push(addDays(formationDate, schedule.initialDays));
+  }
+
+  if (schedule.intervalYears) {
+    let next = schedule.month !== null
+      ? new Date(Date.UTC(formationDate.getUTCFullYear() + 1, schedule.month, schedule.day))
+      : addYears(formationDate, schedule.intervalYears);
+
+    while (next <= until) {
+      dates.push(next);
+      next = addYears(next, schedule.intervalYears);
+    }
+  }
+
+  return dates.filter(date => date <= until);
+}
+
+class ComplianceCalendar {
+  /**
+   * Filing schedules that apply to a state and entity type
+   * @param {string} stateCode - Two-letter state code
+   * @param {string} entityType - Entity type key or display name
+   * @returns {Promise<Array>} Schedules with a source description
+   */
+  async getSchedules(stateCode, entityType) {
+    const stateData = await knowledgeLoader.loadStateData(stateCode);
+    if (!stateData) return [];
+
+    const entities = stateData.forms?.business_registration?.entity_specific || {};
+    const typeKey = entities[entityType] ? entityType : normalizeEntityType(entityType);
+    const entity = entities[typeKey] || {};
+
+    const entitySchedule = parseFilingSchedule(entity.annual_filing);
+    if (entitySchedule) {
+      return [{ ...entitySchedule, source: entity.annual_filing, fee: entity.annual_fee ?? null }];
+    }
+
+    // States without entity annual_filing text describe reports under filing_deadlines
+    return Object.entries(stateData.filing_deadlines || {})
+      .map(([key, deadline]) => {
+        const text = [deadline.description, deadline.cycle, deadline.frequency, deadline.due_date]
+          .filter(Boolean).join(' - ');
+        const schedule = parseFilingSchedule(`${key.replace(/_/g, ' ')} - ${text}`);
+        // Only dated deadlines ("April 1st", "within 90 days") can be placed on a calendar
+        if (!schedule || (schedule.month === null && schedule.initialDays === null)) return null;
+        schedule.name = key.replace(/_/g, ' ').replace(/\b\w/g, ch => ch.toUpperCase());
+        return { ...schedule, source: text, fee: deadline.fee ?? null };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Upcoming obligations for business profiles
+   * @param {Array} profiles - Business profiles from profileStore
+   * @param {Object} options - {today: Date, horizonYears}
+   * @returns {Promise<Array>} [{id, profileId, businessName, stateCode, title, dueDate, source, fee}] by due date
+   */
+  async getObligations(profiles, options = {}) {
+    const now = options.today || new Date();
+    const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+    const until = addYears(today, options.horizonYears || HORIZON_YEARS);
+    const obligations = [];
+
+    for (const profile of profiles || []) {
+      const entity = profile.entity || {};
+      const formationDate = parseDate(entity.formation_date);
+      const stateCode = (entity.formation_state || '').toUpperCase();
+      if (!formationDate || !stateCode) continue;
+
+      try {
+        const schedules = await this.getSchedules(stateCode, entity.entity_type);
+        schedules.forEach(schedule => {
+          getDueDates(schedule, formationDate, until)
+            .filter(date => date >= today)
+            .forEach(date => {
+              const dueDate = formatDate(date);
+              obligations.push({
+                id: `${profile.id}:${schedule.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}:${dueDate}`,
+                profileId: profile.id,
+                businessName: entity.business_name || profile.label || 'Business',
+                stateCode: stateCode,
+                title: schedule.name,
+                dueDate: dueDate,
+                source: schedule.source,
+                fee: schedule.fee
+              });
+            });
+        });
+      } catch (error) {
+        console.error('[BRA-ComplianceCalendar] Error building obligations for', profile.id, error);
+      }
+    }
+
+    return obligations.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+  }
+
+  /**
+   * Reminder alarms for obligations (for the background worker)
+   * @param {Array} obligations - From getObligations()
+   * @param {number} now - Current time in ms
+   * @returns {Array} [{name, when, obligation}] for reminders still in the future
+   */
+  getReminders(obligations, now = Date.now()) {
+    const reminders = [];
+    obligations.forEach(obligation => {
+      const due = parseDate(obligation.dueDate);
+      REMINDER_LEAD_DAYS.forEach(days => {
+        // 9:00 local time on the reminder day
+        const date = addDays(due, -days);
+        const when = new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 9).getTime();
+        if (when > now) {
+          reminders.push({ name: `compliance:${obligation.id}:${days}`, when, daysBefore: days, obligation });
+        }
+      });
+    });
+    return reminders;
+  }
+
+  /**
+   * Export obligations as an iCalendar file
+   * @param {Array} obligations - From getObligations()
+   * @returns {string} .ics content
+   */
+  toICS(obligations) {
+    const escape = text => String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Business Registration Assistant//Compliance Calendar//EN',
+      'CALSCALE:GREGORIAN'
+    ];
+
+    obligations.forEach(obligation => {
+      const start = obligation.dueDate.replace(/-/g, '');
+      const end = formatDate(addDays(parseDate(obligation.dueDate), 1)).replace(/-/g, '');
+      const details = [obligation.source, obligation.fee !== null && obligation.fee !== undefined ? `Fee: ${typeof obligation.fee === 'number' ? `$${obligation.fee}` : obligation.fee}` : null]
+        .filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${obligation.id}@business-registration-assistant`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${start}`,
+        `DTEND;VALUE=DATE:${end}`,
+        `SUMMARY:${escape(`${obligation.businessName}: ${obligation.title} (${obligation.stateCode})`)}`,
+        `DESCRIPTION:${escape(details)}`
+      );
+      REMINDER_LEAD_DAYS.forEach(days => {
+        lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escape(obligation.title)}`, `TRIGGER:-P${days}D`, 'END:VALARM');
+      });
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.join('\r\n') + '\r\n';
+  }
+}
+
+// Create singleton instance
+const complianceCalendar = new ComplianceCalendar();
+
+export default complianceCalendar;
+export { complianceCalendar, ComplianceCalendar, parseFilingSchedule, REMINDER_LEAD_DAYS };
@@ -0,0 +1,218 @@
+/**
+ * Cost Estimator Module
+ * Totals the formation fee, first-year annual obligations and related
+ * filings for a state and entity type from the state knowledge files, and
+ * compares the result with the fee shown on an agency payment page
+ */
+
+import knowledgeLoader from './knowledgeLoader.js';
+import { normalizeEntityType } from './nameChecker.js';
+import i18n from './i18n.js';
+
+// Displayed and expected amounts closer than this are treated as equal
+const FEE_TOLERANCE = 0.01;
+
+/**
+ * Read a dollar amount from a knowledge value
+ * @param {number|string} value - e.g. 70, "$300", "Minimum $175 annual franchise tax"
+ * @returns {Object|null} {amount, minimum, text}
+ */
+function parseFee(value) {
+  if (typeof value === 'number') {
+    return { amount: value, minimum: false, text: `$${value}` };
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.match(/\$\s?([\d,]+(?:\.\d{2})?)/);
+  if (!match) return null;
+
+  return {
+    amount: parseFloat(match[1].replace(/,/g, '')),
+    minimum: /\b(minimum|at least|varies|based on)\b/i.test(value),
+    text: value
+  };
+}
+
+/**
+ * Pick the amount for an entity type out of text like
+ * "$300 for corporations, $220 for LLCs"
+ * @param {string} text - Fee description
+ * @param {string} entityType - 'llc' or 'corporation'
+ * @returns {Object|null} Parsed fee
+ */
+function parseFeeForEntity(text, entityType) {
+  if (typeof text !== 'string') return null;
+
+  const parts = text.split(/[,;]/);
+  if (!entityType) {
+    return parts.length === 1 ? parseFee(text) : null;
+  }
+  const entityPattern = entityType === 'llc' ? /\bllcs?\b|limited liability/i : /corporation/i;
+  const part = parts.find(p => entityPattern.test(p));
+  if (part) return parseFee(part);
+
+  return parts.length === 1 ? parseFee(text) : null;
+}
+
+/**
+ * Turn a filing key into a display label, e.g. seller_permit -> Seller permit
+ */
+function labelFromKey(key) {
+  const text = key.replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+class CostEstimator {
+  /**
+   * Estimate filing costs
+   * @param {string} stateCode - Two-letter state code
+   * @param {string} entityType - Entity type key or display name
+   * @returns {Promise<Object>} {stateCode, entityType, formName, items, total, dueAtFiling,
+   *   minimum, unknownAmounts, notes}
+   */
+  async estimate(stateCode, entityType) {
+    const estimate = {
+      stateCode: stateCode || null,
+      entityType: null,
+      formName: null,
+      items: [],
+      total: 0,
+      dueAtFiling: null,
+      minimum: false,
+      unknownAmounts: 0,
+      notes: []
+    };
+    if (!stateCode) return estimate;
+
+    try {
+      await i18n.init();
+      const stateData = await knowledgeLoader.loadStateData(stateCode);
+      if (!stateData) return estimate;
+
+      const registration = stateData.forms?.business_registration || {};
+      const entities = registration.entity_specific || {};
+      const typeKey = entities[entityType] ? entityType : normalizeEntityType(entityType);
+      const entity = entities[typeKey] || {};
+      estimate.entityType = typeKey || entityType || null;
+      estimate.formName = entity.form_name || entity.form_number || null;
+
+      const formationFee = parseFee(entity.filing_fee);
+      estimate.items.push({
+        key: 'formation',
+        kind: 'formation',
+        label: estimate.formName ? i18n.t('costFormationFilingForm', estimate.formName) : i18n.t('costFormationFiling'),
+        amount: formationFee ? formationFee.amount : null,
+        minimum: formationFee ? formationFee.minimum : false,
+        note: formationFee ? null : i18n.t('costFeeNotListed')
+      });
+      estimate.dueAtFiling = formationFee ? formationFee.amount : null;
+
+      // First-year report/tax: the entity's annual_fee, else a filing_deadlines fee naming the entity type
+      const annualFee = parseFee(entity.annual_fee);
+      if (annualFee || entity.annual_filing) {
+        if (!/not required/i.test(entity.annual_filing || '')) {
+          estimate.items.push({
+            key: 'annual',
+            kind: 'annual',
+            label: entity.annual_filing || i18n.t('costAnnualReport'),
+            amount: annualFee ? annualFee.amount : null,
+            minimum: annualFee ? annualFee.minimum : false,
+            note: annualFee && typeof entity.annual_fee === 'string' ? entity.annual_fee : null
+          });
+        }
+      } else {
+        Object.entries(stateData.filing_deadlines || {}).forEach(([key, deadline]) => {
+          const fee = parseFeeForEntity(deadline.fee, typeKey);
+          if (!fee) return;
+          estimate.items.push({
+            key: key,
+            kind: 'annual',
+            label: deadline.description || labelFromKey(key),
+            amount: fee.amount,
+            minimum: fee.minimum,
+            note: deadline.due_date ? i18n.t('costDueDate', deadline.due_date) : null
+          });
+        });
+      }
+
+      // Related filings (business licenses, seller permits, employer accounts)
+      const addFiling = (key, filing) => {
+        if (!filing || filing.required === false) return;
+        const fee = parseFee(filing.fee || filing.cost);
+        estimate.items.push({
+          key: key,
+          kind: 'additional',
+          label: labelFromKey(key),
+          amount: fee ? fee.amount : null,
+          minimum: fee ? fee.minimum : false,
+          conditional: filing.required === 'Conditional',
+          authority: filing.authority || null,
+          note: filing.description || null
+        });
+      };
+      Object.entries(stateData.additional_filings || {}).forEach(([key, filing]) => {
+        if (filing && filing.required === undefined && typeof filing === 'object') {
+          // Grouped filings, e.g. employer_requirements: {ein: {...}, edd: {...}}
+          Object.entries(filing).forEach(([subKey, subFiling]) => addFiling(subKey, subFiling));
+        } else {
+          addFiling(key, filing);
+        }
+      });
+
+      if (/expedit/i.test(entity.processing_time || '')) {
+        estimate.notes.push(entity.processing_time);
+      }
+
+      // Conditional filings are listed but only counted when required
+      estimate.items.forEach(item => {
+        if (item.amount === null) {
+          if (!item.conditional) estimate.unknownAmounts++;
+          return;
+        }
+        if (item.conditional) return;
+        estimate.total += item.amount;
+        estimate.minimum = estimate.minimum || item.minimum;
+      });
+    } catch (error) {
+      console.error('[BRA-CostEstimator] Error estimating costs:', error);
+    }
+
+    return estimate;
+  }
+
+  /**
+   * Compare the fee shown on a payment page with the estimate; the message
+   * is worded in the language estimate() loaded
+   * @param {Object} estimate - From estimate()
+   * @param {Object} displayedFee - {amount, label} detected on the page
+   * @returns {Object} {status: 'match'|'mismatch'|'unknown', displayed, expected, difference, message}
+   */
+  compareWithDisplayedFee(estimate, displayedFee) {
+    const displayed = displayedFee && typeof displayedFee.amount === 'number' ? displayedFee.amount : null;
+    const expected = estimate ? estimate.dueAtFiling : null;
+
+    if (displayed === null || expected === null) {
+      return { status: 'unknown', displayed, expected, difference: null, message: '' };
+    }
+
+    // A page may charge the formation fee alone or the whole first-year amount
+    const candidates = [expected, estimate.total].filter(amount => typeof amount === 'number');
+    if (candidates.some(amount => Math.abs(amount - displayed) < FEE_TOLERANCE)) {
+      return { status: 'match', displayed, expected, difference: 0, message: i18n.t('costFeeMatches', `$${displayed.toFixed(2)}`) };
+    }
+
+    const difference = Math.round((displayed - expected) * 100) / 100;
+    const amounts = [`$${displayed.toFixed(2)}`, estimate.stateCode, `$${expected.toFixed(2)}`];
+    // Expedited service is the likely cause when the page asks for more
+    const message = difference > 0 && estimate.notes.length > 0
+      ? i18n.t('costFeeMismatchExpedited', amounts)
+      : i18n.t('costFeeMismatch', amounts);
+    return { status: 'mismatch', displayed, expected, difference, message };
+  }
+}
+
+// Create singleton instance
+const costEstimator = new CostEstimator();
+
+export default costEstimator;
+export { costEstimator, CostEstimator, parseFee };
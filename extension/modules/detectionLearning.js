@@ -0,0 +1,232 @@
+/**
+ * Detection Learning Module
+ * Learns from detections the user confirmed or rejected. Records are kept
+ * per URL pattern and form type; each one counts less as it ages, and the
+ * weighted balance of "this is a business form" and "this is not" answers
+ * raises or lowers the confidence score of later detections on matching pages.
+ */
+
+const PRIOR_DETECTIONS_KEY = 'BRA_PriorDetections';
+
+// Most recent feedback records kept
+const MAX_RECORDS = 200;
+
+// A record's weight halves every HALF_LIFE_DAYS and it is dropped after MAX_AGE_DAYS
+const HALF_LIFE_DAYS = 30;
+const MAX_AGE_DAYS = 180;
+
+// Largest number of confidence points feedback can add or remove
+const MAX_ADJUSTMENT = 15;
+
+// Weighted confirmations needed before feedback alone marks a page as a business form
+const ADAPTIVE_MIN_WEIGHT = 2.5;
+
+const DAY_MS = 86400000;
+
+/**
+ * URL pattern used to match feedback: hostname plus first path segment
+ * @param {string} url - Page URL
+ * @returns {string} Pattern, e.g. "mytax.dc.gov/_"
+ */
+function extractUrlPattern(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.hostname + urlObj.pathname.split('/').slice(0, 2).join('/');
+  } catch (e) {
+    return String(url || '').split('/').slice(0, 3).join('/');
+  }
+}
+
+/**
+ * Weight of a record given its age
+ * @param {Object} record - Feedback record
+ * @param {number} now - Current time in ms
+ * @returns {number} 1 for new records, halving every HALF_LIFE_DAYS
+ */
+function recordWeight(record, now) {
+  const ageDays = Math.max(0, (now - Date.parse(record.timestamp)) / DAY_MS);
+  return Number.isFinite(ageDays) ? Math.pow(0.5, ageDays / HALF_LIFE_DAYS) : 0;
+}
+
+/**
+ * Whether a record says the page is a business form. Older records only
+ * have userConfirmed, which was only asked for pages detected as forms.
+ * @param {Object} record - Feedback record
+ * @returns {boolean} True if the page is a business form
+ */
+function isBusinessFormRecord(record) {
+  return typeof record.isBusinessForm === 'boolean' ? record.isBusinessForm : !!record.userConfirmed;
+}
+
+/**
+ * Combine records into a confidence adjustment
+ * @param {Array} records - Feedback records for one page pattern
+ * @param {number} now - Current time in ms
+ * @returns {Object} {confirmed, rejected, confirmedWeight, rejectedWeight, adjustment, adaptiveConfidence}
+ *   where confirmed/rejected count answers that the page is/is not a business form
+ */
+function summarizeRecords(records, now) {
+  let confirmedWeight = 0;
+  let rejectedWeight = 0;
+  let confirmed = 0;
+  let rejected = 0;
+
+  records.forEach(record => {
+    const weight = recordWeight(record, now);
+    if (isBusinessFormRecord(record)) {
+      confirmed++;
+      confirmedWeight += weight;
+    } else {
+      rejected++;
+      rejectedWeight += weight;
+    }
+  });
+
+  // The +1 keeps a single answer from swinging the score all the way
+  const balance = (confirmedWeight - rejectedWeight) / (confirmedWeight + rejectedWeight + 1);
+  const adjustment = Math.round(balance * MAX_ADJUSTMENT);
+
+  return {
+    confirmed,
+    rejected,
+    confirmedWeight: Math.round(confirmedWeight * 100) / 100,
+    rejectedWeight: Math.round(rejectedWeight * 100) / 100,
+    // Math.round can return -0
+    adjustment: adjustment || 0,
+    adaptiveConfidence: confirmedWeight >= ADAPTIVE_MIN_WEIGHT &&
+      confirmedWeight / (confirmedWeight + rejectedWeight) > 0.8
+  };
+}
+
+class DetectionLearning {
+  /**
+   * Read feedback records, dropping expired ones
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Array>} Records, oldest first
+   */
+  async getRecords(now = Date.now()) {
+    try {
+      const stored = await chrome.storage.local.get(PRIOR_DETECTIONS_KEY);
+      const records = Array.isArray(stored[PRIOR_DETECTIONS_KEY]) ? stored[PRIOR_DETECTIONS_KEY] : [];
+      return records.filter(record => now - Date.parse(record.timestamp) < MAX_AGE_DAYS * DAY_MS);
+    } catch (error) {
+      console.error('[BRA-DetectionLearning] Error reading feedback:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save feedback records, keeping the most recent MAX_RECORDS
+   * @param {Array} records - Records to save
+   * @private
+   */
+  async _save(records) {
+    await chrome.storage.local.set({ [PRIOR_DETECTIONS_KEY]: records.slice(-MAX_RECORDS) });
+  }
+
+  /**
+   * Record whether a detection was correct
+   * @param {Object} detection - Detection result from content.js
+   * @param {Object} feedback - {isCorrect, isBusinessForm?, feedback?}; isBusinessForm
+   *   defaults to the detection's verdict flipped when it was wrong
+   * @returns {Promise<Object>} The saved record
+   */
+  async record(detection, feedback) {
+    const isCorrect = !!feedback.isCorrect;
+    const detected = !!detection.isBusinessRegistrationForm;
+    const record = {
+      urlPattern: detection.urlPattern || extractUrlPattern(detection.url),
+      urlRoot: detection.urlRoot || '',
+      state: detection.state || null,
+      formType: detection.formType || null,
+      confidenceScore: detection.confidenceScore,
+      userConfirmed: isCorrect,
+      isBusinessForm: typeof feedback.isBusinessForm === 'boolean' ? feedback.isBusinessForm : isCorrect === detected,
+      userFeedback: feedback.feedback || '',
+      timestamp: new Date().toISOString()
+    };
+
+    const records = await this.getRecords();
+    records.push(record);
+    await this._save(records);
+    return record;
+  }
+
+  /**
+   * Add records kept elsewhere (e.g. the page localStorage used by older versions)
+   * @param {Array} imported - Records in the same shape as record()
+   * @returns {Promise<number>} Number of records added
+   */
+  async importRecords(imported) {
+    const valid = (imported || []).filter(record => record && record.urlPattern && record.timestamp);
+    if (valid.length === 0) return 0;
+
+    const records = await this.getRecords();
+    records.push(...valid);
+    records.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    await this._save(records);
+    return valid.length;
+  }
+
+  /**
+   * Confidence adjustment learned for a page
+   * @param {string} urlPattern - From extractUrlPattern()
+   * @param {string|null} formType - Limit to this form type; null uses every record for the pattern
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object>} See summarizeRecords()
+   */
+  async getAdjustment(urlPattern, formType = null, now = Date.now()) {
+    const records = (await this.getRecords(now)).filter(record =>
+      record.urlPattern === urlPattern && (!formType || record.formType === formType)
+    );
+    return summarizeRecords(records, now);
+  }
+
+  /**
+   * Everything learned, grouped by URL pattern and form type (for the panel)
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Array>} [{urlPattern, formType, state, lastFeedback, ...summarizeRecords()}] newest first
+   */
+  async getSummary(now = Date.now()) {
+    const groups = new Map();
+    (await this.getRecords(now)).forEach(record => {
+      const key = `${record.urlPattern}|${record.formType || ''}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    });
+
+    return Array.from(groups.values())
+      .map(records => {
+        const latest = records[records.length - 1];
+        return {
+          urlPattern: latest.urlPattern,
+          formType: latest.formType || null,
+          state: latest.state || null,
+          lastFeedback: latest.timestamp,
+          ...summarizeRecords(records, now)
+        };
+      })
+      .sort((a, b) => b.lastFeedback.localeCompare(a.lastFeedback));
+  }
+
+  /**
+   * Forget feedback
+   * @param {string|null} urlPattern - Pattern to forget; null forgets everything
+   * @param {string|null} formType - Limit to this form type
+   * @returns {Promise<number>} Number of records removed
+   */
+  async reset(urlPattern = null, formType = null) {
+    const records = await this.getRecords();
+    const kept = urlPattern
+      ? records.filter(record => record.urlPattern !== urlPattern || (formType && (record.formType || null) !== formType))
+      : [];
+    await this._save(kept);
+    return records.length - kept.length;
+  }
+}
+
+// Create singleton instance
+const detectionLearning = new DetectionLearning();
+
+export default detectionLearning;
+export { detectionLearning, DetectionLearning, PRIOR_DETECTIONS_KEY, MAX_ADJUSTMENT, extractUrlPattern };
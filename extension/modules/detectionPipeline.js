@@ -0,0 +1,694 @@
+/**
+ * Detection Pipeline Module
+ * Runs page detection as four stages - URL analysis, field extraction,
+ * classification and section detection - each backed by named strategies
+ * registered here. The active strategies per stage come from configuration,
+ * so detection approaches can be combined or switched without forking the
+ * content script.
+ */
+
+import URLDetector from './urlDetector.js';
+import FieldDetector from './fieldDetector.js';
+
+// Storage key for the per-stage strategy configuration
+const CONFIG_KEY = 'BRA_DetectionStrategies';
+
+const STAGES = ['url', 'fields', 'classify', 'sections'];
+
+// Strategies run per stage, in order, when nothing is configured
+const DEFAULT_CONFIG = {
+  url: ['urlDetector', 'pageContent'],
+  fields: ['fieldDetector'],
+  classify: ['knowledgePatterns', 'autocomplete'],
+  sections: ['layout', 'documentOrder']
+};
+
+// FieldDetector sections inferred without a visible heading
+const INFERRED_SECTION_TYPES = ['form', 'cluster', 'default'];
+
+// HTML autocomplete tokens and the classification categories they imply
+const AUTOCOMPLETE_CATEGORIES = {
+  'organization': { category: 'business_name', confidence: 85 },
+  'email': { category: 'email', confidence: 95 },
+  'tel': { category: 'phone', confidence: 95 },
+  'tel-national': { category: 'phone', confidence: 95 },
+  'street-address': { category: 'address', confidence: 90 },
+  'address-line1': { category: 'address', confidence: 90 },
+  'address-level2': { category: 'city', confidence: 90 },
+  'address-level1': { category: 'state', confidence: 90 },
+  'postal-code': { category: 'zip', confidence: 95 },
+  'given-name': { category: 'first_name', confidence: 90 },
+  'family-name': { category: 'last_name', confidence: 90 },
+  'name': { category: 'name', confidence: 85 },
+  'bday': { category: 'date', confidence: 85 }
+};
+
+// Weighted name/label patterns and keywords per category, from the
+// self-healing content script's AutonomousFieldDetector
+const KEYWORD_CATEGORIES = {
+  business_name: {
+    patterns: [/business.*name/, /company.*name/, /entity.*name/, /\bdba\b/, /trade.*name/],
+    keywords: ['business', 'company', 'entity', 'corporation', 'llc', 'inc'],
+    priority: 10
+  },
+  email: {
+    patterns: [/e-?mail/, /mail.*address/],
+    keywords: ['email', 'mail', 'contact'],
+    inputType: 'email',
+    priority: 8
+  },
+  phone: {
+    patterns: [/phone/, /\btel/, /mobile/, /\bcell/, /\bfax/],
+    keywords: ['phone', 'telephone', 'mobile', 'contact', 'fax'],
+    inputType: 'tel',
+    priority: 7
+  },
+  address: {
+    patterns: [/address/, /street/],
+    keywords: ['address', 'street', 'avenue', 'suite'],
+    priority: 6
+  },
+  ein: {
+    patterns: [/\bf?ein\b/, /federal.*tax/, /employer.*id/, /tax.*id/],
+    keywords: ['ein', 'federal', 'tax', 'employer', 'identification'],
+    priority: 9
+  },
+  entity_type: {
+    patterns: [/entity.*type/, /business.*type/, /organization.*type/, /formation.*type/],
+    keywords: ['llc', 'corporation', 'partnership', 'sole', 'proprietor', 'nonprofit'],
+    priority: 9
+  },
+  registered_agent: {
+    patterns: [/registered.*agent/, /statutory.*agent/, /resident.*agent/],
+    keywords: ['agent', 'registered', 'statutory', 'resident'],
+    priority: 7
+  }
+};
+
+// Containers the containers strategy treats as sections when they have a title
+const SECTION_CONTAINER_SELECTOR = 'fieldset, .form-section, .form-group, section[role="group"]';
+const SECTION_TITLE_SELECTOR = 'legend, h2, h3, h4';
+
+// State names used when the URL does not identify the state
+const STATE_NAMES = {
+  'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR',
+  'california': 'CA', 'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE',
+  'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI', 'idaho': 'ID',
+  'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA', 'kansas': 'KS',
+  'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME', 'maryland': 'MD',
+  'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN', 'mississippi': 'MS',
+  'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV',
+  'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+  'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH', 'oklahoma': 'OK',
+  'oregon': 'OR', 'pennsylvania': 'PA', 'rhode island': 'RI', 'south carolina': 'SC',
+  'south dakota': 'SD', 'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT',
+  'vermont': 'VT', 'virginia': 'VA', 'washington': 'WA', 'west virginia': 'WV',
+  'wisconsin': 'WI', 'wyoming': 'WY', 'district of columbia': 'DC'
+};
+
+const BUSINESS_PHRASES = ['business registration', 'register a business', 'secretary of state', 'department of state'];
+
+// Elements treated as section headings when walking the document in order
+const SECTION_HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, legend, [role="heading"]';
+const SECTION_CLASS_PATTERN = /(section|panel|form)[-_]?(title|header|heading)/i;
+
+/**
+ * Identify the state from page headings and business registration phrases
+ * @param {Document} doc - Page document
+ * @returns {string|null} Two-letter state code
+ */
+function identifyStateFromContent(doc) {
+  const pageText = doc.body ? doc.body.textContent.toLowerCase() : '';
+  if (!pageText) return null;
+
+  // Headings are the most reliable place for the state name
+  for (const heading of doc.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+    const headingText = heading.textContent.toLowerCase();
+    for (const [stateName, stateCode] of Object.entries(STATE_NAMES)) {
+      if (headingText.includes(stateName) || headingText.includes(` ${stateCode.toLowerCase()} `)) {
+        return stateCode;
+      }
+    }
+  }
+
+  for (const [stateName, stateCode] of Object.entries(STATE_NAMES)) {
+    const nearPhrase = BUSINESS_PHRASES.some(phrase =>
+      pageText.includes(`${stateName} ${phrase}`) || pageText.includes(`${phrase} ${stateName}`)
+    );
+    if (nearPhrase || pageText.includes(`state of ${stateName}`)) {
+      return stateCode;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The element in the top-level document that stands in for a field
+ * rendered inside a shadow root or same-origin frame
+ * @param {Element} element - Field element
+ * @param {Document} doc - Top-level document
+ * @returns {Element} Element comparable with nodes of doc
+ */
+function getDocumentAnchor(element, doc) {
+  let anchor = element;
+  while (anchor) {
+    const root = anchor.getRootNode();
+    if (root && root.host) {
+      anchor = root.host;
+    } else if (anchor.ownerDocument !== doc && anchor.ownerDocument?.defaultView?.frameElement) {
+      anchor = anchor.ownerDocument.defaultView.frameElement;
+    } else {
+      break;
+    }
+  }
+  return anchor || element;
+}
+
+/**
+ * Score a field against KEYWORD_CATEGORIES: a pattern match is worth 40,
+ * each keyword 15 and a matching input type 50, plus the category priority.
+ * Fields that match nothing stay unclassified.
+ * @param {Object} field - Detected field
+ * @returns {Object|null} {category, confidence}
+ */
+function scoreFieldKeywords(field) {
+  const text = [
+    field.label?.text || field.label || '',
+    field.name || '',
+    field.id || '',
+    (field.classes || []).join(' '),
+    field.placeholder || ''
+  ].join(' ').toLowerCase();
+
+  let best = null;
+  Object.entries(KEYWORD_CATEGORIES).forEach(([category, config]) => {
+    let score = 0;
+    if (config.patterns.some(pattern => pattern.test(text))) score += 40;
+    config.keywords.forEach(keyword => {
+      if (text.includes(keyword)) score += 15;
+    });
+    if (config.inputType && (field.originalType || field.type) === config.inputType) score += 50;
+    if (score === 0) return;
+
+    const confidence = Math.min(score + config.priority, 100);
+    if (!best || confidence > best.confidence) {
+      best = { category, confidence };
+    }
+  });
+  return best;
+}
+
+function compareDocumentOrder(a, b) {
+  if (a === b) return 0;
+  // Node.DOCUMENT_POSITION_FOLLOWING
+  return a.compareDocumentPosition(b) & 4 ? -1 : 1;
+}
+
+// Built-in strategies; see registerStrategy for the contract of each stage
+const BUILT_IN_STRATEGIES = {
+  url: {
+    urlDetector: {
+      description: 'Government domain, business terms and state patterns in the URL',
+      async analyze({ url }) {
+        const analysis = await URLDetector.analyzeUrl(url);
+        return { ...analysis, state: URLDetector.identifyStateFromUrl(url) || analysis.state || null };
+      }
+    },
+    pageContent: {
+      description: 'State named in page headings or registration phrases',
+      async analyze({ document }) {
+        return { state: identifyStateFromContent(document) };
+      }
+    }
+  },
+
+  fields: {
+    fieldDetector: {
+      description: 'Knowledge-based field extraction (shadow roots and same-origin frames included)',
+      async extract({ document, state, detectorOptions }) {
+        const detector = new FieldDetector(document, { ...detectorOptions, state: state });
+        const fields = await detector.detectFields();
+        return { detector, fields };
+      }
+    },
+    visibleControls: {
+      description: 'Rendered controls the other field strategies passed over, such as inputs hidden behind custom styling',
+      async extract({ detector, fields }) {
+        if (!detector) return null;
+        const known = new Set(fields.flatMap(field => [field.element, ...(field.elements || [])]));
+        return { fields: detector.detectRenderedFields(known) };
+      }
+    }
+  },
+
+  classify: {
+    knowledgePatterns: {
+      description: 'Classification from the knowledge base patterns (FieldDetector)',
+      classify(field) {
+        return field.classification || null;
+      }
+    },
+    autocomplete: {
+      description: 'Category implied by the HTML autocomplete attribute',
+      classify(field) {
+        const tokens = String(field.autocomplete || '').toLowerCase().trim().split(/\s+/);
+        // The field name is the last token ("section-x shipping postal-code")
+        const match = AUTOCOMPLETE_CATEGORIES[tokens[tokens.length - 1]];
+        return match ? { ...match } : null;
+      }
+    },
+    keywordScore: {
+      description: 'Weighted patterns and keywords in the label, name, id and placeholder',
+      classify(field) {
+        return scoreFieldKeywords(field);
+      }
+    }
+  },
+
+  sections: {
+    layout: {
+      description: 'Sections FieldDetector found from headings, legends and styled titles',
+      assign({ fields }) {
+        const assignments = new Map();
+        fields.forEach(field => {
+          if (field.section && !INFERRED_SECTION_TYPES.includes(field.section.type)) {
+            assignments.set(field, field.section);
+          }
+        });
+        return assignments;
+      }
+    },
+    documentOrder: {
+      description: 'Nearest preceding heading or legend in document order',
+      assign({ document, fields }) {
+        const anchors = new Map(fields.map(field => [field, getDocumentAnchor(field.element, document)]));
+        const headings = Array.from(document.querySelectorAll(`${SECTION_HEADING_SELECTOR}, [class]`))
+          .filter(element => element.matches(SECTION_HEADING_SELECTOR) || SECTION_CLASS_PATTERN.test(element.getAttribute('class')))
+          // Containers styled as headers hold the fields themselves
+          .filter(element => element.textContent.trim() && !element.querySelector('input, select, textarea'));
+
+        const entries = [
+          ...headings.map(element => ({ heading: element })),
+          ...fields.filter(field => anchors.get(field)).map(field => ({ field }))
+        ].sort((a, b) => compareDocumentOrder(a.heading || anchors.get(a.field), b.heading || anchors.get(b.field)));
+
+        const assignments = new Map();
+        const sections = new Map();
+        let current = null;
+        entries.forEach(entry => {
+          if (entry.heading) {
+            current = entry.heading;
+            return;
+          }
+          // A field inside a heading (e.g. a checkbox in a legend) is not sectioned by it
+          if (!current || current.contains(anchors.get(entry.field))) return;
+
+          if (!sections.has(current)) {
+            sections.set(current, {
+              name: current.textContent.replace(/\s+/g, ' ').trim(),
+              element: current,
+              container: current.closest('fieldset, section, form') || current.parentElement,
+              type: 'document_order',
+              index: sections.size,
+              position: { top: 0, bottom: Number.MAX_SAFE_INTEGER }
+            });
+          }
+          assignments.set(entry.field, sections.get(current));
+        });
+        return assignments;
+      }
+    },
+    containers: {
+      description: 'Innermost fieldset or form-section/form-group container with a legend or heading',
+      assign({ fields }) {
+        const assignments = new Map();
+        const sections = new Map();
+        fields.forEach(field => {
+          let container = field.element?.closest(SECTION_CONTAINER_SELECTOR);
+          let title = container?.querySelector(SECTION_TITLE_SELECTOR);
+          while (container && !title?.textContent.trim()) {
+            container = container.parentElement?.closest(SECTION_CONTAINER_SELECTOR);
+            title = container?.querySelector(SECTION_TITLE_SELECTOR);
+          }
+          if (!container) return;
+
+          if (!sections.has(container)) {
+            sections.set(container, {
+              name: title.textContent.replace(/\s+/g, ' ').replace(/[:*]/g, '').trim(),
+              element: title,
+              container: container,
+              type: 'container',
+              index: sections.size,
+              position: { top: 0, bottom: Number.MAX_SAFE_INTEGER }
+            });
+          }
+          assignments.set(field, sections.get(container));
+        });
+        return assignments;
+      }
+    }
+  }
+};
+
+class DetectionPipeline {
+  constructor() {
+    this.strategies = {};
+    STAGES.forEach(stage => {
+      this.strategies[stage] = new Map();
+    });
+    this.config = this._cloneConfig(DEFAULT_CONFIG);
+    this.configLoaded = false;
+
+    Object.entries(BUILT_IN_STRATEGIES).forEach(([stage, strategies]) => {
+      Object.entries(strategies).forEach(([name, strategy]) => this.registerStrategy(stage, name, strategy));
+    });
+
+    // A configuration chosen in another tab applies to the next detection here
+    try {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[CONFIG_KEY]) {
+          this.config = this._cloneConfig(changes[CONFIG_KEY].newValue);
+          this.configLoaded = true;
+        }
+      });
+    } catch (e) {
+      // No extension storage (e.g. in tests): the configuration is read on first use
+    }
+  }
+
+  /**
+   * Register a strategy for a stage. Contracts:
+   *   url:      analyze({url, document}) -> {state?, score?, reasons?, details?}
+   *   fields:   extract({document, state, detectorOptions, detector, fields}) -> {detector?, fields}
+   *             (detector and fields are what earlier strategies found)
+   *   classify: classify(field, context) -> {category, confidence} | null
+   *   sections: assign({document, fields, detector}) -> Map(field -> section)
+   * @param {string} stage - One of STAGES
+   * @param {string} name - Name used in configuration
+   * @param {Object} strategy - Strategy object with the stage's method and a description
+   * @returns {boolean} True if registered
+   */
+  registerStrategy(stage, name, strategy) {
+    const method = { url: 'analyze', fields: 'extract', classify: 'classify', sections: 'assign' }[stage];
+    if (!method) {
+      console.error('[BRA-DetectionPipeline] Unknown stage:', stage);
+      return false;
+    }
+    if (!name || !strategy || typeof strategy[method] !== 'function') {
+      console.error(`[BRA-DetectionPipeline] Strategy "${name}" for ${stage} must implement ${method}()`);
+      return false;
+    }
+
+    this.strategies[stage].set(name, strategy);
+    return true;
+  }
+
+  /**
+   * Remove a registered strategy (it is also dropped from the configuration)
+   * @returns {boolean} True if it was registered
+   */
+  unregisterStrategy(stage, name) {
+    if (!this.strategies[stage]?.delete(name)) {
+      return false;
+    }
+    this.config[stage] = (this.config[stage] || []).filter(configured => configured !== name);
+    return true;
+  }
+
+  /**
+   * Describe every registered strategy and whether it is active; active
+   * strategies come first, in run order
+   * @returns {Object} {stage: [{name, description, enabled}]}
+   */
+  listStrategies() {
+    const list = {};
+    STAGES.forEach(stage => {
+      const active = this.config[stage] || [];
+      const rank = name => (active.includes(name) ? active.indexOf(name) : active.length);
+      list[stage] = Array.from(this.strategies[stage].entries())
+        .map(([name, strategy]) => ({
+          name: name,
+          description: strategy.description || '',
+          enabled: active.includes(name)
+        }))
+        .sort((a, b) => rank(a.name) - rank(b.name));
+    });
+    return list;
+  }
+
+  _cloneConfig(config) {
+    const clone = {};
+    STAGES.forEach(stage => {
+      clone[stage] = Array.isArray(config?.[stage]) ? [...config[stage]] : [...DEFAULT_CONFIG[stage]];
+    });
+    return clone;
+  }
+
+  /**
+   * Read the stored strategy configuration (defaults for missing stages)
+   * @returns {Promise<Object>} Active configuration
+   */
+  async loadConfig() {
+    try {
+      const stored = await chrome.storage.local.get([CONFIG_KEY]);
+      this.config = this._cloneConfig(stored[CONFIG_KEY]);
+    } catch (error) {
+      console.error('[BRA-DetectionPipeline] Error loading strategy configuration:', error);
+      this.config = this._cloneConfig(DEFAULT_CONFIG);
+    }
+    this.configLoaded = true;
+    return this.config;
+  }
+
+  /**
+   * Choose the strategies for one or more stages and persist the choice
+   * @param {Object} config - {stage: [strategy names in run order]}
+   * @returns {Promise<Object>} {success, config?, error?}
+   */
+  async setConfig(config) {
+    const next = this._cloneConfig({ ...this.config, ...config });
+
+    for (const stage of STAGES) {
+      const unknown = next[stage].filter(name => !this.strategies[stage].has(name));
+      if (unknown.length > 0) {
+        return { success: false, error: `Unknown ${stage} strategies: ${unknown.join(', ')}` };
+      }
+    }
+    if (next.fields.length === 0) {
+      return { success: false, error: 'At least one fields strategy is required' };
+    }
+
+    this.config = next;
+    this.configLoaded = true;
+    try {
+      await chrome.storage.local.set({ [CONFIG_KEY]: next });
+    } catch (error) {
+      console.error('[BRA-DetectionPipeline] Error saving strategy configuration:', error);
+    }
+    return { success: true, config: this.config };
+  }
+
+  /**
+   * Restore the default strategies
+   */
+  async resetConfig() {
+    return this.setConfig(this._cloneConfig(DEFAULT_CONFIG));
+  }
+
+  /**
+   * Active strategies for a stage, in run order
+   * @private
+   */
+  _activeStrategies(stage) {
+    return (this.config[stage] || [])
+      .filter(name => this.strategies[stage].has(name))
+      .map(name => ({ name, strategy: this.strategies[stage].get(name) }));
+  }
+
+  async _ensureConfig() {
+    if (!this.configLoaded) {
+      await this.loadConfig();
+    }
+  }
+
+  /**
+   * URL stage: the first strategy's analysis is the base and later strategies
+   * fill values it left empty. The state is the first one any strategy found;
+   * analysis.state stays what the base strategy reported.
+   * @param {string} url - Page URL
+   * @param {Document} doc - Page document
+   * @returns {Promise<Object>} {analysis, state, stateSource, strategies}
+   */
+  async analyzeUrl(url, doc = document) {
+    await this._ensureConfig();
+
+    let analysis = null;
+    let state = null;
+    let stateSource = null;
+    const used = [];
+    for (const { name, strategy } of this._activeStrategies('url')) {
+      try {
+        const result = await strategy.analyze({ url, document: doc });
+        if (!result) continue;
+        used.push(name);
+        if (!state && result.state) {
+          state = result.state;
+          stateSource = name;
+        }
+        const { state: _state, ...rest } = result;
+        analysis = analysis ? this._fillMissing(analysis, rest) : { ...result };
+      } catch (error) {
+        console.error(`[BRA-DetectionPipeline] URL strategy "${name}" failed:`, error);
+      }
+    }
+
+    analysis = analysis || { score: 0, reasons: [], details: {}, state: null };
+    return { analysis, state, stateSource, strategies: used };
+  }
+
+  _fillMissing(target, source) {
+    const merged = { ...target };
+    Object.entries(source).forEach(([key, value]) => {
+      if ((merged[key] === undefined || merged[key] === null) && value !== undefined) {
+        merged[key] = value;
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Fields, classify and sections stages
+   * @param {Document} doc - Page document
+   * @param {Object} options - {state, detectorOptions}
+   * @returns {Promise<Object>} {detector, fields, uiData, strategies}
+   */
+  async detectFields(doc = document, options = {}) {
+    await this._ensureConfig();
+
+    const context = { document: doc, state: options.state || null, detectorOptions: options.detectorOptions || {} };
+    const used = { fields: [], classify: [], sections: [] };
+    let detector = null;
+    let fields = [];
+
+    // Fields: later strategies only add elements earlier ones missed
+    for (const { name, strategy } of this._activeStrategies('fields')) {
+      try {
+        const result = await strategy.extract({ ...context, detector, fields });
+        if (!result) continue;
+        used.fields.push(name);
+        detector = detector || result.detector || null;
+        const known = new Set(fields.map(field => field.element));
+        (result.fields || []).forEach(field => {
+          if (!known.has(field.element)) {
+            fields.push(field);
+          }
+        });
+      } catch (error) {
+        console.error(`[BRA-DetectionPipeline] Fields strategy "${name}" failed:`, error);
+      }
+    }
+
+    this._classifyFields(fields, context, used.classify);
+    this._assignSections(fields, { ...context, detector }, used.sections);
+
+    if (detector) {
+      detector.fields = fields;
+      detector.sections = this._collectSections(fields);
+      detector.refreshClassificationSummary();
+    }
+
+    console.log('[BRA-DetectionPipeline] Detected', fields.length, 'fields using', used);
+
+    return {
+      detector,
+      fields,
+      uiData: detector ? detector.getUIData() : null,
+      strategies: used
+    };
+  }
+
+  /**
+   * Every active classifier scores each field; the most confident result
+   * wins and earlier strategies win ties
+   * @private
+   */
+  _classifyFields(fields, context, used) {
+    const classifiers = this._activeStrategies('classify');
+    fields.forEach(field => {
+      let best = null;
+      classifiers.forEach(({ name, strategy }) => {
+        try {
+          const result = strategy.classify(field, context);
+          if (result && result.category && (!best || (result.confidence || 0) > (best.confidence || 0))) {
+            best = { ...result, strategy: name };
+          }
+        } catch (error) {
+          console.error(`[BRA-DetectionPipeline] Classify strategy "${name}" failed:`, error);
+        }
+      });
+
+      if (best) {
+        if (!used.includes(best.strategy)) used.push(best.strategy);
+        field.classification = best;
+      }
+    });
+  }
+
+  /**
+   * Section strategies run in order; each one only assigns fields that are
+   * still unassigned. Fields no strategy claims keep FieldDetector's section.
+   * @private
+   */
+  _assignSections(fields, context, used) {
+    const assigned = new Set();
+    for (const { name, strategy } of this._activeStrategies('sections')) {
+      const remaining = fields.filter(field => !assigned.has(field));
+      if (remaining.length === 0) break;
+
+      try {
+        const assignments = strategy.assign({ ...context, fields: remaining });
+        if (!assignments || assignments.size === 0) continue;
+        used.push(name);
+        assignments.forEach((section, field) => {
+          if (section && !assigned.has(field)) {
+            field.section = section;
+            assigned.add(field);
+          }
+        });
+      } catch (error) {
+        console.error(`[BRA-DetectionPipeline] Sections strategy "${name}" failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Sections in use, indexed by where their first field appears in the
+   * document; fields are regrouped by section and keep their order within it
+   * @private
+   */
+  _collectSections(fields) {
+    const firstIndex = new Map();
+    fields.forEach(field => {
+      const domIndex = field.position?.domIndex ?? 0;
+      if (field.section && (!firstIndex.has(field.section) || domIndex < firstIndex.get(field.section))) {
+        firstIndex.set(field.section, domIndex);
+      }
+    });
+
+    const sections = Array.from(firstIndex.keys()).sort((a, b) => firstIndex.get(a) - firstIndex.get(b));
+    sections.forEach((section, index) => {
+      section.index = index;
+    });
+
+    // Array.prototype.sort is stable, so the detector's visual order survives within a section
+    fields.sort((a, b) => (a.section?.index ?? sections.length) - (b.section?.index ?? sections.length));
+    return sections;
+  }
+}
+
+// Create singleton instance
+const detectionPipeline = new DetectionPipeline();
+
+export default detectionPipeline;
+export { detectionPipeline, DetectionPipeline, STAGES, DEFAULT_CONFIG, identifyStateFromContent };
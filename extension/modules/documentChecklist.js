@@ -0,0 +1,196 @@
+/**
+ * Document Checklist Module
+ * Builds the checklist for a state form from its forms.json entry: the
+ * documents to prepare (entity_specific.<type>.required_docs) and the data
+ * points the form asks for (required_fields). Ticks are saved per business
+ * so each business keeps its own progress.
+ */
+
+// Storage key of the ticked checklist items
+const CHECKLIST_KEY = 'BRA_DocumentChecklists';
+
+// Ticks of users with no business profile
+const NO_BUSINESS_ID = 'none';
+
+// Entity types that file the same documents as another type
+const ENTITY_TYPE_FALLBACKS = {
+  s_corporation: 'corporation'
+};
+
+// Words written in capitals in data point labels
+const ACRONYMS = ['ein', 'ssn', 'itin', 'naics', 'dba', 'llc', 'id'];
+
+/**
+ * Readable label of a required field key
+ * @param {string} key - e.g. "ein_or_ssn"
+ * @returns {string} e.g. "EIN or SSN"
+ */
+function formatRequirement(key) {
+  const words = String(key || '').split(/[_\s]+/).filter(Boolean)
+    .map(word => (ACRONYMS.includes(word.toLowerCase()) ? word.toUpperCase() : word.toLowerCase()));
+  const text = words.join(' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Stable id of a checklist item
+ * @param {string} kind - "doc" or "field"
+ * @param {string} text - Document name or field key
+ * @returns {string} e.g. "doc:operating_agreement"
+ */
+function itemId(kind, text) {
+  return `${kind}:${String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')}`;
+}
+
+class DocumentChecklist {
+  /**
+   * Which of a state's forms a page is: its identifiers.urls first, then
+   * the page's form type (formations are the forms with entity_specific)
+   * @param {Object} stateData - From knowledgeLoader.loadStateData()
+   * @param {Object} page - {url, formType} from the detection result
+   * @returns {string|null} Key in stateData.forms
+   */
+  findForm(stateData, page = {}) {
+    const forms = stateData?.forms || {};
+    const url = String(page.url || '').toLowerCase();
+
+    const byUrl = Object.entries(forms).find(([, form]) =>
+      (form.identifiers?.urls || []).some(pattern => pattern && url.includes(String(pattern).toLowerCase())));
+    if (byUrl) return byUrl[0];
+
+    if (page.formType === 'entity_formation') {
+      const formation = Object.entries(forms).find(([, form]) => form.entity_specific);
+      if (formation) return formation[0];
+    }
+    if (page.formType && forms[page.formType]) {
+      return page.formType;
+    }
+    return null;
+  }
+
+  /**
+   * Entity types a form has specific requirements for
+   * @param {Object} form - Entry of stateData.forms
+   * @returns {Array<string>} entity_specific keys
+   */
+  getEntityTypes(form) {
+    return Object.keys(form?.entity_specific || {});
+  }
+
+  /**
+   * Entity type whose requirements apply
+   * @param {Object} form - Entry of stateData.forms
+   * @param {string} entityType - Chosen entity type
+   * @returns {string|null} entity_specific key, or null if the form has none for it
+   */
+  resolveEntityType(form, entityType) {
+    const types = this.getEntityTypes(form);
+    if (types.includes(entityType)) return entityType;
+    const fallback = ENTITY_TYPE_FALLBACKS[entityType];
+    return types.includes(fallback) ? fallback : null;
+  }
+
+  /**
+   * Checklist of a form for an entity type
+   * @param {Object} stateData - From knowledgeLoader.loadStateData()
+   * @param {string} formKey - Key in stateData.forms
+   * @param {string} entityType - Chosen entity type
+   * @returns {Object|null} {id, formName, formNumber, entityType, documents, dataPoints};
+   *   documents and dataPoints are [{id, label}]
+   */
+  build(stateData, formKey, entityType = null) {
+    const form = stateData?.forms?.[formKey];
+    if (!form) return null;
+
+    const resolved = this.resolveEntityType(form, entityType);
+    const specific = resolved ? form.entity_specific[resolved] : {};
+
+    const documents = (specific.required_docs || []).map(name => ({ id: itemId('doc', name), label: name }));
+    const fieldKeys = [...(form.required_fields || []), ...(specific.required_fields || [])]
+      .filter((key, index, keys) => keys.indexOf(key) === index);
+    const dataPoints = fieldKeys.map(key => ({ id: itemId('field', key), label: formatRequirement(key) }));
+
+    return {
+      id: `${String(stateData.state || '').toUpperCase()}/${formKey}`,
+      formName: specific.form_name || form.name || formKey,
+      formNumber: specific.form_number || null,
+      entityType: resolved,
+      documents,
+      dataPoints
+    };
+  }
+
+  /**
+   * Read every saved tick
+   * @returns {Promise<Object>} {businessId: {checklistId: {itemId: tickedAt}}}
+   */
+  async getAll() {
+    try {
+      const stored = await chrome.storage.local.get(CHECKLIST_KEY);
+      return stored[CHECKLIST_KEY] || {};
+    } catch (error) {
+      console.error('[BRA-DocumentChecklist] Error reading checklists:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Ticked items of a business's checklist
+   * @param {string|null} businessId - Business profile id
+   * @param {string} checklistId - From build()
+   * @returns {Promise<Object>} {itemId: tickedAt}
+   */
+  async getTicks(businessId, checklistId) {
+    const all = await this.getAll();
+    return all[businessId || NO_BUSINESS_ID]?.[checklistId] || {};
+  }
+
+  /**
+   * Tick or untick an item
+   * @param {string|null} businessId - Business profile id
+   * @param {string} checklistId - From build()
+   * @param {string} id - Item id
+   * @param {boolean} ticked - New state
+   * @returns {Promise<Object>} The checklist's ticks
+   */
+  async setTicked(businessId, checklistId, id, ticked) {
+    if (!checklistId || !id) {
+      throw new Error('A checklist and item are required');
+    }
+
+    const all = await this.getAll();
+    const business = all[businessId || NO_BUSINESS_ID] || {};
+    const ticks = business[checklistId] || {};
+    if (ticked) {
+      ticks[id] = Date.now();
+    } else {
+      delete ticks[id];
+    }
+
+    business[checklistId] = ticks;
+    all[businessId || NO_BUSINESS_ID] = business;
+    await chrome.storage.local.set({ [CHECKLIST_KEY]: all });
+    return ticks;
+  }
+
+  /**
+   * How much of a checklist is done
+   * @param {Object} checklist - From build()
+   * @param {Object} ticks - From getTicks()
+   * @returns {Object} {done, total, missingDocuments: [label]}
+   */
+  getProgress(checklist, ticks) {
+    const items = [...checklist.documents, ...checklist.dataPoints];
+    return {
+      done: items.filter(item => ticks[item.id]).length,
+      total: items.length,
+      missingDocuments: checklist.documents.filter(item => !ticks[item.id]).map(item => item.label)
+    };
+  }
+}
+
+// Create singleton instance
+const documentChecklist = new DocumentChecklist();
+
+export default documentChecklist;
+export { documentChecklist, DocumentChecklist, CHECKLIST_KEY, formatRequirement };
@@ -0,0 +1,296 @@
+/**
+ * Endeavor Store Module
+ * Persists "endeavors" (filing goals such as "Form LLC in DC") with their
+ * filings, visited form URLs, confirmation numbers and notes
+ */
+
+// Storage key
+const ENDEAVORS_KEY = 'BRA_Endeavors';
+
+// Filing status values, in workflow order
+const FILING_STATUSES = ['not_started', 'in_progress', 'submitted', 'approved', 'rejected'];
+
+// Cap on visited URLs kept per filing
+const MAX_VISITED_URLS = 50;
+
+class EndeavorStore {
+  constructor() {
+    this.endeavors = [];
+    this.loaded = false;
+  }
+
+  /**
+   * Read endeavors from extension storage
+   * @returns {Promise<Array>} The stored endeavors
+   */
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get([ENDEAVORS_KEY]);
+      this.endeavors = Array.isArray(stored[ENDEAVORS_KEY]) ? stored[ENDEAVORS_KEY] : [];
+      this.loaded = true;
+      return this.endeavors;
+    } catch (error) {
+      console.error('[BRA-EndeavorStore] Error loading endeavors:', error);
+      this.endeavors = [];
+      return this.endeavors;
+    }
+  }
+
+  /**
+   * Write endeavors to extension storage
+   * @returns {Promise<boolean>} True if saved
+   * @private
+   */
+  async _persist() {
+    try {
+      await chrome.storage.local.set({ [ENDEAVORS_KEY]: this.endeavors });
+      return true;
+    } catch (error) {
+      console.error('[BRA-EndeavorStore] Error saving endeavors:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Make sure endeavors have been read at least once
+   * @private
+   */
+  async _ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Generate a record id
+   * @param {string} prefix - Id prefix
+   * @returns {string} Unique id
+   * @private
+   */
+  _createId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Get all endeavors, most recently updated first
+   * @returns {Promise<Array>} Endeavors
+   */
+  async getEndeavors() {
+    await this._ensureLoaded();
+    return [...this.endeavors].sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+
+  /**
+   * Get a single endeavor by id
+   * @param {string} id - Endeavor id
+   * @returns {Promise<Object|null>} The endeavor or null
+   */
+  async getEndeavor(id) {
+    await this._ensureLoaded();
+    return this.endeavors.find(e => e.id === id) || null;
+  }
+
+  /**
+   * Create and save a new endeavor
+   * @param {Object} details - {name, state?, profileId?, entityType?}
+   * @returns {Promise<Object>} The new endeavor
+   */
+  async createEndeavor(details) {
+    await this._ensureLoaded();
+    const now = new Date().toISOString();
+    const endeavor = {
+      id: this._createId('endeavor'),
+      name: details.name,
+      state: details.state || '',
+      profileId: details.profileId || null,
+      entityType: details.entityType || '',
+      notes: '',
+      filings: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.endeavors.push(endeavor);
+    await this._persist();
+    return endeavor;
+  }
+
+  /**
+   * Update top-level endeavor fields
+   * @param {string} id - Endeavor id
+   * @param {Object} changes - Fields to change (name, state, notes, profileId, entityType)
+   * @returns {Promise<Object|null>} The updated endeavor or null
+   */
+  async updateEndeavor(id, changes) {
+    const endeavor = await this.getEndeavor(id);
+    if (!endeavor) {
+      console.warn('[BRA-EndeavorStore] Unknown endeavor:', id);
+      return null;
+    }
+
+    ['name', 'state', 'notes', 'profileId', 'entityType'].forEach(key => {
+      if (changes[key] !== undefined) {
+        endeavor[key] = changes[key];
+      }
+    });
+    endeavor.updatedAt = new Date().toISOString();
+
+    await this._persist();
+    return endeavor;
+  }
+
+  /**
+   * Delete an endeavor
+   * @param {string} id - Endeavor id
+   * @returns {Promise<boolean>} True if an endeavor was removed
+   */
+  async deleteEndeavor(id) {
+    await this._ensureLoaded();
+    const before = this.endeavors.length;
+    this.endeavors = this.endeavors.filter(e => e.id !== id);
+    await this._persist();
+    return this.endeavors.length < before;
+  }
+
+  /**
+   * Add a filing to an endeavor
+   * @param {string} endeavorId - Endeavor id
+   * @param {Object} details - {name, state?, formType?}
+   * @returns {Promise<Object|null>} The new filing or null
+   */
+  async addFiling(endeavorId, details) {
+    const endeavor = await this.getEndeavor(endeavorId);
+    if (!endeavor) {
+      console.warn('[BRA-EndeavorStore] Unknown endeavor:', endeavorId);
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const filing = {
+      id: this._createId('filing'),
+      name: details.name,
+      state: details.state || endeavor.state || '',
+      formType: details.formType || '',
+      status: 'not_started',
+      confirmationNumber: '',
+      notes: '',
+      visitedUrls: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    endeavor.filings.push(filing);
+    endeavor.updatedAt = now;
+    await this._persist();
+    return filing;
+  }
+
+  /**
+   * Update a filing's status, confirmation number, notes or name
+   * @param {string} endeavorId - Endeavor id
+   * @param {string} filingId - Filing id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} The updated filing or null
+   */
+  async updateFiling(endeavorId, filingId, changes) {
+    const endeavor = await this.getEndeavor(endeavorId);
+    const filing = endeavor?.filings.find(f => f.id === filingId);
+    if (!filing) {
+      console.warn('[BRA-EndeavorStore] Unknown filing:', endeavorId, filingId);
+      return null;
+    }
+
+    if (changes.status !== undefined && !FILING_STATUSES.includes(changes.status)) {
+      console.warn('[BRA-EndeavorStore] Invalid filing status:', changes.status);
+      return null;
+    }
+
+    ['name', 'status', 'confirmationNumber', 'notes'].forEach(key => {
+      if (changes[key] !== undefined) {
+        filing[key] = changes[key];
+      }
+    });
+    filing.updatedAt = new Date().toISOString();
+    endeavor.updatedAt = filing.updatedAt;
+
+    await this._persist();
+    return filing;
+  }
+
+  /**
+   * Remove a filing from an endeavor
+   * @param {string} endeavorId - Endeavor id
+   * @param {string} filingId - Filing id
+   * @returns {Promise<boolean>} True if a filing was removed
+   */
+  async deleteFiling(endeavorId, filingId) {
+    const endeavor = await this.getEndeavor(endeavorId);
+    if (!endeavor) return false;
+
+    const before = endeavor.filings.length;
+    endeavor.filings = endeavor.filings.filter(f => f.id !== filingId);
+    endeavor.updatedAt = new Date().toISOString();
+    await this._persist();
+    return endeavor.filings.length < before;
+  }
+
+  /**
+   * Attach a form detection (as produced by content.js and relayed by the
+   * background formDetected handler) to an endeavor. The detection is added
+   * to the filing with the same state and form type, creating that filing
+   * if needed.
+   * @param {string} endeavorId - Endeavor id
+   * @param {Object} detection - Detection result ({url, state, formType, confidenceScore})
+   * @param {string} pageTitle - Optional page title for the visited URL
+   * @returns {Promise<Object|null>} The filing the detection was attached to
+   */
+  async attachDetection(endeavorId, detection, pageTitle = '') {
+    const endeavor = await this.getEndeavor(endeavorId);
+    if (!endeavor || !detection || !detection.url) {
+      console.warn('[BRA-EndeavorStore] Cannot attach detection:', endeavorId, detection);
+      return null;
+    }
+
+    const state = detection.state || endeavor.state || '';
+    const formType = detection.formType || '';
+
+    let filing = endeavor.filings.find(f => f.state === state && f.formType === formType);
+    if (!filing) {
+      const name = [state, formType ? formType.replace(/_/g, ' ') : 'filing'].filter(Boolean).join(' ');
+      filing = await this.addFiling(endeavorId, { name, state, formType });
+    }
+
+    const now = new Date().toISOString();
+    const existing = filing.visitedUrls.find(v => v.url === detection.url);
+
+    if (existing) {
+      existing.visitedAt = now;
+      existing.confidenceScore = detection.confidenceScore;
+    } else {
+      filing.visitedUrls.push({
+        url: detection.url,
+        title: pageTitle,
+        confidenceScore: detection.confidenceScore,
+        visitedAt: now
+      });
+      if (filing.visitedUrls.length > MAX_VISITED_URLS) {
+        filing.visitedUrls.shift();
+      }
+    }
+
+    if (filing.status === 'not_started') {
+      filing.status = 'in_progress';
+    }
+    filing.updatedAt = now;
+    endeavor.updatedAt = now;
+
+    await this._persist();
+    return filing;
+  }
+}
+
+// Create singleton instance
+const endeavorStore = new EndeavorStore();
+
+export default endeavorStore;
+export { endeavorStore, ENDEAVORS_KEY, FILING_STATUSES };
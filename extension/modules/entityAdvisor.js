@@ -0,0 +1,223 @@
+/**
+ * Entity Advisor Module
+ * Recommends an entity type from a short questionnaire (liability, owners,
+ * investors, taxes). Every point a type gains or loses cites the
+ * knowledge/entities/entity_types.json entry it is based on.
+ */
+
+const ENTITY_TYPES_FILE = 'knowledge/entities/entity_types.json';
+
+// Questionnaire shown in the panel; answer values are the rule keys below
+const QUESTIONS = [
+  {
+    id: 'liability',
+    text: 'How important is protecting your personal assets from business debts and lawsuits?',
+    options: [
+      { value: 'essential', label: 'Essential' },
+      { value: 'helpful', label: 'Nice to have' },
+      { value: 'unimportant', label: 'Not a concern' }
+    ]
+  },
+  {
+    id: 'owners',
+    text: 'How many people will own the business?',
+    options: [
+      { value: 'one', label: 'Just me' },
+      { value: 'several', label: 'Two or more' }
+    ]
+  },
+  {
+    id: 'investors',
+    text: 'Do you plan to raise money from outside investors?',
+    options: [
+      { value: 'yes', label: 'Yes' },
+      { value: 'maybe', label: 'Maybe later' },
+      { value: 'no', label: 'No' }
+    ]
+  },
+  {
+    id: 'tax',
+    text: 'What matters most about how profits are taxed?',
+    options: [
+      { value: 'pass_through', label: 'Taxed once, on my personal return' },
+      { value: 'reinvest', label: 'Keeping profits in the company to grow' },
+      { value: 'self_employment', label: 'Lowering self-employment tax' },
+      { value: 'unsure', label: 'Not sure' }
+    ]
+  }
+];
+
+/**
+ * Scoring rules: [question, answer, entity type, points, cited entry]
+ * A cited entry is "<section>/<pattern>" inside the entity type, or
+ * "choosing_factors.<factor>/<pattern>" for the comparison rankings.
+ * Rules scored 'exclude' rule a type out for that answer.
+ */
+const RULES = [
+  ['liability', 'essential', 'llc', 3, 'advantages/limited liability'],
+  ['liability', 'essential', 'corporation', 3, 'advantages/limited liability'],
+  ['liability', 'essential', 's_corporation', 3, 'advantages/limited liability'],
+  ['liability', 'essential', 'partnership', -2, 'disadvantages/unlimited liability'],
+  ['liability', 'essential', 'sole_proprietorship', -3, 'disadvantages/unlimited personal liability'],
+  ['liability', 'helpful', 'llc', 1, 'advantages/limited liability'],
+  ['liability', 'helpful', 'corporation', 1, 'advantages/limited liability'],
+  ['liability', 'helpful', 's_corporation', 1, 'advantages/limited liability'],
+  ['liability', 'helpful', 'sole_proprietorship', -1, 'disadvantages/unlimited personal liability'],
+  ['liability', 'unimportant', 'sole_proprietorship', 2, 'advantages/easiest'],
+  ['liability', 'unimportant', 'partnership', 1, 'advantages/easy and inexpensive'],
+
+  ['owners', 'one', 'sole_proprietorship', 2, 'description/one individual'],
+  ['owners', 'one', 'llc', 1, 'taxation.options/single-member'],
+  ['owners', 'one', 'partnership', 'exclude', 'description/two or more'],
+  ['owners', 'several', 'sole_proprietorship', 'exclude', 'description/one individual'],
+  ['owners', 'several', 'partnership', 2, 'advantages/profit-sharing'],
+  ['owners', 'several', 'llc', 1, 'advantages/number of owners'],
+  ['owners', 'several', 's_corporation', -1, 'disadvantages/ownership restrictions'],
+
+  ['investors', 'yes', 'corporation', 4, 'advantages/attractive to investors'],
+  ['investors', 'yes', 's_corporation', -2, 'disadvantages/one class of stock'],
+  ['investors', 'yes', 'llc', -1, 'disadvantages/raise capital'],
+  ['investors', 'yes', 'partnership', -2, 'disadvantages/raising capital'],
+  ['investors', 'yes', 'sole_proprietorship', -3, 'disadvantages/raise capital'],
+  ['investors', 'maybe', 'corporation', 2, 'advantages/capital through stock'],
+  ['investors', 'maybe', 'sole_proprietorship', -1, 'disadvantages/raise capital'],
+  ['investors', 'no', 'llc', 1, 'advantages/fewer formalities'],
+  ['investors', 'no', 'corporation', -1, 'disadvantages/more formalities'],
+
+  ['tax', 'pass_through', 'llc', 2, 'advantages/pass-through'],
+  ['tax', 'pass_through', 's_corporation', 2, 'advantages/pass-through'],
+  ['tax', 'pass_through', 'partnership', 1, 'advantages/pass-through'],
+  ['tax', 'pass_through', 'sole_proprietorship', 1, 'advantages/personal return'],
+  ['tax', 'pass_through', 'corporation', -2, 'disadvantages/double taxation'],
+  ['tax', 'reinvest', 'corporation', 2, 'advantages/reinvested profits'],
+  ['tax', 'reinvest', 'llc', 1, 'choosing_factors.tax_considerations/choose tax treatment'],
+  ['tax', 'self_employment', 's_corporation', 3, 'advantages/self-employment'],
+  ['tax', 'self_employment', 'llc', -1, 'disadvantages/self-employment'],
+  ['tax', 'self_employment', 'sole_proprietorship', -2, 'disadvantages/self-employment']
+];
+
+/**
+ * Find the knowledge text a rule cites
+ * @param {Object} knowledge - Parsed entity_types.json
+ * @param {string} typeKey - Entity type key
+ * @param {string} reference - "<section>/<pattern>"
+ * @returns {Object|null} {source, text} or null if the entry is missing
+ */
+function findCitation(knowledge, typeKey, reference) {
+  const [section, pattern] = reference.split('/');
+  const needle = pattern.toLowerCase();
+  const matches = text => typeof text === 'string' && text.toLowerCase().includes(needle);
+
+  if (section.startsWith('choosing_factors.')) {
+    const factorKey = section.slice('choosing_factors.'.length);
+    const factor = knowledge.choosing_factors?.[factorKey] || {};
+    const groupsKey = factor.rankings ? 'rankings' : 'options';
+    for (const [group, entries] of Object.entries(factor[groupsKey] || {})) {
+      const index = (entries || []).findIndex(matches);
+      if (index >= 0) {
+        return { source: `${section}.${groupsKey}.${group}[${index}]`, text: entries[index] };
+      }
+    }
+    return null;
+  }
+
+  const entity = knowledge.entity_types?.[typeKey] || {};
+  const value = section.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), entity);
+
+  if (Array.isArray(value)) {
+    const index = value.findIndex(matches);
+    return index >= 0 ? { source: `${typeKey}.${section}[${index}]`, text: value[index] } : null;
+  }
+  return matches(value) ? { source: `${typeKey}.${section}`, text: value } : null;
+}
+
+class EntityAdvisor {
+  constructor() {
+    this.knowledge = null;
+  }
+
+  /**
+   * Load entity_types.json
+   * @returns {Promise<Object>} Parsed knowledge file
+   */
+  async loadKnowledge() {
+    if (this.knowledge) {
+      return this.knowledge;
+    }
+
+    try {
+      const response = await fetch(chrome.runtime.getURL(ENTITY_TYPES_FILE));
+      this.knowledge = await response.json();
+    } catch (error) {
+      console.error('[BRA-EntityAdvisor] Failed to load entity types:', error);
+      this.knowledge = { entity_types: {} };
+    }
+
+    return this.knowledge;
+  }
+
+  /**
+   * Questions for the panel wizard
+   * @returns {Array} [{id, text, options: [{value, label}]}]
+   */
+  getQuestions() {
+    return QUESTIONS;
+  }
+
+  /**
+   * Score the entity types against the answers
+   * @param {Object} answers - {questionId: answerValue}; unanswered questions are skipped
+   * @returns {Promise<Array>} [{type, name, shortName, description, score, excluded, reasons}] best first;
+   *   each reason is {question, points, source, text} with the cited knowledge text
+   */
+  async recommend(answers = {}) {
+    const knowledge = await this.loadKnowledge();
+    return this.score(knowledge, answers);
+  }
+
+  /**
+   * Score entity types using already-loaded knowledge
+   * @param {Object} knowledge - Parsed entity_types.json
+   * @param {Object} answers - {questionId: answerValue}
+   * @returns {Array} See recommend()
+   */
+  score(knowledge, answers = {}) {
+    const results = Object.entries(knowledge.entity_types || {}).map(([type, entity]) => ({
+      type,
+      name: entity.name || type,
+      // "Limited Liability Company (LLC)" -> "LLC", for endeavor names
+      shortName: ((entity.name || '').match(/\(([^)]+)\)/) || [])[1] || entity.name || type,
+      description: entity.description || '',
+      score: 0,
+      excluded: false,
+      reasons: []
+    }));
+
+    RULES.forEach(([question, answer, type, points, reference]) => {
+      if (answers[question] !== answer) return;
+      const result = results.find(r => r.type === type);
+      if (!result) return;
+
+      const citation = findCitation(knowledge, type, reference);
+      if (!citation) {
+        console.warn('[BRA-EntityAdvisor] Knowledge entry not found:', type, reference);
+        return;
+      }
+
+      if (points === 'exclude') {
+        result.excluded = true;
+      } else {
+        result.score += points;
+      }
+      result.reasons.push({ question, points, source: citation.source, text: citation.text });
+    });
+
+    return results.sort((a, b) => (a.excluded - b.excluded) || (b.score - a.score));
+  }
+}
+
+// Create singleton instance
+const entityAdvisor = new EntityAdvisor();
+
+export default entityAdvisor;
+export { entityAdvisor, EntityAdvisor, QUESTIONS, RULES };
@@ -0,0 +1,129 @@
+/**
+ * Field Corrections Module
+ * Stores the user's corrections of field classifications, keyed by form
+ * fingerprint and field key (FieldDetector.getFormFingerprint() and
+ * getCorrectionKey()). FieldDetector applies them ahead of pattern scoring;
+ * toOverrides() formats them for promotion into a state's overrides.json.
+ */
+
+import { CORRECTIONS_KEY } from './fieldDetector.js';
+
+class FieldCorrections {
+  /**
+   * Read every stored correction
+   * @returns {Promise<Object>} {fingerprint: {url, state, updatedAt, fields: {key: correction}}}
+   */
+  async getAll() {
+    try {
+      const stored = await chrome.storage.local.get(CORRECTIONS_KEY);
+      return stored[CORRECTIONS_KEY] || {};
+    } catch (error) {
+      console.error('[BRA-FieldCorrections] Error reading corrections:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Corrections for one form
+   * @param {string} fingerprint - Form fingerprint
+   * @returns {Promise<Object>} {key: correction}
+   */
+  async getForForm(fingerprint) {
+    const all = await this.getAll();
+    return all[fingerprint]?.fields || {};
+  }
+
+  /**
+   * Save a correction for a field
+   * @param {string} fingerprint - Form fingerprint
+   * @param {string} key - Field correction key
+   * @param {Object} correction - {category} or {ignore: true}, plus label/originalCategory for reference
+   * @param {Object} form - {url, state} of the form, kept for export
+   * @returns {Promise<Object>} The saved correction
+   */
+  async setCorrection(fingerprint, key, correction, form = {}) {
+    if (!fingerprint || !key) {
+      throw new Error('A form fingerprint and field key are required');
+    }
+    if (!correction.ignore && !correction.category) {
+      throw new Error('A correction needs a category or ignore');
+    }
+
+    const all = await this.getAll();
+    const entry = all[fingerprint] || { url: '', state: null, fields: {} };
+    const saved = correction.ignore
+      ? { ignore: true }
+      : { category: correction.category };
+    if (correction.label) saved.label = correction.label;
+    if (correction.originalCategory) saved.originalCategory = correction.originalCategory;
+
+    entry.fields[key] = saved;
+    entry.url = form.url || entry.url;
+    entry.state = form.state || entry.state;
+    entry.updatedAt = new Date().toISOString();
+    all[fingerprint] = entry;
+
+    await chrome.storage.local.set({ [CORRECTIONS_KEY]: all });
+    return saved;
+  }
+
+  /**
+   * Remove a field's correction
+   * @param {string} fingerprint - Form fingerprint
+   * @param {string} key - Field correction key
+   * @returns {Promise<boolean>} True if a correction was removed
+   */
+  async removeCorrection(fingerprint, key) {
+    const all = await this.getAll();
+    if (!all[fingerprint] || !all[fingerprint].fields[key]) return false;
+
+    delete all[fingerprint].fields[key];
+    if (Object.keys(all[fingerprint].fields).length === 0) {
+      delete all[fingerprint];
+    }
+
+    await chrome.storage.local.set({ [CORRECTIONS_KEY]: all });
+    return true;
+  }
+
+  /**
+   * Remove corrections
+   * @param {string|null} fingerprint - Form to reset; null removes every correction
+   */
+  async reset(fingerprint = null) {
+    const all = fingerprint ? await this.getAll() : {};
+    delete all[fingerprint];
+    await chrome.storage.local.set({ [CORRECTIONS_KEY]: all });
+  }
+
+  /**
+   * Format corrections for the states' overrides.json files
+   * @param {Object} all - From getAll()
+   * @returns {Object} {STATE: {field_classification_overrides: {fingerprint: {url, fields}}}};
+   *   forms without a detected state are listed under "unknown"
+   */
+  toOverrides(all) {
+    const byState = {};
+
+    Object.entries(all || {}).sort(([a], [b]) => a.localeCompare(b)).forEach(([fingerprint, form]) => {
+      const state = form.state || 'unknown';
+      byState[state] = byState[state] || { field_classification_overrides: {} };
+
+      const fields = {};
+      Object.keys(form.fields || {}).sort().forEach(key => {
+        const { originalCategory, ...correction } = form.fields[key];
+        fields[key] = correction;
+      });
+
+      byState[state].field_classification_overrides[fingerprint] = { url: form.url || '', fields };
+    });
+
+    return byState;
+  }
+}
+
+// Create singleton instance
+const fieldCorrections = new FieldCorrections();
+
+export default fieldCorrections;
+export { fieldCorrections, FieldCorrections };
@@ -0,0 +1,322 @@
+/**
+ * Field Dependencies Module
+ * Learns which form controls reveal or hide which fields ("Entity type =
+ * Corporation shows Authorized Shares"). The content script snapshots field
+ * visibility, and when a select, radio or checkbox changes it watches the
+ * page's mutations until they settle and records what appeared or
+ * disappeared. The graph is saved per form fingerprint so autofill can set
+ * the controlling answers before the fields they reveal.
+ */
+
+// Storage key of the learned graphs
+const DEPENDENCIES_KEY = 'BRA_FieldDependencies';
+
+// Form elements that can be revealed or hidden
+const FIELD_SELECTOR = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+
+// How long the page must stay quiet after a change, and the longest wait
+const SETTLE_MS = 400;
+const MAX_WAIT_MS = 2000;
+
+/**
+ * Key identifying an element's field across page loads: radio and checkbox
+ * groups by name, other fields by name or id (as FieldDetector's correction keys)
+ * @param {Element} element - Form element
+ * @returns {string|null} Key, or null if the element has neither
+ */
+function getControlKey(element) {
+  if (!element) return null;
+  if (element.name) return element.name;
+  return element.id ? `#${element.id}` : null;
+}
+
+/**
+ * Readable label of a form element
+ * @param {Element} element - Form element
+ * @returns {string} Label text, or the element's name/id
+ */
+function getElementLabel(element) {
+  // A radio group is labelled by its fieldset legend, each option by its own label
+  const legend = element.type === 'radio' ? element.closest('fieldset')?.querySelector('legend') : null;
+  const text = legend?.textContent ||
+    element.labels?.[0]?.textContent ||
+    element.getAttribute('aria-label') ||
+    element.placeholder ||
+    element.name ||
+    element.id ||
+    '';
+  return text.replace(/\s+/g, ' ').replace(/[:*\s]+$/, '').trim();
+}
+
+/**
+ * Whether an element and all its ancestors are displayed
+ * @param {Element} element - Form element
+ * @returns {boolean} True if visible
+ */
+function isElementVisible(element) {
+  if (!element.isConnected) return false;
+  const view = element.ownerDocument.defaultView;
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    if (node.hidden) return false;
+    const style = view.getComputedStyle(node);
+    if (style.display === 'none' || style.visibility === 'hidden') return false;
+  }
+  return true;
+}
+
+/**
+ * The answer a control currently gives
+ * @param {Element} control - Select, radio or checkbox
+ * @returns {Object|null} {value, label}, null for other elements
+ */
+function getControlValue(control) {
+  if (control.type === 'checkbox') {
+    return { value: control.checked ? 'checked' : 'unchecked', label: control.checked ? 'checked' : 'unchecked' };
+  }
+  if (control.type === 'radio') {
+    if (!control.checked) return null;
+    return { value: control.value, label: control.labels?.[0]?.textContent?.trim() || control.value };
+  }
+  if (control.tagName === 'SELECT') {
+    const option = control.options[control.selectedIndex];
+    return { value: control.value, label: option?.textContent?.trim() || control.value };
+  }
+  return null;
+}
+
+class FieldDependencies {
+  constructor() {
+    // Visibility at the last snapshot: key -> {visible, label}
+    this.visibility = new Map();
+    // Observations run one after another so each starts from the last snapshot
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Visibility of every field on the page
+   * @param {Document} doc - Page document
+   * @returns {Map} key -> {visible, label}; a group is visible if any option is
+   */
+  snapshot(doc = document) {
+    const visibility = new Map();
+    doc.querySelectorAll(FIELD_SELECTOR).forEach(element => {
+      const key = getControlKey(element);
+      if (!key) return;
+      const visible = isElementVisible(element);
+      const known = visibility.get(key);
+      if (!known) {
+        visibility.set(key, { visible, label: getElementLabel(element) });
+      } else if (visible) {
+        known.visible = true;
+      }
+    });
+    return visibility;
+  }
+
+  /**
+   * Take the snapshot later changes are compared with
+   * @param {Document} doc - Page document
+   */
+  remember(doc = document) {
+    this.visibility = this.snapshot(doc);
+  }
+
+  /**
+   * Fields that appeared or disappeared between two snapshots
+   * @param {Map} before - From snapshot()
+   * @param {Map} after - From snapshot()
+   * @param {string} ignoreKey - The control itself
+   * @returns {Object} {reveals: {key: label}, hides: {key: label}}
+   */
+  diff(before, after, ignoreKey = null) {
+    const reveals = {};
+    const hides = {};
+    after.forEach((state, key) => {
+      if (key === ignoreKey) return;
+      const wasVisible = before.get(key)?.visible || false;
+      if (state.visible && !wasVisible) reveals[key] = state.label;
+      if (!state.visible && wasVisible) hides[key] = state.label;
+    });
+    before.forEach((state, key) => {
+      // Removed from the page altogether
+      if (key !== ignoreKey && state.visible && !after.has(key)) hides[key] = state.label;
+    });
+    return { reveals, hides };
+  }
+
+  /**
+   * Watch the page after a control changed and work out what it revealed or hid
+   * @param {Element} control - The select, radio or checkbox that changed
+   * @param {Document} doc - Page document
+   * @returns {Promise<Object|null>} {key, label, type, value, valueLabel, reveals, hides},
+   *   null if the control isn't one we track or nothing changed
+   */
+  observeChange(control, doc = document) {
+    const run = () => new Promise(resolve => {
+      const key = getControlKey(control);
+      const answer = getControlValue(control);
+      if (!key || !answer) {
+        resolve(null);
+        return;
+      }
+
+      const before = this.visibility;
+      const view = doc.defaultView;
+      let settleTimer = null;
+      let observer = null;
+
+      const finish = () => {
+        view.clearTimeout(settleTimer);
+        view.clearTimeout(maxTimer);
+        if (observer) observer.disconnect();
+
+        const after = this.snapshot(doc);
+        this.visibility = after;
+        const { reveals, hides } = this.diff(before, after, key);
+        if (Object.keys(reveals).length === 0 && Object.keys(hides).length === 0) {
+          resolve(null);
+          return;
+        }
+        resolve({
+          key,
+          label: getElementLabel(control),
+          type: control.type === 'checkbox' ? 'checkbox' : 'choice',
+          value: answer.value,
+          valueLabel: answer.label,
+          reveals,
+          hides
+        });
+      };
+
+      // Each mutation restarts the quiet period
+      const wait = () => {
+        view.clearTimeout(settleTimer);
+        settleTimer = view.setTimeout(finish, SETTLE_MS);
+      };
+      const maxTimer = view.setTimeout(finish, MAX_WAIT_MS);
+
+      if (typeof view.MutationObserver === 'function' && doc.body) {
+        observer = new view.MutationObserver(wait);
+        observer.observe(doc.body, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeFilter: ['style', 'class', 'hidden', 'disabled']
+        });
+      }
+      wait();
+    });
+
+    const observation = this.queue.then(run, run);
+    this.queue = observation.catch(() => null);
+    return observation;
+  }
+
+  /**
+   * Read every learned graph
+   * @returns {Promise<Object>} {fingerprint: {updatedAt, controls}}
+   */
+  async getAll() {
+    try {
+      const stored = await chrome.storage.local.get(DEPENDENCIES_KEY);
+      return stored[DEPENDENCIES_KEY] || {};
+    } catch (error) {
+      console.error('[BRA-FieldDependencies] Error reading dependencies:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Learned graph of one form
+   * @param {string} fingerprint - Form fingerprint
+   * @returns {Promise<Object>} {controlKey: {label, type, values: {value: {label, reveals, hides}}}}
+   */
+  async getForForm(fingerprint) {
+    const all = await this.getAll();
+    return all[fingerprint]?.controls || {};
+  }
+
+  /**
+   * Add an observation to a form's graph. A field seen both revealed and
+   * hidden by the same answer keeps the latest observation.
+   * @param {string} fingerprint - Form fingerprint
+   * @param {Object} change - From observeChange()
+   * @returns {Promise<Object>} The form's updated graph
+   */
+  async record(fingerprint, change) {
+    if (!fingerprint || !change) {
+      throw new Error('A form fingerprint and an observed change are required');
+    }
+
+    const all = await this.getAll();
+    const form = all[fingerprint] || { controls: {} };
+    const control = form.controls[change.key] || { label: change.label, type: change.type, values: {} };
+    const answer = control.values[change.value] || { label: change.valueLabel, reveals: {}, hides: {} };
+
+    Object.entries(change.reveals || {}).forEach(([key, label]) => {
+      answer.reveals[key] = label;
+      delete answer.hides[key];
+    });
+    Object.entries(change.hides || {}).forEach(([key, label]) => {
+      answer.hides[key] = label;
+      delete answer.reveals[key];
+    });
+
+    control.label = change.label || control.label;
+    answer.label = change.valueLabel || answer.label;
+    control.values[change.value] = answer;
+    form.controls[change.key] = control;
+    form.updatedAt = Date.now();
+    all[fingerprint] = form;
+
+    await chrome.storage.local.set({ [DEPENDENCIES_KEY]: all });
+    return form.controls;
+  }
+
+  /**
+   * Forget what was learned about a form
+   * @param {string} fingerprint - Form fingerprint
+   */
+  async reset(fingerprint) {
+    const all = await this.getAll();
+    delete all[fingerprint];
+    await chrome.storage.local.set({ [DEPENDENCIES_KEY]: all });
+  }
+
+  /**
+   * Flatten a graph into one rule per control answer
+   * @param {Object} controls - From getForForm()
+   * @returns {Array} [{key, label, type, value, valueLabel, reveals: [label], hides: [label]}]
+   */
+  toRules(controls) {
+    const rules = [];
+    Object.entries(controls || {}).forEach(([key, control]) => {
+      Object.entries(control.values || {}).forEach(([value, answer]) => {
+        const reveals = Object.values(answer.reveals || {});
+        const hides = Object.values(answer.hides || {});
+        if (reveals.length === 0 && hides.length === 0) return;
+        rules.push({ key, label: control.label || key, type: control.type, value, valueLabel: answer.label || value, reveals, hides });
+      });
+    });
+    return rules;
+  }
+
+  /**
+   * Whether a field key controls other fields in the graph
+   * @param {Object} controls - From getForForm()
+   * @param {string} key - Field key
+   * @returns {boolean} True if one of its answers reveals or hides a field
+   */
+  isController(controls, key) {
+    const control = controls?.[key];
+    if (!control) return false;
+    return Object.values(control.values || {}).some(answer =>
+      Object.keys(answer.reveals || {}).length > 0 || Object.keys(answer.hides || {}).length > 0);
+  }
+}
+
+// Create singleton instance
+const fieldDependencies = new FieldDependencies();
+
+export default fieldDependencies;
+export { fieldDependencies, FieldDependencies, DEPENDENCIES_KEY, getControlKey, getControlValue };
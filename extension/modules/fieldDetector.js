@@ -10,6 +10,12 @@ let knowledgeLoader = null;
 let initializationPromise = null;
 let initializationAttempted = false;
 
+// How many shadow roots/frames deep field detection will descend
+const MAX_ROOT_DEPTH = 5;
+
+// User corrections of field classifications, by form fingerprint (see fieldCorrections.js)
+const CORRECTIONS_KEY = 'BRA_FieldCorrections';
+
 /**
  * Class for detecting and analyzing form fields
  */
@@ -280,7 +286,195 @@ class FieldDetector {
   }
 
   /**
-   * Find all input fields within the root element
+   * Collect the document/shadow roots to search: the root element itself,
+   * every open shadow root and every same-origin frame below it
+   * @returns {Array} Search roots ({root, path})
+   * @private
+   */
+  _collectSearchRoots() {
+    const roots = [];
+
+    const visit = (root, path) => {
+      roots.push({ root, path });
+      if (path.length >= MAX_ROOT_DEPTH) return;
+
+      root.querySelectorAll('*').forEach(element => {
+        if (element.shadowRoot) {
+          visit(element.shadowRoot, [...path, this._describePathSegment('shadow', element)]);
+        }
+
+        if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+          let frameDocument = null;
+          try {
+            frameDocument = element.contentDocument;
+          } catch (e) {
+            // Cross-origin frame - not accessible from here
+          }
+          if (frameDocument && frameDocument.documentElement) {
+            visit(frameDocument, [...path, this._describePathSegment('frame', element)]);
+          }
+        }
+      });
+    };
+
+    visit(this.root, []);
+
+    if (roots.length > 1) {
+      console.log(`[BRA-FieldDetector] Searching ${roots.length - 1} shadow root(s)/frame(s) in addition to the main document`);
+    }
+    return roots;
+  }
+
+  /**
+   * Describe a shadow host or frame element so it can be found again
+   * @param {string} type - 'shadow' or 'frame'
+   * @param {HTMLElement} element - Shadow host or iframe element
+   * @returns {Object} Path segment ({type, tagName, id, index})
+   * @private
+   */
+  _describePathSegment(type, element) {
+    const tagName = element.tagName.toLowerCase();
+    const scope = element.getRootNode();
+    return {
+      type: type,
+      tagName: tagName,
+      id: element.id || '',
+      index: Array.from(scope.querySelectorAll(tagName)).indexOf(element)
+    };
+  }
+
+  /**
+   * Work out the frame/shadow path from the root element down to an element
+   * @param {HTMLElement} element - Field element
+   * @returns {Object} {path, anchor, offset} where anchor is the outermost
+   *   host/frame in the main document and offset is the frame position
+   * @private
+   */
+  _getElementPath(element) {
+    const path = [];
+    const offset = { top: 0, left: 0 };
+    let anchor = element;
+    let scope = element.getRootNode();
+
+    while (scope && scope !== this.root && scope !== this.root.getRootNode?.()) {
+      let container = null;
+
+      if (scope.host) {
+        container = scope.host;
+        path.unshift(this._describePathSegment('shadow', container));
+      } else if (scope.defaultView && scope.defaultView.frameElement) {
+        container = scope.defaultView.frameElement;
+        path.unshift(this._describePathSegment('frame', container));
+        const frameRect = container.getBoundingClientRect();
+        offset.top += frameRect.top;
+        offset.left += frameRect.left;
+      } else {
+        break;
+      }
+
+      anchor = container;
+      scope = container.getRootNode();
+    }
+
+    return { path, anchor, offset };
+  }
+
+  /**
+   * Format a frame/shadow path for display and lookups
+   * @param {Array} path - Path segments
+   * @returns {string} e.g. "frame:iframe#filing > shadow:bra-address[0]" ('' for the main document)
+   */
+  formatElementPath(path) {
+    return (path || []).map(segment =>
+      `${segment.type}:${segment.tagName}${segment.id ? '#' + segment.id : `[${segment.index}]`}`
+    ).join(' > ');
+  }
+
+  /**
+   * Find the document or shadow root a frame/shadow path points to
+   * @param {Array} path - Path segments from field.path
+   * @returns {Document|ShadowRoot|null} The scope, or null if it no longer exists
+   */
+  resolveElementPath(path) {
+    let scope = this.root;
+
+    for (const segment of path || []) {
+      const container = (segment.id && scope.querySelector(`${segment.tagName}[id="${this._escapeAttribute(segment.id)}"]`)) ||
+        scope.querySelectorAll(segment.tagName)[segment.index];
+      if (!container) return null;
+
+      try {
+        scope = segment.type === 'frame' ? container.contentDocument : container.shadowRoot;
+      } catch (e) {
+        return null;
+      }
+      if (!scope) return null;
+    }
+
+    return scope;
+  }
+
+  /**
+   * Find a detected field's element again, e.g. after a frame or web
+   * component re-rendered it
+   * @param {Object} field - Field object from detectFields
+   * @returns {HTMLElement|null} The live element or null
+   */
+  findFieldElement(field) {
+    if (field.element && field.element.isConnected) {
+      return field.element;
+    }
+
+    const scope = this.resolveElementPath(field.path);
+    if (!scope) return null;
+
+    if (field.id) {
+      const byId = scope.querySelector(`[id="${this._escapeAttribute(field.id)}"]`);
+      if (byId) return byId;
+    }
+    if (field.name) {
+      return scope.querySelector(`[name="${this._escapeAttribute(field.name)}"]`);
+    }
+    return null;
+  }
+
+  /**
+   * Escape a value for use inside a double-quoted attribute selector
+   * @param {string} value - Attribute value
+   * @returns {string} Escaped value
+   * @private
+   */
+  _escapeAttribute(value) {
+    return String(value).replace(/["\\]/g, '\\$&');
+  }
+
+  /**
+   * Position, section and frame/shadow path for a field element
+   * @param {HTMLElement} element - Field element
+   * @returns {Object} {position, section, path, pathKey}
+   * @private
+   */
+  _locateElement(element) {
+    const { path, anchor, offset } = this._getElementPath(element);
+    const rect = element.getBoundingClientRect();
+
+    return {
+      // Position information for sorting (frame fields are offset by the frame position)
+      position: {
+        top: rect.top + offset.top + window.scrollY, // Add scrollY for absolute position
+        left: rect.left + offset.left + window.scrollX, // Add scrollX for absolute position
+        domIndex: Array.from(this.root.querySelectorAll('*')).indexOf(anchor)
+      },
+      // Sections are detected in the main document, so nested fields use their host/frame
+      section: this._findFieldSection(anchor),
+      path: path,
+      pathKey: this.formatElementPath(path)
+    };
+  }
+
+  /**
+   * Find all input fields within the root element, its open shadow roots
+   * and same-origin frames
    * @returns {Array} Array of field objects with their attributes
    */
   async detectFields() {
@@ -296,6 +490,7 @@ class FieldDetector {
       
       // Ensure patterns are loaded
       await this._loadFieldPatterns();
+      await this._loadCorrections();
       
       // Detect sections first
       this._detectSections();
@@ -322,11 +517,31 @@ class FieldDetector {
         '[contenteditable="true"]'
       ];
       
-      const inputElements = this.root.querySelectorAll(formElementSelectors.join(', '));
+      // Search the main document plus any shadow roots and same-origin frames
+      const searchRoots = this._collectSearchRoots();
+      const rootKeys = new Map();
+      const inputElements = [];
+      const fieldsets = [];
+      searchRoots.forEach(({ root, path }) => {
+        const pathKey = this.formatElementPath(path);
+        root.querySelectorAll(formElementSelectors.join(', ')).forEach(element => {
+          inputElements.push(element);
+          rootKeys.set(element, pathKey);
+        });
+        root.querySelectorAll('fieldset').forEach(fieldset => {
+          fieldsets.push(fieldset);
+          rootKeys.set(fieldset, pathKey);
+        });
+      });
       console.log(`[BRA-FieldDetector] Found ${inputElements.length} potential input elements`);
       
+      // Radio/checkbox names only need to be unique within their own document or shadow root
+      const scopedGroupKey = (element, key) => {
+        const pathKey = rootKeys.get(element);
+        return pathKey ? `${pathKey}|${key}` : key;
+      };
+      
       // Also find fieldsets which often contain radio/checkbox groups
-      const fieldsets = this.root.querySelectorAll('fieldset');
       console.log(`[BRA-FieldDetector] Found ${fieldsets.length} fieldsets`);
       
       // Process fieldsets first to catch grouped elements
@@ -347,11 +562,11 @@ class FieldDetector {
           
           // Process each group
           Object.entries(groups).forEach(([name, inputs]) => {
-            const groupKey = `${inputs[0].type}-${name}`;
+            const groupKey = scopedGroupKey(fieldset, `${inputs[0].type}-${name}`);
             if (!processedGroups.has(groupKey)) {
               processedGroups.add(groupKey);
               const field = this._extractGroupFieldInfo(inputs[0], groupLabel);
-              if (field) {
+              if (field && !this._isIgnoredField(field)) {
                 field.index = this.fields.length;
                 field.classification = this._classifyField(field);
                 this.fields.push(field);
@@ -373,9 +588,9 @@ class FieldDetector {
           // For radio/checkbox inputs, check if we've already processed this group
           if (element.type === 'radio' || element.type === 'checkbox') {
             // Use a unique key for elements with names, or element ID for single checkboxes
-            const groupKey = element.name 
+            const groupKey = scopedGroupKey(element, element.name 
               ? `${element.type}-${element.name}` 
-              : `${element.type}-${element.id || element.getAttribute('data-id') || index}`;
+              : `${element.type}-${element.id || element.getAttribute('data-id') || index}`);
             
             if (processedGroups.has(groupKey)) {
               return; // Skip this element as we've already processed its group
@@ -388,8 +603,8 @@ class FieldDetector {
             return;
           }
           
-          // Check if element is visible
-          const style = window.getComputedStyle(element);
+          // Check if element is visible (frame elements use their own window)
+          const style = (element.ownerDocument.defaultView || window).getComputedStyle(element);
           if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
             return;
           }
@@ -400,7 +615,7 @@ class FieldDetector {
           }
           
           const field = this._extractFieldInfo(element);
-          if (field && this._isUserFacingField(field)) {
+          if (field && this._isUserFacingField(field) && !this._isIgnoredField(field)) {
             // Add index for reference
             field.index = this.fields.length;
             
@@ -573,12 +788,8 @@ class FieldDetector {
         return this._extractGroupFieldInfo(element);
       }
       
-      // Get element position for sorting
-      const rect = element.getBoundingClientRect();
-      const domPosition = Array.from(this.root.querySelectorAll('*')).indexOf(element);
-      
-      // Find which section this field belongs to
-      const section = this._findFieldSection(element);
+      // Get element position, section and frame/shadow path
+      const location = this._locateElement(element);
       
       // Basic field properties
       const field = {
@@ -598,13 +809,12 @@ class FieldDetector {
         checked: element.checked || false,
         title: element.title || '',
         // Position information for sorting
-        position: {
-          top: rect.top + window.scrollY, // Add scrollY for absolute position
-          left: rect.left + window.scrollX, // Add scrollX for absolute position
-          domIndex: domPosition
-        },
+        position: location.position,
         // Section information
-        section: section
+        section: location.section,
+        // Frame/shadow path from the main document ([] for light DOM fields)
+        path: location.path,
+        pathKey: location.pathKey
       };
       
       // Get all non-standard attributes
@@ -636,9 +846,9 @@ class FieldDetector {
       const groupName = element.name;
       const groupType = element.type;
       
-      // Find all elements in this group
+      // Find all elements in this group (within the same document or shadow root)
       const groupElements = groupName 
-        ? Array.from(this.root.querySelectorAll(`input[type="${groupType}"][name="${groupName}"]`))
+        ? Array.from(this._getSearchScope(element).querySelectorAll(`input[type="${groupType}"][name="${groupName}"]`))
         : [element];
       
       console.log(`[BRA-FieldDetector] Processing ${groupType} group "${groupName}" with ${groupElements.length} options`);
@@ -743,12 +953,8 @@ class FieldDetector {
         }
       }
       
-      // Get position from first element for sorting
-      const rect = groupElements[0].getBoundingClientRect();
-      const domPosition = Array.from(this.root.querySelectorAll('*')).indexOf(groupElements[0]);
-      
-      // Find which section this field belongs to
-      const section = this._findFieldSection(groupElements[0]);
+      // Get position, section and frame/shadow path from the first element
+      const location = this._locateElement(groupElements[0]);
       
       // Build the field object
       const field = {
@@ -771,13 +977,12 @@ class FieldDetector {
         groupSize: groupElements.length,
         title: groupElements[0].title || '',
         // Position information for sorting
-        position: {
-          top: rect.top + window.scrollY, // Add scrollY for absolute position
-          left: rect.left + window.scrollX, // Add scrollX for absolute position
-          domIndex: domPosition
-        },
+        position: location.position,
         // Section information
-        section: section
+        section: location.section,
+        // Frame/shadow path from the main document ([] for light DOM fields)
+        path: location.path,
+        pathKey: location.pathKey
       };
       
       // For checkboxes with only one option, check if it's a boolean field
@@ -944,18 +1149,21 @@ class FieldDetector {
       let labelText = '';
       let labelElement = null;
       
+      // Labels are looked up in the element's own document or shadow root
+      const scope = this._getSearchScope(element);
+      
       // Method 1: Check for 'labels' collection (most reliable)
       if (element.labels && element.labels.length > 0) {
         labelElement = element.labels[0];
-        labelText = labelElement.textContent.trim();
+        labelText = this._getComposedText(labelElement);
       } 
       
       // Method 2: Check for label[for="id"] with matching ID
       if (!labelText && element.id) {
-        const labelFor = this.root.querySelector(`label[for="${element.id}"]`);
+        const labelFor = scope.querySelector(`label[for="${element.id}"]`);
         if (labelFor) {
           labelElement = labelFor;
-          labelText = labelFor.textContent.trim();
+          labelText = this._getComposedText(labelFor);
         }
       }
       
@@ -964,7 +1172,7 @@ class FieldDetector {
         if (element.getAttribute('aria-label')) {
           labelText = element.getAttribute('aria-label');
         } else if (element.getAttribute('aria-labelledby')) {
-          const labelledBy = this.root.getElementById(element.getAttribute('aria-labelledby'));
+          const labelledBy = scope.querySelector(`[id="${this._escapeAttribute(element.getAttribute('aria-labelledby'))}"]`);
           if (labelledBy) {
             labelElement = labelledBy;
             labelText = labelledBy.textContent.trim();
@@ -986,6 +1194,15 @@ class FieldDetector {
         }
       }
       
+      // Method 4b: Inside a web component, use the label of the shadow host
+      if (!labelText) {
+        const hostLabel = this._findShadowHostLabel(element);
+        if (hostLabel) {
+          labelText = hostLabel.text;
+          labelElement = hostLabel.element;
+        }
+      }
+      
       // Method 5: Check for preceding sibling text or label
       if (!labelText) {
         let sibling = element.previousElementSibling;
@@ -1052,6 +1269,81 @@ class FieldDetector {
     }
   }
 
+  /**
+   * Get the document or shadow root an element should be queried in
+   * @param {HTMLElement} element - Field element
+   * @returns {Document|ShadowRoot|HTMLElement} Search scope
+   * @private
+   */
+  _getSearchScope(element) {
+    const scope = element.getRootNode();
+    return scope === this.root.getRootNode?.() || !scope.querySelector ? this.root : scope;
+  }
+
+  /**
+   * Get an element's text including content slotted into it, so a
+   * <label><slot></slot></label> inside a web component reads its light DOM text
+   * @param {HTMLElement} element - Element to read
+   * @returns {string} Trimmed text
+   * @private
+   */
+  _getComposedText(element) {
+    const read = node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent;
+      }
+      if (node.tagName === 'SLOT') {
+        const assigned = node.assignedNodes({ flatten: true });
+        return (assigned.length > 0 ? assigned : Array.from(node.childNodes)).map(read).join('');
+      }
+      return Array.from(node.childNodes || []).map(read).join('');
+    };
+
+    return read(element).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Find the label for a field inside a shadow root from the host side:
+   * the host's aria-label/label attribute, a label[for] pointing at the
+   * host, or a label wrapping the host. Walks up through nested components.
+   * @param {HTMLElement} element - Field element inside a shadow root
+   * @returns {Object|null} {text, element} or null
+   * @private
+   */
+  _findShadowHostLabel(element) {
+    let root = element.getRootNode();
+
+    while (root && root.host) {
+      const host = root.host;
+      const attributeLabel = host.getAttribute('aria-label') || host.getAttribute('label');
+      if (attributeLabel) {
+        return { text: attributeLabel.trim(), element: host };
+      }
+
+      const hostScope = host.getRootNode();
+      if (host.id && hostScope.querySelector) {
+        const labelFor = hostScope.querySelector(`label[for="${this._escapeAttribute(host.id)}"]`);
+        if (labelFor && this._getComposedText(labelFor)) {
+          return { text: this._getComposedText(labelFor), element: labelFor };
+        }
+      }
+
+      const wrappingLabel = host.closest('label');
+      if (wrappingLabel) {
+        const labelClone = wrappingLabel.cloneNode(true);
+        labelClone.querySelectorAll(host.tagName).forEach(el => el.remove());
+        const text = labelClone.textContent.trim();
+        if (text) {
+          return { text, element: wrappingLabel };
+        }
+      }
+
+      root = hostScope;
+    }
+
+    return null;
+  }
+
   /**
    * Get all detected fields
    * @returns {Array} Array of field objects
@@ -1060,6 +1352,46 @@ class FieldDetector {
     return this.fields;
   }
 
+  /**
+   * Controls with a rendered box that detectFields() passed over, such as
+   * native inputs made transparent behind custom styling
+   * @param {Set<HTMLElement>} knownElements - Elements already detected
+   * @returns {Array} Classified fields
+   */
+  detectRenderedFields(knownElements = new Set()) {
+    const fields = [];
+    const processedGroups = new Set();
+
+    this._collectSearchRoots().forEach(({ root, path }) => {
+      const pathKey = this.formatElementPath(path);
+      root.querySelectorAll('input, select, textarea').forEach(element => {
+        if (knownElements.has(element) || ['hidden', 'submit', 'reset', 'button', 'image'].includes(element.type)) {
+          return;
+        }
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) {
+          return;
+        }
+        if ((element.type === 'radio' || element.type === 'checkbox') && element.name) {
+          const groupKey = `${pathKey}|${element.type}-${element.name}`;
+          if (processedGroups.has(groupKey)) return;
+          processedGroups.add(groupKey);
+        }
+
+        const field = this._extractFieldInfo(element);
+        if (!field || (field.elements || []).some(member => knownElements.has(member))) {
+          return;
+        }
+        if (this._isUserFacingField(field) && !this._isIgnoredField(field)) {
+          field.classification = this._classifyField(field);
+          fields.push(field);
+        }
+      });
+    });
+
+    return fields;
+  }
+
   /**
    * Classify a single field by its purpose
    * @param {Object} field - The field to classify
@@ -1075,6 +1407,18 @@ class FieldDetector {
         return null;
       }
       
+      // Corrections for this form win over pattern scoring
+      const correction = this.getCorrection(field);
+      if (correction && correction.category) {
+        return {
+          category: correction.category,
+          confidence: 100,
+          type: field.type,
+          matchedPatterns: ['user correction'],
+          corrected: true
+        };
+      }
+      
       // Special handling for boolean fields
       if (field.type === 'boolean_field') {
         const labelText = field.label?.text?.toLowerCase() || '';
@@ -1279,6 +1623,111 @@ class FieldDetector {
     }
   }
 
+  /**
+   * Stable fingerprint of the form being detected: hostname plus path, with
+   * record ids collapsed so every filing of the same form shares it. Hash
+   * routes ("#/step-2") count as part of the path.
+   * @returns {string|null} Fingerprint, e.g. "mytax.dc.gov/registration/:id"
+   */
+  getFormFingerprint() {
+    const doc = this.root.ownerDocument || this.root;
+    const location = doc.defaultView ? doc.defaultView.location : null;
+    if (!location || !location.hostname) {
+      return null;
+    }
+
+    const route = /^#\//.test(location.hash) ? location.hash.slice(1) : '';
+    const path = `${location.pathname}${route}`.toLowerCase()
+      .split(/[/?]/)
+      .filter(Boolean)
+      .map(segment => (/^\d+$|^[0-9a-f-]{16,}$/.test(segment) ? ':id' : segment))
+      .join('/');
+    return `${location.hostname.toLowerCase()}/${path}`;
+  }
+
+  /**
+   * Key a correction is stored under: the field's name, then its id, then its label
+   * @param {Object} field - Field info
+   * @returns {string|null} Correction key
+   */
+  getCorrectionKey(field) {
+    if (field.name) return field.name;
+    if (field.id) return `#${field.id}`;
+    const label = (field.label?.text || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    return label ? `label:${label}` : null;
+  }
+
+  /**
+   * Give every detected field the id the panel and content script use to refer
+   * to it. Ids are built from the correction key so they stay the same when the
+   * page is detected again; repeated keys get ~2, ~3... in detection order.
+   */
+  assignFieldIds() {
+    const seen = new Map();
+    this.fields.forEach(field => {
+      const base = this.getCorrectionKey(field) || `field-${field.index}`;
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      field.fieldId = count === 1 ? base : `${base}~${count}`;
+    });
+  }
+
+  /**
+   * Load the corrections that apply to this form: ones promoted into the
+   * state's overrides.json (field_classification_overrides), then the
+   * user's own, which win
+   * @private
+   */
+  async _loadCorrections() {
+    this.corrections = {};
+    this.formFingerprint = this.getFormFingerprint();
+    if (!this.formFingerprint) return;
+
+    try {
+      if (knowledgeLoader && this.options.state && typeof knowledgeLoader.loadStateData === 'function') {
+        const stateData = await knowledgeLoader.loadStateData(this.options.state);
+        const promoted = stateData?.field_classification_overrides?.[this.formFingerprint];
+        Object.assign(this.corrections, promoted?.fields || {});
+      }
+    } catch (error) {
+      console.warn('[BRA-FieldDetector] Could not load promoted corrections:', error.message);
+    }
+
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+        const stored = await chrome.storage.local.get(CORRECTIONS_KEY);
+        const form = stored?.[CORRECTIONS_KEY]?.[this.formFingerprint];
+        Object.assign(this.corrections, form?.fields || {});
+      }
+    } catch (error) {
+      console.warn('[BRA-FieldDetector] Could not load field corrections:', error.message);
+    }
+
+    const count = Object.keys(this.corrections).length;
+    if (count > 0) {
+      console.log(`[BRA-FieldDetector] Applying ${count} field corrections for ${this.formFingerprint}`);
+    }
+  }
+
+  /**
+   * Correction for a field on this form
+   * @param {Object} field - Field info
+   * @returns {Object|null} {category} or {ignore: true}
+   */
+  getCorrection(field) {
+    const key = this.getCorrectionKey(field);
+    return (key && this.corrections && this.corrections[key]) || null;
+  }
+
+  /**
+   * Whether the user marked a field "ignore" on this form
+   * @private
+   */
+  _isIgnoredField(field) {
+    const correction = this.getCorrection(field);
+    return !!(correction && correction.ignore);
+  }
+
   /**
    * Get fields by classification category
    * @param {string} category - The category to filter by
@@ -1301,7 +1750,19 @@ class FieldDetector {
     this.options.state = stateCode;
     await this._loadFieldPatterns();
   }
-  
+
+  /**
+   * Rebuild the classification summary after fields were reclassified
+   * outside detectFields (e.g. by detection pipeline strategies)
+   * @returns {Object} The classification summary
+   */
+  refreshClassificationSummary() {
+    this.classificationSummary = this._initClassificationSummary();
+    this.fields.forEach(field => this._updateClassificationSummary(field));
+    this._generateComprehensiveSummary(0);
+    return this.classificationSummary;
+  }
+
   /**
    * Initialize classification summary structure
    * @private
@@ -2827,6 +3288,8 @@ class FieldDetector {
    * @returns {Object} Structured data for UI display
    */
   getUIData() {
+    this.assignFieldIds();
+
     // If we have detected sections, use them
     if (this.sections && this.sections.length > 0) {
       const sectionedData = {};
@@ -2849,6 +3312,8 @@ class FieldDetector {
           sectionedData[sectionName].fields.push({
             element: field.element,
             label: field.label?.text || field.placeholder || field.name,
+            name: field.name,
+            id: field.id,
             type: field.type,
             originalType: field.originalType,
             required: field.required,
@@ -2858,12 +3323,16 @@ class FieldDetector {
             options: field.options,
             index: field.index,
             position: field.position,
-            classification: field.classification
+            classification: field.classification,
+            correctionKey: this.getCorrectionKey(field),
+            fieldId: field.fieldId
           });
         } else {
           uncategorizedFields.push({
             element: field.element,
             label: field.label?.text || field.placeholder || field.name,
+            name: field.name,
+            id: field.id,
             type: field.type,
             originalType: field.originalType,
             required: field.required,
@@ -2873,7 +3342,9 @@ class FieldDetector {
             options: field.options,
             index: field.index,
             position: field.position,
-            classification: field.classification
+            classification: field.classification,
+            correctionKey: this.getCorrectionKey(field),
+            fieldId: field.fieldId
           });
         }
       });
@@ -2900,7 +3371,8 @@ class FieldDetector {
         sections: this.sections,
         summary: this.classificationSummary,
         totalFields: this.fields.length,
-        classifiedFields: this.classificationSummary.classified
+        classifiedFields: this.classificationSummary.classified,
+        formFingerprint: this.formFingerprint || null
       };
     }
     
@@ -2956,6 +3428,8 @@ class FieldDetector {
       categories[targetCategory].fields.push({
         element: field.element,
         label: field.label?.text || field.placeholder || field.name,
+        name: field.name,
+        id: field.id,
         type: field.type,
         originalType: field.originalType,
         required: field.required,
@@ -2965,7 +3439,9 @@ class FieldDetector {
         options: field.options,
         index: field.index,
         position: field.position,
-        classification: field.classification
+        classification: field.classification,
+        correctionKey: this.getCorrectionKey(field),
+        fieldId: field.fieldId
       });
     });
     
@@ -2983,10 +3459,12 @@ class FieldDetector {
       sections: [],
       summary: this.classificationSummary,
       totalFields: this.fields.length,
-      classifiedFields: this.classificationSummary.classified
+      classifiedFields: this.classificationSummary.classified,
+      formFingerprint: this.formFingerprint || null
     };
   }
 }
 
 // Export the module
-export default FieldDetector;
\ No newline at end of file
+export default FieldDetector;
+export { FieldDetector, CORRECTIONS_KEY };
\ No newline at end of file
@@ -0,0 +1,260 @@
+/**
+ * Field Guidance Module
+ * Shows a state's form_field_guidance next to the fields it describes: each
+ * matching field gets a small info badge whose tooltip holds the guidance's
+ * description and tips. Badges live in a shadow root so page styles can't
+ * reach them, open on hover, focus or Enter/Space, and close on Escape.
+ * Users can turn them off per site.
+ */
+
+import i18n from './i18n.js';
+
+// Storage key of the hostnames where badges are turned off
+const GUIDANCE_DISABLED_KEY = 'BRA_GuidanceDisabledSites';
+
+// Attribute marking badge hosts inserted into the page
+const BADGE_ATTRIBUTE = 'data-bra-guidance';
+
+// Which fields each common_fields entry describes: classified categories
+// and/or label text. Entries not listed match a field of the same category
+// or whose label contains the entry's words.
+const GUIDANCE_MATCHERS = {
+  entity_name: { categories: ['business_name'] },
+  business_purpose: { categories: ['business_purpose'] },
+  registered_agent: { categories: ['registered_agent'] },
+  principal_address: { categories: ['address'], label: /principal|office/i },
+  management_structure: { label: /\bmanage(?:d|ment|rs?)\b/i },
+  authorized_shares: { label: /authori[sz]ed\s+shares|number\s+of\s+shares/i },
+  par_value: { label: /\bpar\s+value\b/i }
+};
+
+const BADGE_STYLES = `
+  :host { all: initial; display: inline-block; position: relative; vertical-align: middle; margin: 0 4px; }
+  .badge {
+    all: initial; box-sizing: border-box; display: inline-block; width: 18px; height: 18px;
+    border-radius: 50%; background: #2e5cb8; color: #fff; cursor: help;
+    font: bold 12px/18px Arial, sans-serif; text-align: center;
+  }
+  .badge:focus-visible { outline: 2px solid #1a3d80; outline-offset: 2px; }
+  .tooltip {
+    display: none; position: absolute; z-index: 2147483647; top: 24px; left: 0;
+    width: 260px; padding: 8px 10px; border-radius: 4px; background: #fff; color: #333;
+    border: 1px solid #c5d3ef; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+    font: 12px/1.4 Arial, sans-serif; text-align: left; white-space: normal;
+  }
+  .tooltip p { margin: 0; }
+  .tooltip p + p { margin-top: 6px; }
+  :host(:hover) .tooltip, .badge:focus + .tooltip, .badge[aria-expanded="true"] + .tooltip { display: block; }
+  .tooltip.dismissed { display: none !important; }
+`;
+
+/**
+ * Text used to match a field against guidance labels
+ * @param {Object} field - Field from FieldDetector
+ * @returns {string} Label, name and id
+ */
+function getFieldText(field) {
+  return [field.label?.text || field.label, field.name, field.id]
+    .filter(value => typeof value === 'string')
+    .join(' ')
+    .replace(/[_-]+/g, ' ');
+}
+
+/**
+ * Guidance entry for a field
+ * @param {Object} field - Field from FieldDetector, with classification
+ * @param {Object} commonFields - form_field_guidance.common_fields of the state
+ * @returns {Object|null} {key, description, tips}
+ */
+function findGuidance(field, commonFields) {
+  const category = field.classification?.category || null;
+  const text = getFieldText(field);
+
+  for (const [key, guidance] of Object.entries(commonFields || {})) {
+    if (!guidance || (!guidance.description && !guidance.tips)) continue;
+
+    const matcher = GUIDANCE_MATCHERS[key];
+    let matches;
+    if (matcher) {
+      matches = (!matcher.categories || matcher.categories.includes(category)) &&
+        (!matcher.label || matcher.label.test(text));
+    } else {
+      matches = key === category || text.toLowerCase().includes(key.replace(/_/g, ' '));
+    }
+
+    if (matches) {
+      return { key, description: guidance.description || '', tips: guidance.tips || '' };
+    }
+  }
+  return null;
+}
+
+class FieldGuidance {
+  constructor() {
+    // Badge hosts inserted by attach(), including those in shadow roots
+    // and frames that a query on the top document can't reach
+    this.hosts = new Set();
+  }
+
+  /**
+   * Whether badges are shown on a site
+   * @param {string} hostname - Page hostname
+   * @returns {Promise<boolean>} False if the user turned them off there
+   */
+  async isEnabled(hostname) {
+    try {
+      const stored = await chrome.storage.local.get(GUIDANCE_DISABLED_KEY);
+      return !(stored[GUIDANCE_DISABLED_KEY] || []).includes(hostname);
+    } catch (error) {
+      console.error('[BRA-FieldGuidance] Error reading settings:', error);
+      return true;
+    }
+  }
+
+  /**
+   * Turn badges on or off for a site
+   * @param {string} hostname - Page hostname
+   * @param {boolean} enabled - Show badges
+   */
+  async setEnabled(hostname, enabled) {
+    const stored = await chrome.storage.local.get(GUIDANCE_DISABLED_KEY);
+    const disabled = (stored[GUIDANCE_DISABLED_KEY] || []).filter(site => site !== hostname);
+    if (!enabled) {
+      disabled.push(hostname);
+    }
+    await chrome.storage.local.set({ [GUIDANCE_DISABLED_KEY]: disabled });
+  }
+
+  /**
+   * Guidance entries from a state's knowledge
+   * @param {Object|null} stateData - From knowledgeLoader.loadStateData()
+   * @returns {Object} common_fields, empty if the state has none
+   */
+  getGuidance(stateData) {
+    return stateData?.form_field_guidance?.common_fields || {};
+  }
+
+  /**
+   * Add badges to the fields that have guidance, replacing earlier badges
+   * @param {Array} fields - Fields from FieldDetector, with elements
+   * @param {Object} commonFields - From getGuidance()
+   * @param {Document} doc - Page document
+   * @returns {Promise<number>} Number of badges added
+   */
+  async attach(fields, commonFields, doc = document) {
+    this.removeAll(doc);
+    if (Object.keys(commonFields || {}).length === 0) return 0;
+
+    await i18n.init();
+
+    let count = 0;
+    const badged = new Set();
+    (fields || []).forEach(field => {
+      const element = field.element;
+      if (!element || !element.isConnected || badged.has(element)) return;
+
+      const guidance = findGuidance(field, commonFields);
+      if (!guidance) return;
+
+      // Radio and checkbox groups get one badge, after the last option
+      const anchor = Array.isArray(field.options) && field.options.length > 0
+        ? field.options[field.options.length - 1].element || element
+        : element;
+      const label = field.label?.text || field.label || field.name || guidance.key.replace(/_/g, ' ');
+      const host = this.createBadge(anchor.ownerDocument || doc, guidance, String(label));
+      anchor.insertAdjacentElement('afterend', host);
+      this.hosts.add(host);
+      badged.add(element);
+      count++;
+    });
+
+    return count;
+  }
+
+  /**
+   * Build a badge and its tooltip
+   * @param {Document} doc - Page document
+   * @param {Object} guidance - {key, description, tips}
+   * @param {string} label - Field label, for the badge's accessible name
+   * @returns {HTMLElement} Badge host element
+   */
+  createBadge(doc, guidance, label) {
+    const host = doc.createElement('span');
+    host.setAttribute(BADGE_ATTRIBUTE, guidance.key);
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    // Constructed stylesheets aren't blocked by the page's style-src policy
+    if ('adoptedStyleSheets' in shadow && typeof CSSStyleSheet === 'function' && CSSStyleSheet.prototype.replaceSync) {
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(BADGE_STYLES);
+      shadow.adoptedStyleSheets = [sheet];
+    } else {
+      const style = doc.createElement('style');
+      style.textContent = BADGE_STYLES;
+      shadow.appendChild(style);
+    }
+
+    const badge = doc.createElement('button');
+    badge.type = 'button';
+    badge.className = 'badge';
+    badge.textContent = 'i';
+    badge.setAttribute('aria-label', i18n.t('guidanceFor', label));
+    badge.setAttribute('aria-expanded', 'false');
+    badge.setAttribute('aria-describedby', 'tooltip');
+
+    const tooltip = doc.createElement('div');
+    tooltip.id = 'tooltip';
+    tooltip.className = 'tooltip';
+    tooltip.setAttribute('role', 'tooltip');
+    if (guidance.description) {
+      const description = doc.createElement('p');
+      description.textContent = guidance.description;
+      tooltip.appendChild(description);
+    }
+    if (guidance.tips) {
+      const tips = doc.createElement('p');
+      tips.textContent = i18n.t('guidanceTip', guidance.tips);
+      tooltip.appendChild(tips);
+    }
+
+    // Clicks stay off the page's own handlers (the badge may sit inside a label)
+    badge.addEventListener('click', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      const expanded = badge.getAttribute('aria-expanded') !== 'true';
+      tooltip.classList.toggle('dismissed', !expanded);
+      badge.setAttribute('aria-expanded', String(expanded));
+    });
+    badge.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        tooltip.classList.add('dismissed');
+        badge.setAttribute('aria-expanded', 'false');
+      }
+    });
+    badge.addEventListener('blur', () => {
+      tooltip.classList.remove('dismissed');
+      badge.setAttribute('aria-expanded', 'false');
+    });
+
+    shadow.appendChild(badge);
+    shadow.appendChild(tooltip);
+    return host;
+  }
+
+  /**
+   * Remove every badge from the page, wherever attach() put it
+   * @param {Document} doc - Page document
+   */
+  removeAll(doc = document) {
+    this.hosts.forEach(host => host.remove());
+    this.hosts.clear();
+    doc.querySelectorAll(`[${BADGE_ATTRIBUTE}]`).forEach(host => host.remove());
+  }
+}
+
+// Create singleton instance
+const fieldGuidance = new FieldGuidance();
+
+export default fieldGuidance;
+export { fieldGuidance, FieldGuidance, GUIDANCE_DISABLED_KEY, findGuidance };
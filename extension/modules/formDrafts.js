@@ -0,0 +1,253 @@
+/**
+ * Form Drafts Module
+ * Keeps the values a user has entered on a form, per form fingerprint, so
+ * a page lost to a portal timeout can be filled back in. Values of sensitive
+ * fields are encrypted with AES-GCM under a key generated for this install;
+ * the rest are stored as entered. Restoring maps saved values back to the
+ * page's fields by field id, name, label and then classification, so a
+ * draft still applies when the portal renumbers its element ids.
+ */
+
+// Storage key of the saved drafts
+const DRAFTS_KEY = 'BRA_FormDrafts';
+
+// Oldest drafts are dropped beyond this many forms
+const MAX_DRAFTS = 20;
+
+// Longest value kept per field
+const MAX_VALUE_LENGTH = 5000;
+
+// Categories too generic to identify a field on their own
+const GENERIC_CATEGORIES = ['text_field', 'form_field', 'number_field', 'date_field', 'unknown'];
+
+/**
+ * Label text compared when matching fields
+ * @param {string} label - Field label
+ * @returns {string} Lowercase words only
+ */
+function normalizeLabel(label) {
+  return String(label || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Pair saved draft fields with the page's fields. Each side is used once;
+ * ids, then names, then labels, then a category both sides have only once.
+ * @param {Array} draftFields - [{key, name, label, category, value}]
+ * @param {Array} pageFields - Fields from FieldDetector
+ * @returns {Array} [{field, value, draftField}]
+ */
+function matchDraftFields(draftFields, pageFields) {
+  const matches = [];
+  const usedDraft = new Set();
+  const usedPage = new Set();
+
+  const countBy = (items, getCategory) => items.reduce((counts, item) => {
+    const category = getCategory(item);
+    if (category) counts[category] = (counts[category] || 0) + 1;
+    return counts;
+  }, {});
+  const draftCategories = countBy(draftFields, item => item.category);
+  const pageCategories = countBy(pageFields, field => field.classification?.category);
+
+  const strategies = [
+    (draftField, field) => Boolean(draftField.key) && draftField.key === field.fieldId,
+    (draftField, field) => Boolean(draftField.name) && draftField.name === field.name,
+    (draftField, field) => Boolean(normalizeLabel(draftField.label)) &&
+      normalizeLabel(draftField.label) === normalizeLabel(field.label?.text || field.label),
+    (draftField, field) => {
+      const category = draftField.category;
+      return Boolean(category) && !GENERIC_CATEGORIES.includes(category) &&
+        category === field.classification?.category &&
+        draftCategories[category] === 1 && pageCategories[category] === 1;
+    }
+  ];
+
+  strategies.forEach(matchesField => {
+    draftFields.forEach((draftField, draftIndex) => {
+      if (usedDraft.has(draftIndex)) return;
+      const pageIndex = pageFields.findIndex((field, index) => !usedPage.has(index) && matchesField(draftField, field));
+      if (pageIndex === -1) return;
+      usedDraft.add(draftIndex);
+      usedPage.add(pageIndex);
+      matches.push({ field: pageFields[pageIndex], value: draftField.value, draftField });
+    });
+  });
+
+  return matches;
+}
+
+class FormDrafts {
+  /**
+   * Ask the background worker to encrypt or decrypt a value
+   * @param {Object} message - encryptDraftValue or decryptDraftValue message
+   * @returns {Promise<Object>} Successful response
+   */
+  requestCrypto(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, response => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response?.success) {
+          reject(new Error(response?.error || `${message.action} failed`));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  /**
+   * Encrypt a value
+   * @param {string} text - Plain value
+   * @returns {Promise<Object>} {iv, data} in base64
+   */
+  async encrypt(text) {
+    return (await this.requestCrypto({ action: 'encryptDraftValue', text })).payload;
+  }
+
+  /**
+   * Decrypt a value
+   * @param {Object} payload - {iv, data} from encrypt()
+   * @returns {Promise<string>} Plain value
+   */
+  async decrypt(payload) {
+    return (await this.requestCrypto({ action: 'decryptDraftValue', payload })).text;
+  }
+
+  /**
+   * Read every saved draft as stored (sensitive values still encrypted)
+   * @returns {Promise<Object>} {fingerprint: draft}
+   */
+  async getAll() {
+    try {
+      const stored = await chrome.storage.local.get(DRAFTS_KEY);
+      return stored[DRAFTS_KEY] || {};
+    } catch (error) {
+      console.error('[BRA-FormDrafts] Error reading drafts:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save the values entered on a form, replacing its earlier draft. With
+   * merge, earlier values are kept for fields that are empty now.
+   * @param {string} fingerprint - Form fingerprint
+   * @param {Array} entries - [{key, name, label, category, value, sensitive}]
+   * @param {Object} form - {url, title, state}
+   * @param {Object} options - {merge}
+   * @returns {Promise<Object|null>} The saved draft, null if nothing was entered
+   */
+  async save(fingerprint, entries, form = {}, options = {}) {
+    if (!fingerprint) {
+      throw new Error('A form fingerprint is required');
+    }
+
+    const fields = [];
+    for (const entry of entries) {
+      const value = String(entry.value ?? '').slice(0, MAX_VALUE_LENGTH);
+      if (!value.trim()) continue;
+
+      const saved = { key: entry.key || null, name: entry.name || null, label: entry.label || null, category: entry.category || null };
+      if (entry.sensitive) {
+        try {
+          saved.encrypted = await this.encrypt(value);
+        } catch (error) {
+          // Never fall back to storing a sensitive value in the clear
+          console.error('[BRA-FormDrafts] Could not encrypt a sensitive value, leaving it out:', error);
+          continue;
+        }
+      } else {
+        saved.value = value;
+      }
+      fields.push(saved);
+    }
+
+    const all = await this.getAll();
+    if (options.merge && all[fingerprint]) {
+      const keys = new Set(fields.map(field => field.key));
+      all[fingerprint].fields.forEach(field => {
+        if (!keys.has(field.key)) fields.push(field);
+      });
+    }
+
+    if (fields.length === 0) {
+      delete all[fingerprint];
+      await chrome.storage.local.set({ [DRAFTS_KEY]: all });
+      return null;
+    }
+
+    all[fingerprint] = {
+      url: form.url || '',
+      title: form.title || '',
+      state: form.state || null,
+      savedAt: Date.now(),
+      fields
+    };
+
+    // Keep the most recent forms only
+    Object.entries(all)
+      .sort((a, b) => b[1].savedAt - a[1].savedAt)
+      .slice(MAX_DRAFTS)
+      .forEach(([key]) => delete all[key]);
+
+    await chrome.storage.local.set({ [DRAFTS_KEY]: all });
+    return all[fingerprint];
+  }
+
+  /**
+   * A form's draft without its values, for offering it
+   * @param {string} fingerprint - Form fingerprint
+   * @returns {Promise<Object|null>} {savedAt, fieldCount, sensitiveCount}
+   */
+  async getSummary(fingerprint) {
+    const draft = (await this.getAll())[fingerprint];
+    if (!draft || draft.fields.length === 0) return null;
+    return {
+      savedAt: draft.savedAt,
+      fieldCount: draft.fields.length,
+      sensitiveCount: draft.fields.filter(field => field.encrypted).length
+    };
+  }
+
+  /**
+   * A form's draft with sensitive values decrypted
+   * @param {string} fingerprint - Form fingerprint
+   * @returns {Promise<Object|null>} Draft whose fields all have a value
+   */
+  async get(fingerprint) {
+    const draft = (await this.getAll())[fingerprint];
+    if (!draft) return null;
+
+    const fields = [];
+    for (const field of draft.fields) {
+      if (!field.encrypted) {
+        fields.push(field);
+        continue;
+      }
+      try {
+        const { encrypted, ...rest } = field;
+        fields.push({ ...rest, value: await this.decrypt(encrypted), sensitive: true });
+      } catch (error) {
+        console.error('[BRA-FormDrafts] Could not decrypt a saved value:', error);
+      }
+    }
+    return { ...draft, fields };
+  }
+
+  /**
+   * Delete a form's draft
+   * @param {string} fingerprint - Form fingerprint
+   */
+  async discard(fingerprint) {
+    const all = await this.getAll();
+    if (!all[fingerprint]) return;
+    delete all[fingerprint];
+    await chrome.storage.local.set({ [DRAFTS_KEY]: all });
+  }
+}
+
+// Create singleton instance
+const formDrafts = new FormDrafts();
+
+export default formDrafts;
+export { formDrafts, FormDrafts, DRAFTS_KEY, matchDraftFields };
@@ -0,0 +1,174 @@
+/**
+ * Form Exporter Module
+ * Exports a detected form (FieldDetector.getUIData()) as a JSON Schema
+ * document or a CSV field inventory for documenting state forms
+ */
+
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+// HTML input types -> JSON Schema string formats
+const STRING_FORMATS = {
+  email: 'email',
+  date: 'date',
+  'datetime-local': 'date-time',
+  time: 'time',
+  url: 'uri'
+};
+
+const CSV_COLUMNS = ['section', 'label', 'name', 'id', 'type', 'required', 'category', 'confidence', 'options'];
+
+/**
+ * Fields from getUIData() in display order, with their section label
+ * @param {Object} uiData - From FieldDetector.getUIData()
+ * @returns {Array} [{section, field}]
+ */
+function flattenFields(uiData) {
+  const entries = [];
+  Object.values(uiData?.categories || {}).forEach(group => {
+    (group.fields || []).forEach(field => entries.push({ section: group.label, field }));
+  });
+  return entries;
+}
+
+/**
+ * Choices for a field: radio/checkbox group options, or a select's options
+ * (the empty "Select..." placeholder is left out)
+ * @param {Object} field - UI field
+ * @returns {Array} [{value, label}]
+ */
+function getFieldOptions(field) {
+  if (Array.isArray(field.options) && field.options.length > 0) {
+    return field.options.map(option => ({ value: option.value, label: option.label || option.value }));
+  }
+
+  const element = field.element;
+  if (element && element.tagName === 'SELECT') {
+    return Array.from(element.options)
+      .filter(option => option.value !== '')
+      .map(option => ({ value: option.value, label: option.textContent.trim() }));
+  }
+
+  return [];
+}
+
+/**
+ * Property key for a field: its name, id or label, made unique
+ * @param {Object} field - UI field
+ * @param {Set} used - Keys already taken
+ * @returns {string} Property key
+ */
+function getPropertyKey(field, used) {
+  const base = field.name || field.id ||
+    String(field.label || 'field').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'field';
+  let key = base;
+  for (let i = 2; used.has(key); i++) {
+    key = `${base}_${i}`;
+  }
+  used.add(key);
+  return key;
+}
+
+class FormExporter {
+  /**
+   * Build a JSON Schema describing the detected form
+   * @param {Object} uiData - From FieldDetector.getUIData()
+   * @param {Object} meta - {title, url, state, formType}
+   * @returns {Object} JSON Schema document
+   */
+  toJSONSchema(uiData, meta = {}) {
+    const used = new Set();
+    const properties = {};
+    const required = [];
+    const sections = [];
+
+    flattenFields(uiData).forEach(({ section, field }) => {
+      const key = getPropertyKey(field, used);
+      const options = getFieldOptions(field);
+      const type = (field.type || '').toLowerCase();
+      const property = { title: field.label || key };
+
+      if (type === 'multi_select' && options.length > 1) {
+        property.type = 'array';
+        property.items = { type: 'string', enum: options.map(option => option.value) };
+        property.uniqueItems = true;
+      } else if (type === 'multi_select' || type === 'checkbox') {
+        property.type = 'boolean';
+      } else if (type === 'number' || type === 'range') {
+        property.type = 'number';
+      } else {
+        property.type = 'string';
+        if (STRING_FORMATS[type]) property.format = STRING_FORMATS[type];
+        if (options.length > 0) property.enum = options.map(option => option.value);
+      }
+
+      if (options.length > 0 && options.some(option => option.label !== option.value)) {
+        property['x-bra-option-labels'] = Object.fromEntries(options.map(option => [option.value, option.label]));
+      }
+      if (field.category) {
+        property['x-bra-category'] = field.category;
+        property['x-bra-confidence'] = field.confidence ?? null;
+      }
+      property['x-bra-html-type'] = field.originalType || field.type || null;
+      property['x-bra-section'] = section;
+
+      properties[key] = property;
+      if (field.required) required.push(key);
+
+      let sectionEntry = sections.find(entry => entry.name === section);
+      if (!sectionEntry) {
+        sectionEntry = { name: section, fields: [] };
+        sections.push(sectionEntry);
+      }
+      sectionEntry.fields.push(key);
+    });
+
+    const schema = {
+      $schema: JSON_SCHEMA_DRAFT,
+      title: meta.title || 'Detected form',
+      type: 'object',
+      properties: properties,
+      required: required,
+      'x-bra-sections': sections
+    };
+    if (meta.url) schema.description = `Detected on ${meta.url}`;
+    if (meta.state) schema['x-bra-state'] = meta.state;
+    if (meta.formType) schema['x-bra-form-type'] = meta.formType;
+
+    return schema;
+  }
+
+  /**
+   * Build a CSV inventory with one row per detected field
+   * @param {Object} uiData - From FieldDetector.getUIData()
+   * @returns {string} CSV text with a header row
+   */
+  toCSV(uiData) {
+    const quote = value => {
+      let text = value === null || value === undefined ? '' : String(value);
+      // Spreadsheets run cells starting with these as formulas; page text
+      // such as a label "=HYPERLINK(...)" must stay text
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = flattenFields(uiData).map(({ section, field }) => [
+      section,
+      field.label,
+      field.name,
+      field.id,
+      field.originalType || field.type,
+      field.required ? 'yes' : 'no',
+      field.category,
+      field.confidence,
+      getFieldOptions(field).map(option => option.label).join(' | ')
+    ]);
+
+    return [CSV_COLUMNS, ...rows].map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+  }
+}
+
+// Create singleton instance
+const formExporter = new FormExporter();
+
+export default formExporter;
+export { formExporter, FormExporter };
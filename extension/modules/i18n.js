@@ -0,0 +1,194 @@
+/**
+ * I18n Module
+ * Translates the extension's own UI. Messages are the standard
+ * _locales/<locale>/messages.json files, fetched here instead of read through
+ * chrome.i18n because chrome.i18n always follows the browser language and the
+ * panel lets the user choose. Messages missing from a locale fall back to English.
+ */
+
+import { LOCALE_KEY, DEFAULT_LOCALE } from './knowledgeLoader.js';
+
+// Locales with a _locales/<code>/messages.json, and their names in that language
+const SUPPORTED_LOCALES = {
+  en: 'English',
+  es: 'Español'
+};
+
+/**
+ * Supported locale for a language tag
+ * @param {string} tag - e.g. "es-MX" or "en_US"
+ * @returns {string} Supported locale code, English if the language isn't supported
+ */
+function resolveLocale(tag) {
+  const language = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return Object.prototype.hasOwnProperty.call(SUPPORTED_LOCALES, language) ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Fill in a message's substitutions the way chrome.i18n.getMessage does:
+ * $1-$9 are substitutions, $name$ refers to a placeholder whose content
+ * holds them, and $$ is a literal dollar sign
+ * @param {Object} entry - {message, placeholders} from messages.json
+ * @param {string|Array<string>} substitutions - Values for $1, $2, ...
+ * @returns {string} Formatted message
+ */
+function formatMessage(entry, substitutions = []) {
+  const values = Array.isArray(substitutions) ? substitutions : [substitutions];
+  const placeholders = {};
+  Object.entries(entry.placeholders || {}).forEach(([name, placeholder]) => {
+    placeholders[name.toLowerCase()] = placeholder.content || '';
+  });
+
+  const substitute = text => text.replace(/\$(\d)/g, (match, index) => {
+    const value = values[Number(index) - 1];
+    return value === undefined || value === null ? '' : String(value);
+  });
+
+  return String(entry.message || '').replace(/\$\$|\$([a-zA-Z0-9_@]+)\$|\$(\d)/g, (match, name, index) => {
+    if (match === '$$') return '$';
+    if (name) {
+      const content = placeholders[name.toLowerCase()];
+      return content === undefined ? match : substitute(content);
+    }
+    return substitute(`$${index}`);
+  });
+}
+
+class I18n {
+  constructor() {
+    this.locale = DEFAULT_LOCALE;
+    this.messages = {};
+    this.fallbackMessages = {};
+    this.loadedLocale = null;
+  }
+
+  /**
+   * Load the messages of the stored locale, or of the browser language if the
+   * user hasn't picked one
+   * @returns {Promise<string>} Active locale
+   */
+  async init() {
+    await this.load(await this.getPreferredLocale());
+    return this.locale;
+  }
+
+  /**
+   * The locale the user picked, otherwise the browser's UI language
+   * @returns {Promise<string>} Supported locale code
+   */
+  async getPreferredLocale() {
+    try {
+      const stored = await chrome.storage.local.get(LOCALE_KEY);
+      if (stored[LOCALE_KEY]) {
+        return resolveLocale(stored[LOCALE_KEY]);
+      }
+    } catch (error) {
+      console.error('[BRA-I18n] Error reading language:', error);
+    }
+    return resolveLocale(chrome.i18n?.getUILanguage?.());
+  }
+
+  /**
+   * Load a locale's messages along with the English fallback
+   * @param {string} locale - Supported locale code
+   */
+  async load(locale) {
+    if (locale === this.loadedLocale) {
+      return;
+    }
+
+    this.fallbackMessages = await this.fetchMessages(DEFAULT_LOCALE);
+    this.messages = locale === DEFAULT_LOCALE ? this.fallbackMessages : await this.fetchMessages(locale);
+    this.locale = locale;
+    this.loadedLocale = locale;
+  }
+
+  /**
+   * Read a locale's messages.json
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Messages, empty if the file can't be read
+   */
+  async fetchMessages(locale) {
+    try {
+      const response = await fetch(chrome.runtime.getURL(`_locales/${locale}/messages.json`));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error(`[BRA-I18n] Could not load ${locale} messages:`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Save the user's language and load its messages
+   * @param {string} locale - Locale code
+   * @returns {Promise<string>} The locale now in use
+   */
+  async setLocale(locale) {
+    const resolved = resolveLocale(locale);
+    await chrome.storage.local.set({ [LOCALE_KEY]: resolved });
+    await this.load(resolved);
+    return resolved;
+  }
+
+  /**
+   * @returns {string} Active locale code
+   */
+  getLocale() {
+    return this.locale;
+  }
+
+  /**
+   * Locales the language switch offers
+   * @returns {Array<Object>} [{code, name}]
+   */
+  getSupportedLocales() {
+    return Object.entries(SUPPORTED_LOCALES).map(([code, name]) => ({ code, name }));
+  }
+
+  /**
+   * Translate a message
+   * @param {string} key - Message name in messages.json
+   * @param {string|Array<string>} substitutions - Values for $1, $2, ...
+   * @returns {string} Message in the active locale, in English if it isn't
+   *   translated, or the key itself if the message doesn't exist
+   */
+  t(key, substitutions = []) {
+    const entry = this.messages[key] || this.fallbackMessages[key];
+    return entry ? formatMessage(entry, substitutions) : key;
+  }
+
+  /**
+   * Translate static markup. Elements name their message with data-i18n (text),
+   * data-i18n-placeholder, data-i18n-title or data-i18n-aria-label.
+   * @param {Document|HTMLElement} root - Markup to translate
+   */
+  translateDocument(root = document) {
+    const attributes = {
+      'data-i18n-placeholder': 'placeholder',
+      'data-i18n-title': 'title',
+      'data-i18n-aria-label': 'aria-label'
+    };
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.getAttribute('data-i18n'));
+    });
+    Object.entries(attributes).forEach(([dataAttribute, attribute]) => {
+      root.querySelectorAll(`[${dataAttribute}]`).forEach(element => {
+        element.setAttribute(attribute, this.t(element.getAttribute(dataAttribute)));
+      });
+    });
+
+    if (root.documentElement) {
+      root.documentElement.lang = this.locale;
+    }
+  }
+}
+
+// Create singleton instance
+const i18n = new I18n();
+
+export default i18n;
+export { i18n, I18n, SUPPORTED_LOCALES, resolveLocale, formatMessage };
@@ -0,0 +1,414 @@
+/**
+ * Knowledge Chat Module
+ * Answers registration questions from the knowledge base instead of fixed
+ * strings, and reports which knowledge file each answer came from
+ */
+
+import knowledgeLoader, { STATE_NAME_TO_CODE } from './knowledgeLoader.js';
+import i18n from './i18n.js';
+
+// Knowledge file with entity type descriptions
+const ENTITY_TYPES_FILE = 'knowledge/entities/entity_types.json';
+
+// Question wording that identifies an entity type, in English or Spanish (checked in order)
+const ENTITY_PATTERNS = [
+  ['s_corporation', /\bs[\s-]?corp(oration)?s?\b|corporaci[oó]n\s+s\b/i],
+  ['llc', /\bllcs?\b|limited\s+liability\s+compan|sociedad(es)?\s+de\s+responsabilidad\s+limitada/i],
+  ['corporation', /\bcorp(oration)?s?\b|\binc\b|incorporat|corporaci[oó]n(es)?\b|sociedad\s+an[oó]nima/i],
+  ['partnership', /partnership|\blps?\b|sociedad\s+colectiva/i],
+  ['sole_proprietorship', /sole\s*prop|empresa\s+individual|propietario\s+[uú]nico/i]
+];
+
+// Question wording that identifies what the user wants to know, in English
+// or Spanish (checked in order)
+const TOPIC_PATTERNS = [
+  ['annual', /annual|yearly|renew|biennial|statement of information|report|anual|renova|bienal|informe/i],
+  ['cost', /cost|fee|price|how much|pay|\$|cu[aá]nto (cuesta|vale|cobran|hay que pagar)|cuesta|costo|coste|tarifa|tasas?\b|precio|pagar/i],
+  ['time', /how long|processing|time|turnaround|expedite|days|cu[aá]nto tiempo|tarda|plazo|tramitaci[oó]n|urgente|d[ií]as/i],
+  ['form', /which form|what form|form (number|name)|articles|formulario|art[ií]culos|\bacta\b/i],
+  ['registered_agent', /registered agent|agent|agente/i],
+  ['naming', /\bname\b|naming|prohibited|restricted|required terms|\bnombres?\b|denominaci[oó]n|prohibid|restringid/i],
+  ['agency', /agency|website|office|who handles|where|agencia|organismo|oficina|sitio web|p[aá]gina web|qui[eé]n (gestiona|tramita)|d[oó]nde/i],
+  ['additional', /license|permit|ein|employer|payroll|after (forming|registering)|licencia|permiso|empleador|n[oó]mina|despu[eé]s de (constituir|formar|registrar)/i],
+  ['entity', /what is|what's|explain|difference|advantage|disadvantage|pros|cons|tax(ed|ation)?|manage|qu[eé] es|expl[ií]c|diferencia|ventaja|desventaja|contras|impuesto|tributa|fiscal/i]
+];
+
+// Messages naming an entity type in answers: [bare, with an article]
+const ENTITY_NAME_MESSAGES = {
+  llc: ['chatEntityLlc', 'chatEntityLlcWithArticle'],
+  corporation: ['chatEntityCorporation', 'chatEntityCorporationWithArticle'],
+  partnership: ['chatEntityPartnership', 'chatEntityPartnershipWithArticle'],
+  sole_proprietorship: ['chatEntitySoleProprietorship', 'chatEntitySoleProprietorshipWithArticle'],
+  nonprofit: ['chatEntityNonprofit', 'chatEntityNonprofitWithArticle']
+};
+
+// Two-letter state codes, counted only when written in capitals ("CA", "DE")
+const STATE_CODE_PATTERN = /\b(A[KLRZ]|C[AOT]|D[CE]|FL|GA|HI|I[ADLN]|K[SY]|LA|M[ADEINOST]|N[CDEHJMVY]|O[HKR]|PA|RI|S[CD]|T[NX]|UT|V[AT]|W[AIVY])\b/g;
+
+// Codes that are also everyday words ("HI, ...", "is that OK", "ID number");
+// these need state or filing wording next to them, or to be the whole question
+const AMBIGUOUS_STATE_CODES = ['HI', 'ID', 'IN', 'ME', 'OH', 'OK', 'OR'];
+const STATE_CODE_BEFORE = /\b(?:in|state of|filing in|file in|register in)\s*$/i;
+const STATE_CODE_AFTER = /^\s*(?:state|llcs?|corp(?:oration)?s?|filings?|fees?|forms?|secretary of state|sos|registration|annual reports?)\b/i;
+
+class KnowledgeChat {
+  constructor() {
+    this.entityTypes = null;
+  }
+
+  /**
+   * Load entity type descriptions
+   * @returns {Promise<Object>} entity_types map
+   * @private
+   */
+  async _loadEntityTypes() {
+    if (this.entityTypes) {
+      return this.entityTypes;
+    }
+
+    try {
+      const response = await fetch(chrome.runtime.getURL(ENTITY_TYPES_FILE));
+      const data = await response.json();
+      this.entityTypes = data.entity_types || {};
+    } catch (error) {
+      console.error('[BRA-KnowledgeChat] Failed to load entity types:', error);
+      this.entityTypes = {};
+    }
+
+    return this.entityTypes;
+  }
+
+  /**
+   * Find a state mentioned in the question
+   * @param {string} message - User question
+   * @returns {string|null} State code or null
+   */
+  findState(message) {
+    const codeMatch = this._findStateCode(message);
+    const lower = message.toLowerCase();
+
+    if (/district of columbia|washington,?\s*d\.?c\.?|\bd\.c\./.test(lower)) {
+      return 'DC';
+    }
+
+    // Longest names first so "west virginia" wins over "virginia"
+    const names = Object.keys(STATE_NAME_TO_CODE).sort((a, b) => b.length - a.length);
+    for (const name of names) {
+      const pattern = new RegExp(`\\b${name.replace(/-/g, '').split('').join('[\\s-]?')}\\b`);
+      if (pattern.test(lower)) {
+        return STATE_NAME_TO_CODE[name];
+      }
+    }
+
+    return codeMatch;
+  }
+
+  /**
+   * Find a two-letter state code in the question
+   * @param {string} message - User question
+   * @returns {string|null} State code or null
+   * @private
+   */
+  _findStateCode(message) {
+    if (AMBIGUOUS_STATE_CODES.includes(message.trim().replace(/[?.!]+$/, ''))) {
+      return message.trim().slice(0, 2);
+    }
+
+    for (const match of message.matchAll(STATE_CODE_PATTERN)) {
+      const code = match[1];
+      if (!AMBIGUOUS_STATE_CODES.includes(code)) {
+        return code;
+      }
+      const before = message.slice(0, match.index);
+      const after = message.slice(match.index + code.length);
+      if (STATE_CODE_BEFORE.test(before) || STATE_CODE_AFTER.test(after)) {
+        return code;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find an entity type mentioned in the question
+   * @param {string} message - User question
+   * @returns {string|null} Entity type key or null
+   */
+  findEntityType(message) {
+    const match = ENTITY_PATTERNS.find(([, pattern]) => pattern.test(message));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Work out what the question is about
+   * @param {string} message - User question
+   * @returns {string|null} Topic key or null
+   */
+  findTopic(message) {
+    const match = TOPIC_PATTERNS.find(([, pattern]) => pattern.test(message));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Format a fee value from the knowledge base
+   * @param {number|string} fee - Fee as stored
+   * @returns {string} Display text
+   * @private
+   */
+  _formatFee(fee) {
+    if (typeof fee === 'number') {
+      return fee === 0 ? i18n.t('chatNoFee') : `$${fee}`;
+    }
+    return String(fee);
+  }
+
+  /**
+   * Answer a question from the knowledge base
+   * @param {string} message - User question
+   * @param {Object} context - Defaults when the question doesn't say
+   *   ({stateCode, entityType} from the detected tab and active business)
+   * @returns {Promise<Object>} {text, sources, stateCode, entityType}
+   */
+  async answer(message, context = {}) {
+    // Answers are worded in the language chosen in the panel
+    await i18n.init();
+
+    const stateCode = this.findState(message) || context.stateCode || null;
+    const entityType = this.findEntityType(message) || context.entityType || null;
+    const topic = this.findTopic(message);
+
+    try {
+      if (!topic) {
+        return this._result(null, [], stateCode, entityType);
+      }
+
+      if (topic === 'entity' || (!stateCode && entityType)) {
+        return await this._answerEntity(entityType, stateCode);
+      }
+
+      if (!stateCode) {
+        return this._result(i18n.t('chatAskState'), [], null, entityType);
+      }
+
+      const stateData = await knowledgeLoader.loadStateData(stateCode);
+      if (!stateData) {
+        return this._result(i18n.t('chatNoStateKnowledge', stateCode), [], stateCode, entityType);
+      }
+
+      const { text, files } = this._answerFromState(stateData, topic, entityType || 'llc');
+      const sources = knowledgeLoader.getStateSources(stateCode)
+        .filter(file => files.some(name => file.endsWith(`/${name}`)));
+
+      return this._result(text, sources, stateCode, entityType);
+    } catch (error) {
+      console.error('[BRA-KnowledgeChat] Error answering question:', error);
+      return this._result(null, [], stateCode, entityType);
+    }
+  }
+
+  /**
+   * Build an answer result
+   * @private
+   */
+  _result(text, sources, stateCode, entityType) {
+    return { text, sources, stateCode, entityType };
+  }
+
+  /**
+   * Finish a sentence without doubling a trailing period
+   * @param {string} text - Sentence text
+   * @returns {string} Text ending in exactly one period
+   * @private
+   */
+  _sentence(text) {
+    return String(text).trim().replace(/\.+$/, '') + '.';
+  }
+
+  /**
+   * Name of an entity type in the panel language
+   * @param {string} entityType - Entity type key
+   * @param {boolean} withArticle - Include the indefinite article ("an LLC")
+   * @returns {string} Display name
+   * @private
+   */
+  _entityName(entityType, withArticle = false) {
+    const messages = ENTITY_NAME_MESSAGES[entityType];
+    if (messages) {
+      return i18n.t(messages[withArticle ? 1 : 0]);
+    }
+    const label = entityType.replace(/_/g, ' ');
+    return withArticle ? `${/^[aeiou]/i.test(label) ? 'an' : 'a'} ${label}` : label;
+  }
+
+  /**
+   * Capitalize the first letter of an answer
+   * @param {string} text - Answer text
+   * @returns {string} Text starting with a capital
+   * @private
+   */
+  _capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Answer from a state's knowledge directory (forms.json, agencies.json,
+   * overrides.json)
+   * @param {Object} stateData - Merged state knowledge from KnowledgeLoader
+   * @param {string} topic - Question topic
+   * @param {string} entityType - Entity type key
+   * @returns {Object} {text, files} where files are the knowledge files used
+   * @private
+   */
+  _answerFromState(stateData, topic, entityType) {
+    const stateName = stateData.state_full || stateData.state;
+    const registration = stateData.forms?.business_registration || {};
+    const formKey = entityType === 's_corporation' ? 'corporation' : entityType;
+    const form = registration.entity_specific?.[formKey];
+    const agency = stateData.agencies?.[registration.agency];
+    const deadlines = stateData.filing_deadlines || {};
+    const periodicReport = deadlines.annual_report || deadlines.biennial_report;
+    const reportName = i18n.t(deadlines.annual_report ? 'chatAnnualReport' : 'chatBiennialReport');
+    const entityLabel = this._entityName(formKey);
+    const answer = (text, ...files) => ({ text, files });
+
+    switch (topic) {
+      case 'cost':
+        if (form && form.filing_fee !== undefined) {
+          let text = i18n.t('chatCost', [this._entityName(formKey, true), stateName, form.form_name || form.form_number, this._formatFee(form.filing_fee)]);
+          if (form.processing_time) text += ' ' + i18n.t('chatProcessing', form.processing_time);
+          if (form.annual_filing) text += ' ' + this._sentence(i18n.t('chatOngoing', [form.annual_filing, this._formatFee(form.annual_fee)]));
+          return answer(text, 'forms.json');
+        }
+        return periodicReport
+          ? answer(`${i18n.t('chatNoFormationFees', stateName)} ${i18n.t('chatReportFee', [reportName, periodicReport.fee])}`, 'overrides.json')
+          : answer(i18n.t('chatNoFormationFees', stateName));
+      case 'time':
+        return form?.processing_time
+          ? answer(this._sentence(i18n.t('chatProcessingTime', [stateName, entityLabel, form.form_name || form.form_number, form.processing_time])), 'forms.json')
+          : answer(i18n.t('chatNoProcessingTimes', stateName));
+      case 'annual':
+        if (form?.annual_filing) {
+          return answer(i18n.t('chatOngoingFiling', [stateName, entityLabel, form.annual_filing, this._formatFee(form.annual_fee)]), 'forms.json');
+        }
+        return periodicReport
+          ? answer(this._sentence(this._capitalize(i18n.t('chatPeriodicReport', [stateName, reportName, periodicReport.description, periodicReport.due_date, periodicReport.fee]))), 'overrides.json')
+          : answer(null);
+      case 'form': {
+        if (!form) {
+          const covered = Object.keys(registration.entity_specific || {});
+          return answer(covered.length
+            ? i18n.t('chatFormsCovered', [stateName, covered.join(', '), entityLabel])
+            : null, 'forms.json');
+        }
+        const formName = [form.form_name, form.form_number].filter(Boolean).join(' / ');
+        let text = this._capitalize(agency
+          ? i18n.t('chatFormedWithAgency', [this._entityName(formKey, true), stateName, formName, agency.full_name, registration.url])
+          : i18n.t('chatFormedWith', [this._entityName(formKey, true), stateName, formName, registration.url]));
+        if (form.required_docs?.length) text += ' ' + i18n.t('chatRequiredDocuments', form.required_docs.join(', '));
+        return agency ? answer(text, 'forms.json', 'agencies.json') : answer(text, 'forms.json');
+      }
+      case 'registered_agent': {
+        const requirement = stateData.requirements?.registered_agent;
+        return requirement?.description
+          ? answer(this._sentence(i18n.t('chatRegisteredAgent', [stateName, requirement.description])), 'overrides.json')
+          : answer(null);
+      }
+      case 'naming': {
+        const businessName = stateData.validation_overrides?.business_name || {};
+        const rules = businessName.naming_conventions?.[formKey];
+        const parts = [];
+        if (rules?.required_terms?.length) parts.push(i18n.t('chatNamingRequired', [stateName, entityLabel, rules.required_terms.join(', ')]));
+        if (rules?.prohibited_terms?.length) parts.push(this._sentence(i18n.t('chatNamingProhibited', rules.prohibited_terms.join(', '))));
+        if (businessName.restricted_words?.length) parts.push(this._sentence(i18n.t('chatNamingRestricted', [stateName, businessName.restricted_words.join(', ')])));
+        return parts.length ? answer(parts.join(' '), 'overrides.json') : answer(null);
+      }
+      case 'agency':
+        if (agency) {
+          return answer(agency.website
+            ? i18n.t('chatAgencyWebsite', [stateName, agency.full_name, agency.website])
+            : i18n.t('chatAgency', [stateName, agency.full_name]), 'agencies.json');
+        }
+        return this._answerFormList(stateData, stateName);
+      case 'additional': {
+        const parts = [];
+        Object.entries(stateData.additional_filings || {}).forEach(([key, filing]) => {
+          if (filing.description) {
+            parts.push(`${this._formatFilingName(key)}: ${filing.description}`);
+          } else {
+            // Grouped requirements such as employer_requirements.{ein, edd}
+            Object.entries(filing).forEach(([subKey, subFiling]) => {
+              if (subFiling?.description) parts.push(`${this._formatFilingName(subKey)}: ${subFiling.description}`);
+            });
+          }
+        });
+        return parts.length
+          ? answer(this._sentence(i18n.t('chatAfterForming', [stateName, parts.map(part => part.replace(/\.$/, '')).join('. ')])), 'overrides.json')
+          : this._answerFormList(stateData, stateName);
+      }
+      default:
+        return answer(null);
+    }
+  }
+
+  /**
+   * List a state's filings (name, agency, url) from forms.json
+   * @param {Object} stateData - Merged state knowledge
+   * @param {string} stateName - Display name
+   * @returns {Object} {text, files}
+   * @private
+   */
+  _answerFormList(stateData, stateName) {
+    const forms = Object.values(stateData.forms || {});
+    if (forms.length === 0) return { text: null, files: [] };
+    return {
+      text: i18n.t('chatStateFilings', [stateName,
+        forms.map(form => `${form.name} (${form.agency}, ${form.url}) – ${form.description}`).join('; ')]),
+      files: ['forms.json']
+    };
+  }
+
+  /**
+   * Display name for an additional filing key, e.g. "seller_permit" -> "Seller permit"
+   * @param {string} key - Knowledge key
+   * @returns {string} Display name
+   * @private
+   */
+  _formatFilingName(key) {
+    if (/^(ein|edd)$/i.test(key)) return key.toUpperCase();
+    const text = key.replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Answer a general entity type question from entity_types.json
+   * @param {string} entityType - Entity type key
+   * @param {string} stateCode - State code (unused, kept in the result)
+   * @returns {Promise<Object>} Answer result
+   * @private
+   */
+  async _answerEntity(entityType, stateCode) {
+    const entityTypes = await this._loadEntityTypes();
+    const entity = entityTypes[entityType];
+
+    if (!entity) {
+      return this._result(
+        i18n.t('chatWhichEntity', Object.values(entityTypes).map(e => e.name).join(', ')),
+        [ENTITY_TYPES_FILE], stateCode, entityType
+      );
+    }
+
+    const text = [
+      `${entity.name}: ${entity.description}`,
+      i18n.t('chatEntityAdvantages', entity.advantages.join('; ')),
+      i18n.t('chatEntityDisadvantages', entity.disadvantages.join('; ')),
+      i18n.t('chatEntityTaxation', entity.taxation.default)
+    ].map(part => this._sentence(part)).join(' ');
+
+    return this._result(text, [ENTITY_TYPES_FILE], stateCode, entityType);
+  }
+}
+
+// Create singleton instance
+const knowledgeChat = new KnowledgeChat();
+
+export default knowledgeChat;
+export { knowledgeChat };
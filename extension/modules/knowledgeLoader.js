@@ -3,11 +3,135 @@
  * Manages loading and merging of common and state-specific patterns
  */
 
+// State names (as they appear in URLs and questions) to codes
+const STATE_NAME_TO_CODE = {
+  'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR',
+  'california': 'CA', 'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE',
+  'districtofcolumbia': 'DC', 'district-of-columbia': 'DC', 'washington-dc': 'DC',
+  'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI', 'idaho': 'ID',
+  'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA', 'kansas': 'KS',
+  'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME', 'maryland': 'MD',
+  'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN', 'mississippi': 'MS',
+  'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV',
+  'newhampshire': 'NH', 'newjersey': 'NJ', 'newmexico': 'NM', 'newyork': 'NY',
+  'northcarolina': 'NC', 'northdakota': 'ND', 'ohio': 'OH', 'oklahoma': 'OK',
+  'oregon': 'OR', 'pennsylvania': 'PA', 'rhodeisland': 'RI', 'southcarolina': 'SC',
+  'southdakota': 'SD', 'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT',
+  'vermont': 'VT', 'virginia': 'VA', 'washington': 'WA', 'westvirginia': 'WV',
+  'wisconsin': 'WI', 'wyoming': 'WY'
+};
+
+// Files that make up a state's knowledge directory (knowledge/states/<code>/)
+const STATE_KNOWLEDGE_FILES = ['forms.json', 'agencies.json', 'overrides.json'];
+
+// Storage key of the language chosen in the panel (see modules/i18n.js)
+const LOCALE_KEY = 'BRA_Locale';
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Replace the text of a knowledge value with a translation. Only strings are
+ * replaced; objects and arrays are followed into, and anything the translation
+ * leaves out (or that isn't in the original) keeps the English value, so a
+ * partial translation can never change the knowledge's structure.
+ * @param {*} base - English knowledge value
+ * @param {*} translation - Matching value from a locale overlay
+ * @returns {*} Translated copy of base
+ */
+function applyTranslation(base, translation) {
+  if (translation === undefined || translation === null) {
+    return base;
+  }
+  if (typeof base === 'string') {
+    return typeof translation === 'string' && translation.trim() ? translation : base;
+  }
+  if (Array.isArray(base)) {
+    return Array.isArray(translation)
+      ? base.map((item, index) => applyTranslation(item, translation[index]))
+      : base;
+  }
+  if (base && typeof base === 'object' && typeof translation === 'object' && !Array.isArray(translation)) {
+    const translated = {};
+    Object.keys(base).forEach(key => {
+      translated[key] = applyTranslation(base[key], translation[key]);
+    });
+    return translated;
+  }
+  return base;
+}
+
 class KnowledgeLoader {
   constructor() {
     this.commonPatterns = null;
     this.stateData = new Map();
+    this.stateSources = new Map();
     this.currentState = null;
+    this.locale = null;
+  }
+
+  /**
+   * Language that state knowledge is translated into. Read once from storage
+   * and kept in sync when the user switches language.
+   * @returns {Promise<string>} Locale code, e.g. "es"
+   */
+  async getLocale() {
+    if (this.locale) {
+      return this.locale;
+    }
+
+    this.locale = DEFAULT_LOCALE;
+    try {
+      const stored = await chrome.storage.local.get(LOCALE_KEY);
+      this.locale = stored[LOCALE_KEY] || DEFAULT_LOCALE;
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[LOCALE_KEY]) {
+          this.setLocale(changes[LOCALE_KEY].newValue);
+        }
+      });
+    } catch (e) {
+      // No extension storage (e.g. in tests): stay in English
+    }
+    return this.locale;
+  }
+
+  /**
+   * Switch the language of state knowledge; cached states are reloaded
+   * @param {string} locale - Locale code; falsy means English
+   */
+  setLocale(locale) {
+    const next = locale || DEFAULT_LOCALE;
+    if (next === this.locale) {
+      return;
+    }
+    this.locale = next;
+    this.stateData.clear();
+    this.stateSources.clear();
+  }
+
+  /**
+   * Apply a state file's translation overlay, if one exists for the locale
+   * (knowledge/locales/<locale>/states/<code>/<file>, same shape as the file)
+   * @param {Object} data - English file contents
+   * @param {string} stateLower - Lower-case state code
+   * @param {string} file - File name
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} {data, path} where path is set if an overlay was applied
+   */
+  async loadTranslation(data, stateLower, file, locale) {
+    if (locale === DEFAULT_LOCALE) {
+      return { data, path: null };
+    }
+
+    const path = `knowledge/locales/${locale}/states/${stateLower}/${file}`;
+    try {
+      const response = await fetch(chrome.runtime.getURL(path));
+      if (!response.ok) {
+        return { data, path: null };
+      }
+      return { data: applyTranslation(data, await response.json()), path };
+    } catch (e) {
+      console.warn(`[BRA-KnowledgeLoader] Could not load ${path}:`, e.message);
+      return { data, path: null };
+    }
   }
 
   /**
@@ -114,6 +238,7 @@ class KnowledgeLoader {
    * @param {string} stateCode - Two-letter state code (e.g., 'CA', 'DE')
    */
   async loadStateData(stateCode) {
+    const locale = await this.getLocale();
     if (!stateCode || this.stateData.has(stateCode)) {
       return this.stateData.get(stateCode);
     }
@@ -122,63 +247,49 @@ class KnowledgeLoader {
     
     try {
       const stateLower = stateCode.toLowerCase();
-      let stateData = {};
+      const stateData = {};
+      const sources = [];
       
-      // Try loading from single file first (e.g., california.json, delaware.json)
-      try {
-        const response = await fetch(chrome.runtime.getURL(`knowledge/states/${stateLower}.json`));
-        if (response.ok) {
-          stateData = await response.json();
-          console.log(`[BRA-KnowledgeLoader] Loaded ${stateCode} patterns from single file:`, Object.keys(stateData).length, 'keys');
-        }
-      } catch (e) {
-        // Single file not found, try directory structure
-        console.log(`[BRA-KnowledgeLoader] No single file for ${stateCode}, checking directory structure`);
-      }
-      
-      // For states with directory structure (e.g., dc/), load individual files
-      if (Object.keys(stateData).length === 0) {
+      // Every state uses the canonical directory layout (see knowledge/states/_template
+      // and tools/migrateStateKnowledge.js for converting older single-file states)
+      for (const file of STATE_KNOWLEDGE_FILES) {
+        const path = `knowledge/states/${stateLower}/${file}`;
         try {
-          let loadedFiles = 0;
-          
-          // Load forms.json
-          const formsResponse = await fetch(chrome.runtime.getURL(`knowledge/states/${stateLower}/forms.json`));
-          if (formsResponse.ok) {
-            const forms = await formsResponse.json();
-            stateData = { ...stateData, ...forms };
-            loadedFiles++;
-            console.log(`[BRA-KnowledgeLoader] Loaded ${stateCode}/forms.json`);
-          }
-          
-          // Load agencies.json
-          const agenciesResponse = await fetch(chrome.runtime.getURL(`knowledge/states/${stateLower}/agencies.json`));
-          if (agenciesResponse.ok) {
-            const agencies = await agenciesResponse.json();
-            stateData.agencies = agencies.agencies || agencies;
-            loadedFiles++;
-            console.log(`[BRA-KnowledgeLoader] Loaded ${stateCode}/agencies.json`);
+          const response = await fetch(chrome.runtime.getURL(path));
+          if (!response.ok) {
+            continue;
           }
           
-          // Load overrides.json
-          const overridesResponse = await fetch(chrome.runtime.getURL(`knowledge/states/${stateLower}/overrides.json`));
-          if (overridesResponse.ok) {
-            const overrides = await overridesResponse.json();
-            stateData.field_mappings = overrides.field_mappings || {};
-            stateData.url_patterns = overrides.url_patterns || {};
-            loadedFiles++;
-            console.log(`[BRA-KnowledgeLoader] Loaded ${stateCode}/overrides.json`);
+          const translation = await this.loadTranslation(await response.json(), stateLower, file, locale);
+          const data = translation.data;
+          if (file === 'forms.json') {
+            Object.assign(stateData, data);
+          } else if (file === 'agencies.json') {
+            stateData.agencies = data.agencies || {};
+            stateData.emergency_contacts = data.emergency_contacts || {};
+          } else {
+            // overrides.json: every section except its own state/description header
+            const { state, description, ...sections } = data;
+            Object.assign(stateData, sections);
           }
-          
-          if (loadedFiles > 0) {
-            console.log(`[BRA-KnowledgeLoader] Loaded ${loadedFiles} files for ${stateCode}`);
+          sources.push(path);
+          if (translation.path) {
+            sources.push(translation.path);
           }
+          console.log(`[BRA-KnowledgeLoader] Loaded ${stateCode}/${file}`);
         } catch (e) {
-          console.warn(`[BRA-KnowledgeLoader] Could not load state data from directory for ${stateCode}:`, e.message);
+          console.warn(`[BRA-KnowledgeLoader] Could not load ${path}:`, e.message);
         }
       }
       
-      if (Object.keys(stateData).length > 0) {
+      stateData.field_mappings = stateData.field_mappings || {};
+      stateData.url_patterns = stateData.url_patterns || {};
+      stateData.filing_deadlines = stateData.filing_deadlines || {};
+      stateData.validation_overrides = stateData.validation_overrides || {};
+      
+      if (sources.length > 0) {
         this.stateData.set(stateCode, stateData);
+        this.stateSources.set(stateCode, sources);
         this.currentState = stateCode;
         console.log(`State data loaded for ${stateCode}`);
         return stateData;
@@ -192,6 +303,15 @@ class KnowledgeLoader {
     }
   }
 
+  /**
+   * Get the knowledge files a state's data was loaded from
+   * @param {string} stateCode - Two-letter state code
+   * @returns {Array<string>} Knowledge file paths (empty if not loaded)
+   */
+  getStateSources(stateCode) {
+    return this.stateSources.get(stateCode) || [];
+  }
+
   /**
    * Get merged field patterns for the current context
    * @param {string} stateCode - Optional state code
@@ -298,39 +418,22 @@ class KnowledgeLoader {
       /mytax\.dc\.gov/i
     ];
 
-    const stateNameToCode = {
-      'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR',
-      'california': 'CA', 'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE',
-      'districtofcolumbia': 'DC', 'district-of-columbia': 'DC', 'washington-dc': 'DC',
-      'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI', 'idaho': 'ID',
-      'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA', 'kansas': 'KS',
-      'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME', 'maryland': 'MD',
-      'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN', 'mississippi': 'MS',
-      'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV',
-      'newhampshire': 'NH', 'newjersey': 'NJ', 'newmexico': 'NM', 'newyork': 'NY',
-      'northcarolina': 'NC', 'northdakota': 'ND', 'ohio': 'OH', 'oklahoma': 'OK',
-      'oregon': 'OR', 'pennsylvania': 'PA', 'rhodeisland': 'RI', 'southcarolina': 'SC',
-      'southdakota': 'SD', 'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT',
-      'vermont': 'VT', 'virginia': 'VA', 'washington': 'WA', 'westvirginia': 'WV',
-      'wisconsin': 'WI', 'wyoming': 'WY'
-    };
-
     // Check DC specific patterns first
     if (/dc\.gov|mytax\.dc\.gov/i.test(url)) {
       return 'DC';
     }
     
     // List of valid state codes for validation
-    const validStateCodes = new Set(Object.values(stateNameToCode));
-    validStateCodes.add('DC'); // Add DC which is not in stateNameToCode
+    const validStateCodes = new Set(Object.values(STATE_NAME_TO_CODE));
+    validStateCodes.add('DC');
     
     for (const pattern of statePatterns) {
       const match = url.match(pattern);
       if (match && match[1]) {
         const captured = match[1].toLowerCase();
         // Check if it's a state name
-        if (stateNameToCode[captured]) {
-          return stateNameToCode[captured];
+        if (STATE_NAME_TO_CODE[captured]) {
+          return STATE_NAME_TO_CODE[captured];
         }
         // Check if it's already a valid state code
         if (captured.length === 2 && validStateCodes.has(captured.toUpperCase())) {
@@ -415,7 +518,7 @@ const knowledgeLoader = new KnowledgeLoader();
 
 // Export for ES6 modules (used by dynamic import)
 export default knowledgeLoader;
-export { knowledgeLoader };
+export { knowledgeLoader, STATE_NAME_TO_CODE, LOCALE_KEY, DEFAULT_LOCALE, applyTranslation };
 
 // Export for CommonJS (if needed)
 if (typeof module !== 'undefined' && module.exports) {
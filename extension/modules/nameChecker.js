@@ -0,0 +1,215 @@
+/**
+ * Name Checker Module
+ * Checks a proposed business name against the state's naming_conventions
+ * (required designator and prohibited terms per entity type) and
+ * restricted_words, and suggests a compliant variant
+ */
+
+import knowledgeLoader from './knowledgeLoader.js';
+import i18n from './i18n.js';
+
+// Entity type values (keys, display names, page options) -> naming_conventions key
+const ENTITY_TYPE_ALIASES = {
+  llc: 'llc',
+  'limited liability company': 'llc',
+  corporation: 'corporation',
+  corp: 'corporation',
+  inc: 'corporation',
+  incorporated: 'corporation',
+  s_corporation: 'corporation',
+  's corporation': 'corporation',
+  'c corporation': 'corporation',
+  nonprofit: 'corporation',
+  'nonprofit corporation': 'corporation'
+};
+
+// Designator appended to suggestions when the state accepts it
+const PREFERRED_DESIGNATORS = {
+  llc: ['LLC', 'L.L.C.', 'Limited Liability Company'],
+  corporation: ['Inc.', 'Corporation', 'Corp.', 'Incorporated']
+};
+
+/**
+ * Regex matching a term as whole words, ignoring periods and case
+ * ("L.L.C." matches "LLC", "Inc." matches "Inc")
+ * @param {string} term - Term from the knowledge base
+ * @returns {RegExp} Pattern with the term in group 2
+ */
+function termPattern(term) {
+  const words = term.toLowerCase().replace(/\./g, '').split(/\s+/).filter(Boolean);
+  const body = words
+    .map(word => word.split('').map(ch => ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\.?').join(''))
+    .join('[\\s,]+');
+  return new RegExp(`(^|[^a-z0-9])(${body})(?![a-z0-9])`, 'i');
+}
+
+/**
+ * Map an entity type value to a naming_conventions key
+ * @param {string} entityType - e.g. 'llc', 'Limited Liability Company', 'S Corporation'
+ * @returns {string|null} 'llc', 'corporation' or null
+ */
+function normalizeEntityType(entityType) {
+  if (!entityType) return null;
+  const key = String(entityType).toLowerCase().replace(/[.()]/g, '').replace(/[-\s]+/g, ' ').trim();
+  return ENTITY_TYPE_ALIASES[key] || ENTITY_TYPE_ALIASES[key.replace(/ /g, '_')] ||
+    (/\bllc\b|limited liability company/.test(key) ? 'llc' : null) ||
+    (/corporation|\binc\b/.test(key) ? 'corporation' : null);
+}
+
+class NameChecker {
+  constructor() {
+    this.rulesByState = {};
+  }
+
+  /**
+   * Naming rules for a state; designators fall back to the common
+   * business_types lists when the state has no naming_conventions
+   * @param {string} stateCode - Optional two-letter state code
+   * @returns {Promise<Object>} {conventions, restrictedWords}
+   */
+  async loadRules(stateCode = null) {
+    const cacheKey = stateCode || '_common';
+    if (this.rulesByState[cacheKey]) {
+      return this.rulesByState[cacheKey];
+    }
+
+    let rules = { conventions: {}, restrictedWords: [] };
+
+    try {
+      if (!knowledgeLoader.commonPatterns) {
+        await knowledgeLoader.initialize();
+      }
+
+      const businessTypes = knowledgeLoader.commonPatterns?.validation_rules?.business_types || {};
+      const conventions = {};
+      ['llc', 'corporation'].forEach(type => {
+        if (Array.isArray(businessTypes[type])) {
+          // "C-Corp"/"S-Corp" are tax elections, not name designators
+          conventions[type] = {
+            required_terms: businessTypes[type].filter(term => !/^[cs]-corp$/i.test(term)),
+            prohibited_terms: []
+          };
+        }
+      });
+
+      const stateData = stateCode ? await knowledgeLoader.loadStateData(stateCode) : null;
+      const nameOverrides = stateData?.validation_overrides?.business_name || {};
+
+      rules = {
+        conventions: { ...conventions, ...(nameOverrides.naming_conventions || {}) },
+        restrictedWords: nameOverrides.restricted_words || []
+      };
+      this.rulesByState[cacheKey] = rules;
+    } catch (error) {
+      console.error('[BRA-NameChecker] Error loading naming rules:', error);
+    }
+
+    return rules;
+  }
+
+  /**
+   * Check a proposed business name
+   * @param {string} name - Proposed name
+   * @param {Object} options - {stateCode, entityType}
+   * @returns {Promise<Object>} See evaluate()
+   */
+  async checkName(name, options = {}) {
+    await i18n.init();
+    const rules = await this.loadRules(options.stateCode || null);
+    return this.evaluate(name, rules, options);
+  }
+
+  /**
+   * Check a name against loaded rules
+   * @param {string} name - Proposed name
+   * @param {Object} rules - From loadRules()
+   * @param {Object} options - {stateCode, entityType}
+   * @returns {Object} {name, entityType, stateCode, compliant, issues: [{type, term, message}], suggestion}
+   */
+  evaluate(name, rules, options = {}) {
+    const text = String(name || '').trim();
+    const entityType = normalizeEntityType(options.entityType);
+    const convention = entityType ? rules.conventions[entityType] : null;
+    const stateLabel = options.stateCode || i18n.t('nameThisState');
+    const issues = [];
+
+    const result = {
+      name: text,
+      entityType: entityType,
+      stateCode: options.stateCode || null,
+      compliant: true,
+      issues: issues,
+      suggestion: null
+    };
+    if (!text) return result;
+
+    const requiredTerms = convention?.required_terms || [];
+    if (requiredTerms.length > 0 && !requiredTerms.some(term => termPattern(term).test(text))) {
+      issues.push({
+        type: 'missing_designator',
+        term: null,
+        message: i18n.t(entityType === 'llc' ? 'nameMissingLlcDesignator' : 'nameMissingCorporationDesignator', requiredTerms.join(', '))
+      });
+    }
+
+    (convention?.prohibited_terms || []).forEach(term => {
+      if (termPattern(term).test(text)) {
+        issues.push({
+          type: 'prohibited_term',
+          term: term,
+          message: i18n.t('nameProhibitedTerm', [term, stateLabel])
+        });
+      }
+    });
+
+    rules.restrictedWords.forEach(word => {
+      if (termPattern(word).test(text)) {
+        issues.push({
+          type: 'restricted_word',
+          term: word,
+          message: i18n.t('nameRestrictedWord', [stateLabel, word])
+        });
+      }
+    });
+
+    result.compliant = issues.length === 0;
+    if (!result.compliant) {
+      result.suggestion = this.suggestName(text, issues, requiredTerms, entityType);
+    }
+    return result;
+  }
+
+  /**
+   * Drop offending terms and make sure the name ends with a designator
+   * @param {string} name - Proposed name
+   * @param {Array} issues - Issues from evaluate()
+   * @param {Array} requiredTerms - Designators for the entity type
+   * @param {string|null} entityType - Normalized entity type
+   * @returns {string|null} Compliant variant, or null if nothing is left
+   */
+  suggestName(name, issues, requiredTerms, entityType) {
+    let suggestion = name;
+
+    issues.filter(issue => issue.term).forEach(issue => {
+      const pattern = new RegExp(termPattern(issue.term).source, 'gi');
+      suggestion = suggestion.replace(pattern, '$1');
+    });
+
+    suggestion = suggestion.replace(/\s{2,}/g, ' ').replace(/^[\s,&-]+|[\s,&-]+$/g, '');
+    if (!suggestion) return null;
+
+    if (requiredTerms.length > 0 && !requiredTerms.some(term => termPattern(term).test(suggestion))) {
+      const designator = (PREFERRED_DESIGNATORS[entityType] || [])
+        .find(term => requiredTerms.includes(term)) || requiredTerms[0];
+      suggestion = `${suggestion} ${designator}`;
+    }
+
+    return suggestion;
+  }
+}
+
+// Create singleton instance
+const nameChecker = new NameChecker();
+
+export default nameChecker;
+export { nameChecker, NameChecker, normalizeEntityType };
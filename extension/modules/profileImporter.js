@@ -0,0 +1,600 @@
+/**
+ * Profile Importer Module
+ * Reads business profiles from CSV (with a column mapping onto the fields of
+ * knowledge/common/field-definitions.json), JSON and vCard files, checks them
+ * against knowledge/common/validation-rules.json and plans the import as a
+ * dry run: nothing is saved until the plan is applied
+ */
+
+import knowledgeLoader from './knowledgeLoader.js';
+import validationEngine from './validationEngine.js';
+import profileStore, { ENTITY_TYPE_LABELS } from './profileStore.js';
+
+// field-definitions.json field -> profile path ("person." and "agent." are
+// the owner and the registered agent in profile.people)
+const PROFILE_PATHS = {
+  entityName: 'entity.business_name',
+  dba: 'entity.dba',
+  entityType: 'entity.entity_type',
+  formationDate: 'entity.formation_date',
+  stateOfFormation: 'entity.formation_state',
+  businessPurpose: 'entity.business_purpose',
+  ein: 'tax_ids.ein',
+  phone: 'contact.phone',
+  email: 'contact.email',
+  ownerName: 'person.name',
+  ownerTitle: 'person.title',
+  ownerSSN: 'tax_ids.ssn',
+  registeredAgent: 'agent.name',
+  street1: 'principal_address.street',
+  street2: 'principal_address.street2',
+  city: 'principal_address.city',
+  state: 'principal_address.state',
+  zip: 'principal_address.zip'
+};
+
+// Profile path -> validation category (see ValidationEngine)
+const PATH_CATEGORIES = {
+  'entity.business_name': 'business_name',
+  'entity.formation_state': 'state',
+  'entity.formation_date': 'formation_date',
+  'principal_address.street': 'address',
+  'principal_address.city': 'city',
+  'principal_address.state': 'state',
+  'principal_address.zip': 'zip',
+  'contact.email': 'email',
+  'contact.phone': 'phone',
+  'tax_ids.ein': 'ein',
+  'tax_ids.ssn': 'ssn'
+};
+
+// Column headings seen in spreadsheets and contact exports, besides the
+// field's own key and label
+const HEADER_ALIASES = {
+  entityName: ['business name', 'business', 'company', 'company name', 'legal name', 'organization', 'name of business'],
+  dba: ['trade name', 'doing business as', 'assumed name'],
+  entityType: ['type', 'business type', 'structure', 'business structure', 'legal structure'],
+  formationDate: ['date formed', 'incorporation date', 'date of formation'],
+  stateOfFormation: ['formation state', 'jurisdiction', 'state of incorporation', 'state of organization'],
+  businessPurpose: ['purpose', 'description', 'business description'],
+  ein: ['fein', 'federal ein', 'tax id', 'federal tax id', 'employer identification number'],
+  phone: ['telephone', 'phone', 'tel', 'business phone'],
+  email: ['e mail', 'email', 'business email'],
+  ownerName: ['owner', 'contact', 'contact name', 'full name', 'member', 'member name'],
+  ownerTitle: ['title', 'position'],
+  ownerSSN: ['ssn', 'social security number'],
+  registeredAgent: ['agent', 'registered agent', 'agent name'],
+  street1: ['address', 'street', 'street address', 'address 1', 'address line 1'],
+  street2: ['address 2', 'address line 2', 'suite', 'unit'],
+  zip: ['zip', 'zip code', 'postal code', 'postcode']
+};
+
+// Entity type names business_types in validation-rules.json does not cover
+const ENTITY_TYPE_ALIASES = {
+  s_corporation: ['s corp', 's corporation', 'scorp'],
+  nonprofit: ['non profit', 'nonprofit', 'nonprofit corporation', 'not for profit']
+};
+
+/**
+ * Text compared when matching headings and names
+ * @param {string} text - Heading or name
+ * @returns {string} Lowercase words only ("L.L.C." -> "llc")
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split CSV text into rows, honouring quoted values. The delimiter (comma,
+ * semicolon or tab) is taken from the header line.
+ * @param {string} text - CSV text
+ * @returns {Object} {headers, rows} with rows as arrays of strings
+ */
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ',');
+
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  const nonBlank = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  const headers = (nonBlank.shift() || []).map(header => header.trim());
+  return { headers, rows: nonBlank };
+}
+
+/**
+ * Read vCard text into records keyed by field-definitions field
+ * @param {string} text - One or more vCards
+ * @returns {Array} Records, e.g. {entityName, ownerName, email, street1}
+ */
+function parseVCard(text) {
+  const unfolded = String(text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+  const unescape = value => value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+  const records = [];
+  let card = null;
+
+  unfolded.split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    // "item1.TEL;TYPE=WORK" -> name TEL, params TYPE=WORK
+    const [rawName, ...params] = line.slice(0, separator).split(';');
+    const name = rawName.replace(/^.*\./, '').toUpperCase();
+    const value = line.slice(separator + 1).trim();
+    const isWork = params.some(param => /work/i.test(param));
+
+    if (name === 'BEGIN' && /^vcard$/i.test(value)) {
+      card = {};
+      return;
+    }
+    if (!card) return;
+    if (name === 'END') {
+      records.push(card);
+      card = null;
+      return;
+    }
+
+    // Work values win over the first one seen
+    const set = (key, fieldValue) => {
+      if (fieldValue && (!card[key] || isWork)) card[key] = fieldValue;
+    };
+
+    const parts = value.split(/(?<!\\);/).map(unescape);
+    switch (name) {
+      case 'FN':
+        card.ownerName = unescape(value);
+        break;
+      case 'N':
+        if (!card.ownerName) card.ownerName = [parts[1], parts[0]].filter(Boolean).join(' ');
+        break;
+      case 'ORG':
+        card.entityName = parts[0];
+        break;
+      case 'TITLE':
+        card.ownerTitle = unescape(value);
+        break;
+      case 'EMAIL':
+        set('email', unescape(value));
+        break;
+      case 'TEL':
+        set('phone', unescape(value).replace(/^tel:/i, ''));
+        break;
+      case 'ADR':
+        if (card.street1 && !isWork) break;
+        card.street1 = parts[2] || parts[1] || '';
+        card.city = parts[3] || '';
+        card.state = parts[4] || '';
+        card.zip = parts[5] || '';
+        break;
+      default:
+        break;
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Date as YYYY-MM-DD (the profile's date input format), from that or MM/DD/YYYY
+ * @param {string} text - Date text
+ * @returns {string|null} ISO date, null if not recognised
+ */
+function toIsoDate(text) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!match) return null;
+  return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} obj - Source object
+ * @param {string} path - Dotted path
+ * @returns {*} The value or undefined
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value ? value[key] : undefined), obj);
+}
+
+/**
+ * Write a dotted path on an object
+ * @param {Object} obj - Target object
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to set
+ */
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => {
+    if (!current[key] || typeof current[key] !== 'object') current[key] = {};
+    return current[key];
+  }, obj);
+  target[last] = value;
+}
+
+class ProfileImporter {
+  constructor() {
+    this.targets = [];
+    this.businessTypes = {};
+    this.initialized = false;
+  }
+
+  /**
+   * Load the field definitions and validation rules
+   * @returns {Promise<Array>} Import targets
+   */
+  async initialize() {
+    if (this.initialized) {
+      return this.targets;
+    }
+
+    try {
+      await validationEngine.loadRules();
+      const common = knowledgeLoader.commonPatterns || {};
+      this.targets = this._buildTargets(common.field_definitions || {});
+      this.businessTypes = common.validation_rules?.business_types || {};
+      this.initialized = true;
+      console.log('[BRA-ProfileImporter] Initialized with', this.targets.length, 'import fields');
+    } catch (error) {
+      console.error('[BRA-ProfileImporter] Error loading field definitions:', error);
+    }
+
+    return this.targets;
+  }
+
+  /**
+   * Fields of field-definitions.json that a profile can hold
+   * @param {Object} definitions - field-definitions.json
+   * @returns {Array} [{key, label, group, path, required}]
+   * @private
+   */
+  _buildTargets(definitions) {
+    const targets = [];
+    const add = (group, fields) => {
+      Object.entries(fields || {}).forEach(([key, field]) => {
+        if (!PROFILE_PATHS[key]) return;
+        targets.push({ key, label: field.label || key, group, path: PROFILE_PATHS[key], required: Boolean(field.required) });
+      });
+    };
+
+    Object.entries(definitions.fieldCategories || {}).forEach(([group, category]) => add(group, category.fields));
+    add('addressComponents', definitions.addressComponents);
+    return targets;
+  }
+
+  /**
+   * Read an import file
+   * @param {string} text - File contents
+   * @param {string} fileName - File name, for its extension
+   * @returns {Object} {format, headers, rows} for files needing a column
+   *   mapping, {format, records} for vCards and {format, profiles} for JSON
+   *   profiles
+   */
+  parse(text, fileName = '') {
+    const extension = (fileName.match(/\.([a-z]+)$/i)?.[1] || '').toLowerCase();
+    const trimmed = String(text || '').trim();
+
+    if (['vcf', 'vcard'].includes(extension) || /^BEGIN:VCARD/i.test(trimmed)) {
+      return { format: 'vcard', records: parseVCard(trimmed) };
+    }
+
+    if (extension === 'json' || /^[[{]/.test(trimmed)) {
+      const data = JSON.parse(trimmed);
+      const items = (Array.isArray(data) ? data : data.profiles || [data])
+        .filter(item => item && typeof item === 'object' && !Array.isArray(item));
+
+      // Exported profiles keep their shape; anything else is a table
+      if (items.length > 0 && items.every(item => item.entity || item.principal_address || item.people)) {
+        return { format: 'json', profiles: items };
+      }
+      const headers = [...new Set(items.flatMap(item => Object.keys(item)))];
+      const rows = items.map(item => headers.map(header => item[header] == null ? '' : String(item[header])));
+      return { format: 'json', headers, rows };
+    }
+
+    return { format: 'csv', ...parseCsv(text) };
+  }
+
+  /**
+   * Suggest the field each column fills
+   * @param {Array} headers - Column headings
+   * @returns {Array} Field key (or '') per column
+   */
+  suggestMapping(headers) {
+    const used = new Set();
+    return headers.map(header => {
+      const heading = normalizeText(header);
+      const target = this.targets.find(candidate => !used.has(candidate.key) && (
+        heading === normalizeText(candidate.key) ||
+        heading === normalizeText(candidate.label) ||
+        (HEADER_ALIASES[candidate.key] || []).includes(heading)
+      ));
+      if (!target) return '';
+      used.add(target.key);
+      return target.key;
+    });
+  }
+
+  /**
+   * Records from mapped rows
+   * @param {Array} rows - Rows as arrays of strings
+   * @param {Array} mapping - Field key (or '') per column
+   * @returns {Array} Records keyed by field key
+   */
+  applyMapping(rows, mapping) {
+    return rows.map(row => {
+      const record = {};
+      mapping.forEach((key, column) => {
+        const value = String(row[column] ?? '').trim();
+        if (key && value) record[key] = value;
+      });
+      return record;
+    });
+  }
+
+  /**
+   * Entity type key for a name, e.g. "L.L.C." -> "llc"
+   * @param {string} text - Entity type as written
+   * @returns {string|null} Key of ENTITY_TYPE_LABELS, null if not recognised
+   */
+  normalizeEntityType(text) {
+    const name = normalizeText(text);
+    if (!name) return null;
+
+    const byLabel = Object.entries(ENTITY_TYPE_LABELS).find(([key, label]) =>
+      name === normalizeText(key) || name === normalizeText(label));
+    if (byLabel) return byLabel[0];
+
+    const lists = [...Object.entries(ENTITY_TYPE_ALIASES), ...Object.entries(this.businessTypes)];
+    const match = lists.find(([, names]) => names.some(alias => normalizeText(alias) === name));
+    return match && ENTITY_TYPE_LABELS[match[0]] ? match[0] : null;
+  }
+
+  /**
+   * Build a profile from a record
+   * @param {Object} record - Values keyed by field key
+   * @returns {Object} New profile (not yet saved)
+   */
+  buildProfile(record) {
+    const profile = profileStore.createEmptyProfile(record.entityName || record.ownerName || 'Imported Business');
+    const people = {};
+
+    Object.entries(record).forEach(([key, value]) => {
+      const path = PROFILE_PATHS[key];
+      if (!path) return;
+
+      const [root, field] = path.split('.');
+      if (root === 'person' || root === 'agent') {
+        people[root] = people[root] || profileStore.createEmptyPerson();
+        if (field === 'name') {
+          const words = value.split(/\s+/);
+          people[root].last_name = words.length > 1 ? words.pop() : '';
+          people[root].first_name = words.join(' ');
+        } else {
+          people[root][field] = value;
+        }
+        return;
+      }
+      setPath(profile, path, value);
+    });
+
+    if (people.person) profile.people.push(people.person);
+    if (people.agent) {
+      people.agent.roles = ['registered_agent'];
+      profile.people.push(people.agent);
+    }
+    return profile;
+  }
+
+  /**
+   * Fill in a profile read from JSON so it has every field of a new one
+   * @param {Object} data - Profile as exported
+   * @returns {Object} New profile (not yet saved)
+   */
+  normalizeProfile(data) {
+    const profile = profileStore.createEmptyProfile(data.label || data.entity?.business_name || 'Imported Business');
+    ['entity', 'principal_address', 'mailing_address', 'contact', 'tax_ids'].forEach(section => {
+      Object.entries(data[section] || {}).forEach(([key, value]) => {
+        if (value != null && typeof value !== 'object') profile[section][key] = String(value).trim();
+      });
+    });
+    profile.people = (Array.isArray(data.people) ? data.people : []).map(person => ({
+      ...profileStore.createEmptyPerson(),
+      ...person,
+      id: profileStore.createEmptyPerson().id
+    }));
+    return profile;
+  }
+
+  /**
+   * Profiles from a parsed file
+   * @param {Object} source - From parse()
+   * @param {Array} mapping - Field key (or '') per column, for tables
+   * @returns {Array} New profiles (not yet saved)
+   */
+  toProfiles(source, mapping = []) {
+    if (source.profiles) {
+      return source.profiles.map(data => this.normalizeProfile(data));
+    }
+    const records = source.records || this.applyMapping(source.rows, mapping);
+    return records.map(record => this.buildProfile(record));
+  }
+
+  /**
+   * Tidy values into the formats the profile editor uses and check them
+   * against the validation rules. Invalid values are left out of the
+   * profile, except the business name, which the plan needs to skip it.
+   * @param {Object} profile - Profile (changed in place)
+   * @returns {Object} {errors, warnings} as [{path, label, value, message}]
+   */
+  validateProfile(profile) {
+    const errors = [];
+    const warnings = [];
+    const labelOf = path => this.targets.find(target => target.path === path)?.label || path;
+    const report = (list, path, value, message) => list.push({ path, label: labelOf(path), value, message });
+
+    const entityType = getPath(profile, 'entity.entity_type');
+    if (entityType) {
+      const key = this.normalizeEntityType(entityType);
+      setPath(profile, 'entity.entity_type', key || '');
+      if (!key) report(warnings, 'entity.entity_type', entityType, 'Unknown entity type, left blank');
+    }
+
+    Object.entries(PATH_CATEGORIES).forEach(([path, category]) => {
+      let value = String(getPath(profile, path) ?? '').trim();
+      if (category === 'state') value = value.toUpperCase();
+      if (category === 'ein' && /^\d{9}$/.test(value)) value = `${value.slice(0, 2)}-${value.slice(2)}`;
+      if (category === 'ssn' && /^\d{9}$/.test(value)) value = `${value.slice(0, 3)}-${value.slice(3, 5)}-${value.slice(5)}`;
+      setPath(profile, path, value);
+
+      // The rule is MM/DD/YYYY; ISO dates from exports are accepted as they are
+      let checked = value;
+      if (category === 'formation_date') {
+        const iso = toIsoDate(value);
+        if (iso) setPath(profile, path, iso);
+        checked = iso ? iso.replace(/^(\d{4})-(\d{2})-(\d{2})$/, '$2/$3/$1') : value;
+      }
+
+      const result = validationEngine.validateField(
+        { classification: { category }, type: 'text', required: category === 'business_name' },
+        checked,
+        { requireValue: true }
+      );
+      if (!result.valid) {
+        report(errors, path, value, result.message);
+        if (path !== 'entity.business_name') setPath(profile, path, '');
+      }
+    });
+
+    this.targets
+      .filter(target => target.required && !target.path.startsWith('person.') && !target.path.startsWith('agent.'))
+      .filter(target => target.path !== 'entity.business_name' && !String(getPath(profile, target.path) ?? '').trim())
+      .forEach(target => report(warnings, target.path, '', 'Missing'));
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Plan an import without saving anything: each profile is created, merged
+   * into the existing business with the same EIN or name, or skipped when
+   * its business name is missing or invalid or it repeats an earlier entry
+   * @param {Array} profiles - Profiles from buildProfile()/normalizeProfile()
+   * @param {Array} existing - Stored profiles
+   * @returns {Array} [{index, profile, action, target, errors, warnings}]
+   */
+  plan(profiles, existing = []) {
+    const keyOf = profile => {
+      const ein = String(profile.tax_ids?.ein || '').replace(/\D/g, '');
+      return ein ? `ein:${ein}` : normalizeText(profile.entity?.business_name) && `name:${normalizeText(profile.entity.business_name)}`;
+    };
+    const seen = new Map();
+
+    return profiles.map((profile, index) => {
+      const { errors, warnings } = this.validateProfile(profile);
+      const key = keyOf(profile);
+      const target = key ? existing.find(candidate => keyOf(candidate) === key) || null : null;
+
+      let action = target ? 'update' : 'create';
+      if (errors.some(error => error.path === 'entity.business_name')) {
+        action = 'skip';
+      } else if (key && seen.has(key)) {
+        action = 'skip';
+        warnings.push({ path: '', label: '', value: '', message: `Same business as entry ${seen.get(key) + 1}` });
+      }
+      if (key && !seen.has(key)) seen.set(key, index);
+
+      return { index, profile, action, target, errors, warnings };
+    });
+  }
+
+  /**
+   * Copy the filled-in values of an imported profile over a stored one
+   * @param {Object} existing - Stored profile
+   * @param {Object} imported - Imported profile
+   * @returns {Object} Merged profile with the stored id
+   */
+  merge(existing, imported) {
+    const merged = JSON.parse(JSON.stringify(existing));
+    ['entity', 'principal_address', 'mailing_address', 'contact', 'tax_ids'].forEach(section => {
+      Object.entries(imported[section] || {}).forEach(([key, value]) => {
+        if (value) setPath(merged, `${section}.${key}`, value);
+      });
+    });
+
+    const nameOf = person => normalizeText(`${person.first_name} ${person.last_name}`);
+    merged.people = merged.people || [];
+    (imported.people || []).forEach(person => {
+      if (!merged.people.some(current => nameOf(current) === nameOf(person))) merged.people.push(person);
+    });
+    return merged;
+  }
+
+  /**
+   * Save the planned profiles
+   * @param {Array} plan - From plan()
+   * @returns {Promise<Object>} {created, updated}
+   */
+  async apply(plan) {
+    let created = 0;
+    let updated = 0;
+
+    for (const entry of plan) {
+      if (entry.action === 'create') {
+        await profileStore.saveProfile(entry.profile);
+        created++;
+      } else if (entry.action === 'update') {
+        await profileStore.saveProfile(this.merge(entry.target, entry.profile));
+        updated++;
+      }
+    }
+
+    console.log(`[BRA-ProfileImporter] Imported ${created} new and ${updated} updated profiles`);
+    return { created, updated };
+  }
+}
+
+// Create singleton instance
+const profileImporter = new ProfileImporter();
+
+export default profileImporter;
+export { profileImporter, ProfileImporter, PROFILE_PATHS, parseCsv, parseVCard };
@@ -0,0 +1,392 @@
+/**
+ * Profile Store Module
+ * Persists business profiles (and the people attached to them) in
+ * chrome.storage.local and maps them onto the categories produced by
+ * FieldDetector._classifyField for auto-fill
+ */
+
+// Storage keys
+const PROFILES_KEY = 'BRA_BusinessProfiles';
+const ACTIVE_PROFILE_KEY = 'BRA_ActiveProfileId';
+const ACTIVE_PERSON_KEY = 'BRA_ActivePersonId';
+
+// Roles a person can hold for a business
+const PERSON_ROLES = {
+  organizer: 'Organizer',
+  officer: 'Officer',
+  member: 'Member',
+  registered_agent: 'Registered Agent'
+};
+
+// Display names for the entity types in knowledge/entities/entity_types.json
+const ENTITY_TYPE_LABELS = {
+  llc: 'Limited Liability Company',
+  corporation: 'Corporation',
+  s_corporation: 'S Corporation',
+  partnership: 'Partnership',
+  sole_proprietorship: 'Sole Proprietorship',
+  nonprofit: 'Nonprofit Corporation'
+};
+
+class ProfileStore {
+  constructor() {
+    this.profiles = [];
+    this.activeProfileId = null;
+    this.activePersonId = null;
+    this.loaded = false;
+  }
+
+  /**
+   * Read profiles from extension storage
+   * @returns {Promise<Array>} The stored profiles
+   */
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get([PROFILES_KEY, ACTIVE_PROFILE_KEY, ACTIVE_PERSON_KEY]);
+      this.profiles = Array.isArray(stored[PROFILES_KEY]) ? stored[PROFILES_KEY] : [];
+      this.activeProfileId = stored[ACTIVE_PROFILE_KEY] || null;
+      this.activePersonId = stored[ACTIVE_PERSON_KEY] || null;
+
+      // Fall back to the first profile if the active one was removed
+      if (this.activeProfileId && !this.profiles.some(p => p.id === this.activeProfileId)) {
+        this.activeProfileId = this.profiles[0]?.id || null;
+      }
+
+      // The active person must belong to the active profile
+      const activeProfile = this.profiles.find(p => p.id === this.activeProfileId);
+      if (!activeProfile || !(activeProfile.people || []).some(p => p.id === this.activePersonId)) {
+        this.activePersonId = null;
+      }
+
+      this.loaded = true;
+      return this.profiles;
+    } catch (error) {
+      console.error('[BRA-ProfileStore] Error loading profiles:', error);
+      this.profiles = [];
+      this.activeProfileId = null;
+      this.activePersonId = null;
+      return this.profiles;
+    }
+  }
+
+  /**
+   * Write profiles to extension storage
+   * @returns {Promise<boolean>} True if saved
+   * @private
+   */
+  async _persist() {
+    try {
+      await chrome.storage.local.set({
+        [PROFILES_KEY]: this.profiles,
+        [ACTIVE_PROFILE_KEY]: this.activeProfileId,
+        [ACTIVE_PERSON_KEY]: this.activePersonId
+      });
+      return true;
+    } catch (error) {
+      console.error('[BRA-ProfileStore] Error saving profiles:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Make sure profiles have been read at least once
+   * @private
+   */
+  async _ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Create an empty profile record
+   * @param {string} label - Display label for the profile
+   * @returns {Object} New profile (not yet saved)
+   */
+  createEmptyProfile(label = 'New Business') {
+    const emptyAddress = { street: '', street2: '', city: '', state: '', zip: '' };
+
+    return {
+      id: `profile_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      label: label,
+      entity: {
+        business_name: '',
+        dba: '',
+        entity_type: '',
+        business_purpose: '',
+        formation_state: '',
+        formation_date: ''
+      },
+      principal_address: { ...emptyAddress },
+      mailing_address: { ...emptyAddress },
+      contact: {
+        email: '',
+        phone: ''
+      },
+      tax_ids: {
+        ein: '',
+        ssn: ''
+      },
+      people: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Create an empty person record
+   * @returns {Object} New person
+   */
+  createEmptyPerson() {
+    return {
+      id: `person_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      first_name: '',
+      last_name: '',
+      title: '',
+      email: '',
+      phone: '',
+      roles: [],
+      address: { street: '', city: '', state: '', zip: '' }
+    };
+  }
+
+  /**
+   * Get all profiles
+   * @returns {Promise<Array>} Profiles
+   */
+  async getProfiles() {
+    await this._ensureLoaded();
+    return this.profiles;
+  }
+
+  /**
+   * Get a single profile by id
+   * @param {string} id - Profile id
+   * @returns {Promise<Object|null>} The profile or null
+   */
+  async getProfile(id) {
+    await this._ensureLoaded();
+    return this.profiles.find(p => p.id === id) || null;
+  }
+
+  /**
+   * Get the profile currently selected for auto-fill
+   * @returns {Promise<Object|null>} The active profile or null
+   */
+  async getActiveProfile() {
+    await this._ensureLoaded();
+    return this.profiles.find(p => p.id === this.activeProfileId) || null;
+  }
+
+  /**
+   * Get the active business and person together
+   * @returns {Promise<Object>} {profile, person} (either may be null)
+   */
+  async getActiveAccount() {
+    const profile = await this.getActiveProfile();
+    const person = profile
+      ? (profile.people || []).find(p => p.id === this.activePersonId) || null
+      : null;
+    return { profile, person };
+  }
+
+  /**
+   * Select the profile used for auto-fill, guidance and endeavors
+   * @param {string} id - Profile id
+   * @param {string} personId - Optional person within the profile
+   * @returns {Promise<boolean>} True if selected
+   */
+  async setActiveProfile(id, personId = null) {
+    await this._ensureLoaded();
+    const profile = this.profiles.find(p => p.id === id);
+    if (!profile) {
+      console.warn('[BRA-ProfileStore] Unknown profile:', id);
+      return false;
+    }
+    this.activeProfileId = id;
+    this.activePersonId = (profile.people || []).some(p => p.id === personId) ? personId : null;
+    return this._persist();
+  }
+
+  /**
+   * Find the person holding a role for a business
+   * @param {Object} profile - Profile record
+   * @param {string} role - Role key from PERSON_ROLES
+   * @returns {Object|null} The person or null
+   */
+  getPersonForRole(profile, role) {
+    return (profile?.people || []).find(p => (p.roles || []).includes(role)) || null;
+  }
+
+  /**
+   * Insert or update a profile
+   * @param {Object} profile - Profile record
+   * @returns {Promise<Object>} The saved profile
+   */
+  async saveProfile(profile) {
+    await this._ensureLoaded();
+    const saved = { ...profile, updatedAt: new Date().toISOString() };
+    const index = this.profiles.findIndex(p => p.id === saved.id);
+
+    if (index >= 0) {
+      this.profiles[index] = saved;
+    } else {
+      this.profiles.push(saved);
+    }
+
+    // The first profile becomes the active one automatically
+    if (!this.activeProfileId) {
+      this.activeProfileId = saved.id;
+    }
+
+    await this._persist();
+    return saved;
+  }
+
+  /**
+   * Delete a profile
+   * @param {string} id - Profile id
+   * @returns {Promise<boolean>} True if a profile was removed
+   */
+  async deleteProfile(id) {
+    await this._ensureLoaded();
+    const before = this.profiles.length;
+    this.profiles = this.profiles.filter(p => p.id !== id);
+
+    if (this.activeProfileId === id) {
+      this.activeProfileId = this.profiles[0]?.id || null;
+      this.activePersonId = null;
+    }
+
+    await this._persist();
+    return this.profiles.length < before;
+  }
+
+  /**
+   * Get the display name for an entity type key
+   * @param {string} entityType - Key from entity_types.json (e.g. 'llc')
+   * @returns {string} Display name
+   */
+  getEntityTypeLabel(entityType) {
+    return ENTITY_TYPE_LABELS[entityType] || entityType || '';
+  }
+
+  /**
+   * Flatten a person into values keyed by classification category
+   * @param {Object} person - Person record
+   * @returns {Object} Map of category -> value
+   * @private
+   */
+  _personFillData(person) {
+    const address = person.address || {};
+    return {
+      name: [person.first_name, person.last_name].filter(Boolean).join(' '),
+      first_name: person.first_name,
+      last_name: person.last_name,
+      email: person.email,
+      phone: person.phone,
+      address: address.street,
+      city: address.city,
+      state: address.state,
+      zip: address.zip
+    };
+  }
+
+  /**
+   * Whether an address record has any part filled in
+   * @param {Object} address - {street, street2, city, state, zip}
+   * @returns {boolean} True if some part is not blank
+   * @private
+   */
+  _hasAddress(address) {
+    return Object.values(address || {}).some(value => String(value || '').trim() !== '');
+  }
+
+  /**
+   * Drop blank values so they never overwrite anything on the page
+   * @param {Object} data - Map of category -> value
+   * @returns {Object} The same map without blanks
+   * @private
+   */
+  _compact(data) {
+    Object.keys(data).forEach(key => {
+      if (data[key] === undefined || data[key] === null || String(data[key]).trim() === '') {
+        delete data[key];
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Flatten a profile into values keyed by FieldDetector classification category
+   * @param {Object} profile - Profile record
+   * @param {Object} person - Person to use for name fields (defaults to the
+   *   active person, then the first person)
+   * @returns {Object} Map of category -> value (empty values omitted)
+   */
+  toFillData(profile, person = null) {
+    if (!profile) {
+      return {};
+    }
+
+    const entity = profile.entity || {};
+    const address = profile.principal_address || {};
+    // Forms with a separate mailing section get the principal address when no
+    // mailing address is saved
+    const mailingAddress = this._hasAddress(profile.mailing_address) ? profile.mailing_address : address;
+    const contact = profile.contact || {};
+    const taxIds = profile.tax_ids || {};
+    const people = profile.people || [];
+    const contactPerson = person || people.find(p => p.id === this.activePersonId) || people[0] || {};
+    const personData = this._personFillData(contactPerson);
+    const entityType = this.getEntityTypeLabel(entity.entity_type);
+
+    return this._compact({
+      business_name: entity.business_name,
+      dba: entity.dba,
+      entity_type: entityType,
+      business_structure: entityType,
+      business_purpose: entity.business_purpose,
+      name: personData.name,
+      first_name: personData.first_name,
+      last_name: personData.last_name,
+      email: contact.email || personData.email,
+      phone: contact.phone || personData.phone,
+      address: [address.street, address.street2].filter(Boolean).join(', '),
+      city: address.city,
+      state: address.state,
+      zip: address.zip,
+      mailing_address: [mailingAddress.street, mailingAddress.street2].filter(Boolean).join(', '),
+      mailing_city: mailingAddress.city,
+      mailing_state: mailingAddress.state,
+      mailing_zip: mailingAddress.zip,
+      ein: taxIds.ein,
+      ssn: taxIds.ssn
+    });
+  }
+
+  /**
+   * Build per-role fill data so "Organizer" and "Registered Agent" sections
+   * are filled from the person holding that role
+   * @param {Object} profile - Profile record
+   * @returns {Object} Map of role -> (category -> value) for assigned roles
+   */
+  getRoleFillData(profile) {
+    const roleData = {};
+
+    Object.keys(PERSON_ROLES).forEach(role => {
+      const person = this.getPersonForRole(profile, role);
+      if (person) {
+        roleData[role] = this._compact(this._personFillData(person));
+      }
+    });
+
+    return roleData;
+  }
+}
+
+// Create singleton instance
+const profileStore = new ProfileStore();
+
+export default profileStore;
+export { profileStore, PROFILES_KEY, ACTIVE_PROFILE_KEY, ACTIVE_PERSON_KEY, ENTITY_TYPE_LABELS, PERSON_ROLES };
@@ -0,0 +1,224 @@
+/**
+ * Validation Engine Module
+ * Builds field validation rules from knowledge/common/validation-rules.json
+ * plus the state's validation_overrides, and validates detected fields
+ * against them
+ */
+
+import knowledgeLoader from './knowledgeLoader.js';
+import i18n from './i18n.js';
+
+// Classification categories whose rule lives under a different key
+const CATEGORY_RULE_ALIASES = {
+  state: 'state_abbreviation',
+  street: 'address',
+  formation_date: 'date',
+  effective_date: 'date'
+};
+
+// Translated messages for the knowledge base's common_patterns, which are
+// written in English in validation-rules.json
+const RULE_MESSAGES = {
+  email: 'validationRuleEmail',
+  phone: 'validationRulePhone',
+  zip: 'validationRuleZip',
+  ein: 'validationRuleEin',
+  ssn: 'validationRuleSsn',
+  website: 'validationRuleWebsite',
+  state_abbreviation: 'validationRuleStateAbbreviation'
+};
+
+class ValidationEngine {
+  constructor() {
+    this.rules = {};
+    this.idRules = [];
+    this.restrictedWords = [];
+    this.stateCode = null;
+    this.loaded = false;
+  }
+
+  /**
+   * Build the rule set for a state (common rules apply to every state)
+   * @param {string} stateCode - Optional two-letter state code
+   * @returns {Promise<Object>} Rules keyed by category
+   */
+  async loadRules(stateCode = null) {
+    // Messages are worded in the language chosen in the panel
+    await i18n.init();
+
+    if (this.loaded && this.stateCode === stateCode) {
+      return this.rules;
+    }
+
+    try {
+      if (!knowledgeLoader.commonPatterns) {
+        await knowledgeLoader.initialize();
+      }
+
+      const common = knowledgeLoader.commonPatterns?.validation_rules || {};
+      const rules = {};
+
+      Object.entries(common.common_patterns || {}).forEach(([key, rule]) => {
+        rules[key] = { pattern: rule.pattern, message: rule.message, messageKey: RULE_MESSAGES[key] };
+      });
+
+      Object.entries(common.field_types || {}).forEach(([key, rule]) => {
+        rules[key] = {
+          ...rules[key],
+          minLength: rule.min_length,
+          maxLength: rule.max_length,
+          pattern: rules[key]?.pattern || rule.pattern,
+          message: rules[key]?.message,
+          messageKey: rules[key]?.messageKey,
+          format: rule.format
+        };
+      });
+
+      const stateData = stateCode ? await knowledgeLoader.loadStateData(stateCode) : null;
+      const overrides = stateData?.validation_overrides || {};
+
+      this.rules = rules;
+      this.idRules = this._buildIdRules(overrides.tax_requirements?.unique_ids || {});
+      this.restrictedWords = overrides.business_name?.restricted_words || [];
+      this.stateCode = stateCode;
+      this.loaded = true;
+
+      console.log('[BRA-ValidationEngine] Rules loaded for', stateCode || 'common', ':', Object.keys(rules).length, 'categories,', this.idRules.length, 'state ids');
+    } catch (error) {
+      console.error('[BRA-ValidationEngine] Error loading rules:', error);
+      this.rules = {};
+      this.idRules = [];
+      this.restrictedWords = [];
+    }
+
+    return this.rules;
+  }
+
+  /**
+   * Turn state unique_ids (e.g. fr500_number: {format: "FR[0-9]{9}"}) into
+   * rules matched by field label/name rather than by category
+   * @param {Object} uniqueIds - validation_overrides.tax_requirements.unique_ids
+   * @returns {Array} Id rules
+   * @private
+   */
+  _buildIdRules(uniqueIds) {
+    return Object.entries(uniqueIds)
+      .filter(([, rule]) => rule && rule.format)
+      .map(([key, rule]) => {
+        // "fr500_number" -> /fr[\s_-]*500/i so "FR-500 Number" and "fr500" both match
+        const stem = key.replace(/_(number|id)$/, '');
+        const parts = stem.match(/[a-z]+|[0-9]+/gi) || [stem];
+        return {
+          key: key,
+          labelPattern: new RegExp(parts.join('[\\s_-]*'), 'i'),
+          pattern: `^(?:${rule.format})$`,
+          idLabel: rule.description || key,
+          format: rule.format
+        };
+      });
+  }
+
+  /**
+   * Find the rule that applies to a detected field
+   * @param {Object} field - Field from FieldDetector
+   * @returns {Object|null} Rule ({pattern?, minLength?, maxLength?, message?, format?}) or null
+   */
+  getRuleForField(field) {
+    if (!field) return null;
+
+    const labelText = [field.label?.text, field.name, field.id].filter(Boolean).join(' ');
+    const idRule = this.idRules.find(rule => rule.labelPattern.test(labelText));
+    if (idRule) {
+      return idRule;
+    }
+
+    const category = field.classification?.category;
+    if (!category) return null;
+
+    const rule = this.rules[CATEGORY_RULE_ALIASES[category] || category];
+    if (!rule) return null;
+
+    // Selects and native date pickers already constrain their values
+    const type = (field.type || '').toLowerCase();
+    if (field.tagName === 'select' || type.startsWith('select')) return null;
+    if ((CATEGORY_RULE_ALIASES[category] || category) === 'date' && type === 'date') return null;
+
+    return rule;
+  }
+
+  /**
+   * Validate a value against a field's rule
+   * @param {Object} field - Field from FieldDetector
+   * @param {string} value - Current value
+   * @param {Object} options - {requireValue: treat an empty required field as invalid}
+   * @returns {Object} {valid, message}
+   */
+  validateField(field, value, options = {}) {
+    const text = String(value ?? '').trim();
+
+    if (text === '') {
+      if (options.requireValue && field.required) {
+        return { valid: false, message: i18n.t('validationRequired') };
+      }
+      return { valid: true, message: '' };
+    }
+
+    const rule = this.getRuleForField(field);
+    if (!rule) {
+      return { valid: true, message: '' };
+    }
+
+    if (rule.minLength && text.length < rule.minLength) {
+      return { valid: false, message: this._describeFailure(rule, 'validationMinLength', String(rule.minLength)) };
+    }
+
+    if (rule.maxLength && text.length > rule.maxLength) {
+      return { valid: false, message: this._describeFailure(rule, 'validationMaxLength', String(rule.maxLength)) };
+    }
+
+    if (rule.pattern) {
+      try {
+        if (!new RegExp(rule.pattern).test(text)) {
+          return { valid: false, message: this._describeFailure(rule, 'validationCheckFormat') };
+        }
+      } catch (error) {
+        console.warn('[BRA-ValidationEngine] Invalid rule pattern:', rule.pattern, error);
+      }
+    }
+
+    if (field.classification?.category === 'business_name') {
+      const restricted = this.restrictedWords.find(word =>
+        new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(text)
+      );
+      if (restricted) {
+        return { valid: false, message: i18n.t('validationRestrictedWord', [this.stateCode, restricted]) };
+      }
+    }
+
+    return { valid: true, message: '' };
+  }
+
+  /**
+   * Message for a value that breaks a rule: the translation of the knowledge
+   * base's message, else that message as written, else the expected format,
+   * else the message for the check that failed
+   * @param {Object} rule - From getRuleForField()
+   * @param {string} key - Message name for the failed check
+   * @param {string|Array<string>} substitutions - Values for that message
+   * @returns {string} Message
+   * @private
+   */
+  _describeFailure(rule, key, substitutions = []) {
+    if (rule.messageKey) return i18n.t(rule.messageKey);
+    if (rule.message) return rule.message;
+    if (rule.idLabel) return i18n.t('validationIdFormat', [rule.idLabel, rule.format]);
+    if (rule.format) return i18n.t('validationFormat', rule.format);
+    return i18n.t(key, substitutions);
+  }
+}
+
+// Create singleton instance
+const validationEngine = new ValidationEngine();
+
+export default validationEngine;
+export { validationEngine, CATEGORY_RULE_ALIASES, RULE_MESSAGES };
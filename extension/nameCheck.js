@@ -0,0 +1,150 @@
+/**
+ * Business Registration Assistant - Name Check Script
+ * Business name compliance check for the side panel
+ */
+
+// Name checker module (loaded dynamically)
+let nameChecker = null;
+
+// DOM elements - Name check
+const nameCheckForm = document.getElementById('name-check-form');
+const nameCheckInput = document.getElementById('name-check-input');
+const nameCheckEntity = document.getElementById('name-check-entity');
+const nameCheckState = document.getElementById('name-check-state');
+const nameCheckResult = document.getElementById('name-check-result');
+
+/**
+ * Load the name checker module
+ * @returns {Promise<Object|null>} The name checker
+ */
+async function loadNameChecker() {
+  if (nameChecker) {
+    return nameChecker;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/nameChecker.js'));
+    nameChecker = module.default || module.nameChecker;
+    console.log('[BRA Panel] NameChecker loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load name checker:', error);
+  }
+
+  return nameChecker;
+}
+
+/**
+ * Show a name check result
+ * @param {Object} result - From nameChecker.checkName()
+ * @param {string} fieldLabel - Page field the name came from, if any
+ */
+function renderNameCheck(result, fieldLabel = null) {
+  if (!nameCheckResult) return;
+
+  nameCheckResult.innerHTML = '';
+  if (!result || !result.name) {
+    nameCheckResult.classList.add('hidden');
+    return;
+  }
+
+  nameCheckResult.classList.toggle('name-check-ok', result.compliant);
+  nameCheckResult.classList.toggle('name-check-issues', !result.compliant);
+
+  const title = document.createElement('div');
+  title.className = 'name-check-title';
+  if (result.compliant) {
+    title.textContent = t('nameLooksCompliant', result.name);
+  } else {
+    title.textContent = result.issues.length === 1
+      ? t('nameHasIssue', result.name)
+      : t('nameHasIssues', [result.name, String(result.issues.length)]);
+  }
+  nameCheckResult.appendChild(title);
+
+  if (fieldLabel) {
+    const source = document.createElement('div');
+    source.className = 'name-check-source';
+    source.textContent = t('nameFromPageField', fieldLabel);
+    nameCheckResult.appendChild(source);
+  }
+
+  if (!result.entityType) {
+    const note = document.createElement('div');
+    note.className = 'name-check-source';
+    note.textContent = t('nameChooseEntityType');
+    nameCheckResult.appendChild(note);
+  }
+
+  if (result.issues.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'name-check-list';
+    result.issues.forEach(issue => {
+      const item = document.createElement('li');
+      item.textContent = issue.message;
+      list.appendChild(item);
+    });
+    nameCheckResult.appendChild(list);
+  }
+
+  if (result.suggestion) {
+    const suggestion = document.createElement('div');
+    suggestion.className = 'name-check-suggestion';
+    suggestion.appendChild(document.createTextNode(`${t('nameSuggestion')} `));
+    const name = document.createElement('strong');
+    name.textContent = result.suggestion;
+    suggestion.appendChild(name);
+
+    const useButton = document.createElement('button');
+    useButton.type = 'button';
+    useButton.className = 'small-button secondary';
+    useButton.textContent = t('checkThis');
+    useButton.addEventListener('click', function() {
+      nameCheckInput.value = result.suggestion;
+      runNameCheck();
+    });
+    suggestion.appendChild(useButton);
+    nameCheckResult.appendChild(suggestion);
+  }
+
+  // Keep the manual form in step with page checks so the user can iterate
+  if (fieldLabel) {
+    nameCheckInput.value = result.name;
+    if (result.stateCode) nameCheckState.value = result.stateCode;
+  }
+
+  nameCheckResult.classList.remove('hidden');
+}
+
+/**
+ * Check the name typed into the panel form
+ */
+async function runNameCheck() {
+  const checker = await loadNameChecker();
+  if (!checker) return;
+
+  const stateCode = nameCheckState.value.trim().toUpperCase() ||
+    (typeof currentDetectionResult !== 'undefined' && currentDetectionResult?.state) || null;
+
+  const result = await checker.checkName(nameCheckInput.value, {
+    stateCode: stateCode,
+    entityType: nameCheckEntity.value || null
+  });
+  renderNameCheck(result);
+}
+
+/**
+ * Initialize the name check form
+ */
+function initializeNameCheck() {
+  if (!nameCheckForm) return;
+
+  nameCheckForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    runNameCheck();
+  });
+}
+
+// Initialize name check when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeNameCheck();
+});
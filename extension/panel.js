@@ -82,6 +82,16 @@ function isValidContentScriptUrl(url) {
 const endeavorsButton = document.getElementById('endeavors-button');
 const userButton = document.getElementById('user-button');
 const autoFillButton = document.getElementById('auto-fill-button');
+const undoFillButton = document.getElementById('undo-fill-button');
+
+// DOM elements - Auto Fill preview
+const autoFillPreview = document.getElementById('autofill-preview');
+const autoFillPreviewList = document.getElementById('autofill-preview-list');
+const autoFillApplyButton = document.getElementById('autofill-apply-button');
+const autoFillCancelButton = document.getElementById('autofill-cancel-button');
+
+// Previewed fills below this classification confidence start unticked
+const AUTOFILL_MIN_CONFIDENCE = 60;
 
 // DOM elements - Detection
 // const statusIndicator = document.getElementById('status-indicator'); // Removed with blue status bar
@@ -90,12 +100,59 @@ const errorContainer = document.getElementById('error-container');
 
 // DOM elements - Fields Section
 const fieldsList = document.getElementById('fields-list');
+const exportSchemaButton = document.getElementById('export-schema-button');
+const exportCsvButton = document.getElementById('export-csv-button');
+
+// DOM elements - Validation summary
+const validationSummary = document.getElementById('validation-summary');
+const validationSummaryList = document.getElementById('validation-summary-list');
+const validationSummaryTitle = document.getElementById('validation-summary-title');
+
+// DOM elements - Filing session progress
+const wizardProgress = document.getElementById('wizard-progress');
+const wizardProgressTitle = document.getElementById('wizard-progress-title');
+const wizardProgressBar = document.getElementById('wizard-progress-bar');
+const wizardStepList = document.getElementById('wizard-step-list');
+const wizardResetButton = document.getElementById('wizard-reset-button');
 
 // DOM elements - Top confidence meter
 const confidenceMeter = document.getElementById('confidence-meter');
 const confidenceBarTop = document.getElementById('confidence-bar-top');
 const confidenceText = document.getElementById('confidence-text');
 
+/**
+ * Switch the panel between the detection view and a secondary view.
+ * Clicking the button of the view that is already open returns to the
+ * detection view.
+ * @param {string} viewId - Id of the view element to show
+ * @param {HTMLElement} button - Navigation button that opened the view
+ */
+function toggleView(viewId, button) {
+  const target = document.getElementById(viewId);
+  if (!target) {
+    console.error('[BRA Panel] View not found:', viewId);
+    return;
+  }
+  
+  const showTarget = target.classList.contains('hidden');
+  
+  document.querySelectorAll('.view').forEach(view => {
+    view.classList.add('hidden');
+  });
+  document.querySelectorAll('.nav-button').forEach(navButton => {
+    navButton.classList.remove('active');
+  });
+  
+  if (showTarget) {
+    target.classList.remove('hidden');
+    if (button) {
+      button.classList.add('active');
+    }
+  } else if (mainContent) {
+    mainContent.classList.remove('hidden');
+  }
+}
+
 // Show error message
 function showError(message, isHtml = false) {
   if (!errorContainer) {
@@ -122,7 +179,7 @@ function showError(message, isHtml = false) {
       errorContainer.appendChild(tempDiv.firstChild);
     }
   } else {
-    errorContainer.textContent = message || 'An error occurred';
+    errorContainer.textContent = message || t('errorOccurred');
   }
   
   // Use class to show instead of inline style
@@ -240,6 +297,66 @@ chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
     return true;
   }
   
+  // Handle live validation results from the content script
+  if (message.action === 'validationUpdated') {
+    const tabId = message.tabId || sender?.tab?.id;
+    if (tabId === currentTabId) {
+      renderValidationSummary(message.invalidFields || []);
+    }
+    if (sendResponse) {
+      sendResponse({acknowledged: true});
+    }
+    return true;
+  }
+  
+  // Handle a saved draft found for the page's form
+  if (message.action === 'formDraftAvailable') {
+    const tabId = message.tabId || sender?.tab?.id;
+    if (tabId === currentTabId && typeof receiveFormDraftOffer === 'function') {
+      receiveFormDraftOffer(tabId, message.offer);
+    }
+    if (sendResponse) {
+      sendResponse({acknowledged: true});
+    }
+    return true;
+  }
+  
+  // Handle focus moving to a detected field on the page
+  if (message.action === 'fieldFocused') {
+    const tabId = message.tabId || sender?.tab?.id;
+    if (tabId === currentTabId) {
+      highlightFieldEntry(message.fieldId);
+    }
+    if (sendResponse) {
+      sendResponse({acknowledged: true});
+    }
+    return true;
+  }
+  
+  // Handle business name checks of the page's name field
+  if (message.action === 'nameCheckUpdated') {
+    const tabId = message.tabId || sender?.tab?.id;
+    if (tabId === currentTabId && typeof renderNameCheck === 'function') {
+      renderNameCheck(message.result, message.fieldLabel);
+    }
+    if (sendResponse) {
+      sendResponse({acknowledged: true});
+    }
+    return true;
+  }
+  
+  // Handle filing session progress from the background
+  if (message.action === 'wizardSessionUpdated') {
+    const tabId = message.tabId || sender?.tab?.id;
+    if (tabId === currentTabId) {
+      renderWizardSession(message.session);
+    }
+    if (sendResponse) {
+      sendResponse({acknowledged: true});
+    }
+    return true;
+  }
+  
   // Handle navigation detection (immediate clear)
   if (message.action === 'navigationDetected') {
     console.log('[BRA Panel] Navigation detected:', message);
@@ -254,10 +371,11 @@ chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
       // Clear all fields and data immediately
       showNoDetection();
       hideError();
+      renderValidationSummary([]);
       
       // Update status to detecting
       if (confidenceText) {
-        confidenceText.textContent = 'Detecting new form...';
+        confidenceText.textContent = t('detectingNewForm');
       }
       
       // Don't wait for new detection here - content script will notify us
@@ -280,7 +398,7 @@ chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
       
       // Update status to detecting
       if (confidenceText) {
-        confidenceText.textContent = 'Detecting...';
+        confidenceText.textContent = t('detecting');
       }
       
       // Small delay to let content script initialize
@@ -311,7 +429,7 @@ chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
       
       // Update status to detecting
       if (confidenceText) {
-        confidenceText.textContent = 'Detecting...';
+        confidenceText.textContent = t('detecting');
       }
       
       // Longer delay for content changes to ensure DOM is stable
@@ -338,7 +456,7 @@ chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
       
       // Update status to show we're updating
       if (confidenceText) {
-        confidenceText.textContent = 'Updating fields...';
+        confidenceText.textContent = t('updatingFields');
       }
       
       // Get updated detection quickly
@@ -411,9 +529,9 @@ document.addEventListener('DOMContentLoaded', function() {
   try {
     // Clear initial "Detecting..." after a timeout if nothing happens
     setTimeout(function() {
-      if (confidenceText && confidenceText.textContent === 'Detecting...') {
+      if (confidenceText && confidenceText.textContent === t('detecting')) {
         console.log('[BRA Panel] Clearing stuck "Detecting..." text');
-        confidenceText.textContent = 'No form detected';
+        confidenceText.textContent = t('noFormDetected');
       }
     }, 3000); // 3 second timeout
     
@@ -425,6 +543,15 @@ document.addEventListener('DOMContentLoaded', function() {
       // Clear any existing errors
       hideError();
       
+      // A previewed or undoable fill and validation results belong to the previous page
+      hideAutoFillPreview();
+      renderValidationSummary([]);
+      renderWizardSession(null);
+      requestWizardSession(tabId);
+      if (undoFillButton) {
+        undoFillButton.classList.add('hidden');
+      }
+      
       // Reset last update to allow immediate refresh
       lastUpdateTime = 0;
       lastUpdateResult = null;
@@ -434,7 +561,7 @@ document.addEventListener('DOMContentLoaded', function() {
       updateFieldsDisplay(null);
       // Extra safety - force clear the fields list
       if (fieldsList) {
-        fieldsList.innerHTML = '<div class="no-fields-message">No fields detected yet</div>';
+        showFieldsMessage(t('noFieldsDetected'));
       }
       
       // Get tab info to check URL
@@ -450,7 +577,7 @@ document.addEventListener('DOMContentLoaded', function() {
           console.log('[BRA Panel] Tab URL not supported:', tab.url);
           // Show appropriate message for non-government sites
           if (confidenceText) {
-            confidenceText.textContent = 'Not a government site';
+            confidenceText.textContent = t('notGovernmentSite');
           }
           showNoDetection();
           // Clear from content script tracking
@@ -460,7 +587,7 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Set detecting state for valid URLs
         if (confidenceText) {
-          confidenceText.textContent = 'Detecting...';
+          confidenceText.textContent = t('detecting');
         }
         
         // Get detection for the tab
@@ -478,7 +605,7 @@ document.addEventListener('DOMContentLoaded', function() {
         console.log('[BRA Panel] No tabs found on initial load');
         // Clear "Detecting..." if no tabs
         if (confidenceText) {
-          confidenceText.textContent = 'No form detected';
+          confidenceText.textContent = t('noFormDetected');
         }
       }
     });
@@ -560,9 +687,9 @@ document.addEventListener('DOMContentLoaded', function() {
           }, function(error) {
             // Error callback after all retries
             if (error.message.includes('receiving end does not exist')) {
-              showError('The page is not ready yet. Please wait a moment and try again.');
+              showError(t('pageNotReady'));
             } else {
-              showError('Error connecting to page: ' + error.message);
+              showError(t('errorConnectingToPage', error.message));
             }
             detectionInProgress = false;
           });
@@ -600,62 +727,371 @@ document.addEventListener('DOMContentLoaded', function() {
     if (endeavorsButton) {
       endeavorsButton.addEventListener('click', function() {
         console.log('[BRA] My Endeavors button clicked');
-        // Currently just a placeholder - no functionality yet
+        toggleView('endeavors-view', endeavorsButton);
       });
     }
     
     if (userButton) {
       userButton.addEventListener('click', function() {
         console.log('[BRA] User button clicked');
-        // Currently just a placeholder - no functionality yet
+        toggleView('profile-view', userButton);
       });
     }
     
-    // Set up Auto Fill button functionality
+    // Set up Auto Fill button functionality: preview first, then apply
     if (autoFillButton) {
       autoFillButton.addEventListener('click', function() {
         console.log('[BRA] Auto Fill button clicked');
-      
-      // Show visual feedback that button was clicked
-      autoFillButton.disabled = true;
-      
-      // Get the current tab
-      chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
-        if (tabs && tabs[0]) {
-          // Send message to content script to perform auto-fill
-          chrome.tabs.sendMessage(tabs[0].id, {
-            action: 'autoFillFields'
-          }, function(response) {
-            // Reset button state
-            autoFillButton.disabled = false;
-            
-            // Handle response
-            if (chrome.runtime.lastError) {
-              showError('Could not connect to page: ' + chrome.runtime.lastError.message);
-              return;
-            }
-            
-            if (response && response.success) {
-              // Show success message in chat
-              const chatMessages = document.getElementById('chat-messages');
-              const message = document.createElement('div');
-              message.className = 'message system';
-              message.textContent = response.message || 'Auto-filled form fields successfully!';
-              chatMessages.appendChild(message);
-              chatMessages.scrollTop = chatMessages.scrollHeight;
-            } else if (response && response.error) {
-              showError(response.error);
-            }
-          });
-        }
+        
+        // Show visual feedback that button was clicked
+        autoFillButton.disabled = true;
+        
+        sendAutoFillMessage({ action: 'previewAutoFill' }, function(response) {
+          autoFillButton.disabled = false;
+          
+          if (response.entries.length === 0) {
+            addSystemChatMessage(t('nothingToFill'));
+            return;
+          }
+          
+          renderAutoFillPreview(response.entries);
+        });
+      });
+    }
+    
+    if (autoFillApplyButton) {
+      autoFillApplyButton.addEventListener('click', function() {
+        const entryIds = Array.from(
+          autoFillPreviewList.querySelectorAll('input[type="checkbox"]:checked')
+        ).map(checkbox => Number(checkbox.value));
+        
+        hideAutoFillPreview();
+        
+        sendAutoFillMessage({ action: 'applyAutoFill', entryIds: entryIds }, function(response) {
+          addSystemChatMessage(t('autoFilledSelected', [String(response.filledCount), String(response.selectedCount)]));
+          undoFillButton.classList.toggle('hidden', !response.canUndo);
+          
+          // Answers just filled revealed more fields; review those too
+          if (response.revealedEntries && response.revealedEntries.length > 0) {
+            addSystemChatMessage(t('revealedFieldsToReview', String(response.revealedEntries.length)));
+            renderAutoFillPreview(response.revealedEntries);
+          }
+        });
+      });
+    }
+    
+    if (autoFillCancelButton) {
+      autoFillCancelButton.addEventListener('click', hideAutoFillPreview);
+    }
+    
+    // Export the detected form for documentation
+    if (exportSchemaButton) {
+      exportSchemaButton.addEventListener('click', function() {
+        exportDetectedForm('schema', exportSchemaButton);
+      });
+    }
+    
+    if (exportCsvButton) {
+      exportCsvButton.addEventListener('click', function() {
+        exportDetectedForm('csv', exportCsvButton);
+      });
+    }
+    
+    if (undoFillButton) {
+      undoFillButton.addEventListener('click', function() {
+        undoFillButton.disabled = true;
+        
+        sendAutoFillMessage({ action: 'undoAutoFill' }, function(response) {
+          undoFillButton.disabled = false;
+          undoFillButton.classList.add('hidden');
+          addSystemChatMessage(t('fillUndone', String(response.restoredCount)));
+        }, function() {
+          // Keep the button so the user can retry the undo
+          undoFillButton.disabled = false;
+        });
       });
-    });
     }
   } catch (error) {
-    showError('Initialization error: ' + error.message);
+    showError(t('initializationError', error.message));
   }
 });
 
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(content, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Ask the page's content script for an export of the detected form and
+ * download it
+ * @param {string} format - 'schema' or 'csv'
+ * @param {HTMLElement} button - Button to disable while exporting
+ */
+function exportDetectedForm(format, button) {
+  if (!currentTabId) return;
+  button.disabled = true;
+
+  // Only the top frame holds the detection result
+  chrome.tabs.sendMessage(currentTabId, { action: 'exportDetectedForm', format: format }, { frameId: 0 }, function(response) {
+    button.disabled = false;
+
+    if (chrome.runtime.lastError) {
+      showError(t('couldNotConnectToPage', chrome.runtime.lastError.message));
+      return;
+    }
+
+    if (response && response.success) {
+      downloadFile(response.content, response.filename, response.mimeType);
+    } else if (response && (response.errorKey || response.error)) {
+      showError(describeResponseError(response));
+    }
+  });
+}
+
+/**
+ * Word a content script failure in the panel's language
+ * @param {Object} response - Failed response ({errorKey, errorSubstitutions} or {error})
+ * @returns {string} Error message
+ */
+function describeResponseError(response) {
+  return response.errorKey ? t(response.errorKey, response.errorSubstitutions || []) : response.error;
+}
+
+/**
+ * Send an auto-fill message to the content script in the active tab
+ * @param {Object} message - Message to send
+ * @param {Function} onSuccess - Called with the response when it succeeded
+ * @param {Function} onFailure - Called when the page could not be reached or
+ *   the content script reported a failure
+ */
+function sendAutoFillMessage(message, onSuccess, onFailure = null) {
+  chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
+    if (!tabs || !tabs[0]) {
+      autoFillButton.disabled = false;
+      if (onFailure) onFailure();
+      return;
+    }
+    
+    // The top frame plans the fill for its own fields and those of
+    // same-origin frames; other frames must not fill the same entry ids
+    chrome.tabs.sendMessage(tabs[0].id, message, { frameId: 0 }, function(response) {
+      autoFillButton.disabled = false;
+      
+      if (chrome.runtime.lastError) {
+        showError(t('couldNotConnectToPage', chrome.runtime.lastError.message));
+        if (onFailure) onFailure();
+        return;
+      }
+      
+      if (response && response.success) {
+        onSuccess(response);
+        return;
+      }
+      if (response && (response.errorKey || response.error)) {
+        showError(describeResponseError(response));
+      }
+      if (onFailure) onFailure();
+    });
+  });
+}
+
+/**
+ * Append a system message to the chat
+ * @param {string} text - Message text
+ */
+function addSystemChatMessage(text) {
+  const chatMessages = document.getElementById('chat-messages');
+  const message = document.createElement('div');
+  message.className = 'message system';
+  message.textContent = text;
+  chatMessages.appendChild(message);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/**
+ * Show the proposed field -> value pairs so the user can untick any before
+ * they are written into the page
+ * @param {Array} entries - Plan entries from the content script
+ */
+function renderAutoFillPreview(entries) {
+  autoFillPreviewList.innerHTML = '';
+  
+  entries.forEach(entry => {
+    const row = document.createElement('label');
+    row.className = 'autofill-preview-row';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = entry.id;
+    checkbox.checked = entry.confidence === null || entry.confidence >= AUTOFILL_MIN_CONFIDENCE;
+    row.appendChild(checkbox);
+    
+    const label = document.createElement('span');
+    label.className = 'autofill-preview-label';
+    label.textContent = entry.label + (entry.role ? ` (${entry.role.replace(/_/g, ' ')})` : '');
+    label.title = t('autofillCategoryTitle', entry.category);
+    row.appendChild(label);
+    
+    const value = document.createElement('span');
+    value.className = 'autofill-preview-value';
+    value.textContent = entry.value;
+    row.appendChild(value);
+    
+    const confidence = document.createElement('span');
+    confidence.className = 'autofill-preview-confidence';
+    if (entry.confidence === null) {
+      confidence.textContent = t('notApplicable');
+    } else {
+      confidence.textContent = `${Math.round(entry.confidence)}%`;
+      if (entry.confidence < AUTOFILL_MIN_CONFIDENCE) {
+        confidence.classList.add('low');
+      }
+    }
+    row.appendChild(confidence);
+    
+    autoFillPreviewList.appendChild(row);
+  });
+  
+  autoFillPreview.classList.remove('hidden');
+}
+
+/**
+ * Close the auto-fill preview without filling anything
+ */
+function hideAutoFillPreview() {
+  autoFillPreview.classList.add('hidden');
+  autoFillPreviewList.innerHTML = '';
+}
+
+/**
+ * Show the fields that currently fail validation on the page
+ * @param {Array} invalidFields - [{label, category, message}] from the content script
+ */
+function renderValidationSummary(invalidFields) {
+  if (!validationSummary) return;
+
+  validationSummaryList.innerHTML = '';
+
+  if (invalidFields.length === 0) {
+    validationSummary.classList.add('hidden');
+    return;
+  }
+
+  validationSummaryTitle.textContent = invalidFields.length === 1
+    ? t('fieldNeedsAttention')
+    : t('fieldsNeedAttention', String(invalidFields.length));
+
+  invalidFields.forEach(field => {
+    const item = document.createElement('li');
+    const label = document.createElement('strong');
+    label.textContent = field.label || field.category || t('field');
+    item.appendChild(label);
+    item.appendChild(document.createTextNode(`: ${field.message}`));
+    validationSummaryList.appendChild(item);
+  });
+
+  validationSummary.classList.remove('hidden');
+}
+
+/**
+ * Show where the user is in a multi-page filing and which steps remain
+ * @param {Object|null} session - Filing session from the background
+ */
+function renderWizardSession(session) {
+  if (!wizardProgress) return;
+
+  wizardStepList.innerHTML = '';
+
+  const progress = session && session.progress;
+  // A single page is not a wizard
+  if (!progress || (progress.total < 2 && session.steps.length < 2)) {
+    wizardProgress.classList.add('hidden');
+    return;
+  }
+
+  wizardProgressTitle.textContent = progress.current
+    ? t('wizardStepOf', [String(progress.current), String(progress.total)])
+    : t('wizardStepsVisited', [String(progress.visited), String(progress.total)]);
+  wizardProgressBar.style.width = `${Math.round((progress.visited / Math.max(progress.total, 1)) * 100)}%`;
+
+  const items = session.steps.map(step => ({
+    number: step.stepNumber,
+    label: step.label || step.title || step.url,
+    status: step.key === session.currentStepKey ? 'current' : 'visited',
+    missingRequired: step.missingRequired
+  }));
+  progress.remaining.forEach(number => {
+    items.push({ number: number, label: t('wizardNotVisited'), status: 'remaining', missingRequired: 0 });
+  });
+  items.sort((a, b) => (a.number || Infinity) - (b.number || Infinity));
+
+  items.forEach(step => {
+    const item = document.createElement('li');
+    item.className = `wizard-step wizard-step-${step.status}`;
+    if (step.status === 'current') {
+      item.setAttribute('aria-current', 'step');
+    }
+
+    const name = document.createElement('span');
+    name.className = 'wizard-step-label';
+    name.textContent = step.number ? `${step.number}. ${step.label}` : step.label;
+    item.appendChild(name);
+
+    if (step.missingRequired > 0) {
+      const missing = document.createElement('span');
+      missing.className = 'wizard-step-missing';
+      missing.textContent = step.missingRequired === 1
+        ? t('requiredFieldEmpty')
+        : t('requiredFieldsEmpty', String(step.missingRequired));
+      item.appendChild(missing);
+    }
+
+    wizardStepList.appendChild(item);
+  });
+
+  wizardProgress.classList.remove('hidden');
+}
+
+// Get the filing session for a tab from the background script
+function requestWizardSession(tabId) {
+  if (!tabId) return;
+  chrome.runtime.sendMessage({
+    action: 'getWizardSession',
+    tabId: tabId
+  }, function(response) {
+    if (chrome.runtime.lastError) {
+      return;
+    }
+    if (tabId === currentTabId) {
+      renderWizardSession(response && response.session);
+    }
+  });
+}
+
+if (wizardResetButton) {
+  wizardResetButton.addEventListener('click', function() {
+    chrome.runtime.sendMessage({
+      action: 'resetWizardSession',
+      tabId: currentTabId
+    }, function() {
+      void chrome.runtime.lastError;
+      renderWizardSession(null);
+    });
+  });
+}
+
 // Get detection result from background script
 function getDetectionResult(tabId) {
   try {
@@ -666,7 +1102,7 @@ function getDetectionResult(tabId) {
     }, function(response) {
       if (chrome.runtime.lastError) {
         console.error('[BRA Panel] Error getting detection result:', JSON.stringify(chrome.runtime.lastError, null, 2));
-        showError('Error getting detection result: ' + chrome.runtime.lastError.message);
+        showError(t('errorGettingDetectionResult', chrome.runtime.lastError.message));
         return;
       }
       
@@ -687,7 +1123,7 @@ function getDetectionResult(tabId) {
         if (errorHtml) {
           showError(errorHtml, true);
         } else {
-          showError('Detection failed. Please try again.');
+          showError(t('detectionFailed'));
         }
         
         // Update status to show no detection
@@ -695,8 +1131,8 @@ function getDetectionResult(tabId) {
       } else if (response && response.success === false) {
         console.log('[BRA Panel] No detection result available yet');
         // Clear "Detecting..." text if no result
-        if (confidenceText && confidenceText.textContent === 'Detecting...') {
-          confidenceText.textContent = 'No form detected';
+        if (confidenceText && confidenceText.textContent === t('detecting')) {
+          confidenceText.textContent = t('noFormDetected');
         }
         // Try asking content script directly
         askContentScript(tabId);
@@ -763,7 +1199,7 @@ function getDetectionResult(tabId) {
       }
     });
   } catch (error) {
-    showError('Error communicating with background: ' + error.message);
+    showError(t('errorCommunicatingWithBackground', error.message));
   }
 }
 
@@ -886,7 +1322,7 @@ async function askContentScript(tabId) {
         const lastError = chrome.runtime.lastError;
         if (lastError && !lastError.message?.includes('receiving end does not exist') && 
             !lastError.message?.includes('Extension context invalidated')) {
-          showError('Error communicating with page');
+          showError(t('errorCommunicatingWithPage'));
         }
         showNoDetection();
         return;
@@ -955,12 +1391,12 @@ async function askContentScript(tabId) {
             
             // If detection hasn't even started, show that
             if (statusResult && statusResult.attempts === 0) {
-              showError("Detection hasn't started yet. Click 'Check Again' to begin.");
+              showError(t('detectionNotStarted'));
             }
           }
         }, function(error) {
           // Error getting result
-          showError('Error getting detection result: ' + error.message);
+          showError(t('errorGettingDetectionResult', error.message));
           showNoDetection();
         });
       }
@@ -985,7 +1421,7 @@ async function askContentScript(tabId) {
       showError(errorHtml, true);
     });
   } catch (error) {
-    showError('Error communicating with page: ' + error.message);
+    showError(t('errorCommunicatingWithPageDetails', error.message));
     showNoDetection();
   }
 }
@@ -1037,7 +1473,7 @@ function setupConnectionMonitoring() {
           // Update UI if reconnected
           const reconnectStatus = document.getElementById('reconnect-status');
           if (reconnectStatus) {
-            reconnectStatus.textContent = 'Connected';
+            reconnectStatus.textContent = t('connected');
           }
           
           // If we just reconnected, refresh the panel
@@ -1138,7 +1574,7 @@ function updateUI(result) {
   if (!result || !result.isBusinessRegistrationForm) {
     console.log('[BRA Panel] No business form - ensuring fields are cleared');
     if (fieldsList) {
-      fieldsList.innerHTML = '<div class="no-fields-message">No fields detected yet</div>';
+      showFieldsMessage(t('noFieldsDetected'));
     }
   }
   
@@ -1146,6 +1582,30 @@ function updateUI(result) {
   if (result && result.isBusinessRegistrationForm) {
     hideError();
   }
+
+  // Re-estimate costs for the detected state and check any payment page fee
+  if (typeof refreshCostEstimate === 'function') {
+    refreshCostEstimate(result);
+  }
+
+  // Show the corrections saved for this form
+  if (typeof refreshFieldCorrections === 'function') {
+    refreshFieldCorrections(result);
+  }
+
+  // Show the guidance badge setting for this site
+  if (typeof refreshFieldGuidanceToggle === 'function') {
+    refreshFieldGuidanceToggle(result);
+  }
+  if (typeof refreshFieldDependencies === 'function') {
+    refreshFieldDependencies(result);
+  }
+  if (typeof refreshDocumentChecklist === 'function') {
+    refreshDocumentChecklist(result);
+  }
+  if (typeof refreshFormDraftOffer === 'function') {
+    refreshFormDraftOffer(result);
+  }
   
   // Status indicator removed - confidence meter shows detection status
 }
@@ -1170,7 +1630,7 @@ function updateConfidenceMeter(result) {
       // Show as not detected
       confidenceBarTop.style.width = '0%';
       confidenceBarTop.className = 'confidence-bar-top';
-      confidenceText.textContent = 'No form detected';
+      confidenceText.textContent = t('noFormDetected');
       lastConfidenceValue = null;
       lastStateValue = null;
     }
@@ -1221,6 +1681,47 @@ function updateConfidenceMeter(result) {
   console.log('[BRA Panel] Confidence meter updated successfully');
 }
 
+// Show a placeholder message in place of the fields list
+function showFieldsMessage(text) {
+  const message = document.createElement('div');
+  message.className = 'no-fields-message';
+  message.textContent = text;
+  fieldsList.replaceChildren(message);
+}
+
+/**
+ * Scroll to a field on the page, focus it and briefly highlight it
+ * @param {string} fieldId - fieldId from the detection's uiData
+ */
+function locatePageField(fieldId) {
+  if (!currentTabId) return;
+
+  highlightFieldEntry(fieldId);
+  chrome.tabs.sendMessage(currentTabId, { action: 'locateField', fieldId: fieldId }, { frameId: 0 }, response => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      showError(t('fieldNotOnPage'));
+    }
+  });
+}
+
+/**
+ * Mark the fields list entry of the field focused on the page
+ * @param {string} fieldId - fieldId from the detection's uiData
+ */
+function highlightFieldEntry(fieldId) {
+  if (!fieldsList) return;
+
+  let entry = null;
+  fieldsList.querySelectorAll('.field-item').forEach(item => {
+    const matches = item.dataset.fieldId === fieldId;
+    item.classList.toggle('located', matches);
+    if (matches) entry = item;
+  });
+  if (entry) {
+    entry.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+}
+
 // Show no detection view
 function showNoDetection() {
   console.log('[BRA Panel] showNoDetection called - clearing all detection data');
@@ -1230,7 +1731,7 @@ function showNoDetection() {
   updateFieldsDisplay(null);
   // Extra safety - force clear fields
   if (fieldsList) {
-    fieldsList.innerHTML = '<div class="no-fields-message">No fields detected yet</div>';
+    showFieldsMessage(t('noFieldsDetected'));
   }
 }
 
@@ -1250,7 +1751,7 @@ function updateFieldsDisplay(result) {
   // Check if we have field detection results
   if (!result || !result.fieldDetection || !result.isBusinessRegistrationForm) {
     console.log('[BRA Panel] No business form detected - showing empty fields message');
-    fieldsList.innerHTML = '<div class="no-fields-message">No fields detected yet</div>';
+    showFieldsMessage(t('noFieldsDetected'));
     return;
   }
   
@@ -1419,9 +1920,9 @@ function updateFieldsDisplay(result) {
     // Check if we have field count but no details
     const fieldCount = result.fieldDetection.classifiedFields || 0;
     if (fieldCount > 0) {
-      fieldsList.innerHTML = `<div class="no-fields-message">Found ${fieldCount} fields - waiting for classification details...</div>`;
+      showFieldsMessage(t('fieldsAwaitingClassification', String(fieldCount)));
     } else {
-      fieldsList.innerHTML = '<div class="no-fields-message">No business fields detected yet</div>';
+      showFieldsMessage(t('noBusinessFieldsDetected'));
     }
     return;
   }
@@ -1528,7 +2029,7 @@ function updateFieldsDisplay(result) {
     } else if (field.fieldName) {
       label = field.fieldName;
     } else {
-      label = 'Unnamed field';
+      label = t('unnamedField');
     }
     
     // Clean up the label
@@ -1545,11 +2046,31 @@ function updateFieldsDisplay(result) {
     const labelEl = document.createElement('div');
     labelEl.className = 'field-label';
     labelEl.textContent = label;
-    labelEl.title = `${label} (${confidence}% confidence)`; // Tooltip with confidence
+    labelEl.title = t('fieldConfidenceTitle', [label, String(confidence)]); // Tooltip with confidence
+    
+    // Clicking the label scrolls to the field on the page
+    if (field.fieldId) {
+      fieldItem.dataset.fieldId = field.fieldId;
+      labelEl.classList.add('field-locate');
+      labelEl.setAttribute('role', 'button');
+      labelEl.tabIndex = 0;
+      labelEl.addEventListener('click', () => locatePageField(field.fieldId));
+      labelEl.addEventListener('keydown', event => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          locatePageField(field.fieldId);
+        }
+      });
+    }
     
     // Field type labels removed for cleaner display
     // Only append the label element
     fieldItem.appendChild(labelEl);
+    
+    // Category picker for correcting the classification (corrections.js)
+    if (typeof createFieldCorrectionControl === 'function' && field.correctionKey) {
+      fieldItem.appendChild(createFieldCorrectionControl(field, label));
+    }
     fieldsList.appendChild(fieldItem);
   }
   
@@ -52,7 +52,7 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Set up Check Again button
   checkAgainButton.addEventListener('click', function() {
-    statusText.textContent = 'Checking...';
+    statusText.textContent = t('checking');
     
     chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
       if (tabs && tabs[0]) {
@@ -137,10 +137,10 @@ function updateUI(result) {
   
   // Update status indicator
   statusIndicator.classList.add('active');
-  statusText.textContent = 'Business form detected';
+  statusText.textContent = t('businessFormDetected');
   
   // Update state
-  stateValue.textContent = result.state ? getStateName(result.state) : 'Unknown';
+  stateValue.textContent = result.state ? getStateName(result.state) : t('unknown');
   
   // Update confidence
   const confidence = result.confidenceScore;
@@ -151,7 +151,7 @@ function updateUI(result) {
 // Show no detection view
 function showNoDetection() {
   statusIndicator.classList.remove('active');
-  statusText.textContent = 'No detection';
+  statusText.textContent = t('noDetection');
   
   noDetectionView.classList.remove('hidden');
   detectionView.classList.add('hidden');
@@ -0,0 +1,230 @@
+/**
+ * Business Registration Assistant - Profile Import Script
+ * Imports business profiles from CSV, JSON and vCard files: map the CSV
+ * columns, review the validation report and the dry run, then save
+ */
+
+// Profile importer module (loaded dynamically)
+let profileImporter = null;
+
+// File being imported: {source, mapping} from profileImporter.parse()
+let importSource = null;
+let importMapping = [];
+
+// Dry run shown in the preview
+let importPlan = [];
+
+// Messages naming each planned action
+const IMPORT_ACTION_MESSAGES = {
+  create: 'importActionCreate',
+  update: 'importActionUpdate',
+  skip: 'importActionSkip'
+};
+
+// DOM elements - Profile import
+const profileImportButton = document.getElementById('profile-import-button');
+const profileImportSection = document.getElementById('profile-import');
+const profileImportFile = document.getElementById('profile-import-file');
+const profileImportMapping = document.getElementById('profile-import-mapping');
+const profileImportSummary = document.getElementById('profile-import-summary');
+const profileImportPreview = document.getElementById('profile-import-preview');
+const profileImportCancel = document.getElementById('profile-import-cancel');
+const profileImportApply = document.getElementById('profile-import-apply');
+
+/**
+ * Load the profile importer module
+ * @returns {Promise<Object|null>} The profile importer
+ */
+async function loadProfileImporter() {
+  if (profileImporter) {
+    return profileImporter;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/profileImporter.js'));
+    profileImporter = module.default || module.profileImporter;
+    await profileImporter.initialize();
+    console.log('[BRA Panel] ProfileImporter loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load profile importer:', error);
+  }
+
+  return profileImporter;
+}
+
+/**
+ * Heading for a group of field definitions, e.g. "Entity Information"
+ * @param {string} group - fieldCategories key
+ * @returns {string} Heading
+ */
+function formatImportGroup(group) {
+  return group.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^\w/, letter => letter.toUpperCase());
+}
+
+/**
+ * Show a select per column for choosing the field it fills
+ */
+function renderImportMapping() {
+  const headers = importSource?.headers || null;
+  profileImportMapping.classList.toggle('hidden', !headers);
+  if (!headers) {
+    profileImportMapping.replaceChildren();
+    return;
+  }
+
+  const groups = {};
+  profileImporter.targets.forEach(target => {
+    (groups[target.group] = groups[target.group] || []).push(target);
+  });
+
+  profileImportMapping.replaceChildren(...headers.map((header, column) => {
+    const row = document.createElement('label');
+    row.className = 'profile-import-column';
+
+    const name = document.createElement('span');
+    name.className = 'profile-import-column-name';
+    name.textContent = header || t('importColumn', String(column + 1));
+    const sample = importSource.rows.find(cells => String(cells[column] ?? '').trim() !== '')?.[column];
+    if (sample) name.title = sample;
+
+    const select = document.createElement('select');
+    select.appendChild(new Option(t('importIgnoreColumn'), ''));
+    Object.entries(groups).forEach(([group, targets]) => {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = formatImportGroup(group);
+      targets.forEach(target => optgroup.appendChild(new Option(target.label, target.key, false, importMapping[column] === target.key)));
+      select.appendChild(optgroup);
+    });
+    select.addEventListener('change', function() {
+      importMapping[column] = select.value;
+      refreshImportPreview();
+    });
+
+    row.appendChild(name);
+    row.appendChild(select);
+    return row;
+  }));
+}
+
+/**
+ * One validation message of an entry
+ * @param {Object} issue - {path, label, value, message}
+ * @param {string} className - import-error or import-warning
+ * @returns {HTMLElement} List item
+ */
+function createImportIssue(issue, className) {
+  const item = document.createElement('li');
+  item.className = className;
+  const value = issue.path === 'tax_ids.ssn' ? '•••' : issue.value;
+  item.textContent = [issue.label, issue.message].filter(Boolean).join(': ') + (value ? ` ("${value}")` : '');
+  return item;
+}
+
+/**
+ * Re-run the dry run for the current file and mapping and show it
+ */
+async function refreshImportPreview() {
+  const store = await loadProfileStore();
+  if (!importSource || !store) return;
+
+  const profiles = profileImporter.toProfiles(importSource, importMapping);
+  importPlan = profileImporter.plan(profiles, await store.load());
+
+  const counts = { create: 0, update: 0, skip: 0 };
+  importPlan.forEach(entry => counts[entry.action]++);
+  profileImportSummary.textContent = importPlan.length === 0
+    ? t('importNothingFound')
+    : t('importSummary', [String(counts.create), String(counts.update), String(counts.skip)]);
+  profileImportApply.disabled = counts.create + counts.update === 0;
+
+  profileImportPreview.replaceChildren(...importPlan.map(entry => {
+    const item = document.createElement('li');
+    item.className = `profile-import-entry ${entry.action}`;
+
+    const header = document.createElement('div');
+    header.className = 'profile-import-entry-header';
+    const name = document.createElement('span');
+    name.textContent = `${t('importEntry', String(entry.index + 1))} · ${entry.profile.entity.business_name || t('importUnnamed')}`;
+    const action = document.createElement('span');
+    action.className = 'profile-import-action';
+    action.textContent = entry.action === 'update'
+      ? t('importActionUpdate', entry.target.label || entry.target.entity?.business_name || '')
+      : t(IMPORT_ACTION_MESSAGES[entry.action]);
+    header.appendChild(name);
+    header.appendChild(action);
+    item.appendChild(header);
+
+    if (entry.errors.length > 0 || entry.warnings.length > 0) {
+      const issues = document.createElement('ul');
+      issues.className = 'profile-import-issues';
+      entry.errors.forEach(issue => issues.appendChild(createImportIssue(issue, 'import-error')));
+      entry.warnings.forEach(issue => issues.appendChild(createImportIssue(issue, 'import-warning')));
+      item.appendChild(issues);
+    }
+    return item;
+  }));
+}
+
+/**
+ * Close the importer and forget the file
+ */
+function resetProfileImport() {
+  importSource = null;
+  importMapping = [];
+  importPlan = [];
+  profileImportFile.value = '';
+  profileImportMapping.replaceChildren();
+  profileImportMapping.classList.add('hidden');
+  profileImportSummary.textContent = '';
+  profileImportPreview.replaceChildren();
+  profileImportApply.disabled = true;
+  profileImportSection.classList.add('hidden');
+}
+
+/**
+ * Initialize the profile importer
+ */
+function initializeProfileImport() {
+  if (!profileImportSection) return;
+
+  profileImportButton.addEventListener('click', function() {
+    profileImportSection.classList.toggle('hidden');
+  });
+
+  profileImportFile.addEventListener('change', async function() {
+    const file = profileImportFile.files[0];
+    if (!file || !(await loadProfileImporter())) return;
+
+    try {
+      importSource = profileImporter.parse(await file.text(), file.name);
+    } catch (error) {
+      resetProfileImport();
+      showError(t('importReadFailed', error.message));
+      return;
+    }
+
+    importMapping = importSource.headers ? profileImporter.suggestMapping(importSource.headers) : [];
+    renderImportMapping();
+    refreshImportPreview();
+  });
+
+  profileImportCancel.addEventListener('click', resetProfileImport);
+
+  profileImportApply.addEventListener('click', async function() {
+    profileImportApply.disabled = true;
+    try {
+      const result = await profileImporter.apply(importPlan);
+      resetProfileImport();
+      await refreshProfileView();
+      showProfileStatus(t('importDone', [String(result.created), String(result.updated)]));
+    } catch (error) {
+      profileImportApply.disabled = false;
+      showError(t('importFailed', error.message));
+    }
+  });
+}
+
+// Initialize profile import when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeProfileImport();
+});
@@ -0,0 +1,364 @@
+/**
+ * Business Registration Assistant - Profiles Script
+ * Business and people account manager for the side panel
+ */
+
+// Profile store module (loaded dynamically)
+let profileStore = null;
+
+// Role keys and labels (mirrors PERSON_ROLES in the store module)
+let personRoles = {};
+
+// Panel messages of the role keys
+const PERSON_ROLE_MESSAGES = {
+  organizer: 'personRoleOrganizer',
+  officer: 'personRoleOfficer',
+  member: 'personRoleMember',
+  registered_agent: 'personRoleRegisteredAgent'
+};
+
+// Profile currently shown in the editor
+let editingProfile = null;
+
+// DOM elements - Profiles
+const profileSelect = document.getElementById('profile-select');
+const profileForm = document.getElementById('profile-form');
+const profilePeople = document.getElementById('profile-people');
+const profileStatus = document.getElementById('profile-status');
+const profileNewButton = document.getElementById('profile-new-button');
+const profileDeleteButton = document.getElementById('profile-delete-button');
+const profileAddPersonButton = document.getElementById('profile-add-person-button');
+const accountSwitcher = document.getElementById('account-switcher');
+
+/**
+ * Load the profile store module
+ * @returns {Promise<Object|null>} The profile store
+ */
+async function loadProfileStore() {
+  if (profileStore) {
+    return profileStore;
+  }
+
+  try {
+    const module = await import(chrome.runtime.getURL('modules/profileStore.js'));
+    profileStore = module.default || module.profileStore;
+    personRoles = module.PERSON_ROLES || {};
+    console.log('[BRA Panel] ProfileStore loaded');
+  } catch (error) {
+    console.error('[BRA Panel] Failed to load profile store:', error);
+  }
+
+  return profileStore;
+}
+
+/**
+ * Read a dotted path (e.g. "entity.business_name") from an object
+ * @param {Object} obj - Source object
+ * @param {string} path - Dotted path
+ * @returns {*} The value or undefined
+ */
+function getProfileValue(obj, path) {
+  return path.split('.').reduce((value, key) => (value ? value[key] : undefined), obj);
+}
+
+/**
+ * Write a dotted path (e.g. "entity.business_name") on an object
+ * @param {Object} obj - Target object
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to set
+ */
+function setProfileValue(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => {
+    if (!current[key] || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    return current[key];
+  }, obj);
+  target[last] = value;
+}
+
+/**
+ * Show a short status message next to the save button
+ * @param {string} text - Status text
+ */
+function showProfileStatus(text) {
+  if (!profileStatus) return;
+  profileStatus.textContent = text;
+  setTimeout(() => {
+    if (profileStatus.textContent === text) {
+      profileStatus.textContent = '';
+    }
+  }, 3000);
+}
+
+/**
+ * Populate the profile selector
+ * @param {Array} profiles - Stored profiles
+ * @param {string} selectedId - Profile to select
+ */
+function renderProfileSelect(profiles, selectedId) {
+  profileSelect.innerHTML = '';
+
+  if (profiles.length === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = t('noProfiles');
+    profileSelect.appendChild(option);
+    return;
+  }
+
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.label || profile.entity?.business_name || t('untitledProfile');
+    option.selected = profile.id === selectedId;
+    profileSelect.appendChild(option);
+  });
+}
+
+/**
+ * Label of a person role in the panel language
+ * @param {string} role - Role key from PERSON_ROLES
+ * @returns {string} Role label
+ */
+function getPersonRoleLabel(role) {
+  return PERSON_ROLE_MESSAGES[role] ? t(PERSON_ROLE_MESSAGES[role]) : personRoles[role] || role;
+}
+
+/**
+ * Describe a person for lists, e.g. "Jane Roe (Organizer, Member)"
+ * @param {Object} person - Person record
+ * @returns {string} Display text
+ */
+function describePerson(person) {
+  const name = [person.first_name, person.last_name].filter(Boolean).join(' ') || t('unnamedPerson');
+  const roles = (person.roles || []).map(getPersonRoleLabel);
+  return roles.length > 0 ? `${name} (${roles.join(', ')})` : name;
+}
+
+/**
+ * Populate the header switcher with every business and its people
+ * @param {Array} profiles - Stored profiles
+ */
+function renderAccountSwitcher(profiles) {
+  if (!accountSwitcher) return;
+
+  accountSwitcher.innerHTML = '';
+
+  if (profiles.length === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = t('noBusinessSelected');
+    accountSwitcher.appendChild(option);
+    return;
+  }
+
+  profiles.forEach(profile => {
+    const group = document.createElement('optgroup');
+    group.label = profile.label || profile.entity?.business_name || t('untitledProfile');
+
+    const businessOption = document.createElement('option');
+    businessOption.value = profile.id;
+    businessOption.textContent = group.label;
+    businessOption.selected = profile.id === profileStore.activeProfileId && !profileStore.activePersonId;
+    group.appendChild(businessOption);
+
+    (profile.people || []).forEach(person => {
+      const option = document.createElement('option');
+      option.value = `${profile.id}|${person.id}`;
+      option.textContent = `${group.label} · ${describePerson(person)}`;
+      option.selected = profile.id === profileStore.activeProfileId && person.id === profileStore.activePersonId;
+      group.appendChild(option);
+    });
+
+    accountSwitcher.appendChild(group);
+  });
+}
+
+/**
+ * Render the people rows for the profile being edited
+ */
+function renderProfilePeople() {
+  profilePeople.innerHTML = '';
+
+  (editingProfile.people || []).forEach((person, index) => {
+    const row = document.createElement('div');
+    row.className = 'profile-person';
+
+    [
+      ['first_name', 'firstName'],
+      ['last_name', 'lastName'],
+      ['title', 'personTitle'],
+      ['email', 'email'],
+      ['phone', 'phone'],
+      ['address.street', 'street'],
+      ['address.city', 'city'],
+      ['address.state', 'state'],
+      ['address.zip', 'zip']
+    ].forEach(([key, placeholder]) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = t(placeholder);
+      input.value = getProfileValue(person, key) || '';
+      input.dataset.personIndex = index;
+      input.dataset.personKey = key;
+      row.appendChild(input);
+    });
+
+    const roles = document.createElement('div');
+    roles.className = 'profile-person-roles';
+    Object.keys(personRoles).forEach(role => {
+      const roleLabel = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = (person.roles || []).includes(role);
+      checkbox.dataset.personIndex = index;
+      checkbox.dataset.personRole = role;
+      roleLabel.appendChild(checkbox);
+      roleLabel.appendChild(document.createTextNode(' ' + getPersonRoleLabel(role)));
+      roles.appendChild(roleLabel);
+    });
+    row.appendChild(roles);
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'small-button secondary';
+    removeButton.textContent = t('remove');
+    removeButton.addEventListener('click', function() {
+      readProfileForm();
+      editingProfile.people.splice(index, 1);
+      renderProfilePeople();
+    });
+    row.appendChild(removeButton);
+
+    profilePeople.appendChild(row);
+  });
+}
+
+/**
+ * Fill the editor form from a profile
+ * @param {Object} profile - Profile to edit
+ */
+function renderProfileForm(profile) {
+  editingProfile = JSON.parse(JSON.stringify(profile));
+
+  Array.from(profileForm.elements).forEach(element => {
+    if (element.name) {
+      element.value = getProfileValue(editingProfile, element.name) || '';
+    }
+  });
+
+  renderProfilePeople();
+  profileDeleteButton.disabled = !profileStore.profiles.some(p => p.id === editingProfile.id);
+}
+
+/**
+ * Copy the editor form values back into the profile being edited
+ */
+function readProfileForm() {
+  Array.from(profileForm.elements).forEach(element => {
+    if (element.name) {
+      setProfileValue(editingProfile, element.name, element.value.trim());
+    }
+  });
+
+  profilePeople.querySelectorAll('input[data-person-key]').forEach(input => {
+    const person = editingProfile.people[Number(input.dataset.personIndex)];
+    if (person) {
+      setProfileValue(person, input.dataset.personKey, input.value.trim());
+    }
+  });
+
+  editingProfile.people.forEach((person, index) => {
+    person.roles = Array.from(
+      profilePeople.querySelectorAll(`input[data-person-index="${index}"][data-person-role]`)
+    ).filter(checkbox => checkbox.checked).map(checkbox => checkbox.dataset.personRole);
+  });
+}
+
+/**
+ * Re-render the profile view from storage
+ * @param {string} selectedId - Profile to show (defaults to the active one)
+ */
+async function refreshProfileView(selectedId) {
+  const store = await loadProfileStore();
+  if (!store) return;
+
+  const profiles = await store.load();
+  const profileId = selectedId || store.activeProfileId;
+  const profile = profiles.find(p => p.id === profileId) || profiles[0];
+
+  renderProfileSelect(profiles, profile?.id);
+  renderProfileForm(profile || store.createEmptyProfile());
+  renderAccountSwitcher(profiles);
+}
+
+/**
+ * Initialize the profile editor
+ */
+function initializeProfiles() {
+  if (!profileForm) return;
+
+  profileSelect.addEventListener('change', async function() {
+    if (!profileSelect.value) return;
+    await profileStore.setActiveProfile(profileSelect.value);
+    refreshProfileView(profileSelect.value);
+  });
+
+  profileNewButton.addEventListener('click', function() {
+    renderProfileForm(profileStore.createEmptyProfile());
+    profileForm.elements.label.focus();
+  });
+
+  profileDeleteButton.addEventListener('click', async function() {
+    if (!editingProfile || !confirm(t('deleteProfileConfirm', editingProfile.label))) return;
+    await profileStore.deleteProfile(editingProfile.id);
+    refreshProfileView();
+  });
+
+  profileAddPersonButton.addEventListener('click', function() {
+    readProfileForm();
+    editingProfile.people = editingProfile.people || [];
+    editingProfile.people.push(profileStore.createEmptyPerson());
+    renderProfilePeople();
+  });
+
+  if (accountSwitcher) {
+    accountSwitcher.addEventListener('change', async function() {
+      if (!accountSwitcher.value) return;
+      const [profileId, personId] = accountSwitcher.value.split('|');
+      await profileStore.setActiveProfile(profileId, personId || null);
+      refreshProfileView(profileId);
+    });
+  }
+
+  // Keep the switcher in sync when profiles change elsewhere (e.g. imports)
+  chrome.storage.onChanged.addListener(async function(changes, areaName) {
+    if (areaName === 'local' && changes.BRA_BusinessProfiles && profileStore) {
+      renderAccountSwitcher(await profileStore.load());
+    }
+  });
+
+  profileForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    readProfileForm();
+
+    try {
+      const saved = await profileStore.saveProfile(editingProfile);
+      await profileStore.setActiveProfile(saved.id, profileStore.activePersonId);
+      await refreshProfileView(saved.id);
+      showProfileStatus(t('saved'));
+    } catch (error) {
+      showError(t('profileSaveFailed', error.message));
+    }
+  });
+
+  refreshProfileView();
+}
+
+// Initialize profiles when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeProfiles();
+});
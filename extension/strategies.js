@@ -0,0 +1,133 @@
+/**
+ * Business Registration Assistant - Strategies Script
+ * Chooses which detection pipeline strategies run for each stage
+ * (modules/detectionPipeline.js) and detects the page again with them
+ */
+
+// Panel headings of the pipeline stages
+const STRATEGY_STAGE_MESSAGES = {
+  url: 'strategyStageUrl',
+  fields: 'strategyStageFields',
+  classify: 'strategyStageClassify',
+  sections: 'strategyStageSections'
+};
+
+// DOM elements - Detection strategies
+const strategyDetails = document.getElementById('strategy-details');
+const strategyList = document.getElementById('strategy-list');
+const strategyApplyButton = document.getElementById('strategy-apply-button');
+const strategyResetButton = document.getElementById('strategy-reset-button');
+const strategyStatus = document.getElementById('strategy-status');
+
+/**
+ * Render a checkbox per strategy, grouped by stage in run order
+ * @param {Object} strategies - {stage: [{name, description, enabled}]} from the content script
+ */
+function renderStrategyList(strategies) {
+  strategyList.innerHTML = '';
+
+  Object.entries(STRATEGY_STAGE_MESSAGES).forEach(([stage, messageName]) => {
+    const group = document.createElement('fieldset');
+    group.className = 'strategy-stage';
+    group.dataset.stage = stage;
+
+    const legend = document.createElement('legend');
+    legend.textContent = t(messageName);
+    group.appendChild(legend);
+
+    (strategies[stage] || []).forEach(strategy => {
+      const label = document.createElement('label');
+      label.className = 'strategy-option';
+      label.title = strategy.description;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = strategy.name;
+      checkbox.checked = strategy.enabled;
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(strategy.name));
+      group.appendChild(label);
+    });
+
+    strategyList.appendChild(group);
+  });
+
+  strategyApplyButton.disabled = false;
+  strategyResetButton.disabled = false;
+}
+
+/**
+ * The checked strategies per stage; listed order is run order
+ * @returns {Object} {stage: [names]}
+ */
+function readStrategyConfig() {
+  const config = {};
+  strategyList.querySelectorAll('.strategy-stage').forEach(group => {
+    config[group.dataset.stage] = Array.from(group.querySelectorAll('input:checked')).map(checkbox => checkbox.value);
+  });
+  return config;
+}
+
+/**
+ * Send a strategy message to the page's top frame, which runs detection
+ * @param {Object} message - getDetectionStrategies or setDetectionStrategies
+ * @param {Function} onSuccess - Called with the content script's response
+ */
+function sendStrategyMessage(message, onSuccess) {
+  if (!currentTabId) return;
+
+  chrome.tabs.sendMessage(currentTabId, message, { frameId: 0 }, function(response) {
+    if (chrome.runtime.lastError) {
+      showError(t('couldNotConnectToPage', chrome.runtime.lastError.message));
+      return;
+    }
+    if (!response || !response.success) {
+      showError(response && (response.errorKey || response.error) ? describeResponseError(response) : t('strategiesUnavailable'));
+      return;
+    }
+    onSuccess(response);
+  });
+}
+
+/**
+ * Save the chosen strategies (or the defaults) and show the page's new list
+ * @param {Object} message - setDetectionStrategies message
+ */
+function applyStrategies(message) {
+  strategyApplyButton.disabled = true;
+  strategyResetButton.disabled = true;
+  sendStrategyMessage(message, function(response) {
+    renderStrategyList(response.strategies);
+    strategyStatus.textContent = t('strategiesApplied');
+  });
+}
+
+/**
+ * Initialize the detection strategy settings
+ */
+function initializeStrategies() {
+  if (!strategyDetails) return;
+
+  // The list is read from the page each time the settings are opened
+  strategyDetails.addEventListener('toggle', function() {
+    if (!strategyDetails.open) return;
+    strategyStatus.textContent = '';
+    sendStrategyMessage({ action: 'getDetectionStrategies' }, function(response) {
+      renderStrategyList(response.strategies);
+    });
+  });
+
+  strategyApplyButton.addEventListener('click', function() {
+    applyStrategies({ action: 'setDetectionStrategies', config: readStrategyConfig() });
+  });
+
+  strategyResetButton.addEventListener('click', function() {
+    applyStrategies({ action: 'setDetectionStrategies', reset: true });
+  });
+}
+
+// Initialize strategy settings when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  initializeStrategies();
+});
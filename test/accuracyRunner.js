@@ -0,0 +1,307 @@
+/**
+ * Detection Accuracy Runner
+ *
+ * Runs the detection pipeline (FieldDetector with the real knowledge base plus
+ * the default classification and section strategies) over every HTML fixture
+ * in test/fixtures and scores the result against the golden labels in
+ * test/fixtures/golden/<fixture>.json.
+ *
+ * Golden label format:
+ *   {
+ *     "fixture": "dc-business-registration.html",
+ *     "state": "DC",                       // optional, passed to FieldDetector
+ *     "fields": [
+ *       { "field": "tradeName", "category": "business_name", "section": "Business Information" },
+ *       { "field": "clean_hands_certificate", "category": null }
+ *     ]
+ *   }
+ * "field" matches a detected field's id first, then its name; repeated names
+ * match successive fields in document order. A null category means the field
+ * has no specific category (generic classifications such as form_field count
+ * as correct). "section" is optional.
+ *
+ * Usage:
+ *   node accuracyRunner.js            print the accuracy report
+ *   node accuracyRunner.js --update   record the current metrics as the baseline
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { quietConsole, readModuleSource, loadModule, fetchFromDisk } = require('./helpers/moduleLoader');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const GOLDEN_DIR = path.join(FIXTURES_DIR, 'golden');
+const BASELINE_FILE = path.join(GOLDEN_DIR, 'baseline.json');
+
+// Catch-all categories _classifyField returns when no pattern matched
+const GENERIC_CATEGORIES = [
+  'form_field', 'business_field', 'text_field', 'other', 'date_field',
+  'number_field', 'selection_field', 'boolean_field', 'business_selection'
+];
+const UNCLASSIFIED = 'unclassified';
+const NOT_DETECTED = 'not_detected';
+
+// Metrics may drift by rounding only
+const TOLERANCE = 0.0001;
+
+/**
+ * Create a KnowledgeLoader that reads the extension's knowledge files from disk
+ */
+async function createKnowledgeLoader() {
+  const chrome = { runtime: { getURL: file => file } };
+  const { knowledgeLoader: loader } = loadModule('knowledgeLoader.js', ['knowledgeLoader'], { chrome, fetch: fetchFromDisk, globalThis: {} });
+  await loader.initialize();
+  return loader;
+}
+
+/**
+ * Evaluate the detection pipeline inside a fixture window, with FieldDetector
+ * wired to the shared loader and the default strategy configuration
+ */
+function createDetectionPipeline(window, knowledgeLoader) {
+  const chrome = { storage: { local: { get: async () => ({}), set: async () => {} } } };
+  const factory = window.eval(`(function(console, chrome, injectedKnowledgeLoader) {
+const URLDetector = (function() {
+${readModuleSource('urlDetector.js')}
+return URLDetector;
+})();
+${readModuleSource('fieldDetector.js')}
+knowledgeLoader = injectedKnowledgeLoader;
+initializationAttempted = true;
+${readModuleSource('detectionPipeline.js')}
+return detectionPipeline;
+})`);
+  return factory(quietConsole, chrome, knowledgeLoader);
+}
+
+/**
+ * Load every golden label file that has a matching fixture
+ */
+function loadGoldenLabels() {
+  return fs.readdirSync(GOLDEN_DIR)
+    .filter(file => file.endsWith('.json') && file !== path.basename(BASELINE_FILE))
+    .map(file => JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, file), 'utf8')))
+    .filter(golden => fs.existsSync(path.join(FIXTURES_DIR, golden.fixture)));
+}
+
+function normalizeCategory(category) {
+  return !category || GENERIC_CATEGORIES.includes(category) ? UNCLASSIFIED : category;
+}
+
+function normalizeSection(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Detect fields in one fixture and pair them with their golden labels
+ */
+async function runFixture(golden, knowledgeLoader) {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, golden.fixture), 'utf8');
+  const dom = new JSDOM(html, {
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole()
+  });
+
+  try {
+    const pipeline = createDetectionPipeline(dom.window, knowledgeLoader);
+    const { fields } = await pipeline.detectFields(dom.window.document, { state: golden.state || null });
+
+    const matched = new Set();
+    return golden.fields.map(label => {
+      const unmatched = fields.filter(f => !matched.has(f));
+      const field = unmatched.find(f => f.id === label.field) || unmatched.find(f => f.name === label.field);
+      if (field) matched.add(field);
+      return {
+        fixture: golden.fixture,
+        field: label.field,
+        expected: normalizeCategory(label.category),
+        predicted: field ? normalizeCategory(field.classification?.category) : NOT_DETECTED,
+        expectedSection: label.section,
+        predictedSection: field?.section?.name || null
+      };
+    });
+  } finally {
+    dom.window.close();
+  }
+}
+
+function ratio(numerator, denominator) {
+  return denominator === 0 ? 1 : Math.round((numerator / denominator) * 10000) / 10000;
+}
+
+/**
+ * Score labelled results: per-category precision/recall, confusion pairs,
+ * section accuracy and per-fixture accuracy
+ */
+function scoreResults(results) {
+  const categories = [...new Set(results.map(r => r.expected).concat(results.map(r => r.predicted)))]
+    .filter(category => category !== NOT_DETECTED)
+    .sort();
+
+  const perCategory = {};
+  categories.forEach(category => {
+    const truePositives = results.filter(r => r.expected === category && r.predicted === category).length;
+    const predictedCount = results.filter(r => r.predicted === category).length;
+    const expectedCount = results.filter(r => r.expected === category).length;
+    perCategory[category] = {
+      precision: ratio(truePositives, predictedCount),
+      recall: ratio(truePositives, expectedCount),
+      support: expectedCount
+    };
+  });
+
+  const confusion = {};
+  results.filter(r => r.expected !== r.predicted).forEach(r => {
+    const key = `${r.expected} -> ${r.predicted}`;
+    confusion[key] = confusion[key] || { expected: r.expected, predicted: r.predicted, count: 0, fields: [] };
+    confusion[key].count++;
+    confusion[key].fields.push(`${r.fixture}#${r.field}`);
+  });
+
+  const withSection = results.filter(r => r.expectedSection);
+  const sectionCorrect = withSection.filter(r => normalizeSection(r.expectedSection) === normalizeSection(r.predictedSection));
+
+  const perFixture = {};
+  results.forEach(r => {
+    perFixture[r.fixture] = perFixture[r.fixture] || { correct: 0, total: 0 };
+    perFixture[r.fixture].total++;
+    if (r.expected === r.predicted) perFixture[r.fixture].correct++;
+  });
+  Object.values(perFixture).forEach(stats => {
+    stats.accuracy = ratio(stats.correct, stats.total);
+  });
+
+  return {
+    totalFields: results.length,
+    accuracy: ratio(results.filter(r => r.expected === r.predicted).length, results.length),
+    perCategory,
+    confusionPairs: Object.values(confusion).sort((a, b) => b.count - a.count),
+    sectionAccuracy: ratio(sectionCorrect.length, withSection.length),
+    sectionMismatches: withSection.filter(r => !sectionCorrect.includes(r)).map(r => ({
+      field: `${r.fixture}#${r.field}`,
+      expected: r.expectedSection,
+      predicted: r.predictedSection
+    })),
+    perFixture,
+    results
+  };
+}
+
+/**
+ * Run every fixture and score it
+ */
+async function runAccuracy() {
+  const knowledgeLoader = await createKnowledgeLoader();
+  const results = [];
+
+  for (const golden of loadGoldenLabels()) {
+    results.push(...await runFixture(golden, knowledgeLoader));
+  }
+
+  return scoreResults(results);
+}
+
+/**
+ * The metrics recorded in the baseline file
+ */
+function toBaseline(report) {
+  return {
+    accuracy: report.accuracy,
+    sectionAccuracy: report.sectionAccuracy,
+    perCategory: Object.fromEntries(Object.entries(report.perCategory).map(([category, stats]) =>
+      [category, { precision: stats.precision, recall: stats.recall }]))
+  };
+}
+
+function loadBaseline() {
+  return fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf8')) : null;
+}
+
+/**
+ * List every metric that dropped below the baseline
+ * @returns {Array<string>} Regression descriptions (empty when none)
+ */
+function findRegressions(report, baseline) {
+  const regressions = [];
+  const check = (label, current, previous) => {
+    if (previous !== undefined && current < previous - TOLERANCE) {
+      regressions.push(`${label}: ${previous} -> ${current}`);
+    }
+  };
+
+  check('accuracy', report.accuracy, baseline.accuracy);
+  check('section accuracy', report.sectionAccuracy, baseline.sectionAccuracy);
+  Object.entries(baseline.perCategory || {}).forEach(([category, stats]) => {
+    const current = report.perCategory[category] || { precision: 0, recall: 0 };
+    check(`${category} precision`, current.precision, stats.precision);
+    check(`${category} recall`, current.recall, stats.recall);
+  });
+
+  return regressions;
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(report) {
+  console.log(`\nDetection accuracy over ${report.totalFields} labelled fields: ${formatPercent(report.accuracy)}`);
+  console.log(`Section assignment accuracy: ${formatPercent(report.sectionAccuracy)}\n`);
+
+  console.table(Object.fromEntries(Object.entries(report.perCategory).map(([category, stats]) => [category, {
+    precision: formatPercent(stats.precision),
+    recall: formatPercent(stats.recall),
+    support: stats.support
+  }])));
+
+  console.log('\nConfusion pairs (expected -> predicted):');
+  report.confusionPairs.forEach(pair => {
+    console.log(`  ${pair.count} × ${pair.expected} -> ${pair.predicted}: ${pair.fields.join(', ')}`);
+  });
+
+  console.log('\nSection mismatches (expected -> predicted):');
+  report.sectionMismatches.forEach(mismatch => {
+    console.log(`  ${mismatch.field}: ${mismatch.expected} -> ${mismatch.predicted || '(none)'}`);
+  });
+
+  console.log('\nPer fixture:');
+  Object.entries(report.perFixture).forEach(([fixture, stats]) => {
+    console.log(`  ${fixture}: ${stats.correct}/${stats.total} (${formatPercent(stats.accuracy)})`);
+  });
+}
+
+// CLI interface
+if (require.main === module) {
+  runAccuracy().then(report => {
+    printReport(report);
+
+    if (process.argv.includes('--update')) {
+      fs.writeFileSync(BASELINE_FILE, JSON.stringify(toBaseline(report), null, 2) + '\n');
+      console.log(`\nBaseline written to ${path.relative(process.cwd(), BASELINE_FILE)}`);
+      return;
+    }
+
+    const baseline = loadBaseline();
+    const regressions = baseline ? findRegressions(report, baseline) : [];
+    if (regressions.length > 0) {
+      console.log('\nRegressions against baseline:');
+      regressions.forEach(regression => console.log(`  ${regression}`));
+      process.exitCode = 1;
+    }
+  }).catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  runAccuracy,
+  scoreResults,
+  findRegressions,
+  loadBaseline,
+  toBaseline,
+  UNCLASSIFIED,
+  NOT_DETECTED
+};
@@ -0,0 +1,193 @@
+// autoFill.test.js - Tests for the auto-fill preview, selective apply and undo
+
+const { loadScript } = require('./helpers/moduleLoader');
+
+const FILL_DECLARATIONS = [
+  'PERSON_CATEGORIES', 'ROLE_PATTERNS', 'ADDRESS_CATEGORIES', 'MAILING_SECTION_PATTERN', 'describeFieldContext', 'detectFieldRole', 'findBestOption', 'applyFieldValue',
+  'lastFillUndo', 'buildFillPlan', 'describeFillEntry', 'applyFillPlan', 'undoLastFill'
+];
+
+function loadAutoFill(scope = {}) {
+  return loadScript('content.js', FILL_DECLARATIONS, {
+    detectionResult: null,
+    fieldDependenciesModule: null,
+    getDetectedFormFingerprint: () => 'form_a',
+    getFieldDependencyKey: field => field.element?.name || field.options?.[0]?.element.name,
+    detectRevealedFields: async () => [],
+    ...scope
+  });
+}
+
+// Detected field for a form element, classified as category
+function createField(name, category, confidence = 80) {
+  const elements = Array.from(document.getElementsByName(name));
+  if (elements[0].type === 'radio') {
+    return {
+      element: elements[0],
+      elements,
+      name,
+      options: elements.map(element => ({ value: element.value, label: element.labels[0].textContent, element })),
+      classification: { category, confidence }
+    };
+  }
+  return { element: elements[0], name, label: { text: name }, classification: { category, confidence } };
+}
+
+const FILL_DATA = {
+  business_name: 'Acme Widgets LLC',
+  entity_type: 'Limited Liability Company',
+  state: 'CA',
+  email: 'office@acme.test',
+  ssn: '123-45-6789'
+};
+
+describe('Auto-fill', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input name="business_name">
+      <select name="entity_type">
+        <option value="">Choose...</option>
+        <option value="corp">Corporation</option>
+        <option value="llc">LLC</option>
+      </select>
+      <label><input type="radio" name="state" value="DE">Delaware</label>
+      <label><input type="radio" name="state" value="CA">California</label>
+      <input name="email" value="typed@example.com">
+      <input name="ssn">
+      <input name="phone">
+      <input name="dba" disabled>
+    `;
+  });
+
+  test('previews only the fields a value could be written into', () => {
+    const { buildFillPlan, describeFillEntry } = loadAutoFill();
+    const fields = ['business_name', 'entity_type', 'state', 'email', 'ssn', 'phone', 'dba']
+      .map(name => createField(name, name, name === 'ssn' ? 40 : 80));
+
+    const plan = buildFillPlan({ ...FILL_DATA, dba: 'Acme' }, {}, fields);
+
+    // email already holds a value, phone has no data and dba is disabled
+    expect(plan.map(describeFillEntry)).toEqual([
+      { id: 0, category: 'business_name', role: null, label: 'business_name', value: 'Acme Widgets LLC', confidence: 80 },
+      { id: 1, category: 'entity_type', role: null, label: 'entity_type', value: 'Limited Liability Company', confidence: 80 },
+      { id: 2, category: 'state', role: null, label: 'state', value: 'CA', confidence: 80 },
+      { id: 3, category: 'ssn', role: null, label: 'ssn', value: '•••-••-6789', confidence: 40 }
+    ]);
+    expect(document.querySelector('[name="business_name"]').value).toBe('');
+  });
+
+  test('applies the selected entries and undoes them with input/change events', async () => {
+    const { buildFillPlan, applyFillPlan, undoLastFill } = loadAutoFill();
+    const plan = buildFillPlan(FILL_DATA, {}, ['business_name', 'entity_type', 'state', 'ssn'].map(name => createField(name, name)));
+    const events = [];
+    document.addEventListener('input', event => events.push(`input:${event.target.name}`));
+    document.addEventListener('change', event => events.push(`change:${event.target.name}`));
+
+    // The low-confidence SSN entry was unticked in the panel
+    const result = await applyFillPlan(plan.filter(entry => entry.category !== 'ssn'));
+
+    expect(result).toEqual({ filledCount: 3, revealedCount: 0, revealedPlan: [] });
+    expect(document.querySelector('[name="business_name"]').value).toBe('Acme Widgets LLC');
+    expect(document.querySelector('[name="entity_type"]').value).toBe('llc');
+    expect(document.querySelector('[name="state"][value="CA"]').checked).toBe(true);
+    expect(document.querySelector('[name="ssn"]').value).toBe('');
+
+    events.length = 0;
+    expect(undoLastFill()).toBe(3);
+    expect(document.querySelector('[name="business_name"]').value).toBe('');
+    expect(document.querySelector('[name="entity_type"]').value).toBe('');
+    expect(document.querySelector('[name="state"][value="CA"]').checked).toBe(false);
+    expect(events).toEqual([
+      'input:state', 'change:state',
+      'input:entity_type', 'change:entity_type',
+      'input:business_name', 'change:business_name'
+    ]);
+
+    // Nothing is left to undo
+    expect(undoLastFill()).toBe(0);
+  });
+
+  test('sends fields revealed by an answer back for review, then undoes both fills together', async () => {
+    document.body.insertAdjacentHTML('beforeend', '<input name="agent_name" hidden>');
+    const revealed = createField('agent_name', 'name');
+    const dependencies = {
+      queue: Promise.resolve(),
+      getForForm: jest.fn(async () => ({ state: { values: { CA: { reveals: { agent_name: true } } } } })),
+      isController: (controls, key) => Boolean(controls[key])
+    };
+    const { buildFillPlan, applyFillPlan, undoLastFill } = loadAutoFill({
+      fieldDependenciesModule: { default: dependencies },
+      detectRevealedFields: jest.fn(async () => [revealed])
+    });
+    const source = { fillData: { ...FILL_DATA, name: 'Ada Lovelace' }, roleFillData: {} };
+    const plan = buildFillPlan(source.fillData, {}, ['business_name', 'state'].map(name => createField(name, name)));
+
+    const result = await applyFillPlan(plan, source, { previewRevealed: true });
+    expect(result.filledCount).toBe(2);
+    expect(result.revealedPlan.map(entry => [entry.field, entry.value])).toEqual([[revealed, 'Ada Lovelace']]);
+    expect(revealed.element.value).toBe('');
+
+    // Applying the reviewed fields keeps the first fill's undo records
+    await applyFillPlan(result.revealedPlan, null, { extendUndo: true });
+    expect(revealed.element.value).toBe('Ada Lovelace');
+    expect(undoLastFill()).toBe(3);
+    expect(document.querySelector('[name="business_name"]').value).toBe('');
+    expect(revealed.element.value).toBe('');
+  });
+
+  test('fills revealed fields straight away without a preview', async () => {
+    document.body.insertAdjacentHTML('beforeend', '<input name="agent_name" hidden>');
+    const revealed = createField('agent_name', 'name');
+    const { buildFillPlan, applyFillPlan } = loadAutoFill({
+      fieldDependenciesModule: {
+        default: {
+          queue: Promise.resolve(),
+          getForForm: async () => ({ state: { values: { CA: { reveals: { agent_name: true } } } } }),
+          isController: (controls, key) => Boolean(controls[key])
+        }
+      },
+      detectRevealedFields: async () => [revealed]
+    });
+    const source = { fillData: { ...FILL_DATA, name: 'Ada Lovelace' }, roleFillData: {} };
+
+    const result = await applyFillPlan(buildFillPlan(source.fillData, {}, [createField('state', 'state')]), source);
+    expect(result).toEqual({ filledCount: 2, revealedCount: 1, revealedPlan: [] });
+    expect(revealed.element.value).toBe('Ada Lovelace');
+  });
+
+  test('tells the panel when a fill message fails so its button can be used again', () => {
+    const runtime = { lastError: null };
+    const chrome = {
+      runtime,
+      tabs: {
+        query: (query, callback) => callback([{ id: 7 }]),
+        sendMessage: jest.fn()
+      }
+    };
+    const showError = jest.fn();
+    const { sendAutoFillMessage } = loadScript('panel.js', ['sendAutoFillMessage', 'describeResponseError'],
+      { chrome, showError, t: (key, value) => `${key}: ${value}`, autoFillButton: {} });
+    const onSuccess = jest.fn();
+    const onFailure = jest.fn();
+
+    chrome.tabs.sendMessage.mockImplementationOnce((tabId, message, options, callback) => callback({ success: false, error: 'Nothing to undo' }));
+    sendAutoFillMessage({ action: 'undoAutoFill' }, onSuccess, onFailure);
+    expect(showError).toHaveBeenLastCalledWith('Nothing to undo');
+
+    // Content script failures name a message for the panel to translate
+    chrome.tabs.sendMessage.mockImplementationOnce((tabId, message, options, callback) =>
+      callback({ success: false, errorKey: 'undoFillFailed', errorSubstitutions: ['Page changed'] }));
+    sendAutoFillMessage({ action: 'undoAutoFill' }, onSuccess, onFailure);
+    expect(showError).toHaveBeenLastCalledWith('undoFillFailed: Page changed');
+
+    chrome.tabs.sendMessage.mockImplementationOnce((tabId, message, options, callback) => {
+      runtime.lastError = { message: 'Receiving end does not exist' };
+      callback(undefined);
+    });
+    sendAutoFillMessage({ action: 'undoAutoFill' }, onSuccess, onFailure);
+    expect(showError).toHaveBeenLastCalledWith('couldNotConnectToPage: Receiving end does not exist');
+
+    expect(onFailure).toHaveBeenCalledTimes(3);
+    expect(onSuccess).not.toHaveBeenCalled();
+  });
+});
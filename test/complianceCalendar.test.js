@@ -0,0 +1,79 @@
+// complianceCalendar.test.js - Tests for compliance deadlines and .ics export
+
+const { loadModule, readStateData } = require('./helpers/moduleLoader');
+
+function loadCalendar() {
+  const { normalizeEntityType } = loadModule('nameChecker.js', ['normalizeEntityType']);
+  const knowledgeLoader = { loadStateData: jest.fn(async code => readStateData(code)) };
+
+  return loadModule('complianceCalendar.js', ['complianceCalendar', 'parseFilingSchedule'], { knowledgeLoader, normalizeEntityType });
+}
+
+function profile(id, state, entityType, formationDate) {
+  return {
+    id: id,
+    label: id,
+    entity: { business_name: `${id} LLC`, entity_type: entityType, formation_state: state, formation_date: formationDate }
+  };
+}
+
+describe('ComplianceCalendar', () => {
+  const today = new Date(2025, 0, 1);
+
+  test('parses relative, recurring and fixed-date filing text', () => {
+    const { parseFilingSchedule } = loadCalendar();
+
+    expect(parseFilingSchedule('Statement of Information (LLC-12) - Due within 90 days of registration, then every 2 years'))
+      .toEqual({ name: 'Statement of Information (LLC-12)', initialDays: 90, intervalYears: 2, month: null, day: null });
+    expect(parseFilingSchedule('Annual Franchise Tax Report - Due by June 1'))
+      .toMatchObject({ intervalYears: 1, month: 5, day: 1 });
+    expect(parseFilingSchedule('Not required')).toBeNull();
+  });
+
+  test('dates obligations from the formation date', async () => {
+    const { complianceCalendar } = loadCalendar();
+    const obligations = await complianceCalendar.getObligations(
+      [profile('ca', 'CA', 'llc', '2024-11-15')], { today, horizonYears: 3 }
+    );
+
+    expect(obligations.map(o => o.dueDate)).toEqual(['2025-02-13', '2026-11-15']);
+    expect(obligations[0].title).toBe('Statement of Information (LLC-12)');
+  });
+
+  test('starts fixed-date and filing_deadlines obligations the year after formation', async () => {
+    const { complianceCalendar } = loadCalendar();
+    const obligations = await complianceCalendar.getObligations(
+      [profile('de', 'DE', 'corporation', '2024-05-01'), profile('dc', 'DC', 'llc', '2024-05-01')],
+      { today, horizonYears: 3 }
+    );
+
+    expect(obligations.filter(o => o.stateCode === 'DE').map(o => o.dueDate))
+      .toEqual(['2025-03-01', '2026-03-01', '2027-03-01']);
+    expect(obligations.filter(o => o.stateCode === 'DC').map(o => [o.title, o.dueDate]))
+      .toEqual([['Biennial Report', '2025-04-01'], ['Biennial Report', '2027-04-01']]);
+  });
+
+  test('skips profiles without a formation state and date', async () => {
+    const { complianceCalendar } = loadCalendar();
+    const obligations = await complianceCalendar.getObligations([profile('x', '', 'llc', '')], { today });
+
+    expect(obligations).toEqual([]);
+  });
+
+  test('builds reminders ahead of each due date and exports iCalendar events', async () => {
+    const { complianceCalendar } = loadCalendar();
+    const obligations = await complianceCalendar.getObligations(
+      [profile('ca', 'CA', 'llc', '2024-11-15')], { today, horizonYears: 1 }
+    );
+
+    const reminders = complianceCalendar.getReminders(obligations, today.getTime());
+    expect(reminders.map(r => r.daysBefore)).toEqual([30, 7]);
+    expect(reminders[0].name).toMatch(/^compliance:ca:/);
+
+    const ics = complianceCalendar.toICS(obligations);
+    expect(ics).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(ics).toContain('DTSTART;VALUE=DATE:20250213');
+    expect(ics).toContain('SUMMARY:ca LLC: Statement of Information (LLC-12) (CA)');
+    expect(ics).toContain('TRIGGER:-P30D');
+  });
+});
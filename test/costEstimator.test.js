@@ -0,0 +1,56 @@
+// costEstimator.test.js - Tests for the filing cost estimator
+
+const { loadModule, createI18n, readStateData } = require('./helpers/moduleLoader');
+
+function loadCostEstimator() {
+  const { normalizeEntityType } = loadModule('nameChecker.js', ['normalizeEntityType']);
+  const knowledgeLoader = { loadStateData: jest.fn(async code => readStateData(code)) };
+
+  return loadModule('costEstimator.js', ['costEstimator', 'parseFee'], { knowledgeLoader, normalizeEntityType, i18n: createI18n() });
+}
+
+describe('CostEstimator', () => {
+  test('reads amounts from numbers and fee descriptions', () => {
+    const { parseFee } = loadCostEstimator();
+
+    expect(parseFee(70)).toMatchObject({ amount: 70, minimum: false });
+    expect(parseFee('Minimum $175 annual franchise tax')).toMatchObject({ amount: 175, minimum: true });
+    expect(parseFee('[OPTIONAL]')).toBeNull();
+  });
+
+  test('totals formation and annual fees and lists related filings', async () => {
+    const { costEstimator } = loadCostEstimator();
+    const estimate = await costEstimator.estimate('CA', 'Limited Liability Company');
+
+    expect(estimate.entityType).toBe('llc');
+    expect(estimate.dueAtFiling).toBe(70);
+    expect(estimate.total).toBe(90);
+    expect(estimate.items.map(item => item.key)).toEqual(
+      expect.arrayContaining(['formation', 'annual', 'business_license', 'seller_permit', 'edd'])
+    );
+    expect(estimate.items.find(item => item.key === 'seller_permit').conditional).toBe(true);
+    expect(estimate.notes[0]).toMatch(/Expedited/);
+  });
+
+  test('uses the entity-specific deadline fee when no annual fee is listed', async () => {
+    const { costEstimator } = loadCostEstimator();
+    const estimate = await costEstimator.estimate('DC', 'llc');
+
+    expect(estimate.dueAtFiling).toBeNull();
+    expect(estimate.items.find(item => item.key === 'biennial_report').amount).toBe(220);
+  });
+
+  test('flags a payment page fee that differs from the filing fee', async () => {
+    const { costEstimator } = loadCostEstimator();
+    const estimate = await costEstimator.estimate('DE', 'corporation');
+
+    expect(costEstimator.compareWithDisplayedFee(estimate, { amount: 89 }).status).toBe('match');
+
+    const mismatch = costEstimator.compareWithDisplayedFee(estimate, { amount: 139 });
+    expect(mismatch.status).toBe('mismatch');
+    expect(mismatch.difference).toBe(50);
+    expect(mismatch.message).toMatch(/expedited/);
+
+    expect(costEstimator.compareWithDisplayedFee(estimate, null).status).toBe('unknown');
+  });
+});
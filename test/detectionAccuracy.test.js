@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+// detectionAccuracy.test.js - Golden-label accuracy gate for field classification
+
+const {
+  runAccuracy,
+  scoreResults,
+  findRegressions,
+  loadBaseline,
+  UNCLASSIFIED,
+  NOT_DETECTED
+} = require('./accuracyRunner');
+
+describe('Detection accuracy', () => {
+  let report;
+
+  beforeAll(async () => {
+    report = await runAccuracy();
+  }, 60000);
+
+  test('scores every golden-labelled fixture', () => {
+    expect(report.totalFields).toBeGreaterThan(0);
+    expect(Object.keys(report.perFixture)).toEqual(expect.arrayContaining([
+      'dc-business-registration.html',
+      'edge-case-form.html',
+      'generic-government-form.html',
+      'multi-state-form.html'
+    ]));
+  });
+
+  test('detects every labelled field', () => {
+    const missing = report.results.filter(r => r.predicted === NOT_DETECTED);
+    expect(missing.map(r => `${r.fixture}#${r.field}`)).toEqual([]);
+  });
+
+  test('does not regress against the recorded baseline', () => {
+    const baseline = loadBaseline();
+    expect(baseline).not.toBeNull();
+    // Run `npm run accuracy:update` after an intentional improvement
+    expect(findRegressions(report, baseline)).toEqual([]);
+  });
+});
+
+describe('Accuracy scoring', () => {
+  const result = (expected, predicted, extra = {}) => ({
+    fixture: 'form.html',
+    field: `${expected}_${predicted}`,
+    expected,
+    predicted,
+    ...extra
+  });
+
+  test('computes per-category precision and recall', () => {
+    const scored = scoreResults([
+      result('ein', 'ein'),
+      result('ein', UNCLASSIFIED),
+      result('business_name', 'ein')
+    ]);
+
+    expect(scored.perCategory.ein).toEqual({ precision: 0.5, recall: 0.5, support: 2 });
+    expect(scored.perCategory.business_name).toEqual({ precision: 1, recall: 0, support: 1 });
+    expect(scored.accuracy).toBeCloseTo(0.3333, 4);
+  });
+
+  test('groups confusion pairs by expected and predicted category', () => {
+    const scored = scoreResults([
+      result('city', 'address'),
+      result('city', 'address', { field: 'other_city' }),
+      result('zip', 'address')
+    ]);
+
+    expect(scored.confusionPairs[0]).toMatchObject({ expected: 'city', predicted: 'address', count: 2 });
+    expect(scored.confusionPairs[1]).toMatchObject({ expected: 'zip', predicted: 'address', count: 1 });
+  });
+
+  test('compares section names ignoring case and whitespace', () => {
+    const scored = scoreResults([
+      result('ein', 'ein', { expectedSection: 'Federal Tax  Information', predictedSection: 'federal tax information' }),
+      result('zip', 'zip', { expectedSection: 'Principal Office', predictedSection: 'Form Section 1' }),
+      result('city', 'city')
+    ]);
+
+    expect(scored.sectionAccuracy).toBe(0.5);
+    expect(scored.sectionMismatches).toEqual([
+      { field: 'form.html#zip_zip', expected: 'Principal Office', predicted: 'Form Section 1' }
+    ]);
+  });
+
+  test('reports metrics that dropped below the baseline', () => {
+    const baseline = {
+      accuracy: 0.9,
+      sectionAccuracy: 0.5,
+      perCategory: { ein: { precision: 1, recall: 1 } }
+    };
+    const current = {
+      accuracy: 0.9,
+      sectionAccuracy: 0.6,
+      perCategory: { ein: { precision: 1, recall: 0.5 } }
+    };
+
+    expect(findRegressions(current, baseline)).toEqual(['ein recall: 1 -> 0.5']);
+  });
+});
@@ -0,0 +1,110 @@
+// detectionLearning.test.js - Tests for learning from detection feedback
+
+const { loadModule, createStorage } = require('./helpers/moduleLoader');
+
+const DAY_MS = 86400000;
+
+function loadLearning() {
+  const { stored, chrome } = createStorage();
+  const module = loadModule('detectionLearning.js', ['detectionLearning', 'extractUrlPattern', 'MAX_ADJUSTMENT'], { chrome });
+  return { ...module, stored };
+}
+
+function record(urlPattern, formType, isBusinessForm, daysAgo) {
+  return {
+    urlPattern,
+    formType,
+    isBusinessForm,
+    userConfirmed: true,
+    timestamp: new Date(Date.now() - daysAgo * DAY_MS).toISOString()
+  };
+}
+
+describe('DetectionLearning', () => {
+  const detection = {
+    isBusinessRegistrationForm: true,
+    urlPattern: 'mytax.dc.gov/_',
+    formType: 'tax_registration',
+    state: 'DC',
+    confidenceScore: 62
+  };
+
+  test('confirmations raise and rejections lower the adjustment', async () => {
+    const { detectionLearning } = loadLearning();
+
+    await detectionLearning.record(detection, { isCorrect: true });
+    await detectionLearning.record(detection, { isCorrect: true });
+    const confirmed = await detectionLearning.getAdjustment('mytax.dc.gov/_', 'tax_registration');
+    expect(confirmed).toMatchObject({ confirmed: 2, rejected: 0, adjustment: 10 });
+
+    await detectionLearning.record(detection, { isCorrect: false });
+    await detectionLearning.record(detection, { isCorrect: false });
+    await detectionLearning.record(detection, { isCorrect: false });
+    const mixed = await detectionLearning.getAdjustment('mytax.dc.gov/_', 'tax_registration');
+    expect(mixed.rejected).toBe(3);
+    expect(mixed.adjustment).toBeLessThan(0);
+    expect(await detectionLearning.getAdjustment('mytax.dc.gov/_', 'entity_formation'))
+      .toMatchObject({ confirmed: 0, rejected: 0, adjustment: 0 });
+  });
+
+  test('a missed form answered "yes" counts toward business form', async () => {
+    const { detectionLearning, stored } = loadLearning();
+
+    await detectionLearning.record({ ...detection, isBusinessRegistrationForm: false }, { isCorrect: false });
+    expect(stored.BRA_PriorDetections[0]).toMatchObject({ userConfirmed: false, isBusinessForm: true });
+    expect((await detectionLearning.getAdjustment('mytax.dc.gov/_')).adjustment).toBeGreaterThan(0);
+  });
+
+  test('older feedback counts less and expired feedback is dropped', async () => {
+    const { detectionLearning, stored } = loadLearning();
+
+    stored.BRA_PriorDetections = [record('a.gov/x', 'general', true, 0), record('a.gov/x', 'general', true, 0)];
+    const recent = await detectionLearning.getAdjustment('a.gov/x');
+
+    stored.BRA_PriorDetections = [record('a.gov/x', 'general', true, 90), record('a.gov/x', 'general', true, 90)];
+    const old = await detectionLearning.getAdjustment('a.gov/x');
+
+    stored.BRA_PriorDetections = [record('a.gov/x', 'general', true, 400)];
+    const expired = await detectionLearning.getAdjustment('a.gov/x');
+
+    expect(recent.adjustment).toBeGreaterThan(old.adjustment);
+    expect(old.adjustment).toBeGreaterThan(0);
+    expect(expired).toMatchObject({ confirmed: 0, adjustment: 0 });
+  });
+
+  test('repeated recent confirmations alone mark the page as a business form', async () => {
+    const { detectionLearning, stored, MAX_ADJUSTMENT } = loadLearning();
+
+    stored.BRA_PriorDetections = [0, 1, 2].map(days => record('a.gov/x', 'general', true, days));
+    const result = await detectionLearning.getAdjustment('a.gov/x');
+
+    expect(result.adaptiveConfidence).toBe(true);
+    expect(result.adjustment).toBeLessThanOrEqual(MAX_ADJUSTMENT);
+  });
+
+  test('summarizes and resets per URL pattern and form type', async () => {
+    const { detectionLearning, stored } = loadLearning();
+
+    stored.BRA_PriorDetections = [
+      record('a.gov/x', 'general', false, 3),
+      record('b.gov/y', 'entity_formation', true, 2),
+      record('b.gov/y', 'tax_registration', true, 1)
+    ];
+
+    const summary = await detectionLearning.getSummary();
+    expect(summary.map(s => [s.urlPattern, s.formType])).toEqual([
+      ['b.gov/y', 'tax_registration'], ['b.gov/y', 'entity_formation'], ['a.gov/x', 'general']
+    ]);
+    expect(summary[2]).toMatchObject({ confirmed: 0, rejected: 1 });
+
+    expect(await detectionLearning.reset('b.gov/y', 'entity_formation')).toBe(1);
+    expect((await detectionLearning.getSummary()).length).toBe(2);
+    expect(await detectionLearning.reset()).toBe(2);
+    expect(stored.BRA_PriorDetections).toEqual([]);
+  });
+
+  test('extracts the hostname and first path segment', () => {
+    const { extractUrlPattern } = loadLearning();
+    expect(extractUrlPattern('https://bizfileonline.sos.ca.gov/forms/business?x=1')).toBe('bizfileonline.sos.ca.gov/forms');
+  });
+});
@@ -0,0 +1,193 @@
+// detectionPipeline.test.js - Tests for the detection strategy registry
+
+const { loadModule } = require('./helpers/moduleLoader');
+
+/**
+ * Load DetectionPipeline with stub URL/field detectors (the module's imports
+ * are replaced so only the registry and stage logic run); rendered fields
+ * are what detectRenderedFields adds
+ */
+function loadPipelineModule(fields = [], rendered = []) {
+  const URLDetector = {
+    analyzeUrl: jest.fn(async () => ({ score: 70, reasons: ['gov domain'], state: null })),
+    identifyStateFromUrl: jest.fn(() => null)
+  };
+  class FieldDetector {
+    constructor(root, options) {
+      this.options = options;
+      this.fields = [];
+      this.sections = [];
+    }
+    async detectFields() {
+      this.fields = fields;
+      return fields;
+    }
+    refreshClassificationSummary() {
+      this.classificationSummary = { classified: this.fields.filter(f => f.classification).length };
+    }
+    getUIData() {
+      return { sections: this.sections, summary: this.classificationSummary };
+    }
+    detectRenderedFields(known) {
+      return rendered.filter(field => !known.has(field.element));
+    }
+  }
+
+  return loadModule('detectionPipeline.js', ['detectionPipeline', 'DetectionPipeline', 'DEFAULT_CONFIG'], { URLDetector, FieldDetector });
+}
+
+describe('DetectionPipeline', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    chrome.storage.local.get.mockReset().mockResolvedValue({});
+    chrome.storage.local.set.mockReset().mockResolvedValue(undefined);
+  });
+
+  test('registers built-in strategies for every stage', () => {
+    const { detectionPipeline, DEFAULT_CONFIG } = loadPipelineModule();
+    const strategies = detectionPipeline.listStrategies();
+
+    Object.entries(DEFAULT_CONFIG).forEach(([stage, names]) => {
+      names.forEach(name => {
+        expect(strategies[stage]).toContainEqual(expect.objectContaining({ name, enabled: true }));
+      });
+    });
+  });
+
+  test('rejects strategies without the stage method', () => {
+    const { DetectionPipeline } = loadPipelineModule();
+    const pipeline = new DetectionPipeline();
+
+    expect(pipeline.registerStrategy('classify', 'broken', { assign: () => new Map() })).toBe(false);
+    expect(pipeline.registerStrategy('unknown', 'x', { classify: () => null })).toBe(false);
+    expect(pipeline.registerStrategy('classify', 'custom', { classify: () => null })).toBe(true);
+  });
+
+  test('only accepts configurations naming registered strategies', async () => {
+    const { DetectionPipeline } = loadPipelineModule();
+    const pipeline = new DetectionPipeline();
+
+    const rejected = await pipeline.setConfig({ sections: ['missing'] });
+    expect(rejected.success).toBe(false);
+
+    const accepted = await pipeline.setConfig({ sections: ['documentOrder'] });
+    expect(accepted.success).toBe(true);
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      BRA_DetectionStrategies: expect.objectContaining({ sections: ['documentOrder'] })
+    });
+  });
+
+  test('lists active strategies first, in run order', async () => {
+    const { DetectionPipeline } = loadPipelineModule();
+    const pipeline = new DetectionPipeline();
+
+    await pipeline.setConfig({ sections: ['containers', 'layout'] });
+    expect(pipeline.listStrategies().sections.map(({ name, enabled }) => [name, enabled])).toEqual([
+      ['containers', true],
+      ['layout', true],
+      ['documentOrder', false]
+    ]);
+  });
+
+  test('takes the state from the first URL strategy that finds one', async () => {
+    document.body.innerHTML = '<h1>State of Delaware Business Registration</h1>';
+    const { DetectionPipeline } = loadPipelineModule();
+    const pipeline = new DetectionPipeline();
+
+    const result = await pipeline.analyzeUrl('https://corp.example.gov/register', document);
+
+    expect(result.state).toBe('DE');
+    expect(result.stateSource).toBe('pageContent');
+    expect(result.analysis.score).toBe(70);
+    expect(result.analysis.state).toBeNull();
+  });
+
+  test('keeps the most confident classification across strategies', async () => {
+    document.body.innerHTML = '<input id="org" autocomplete="organization"><input id="mail" autocomplete="email">';
+    const fields = [
+      { element: document.getElementById('org'), autocomplete: 'organization', classification: { category: 'name', confidence: 60 } },
+      { element: document.getElementById('mail'), autocomplete: 'email', classification: { category: 'email', confidence: 95 } }
+    ];
+    const { DetectionPipeline } = loadPipelineModule(fields);
+    const pipeline = new DetectionPipeline();
+
+    await pipeline.detectFields(document);
+
+    expect(fields[0].classification).toMatchObject({ category: 'business_name', strategy: 'autocomplete' });
+    // Ties keep the earlier strategy
+    expect(fields[1].classification).toMatchObject({ category: 'email', strategy: 'knowledgePatterns' });
+  });
+
+  test('assigns fields to the nearest preceding heading when layout sections are inferred', async () => {
+    document.body.innerHTML = `
+      <form>
+        <h2>Business Information</h2><input id="name">
+        <fieldset><legend>Tax</legend><input id="ein"></fieldset>
+      </form>`;
+    const inferred = { name: 'Form Section 1', type: 'form', index: 0 };
+    const fields = [
+      { element: document.getElementById('name'), section: inferred, position: { domIndex: 2 } },
+      { element: document.getElementById('ein'), section: inferred, position: { domIndex: 5 } }
+    ];
+    const { DetectionPipeline } = loadPipelineModule(fields);
+    const pipeline = new DetectionPipeline();
+
+    const result = await pipeline.detectFields(document);
+
+    expect(fields.map(f => f.section.name)).toEqual(['Business Information', 'Tax']);
+    expect(result.strategies.sections).toEqual(['documentOrder']);
+    expect(result.detector.sections.map(s => s.index)).toEqual([0, 1]);
+  });
+
+  test('adds rendered controls the field detector passed over', async () => {
+    document.body.innerHTML = '<input id="name"><input type="radio" id="llc" name="type" style="opacity: 0">';
+    const name = { element: document.getElementById('name'), classification: { category: 'business_name', confidence: 90 } };
+    const llc = { element: document.getElementById('llc'), elements: [document.getElementById('llc')] };
+    const { DetectionPipeline } = loadPipelineModule([name], [name, llc]);
+    const pipeline = new DetectionPipeline();
+    await pipeline.setConfig({ fields: ['fieldDetector', 'visibleControls'] });
+
+    const result = await pipeline.detectFields(document);
+
+    expect(result.fields).toEqual([name, llc]);
+    expect(result.strategies.fields).toEqual(['fieldDetector', 'visibleControls']);
+  });
+
+  test('scores labels and names by keyword when asked to', async () => {
+    document.body.innerHTML = '<input id="agent"><input id="mail" type="email"><input id="notes">';
+    const fields = [
+      { element: document.getElementById('agent'), name: 'ra_name', label: { text: 'Registered Agent' } },
+      { element: document.getElementById('mail'), type: 'email', label: { text: 'Contact' } },
+      { element: document.getElementById('notes'), label: { text: 'Notes' } }
+    ];
+    const { DetectionPipeline } = loadPipelineModule(fields);
+    const pipeline = new DetectionPipeline();
+    await pipeline.setConfig({ classify: ['keywordScore'] });
+
+    await pipeline.detectFields(document);
+
+    expect(fields[0].classification).toMatchObject({ category: 'registered_agent', strategy: 'keywordScore' });
+    expect(fields[1].classification).toMatchObject({ category: 'email', confidence: 73 });
+    // Nothing matched: left unclassified rather than given the top priority category
+    expect(fields[2].classification).toBeUndefined();
+  });
+
+  test('groups fields by the innermost titled container', async () => {
+    document.body.innerHTML = `
+      <div class="form-section"><h3>Registered Agent:</h3>
+        <div class="form-group"><input id="agent_name"></div>
+        <fieldset><legend>Agent Address</legend><input id="agent_street"></fieldset>
+      </div>
+      <input id="outside">`;
+    const field = id => ({ element: document.getElementById(id) });
+    const fields = [field('agent_name'), field('agent_street'), field('outside')];
+    const { DetectionPipeline } = loadPipelineModule(fields);
+    const pipeline = new DetectionPipeline();
+    await pipeline.setConfig({ sections: ['containers'] });
+
+    await pipeline.detectFields(document);
+
+    expect(fields.map(f => f.section?.name)).toEqual(['Registered Agent', 'Agent Address', undefined]);
+    expect(fields[0].section.type).toBe('container');
+  });
+});
@@ -0,0 +1,69 @@
+// documentChecklist.test.js - Tests for the required documents checklist
+
+const { loadModule, createStorage, readExtensionJson } = require('./helpers/moduleLoader');
+
+function readForms(state) {
+  return readExtensionJson(`knowledge/states/${state}/forms.json`);
+}
+
+function loadDocumentChecklist(stored = {}) {
+  return loadModule('documentChecklist.js', ['documentChecklist', 'formatRequirement'], createStorage(stored));
+}
+
+describe('DocumentChecklist', () => {
+  test('finds the form by its identifier URLs, then by form type', () => {
+    const { documentChecklist } = loadDocumentChecklist();
+    const dc = readForms('dc');
+
+    expect(documentChecklist.findForm(dc, { url: 'https://corp.dcra.dc.gov/Account.aspx/LogOn' })).toBe('business_registration');
+    expect(documentChecklist.findForm(dc, { url: 'https://mybusiness.dc.gov/start' })).toBe('business_license');
+    expect(documentChecklist.findForm(dc, { url: 'https://example.gov/apply', formType: 'entity_formation' })).toBe('business_registration');
+    expect(documentChecklist.findForm(dc, { url: 'https://example.gov/apply', formType: 'general' })).toBeNull();
+  });
+
+  test('lists the documents for the chosen entity type', () => {
+    const { documentChecklist } = loadDocumentChecklist();
+    const dc = readForms('dc');
+
+    const llc = documentChecklist.build(dc, 'business_registration', 'llc');
+    expect(llc).toMatchObject({ id: 'DC/business_registration', formNumber: 'DNF-1', entityType: 'llc' });
+    expect(llc.documents).toEqual([
+      { id: 'doc:articles_of_organization', label: 'Articles of Organization' },
+      { id: 'doc:operating_agreement', label: 'Operating Agreement' }
+    ]);
+
+    // S corporations file as corporations
+    const corporation = documentChecklist.build(dc, 'business_registration', 's_corporation');
+    expect(corporation.entityType).toBe('corporation');
+    expect(corporation.documents.map(item => item.label)).toEqual(['Articles of Incorporation', 'Bylaws']);
+  });
+
+  test('lists the data points a form requires', () => {
+    const { documentChecklist, formatRequirement } = loadDocumentChecklist();
+    const license = documentChecklist.build(readForms('dc'), 'business_license');
+
+    expect(license.documents).toEqual([]);
+    expect(license.dataPoints.map(item => item.label)).toContain('EIN or SSN');
+    expect(license.dataPoints[0]).toEqual({ id: 'field:business_name', label: 'Business name' });
+    expect(formatRequirement('naics_code')).toBe('NAICS code');
+  });
+
+  test('keeps ticks per business and names the documents still missing', async () => {
+    const stored = {};
+    const { documentChecklist } = loadDocumentChecklist(stored);
+    const checklist = documentChecklist.build(readForms('dc'), 'business_registration', 'llc');
+
+    await documentChecklist.setTicked('profile_a', checklist.id, 'doc:articles_of_organization', true);
+    const ticks = await documentChecklist.getTicks('profile_a', checklist.id);
+
+    expect(documentChecklist.getProgress(checklist, ticks)).toEqual({
+      done: 1,
+      total: 2,
+      missingDocuments: ['Operating Agreement']
+    });
+    expect(await documentChecklist.getTicks('profile_b', checklist.id)).toEqual({});
+
+    await documentChecklist.setTicked('profile_a', checklist.id, 'doc:articles_of_organization', false);
+    expect(stored.BRA_DocumentChecklists.profile_a[checklist.id]).toEqual({});
+  });
+});
@@ -0,0 +1,59 @@
+// endeavorStore.test.js - Tests for endeavors and the filings detected pages are attached to
+
+const { loadModule, createStorage } = require('./helpers/moduleLoader');
+
+function loadEndeavorStore(stored = {}) {
+  return loadModule('endeavorStore.js', ['endeavorStore', 'ENDEAVORS_KEY'], createStorage(stored));
+}
+
+describe('EndeavorStore', () => {
+  test('attaches detections to the filing with the same state and form type', async () => {
+    const stored = {};
+    const { endeavorStore, ENDEAVORS_KEY } = loadEndeavorStore(stored);
+    const endeavor = await endeavorStore.createEndeavor({ name: 'Acme', state: 'CA', entityType: 'llc' });
+
+    const filing = await endeavorStore.attachDetection(endeavor.id,
+      { url: 'https://bizfileonline.sos.ca.gov/llc', formType: 'llc_formation', confidenceScore: 82 }, 'Form LLC-1');
+    expect(filing).toMatchObject({ name: 'CA llc formation', state: 'CA', formType: 'llc_formation', status: 'in_progress' });
+    expect(filing.visitedUrls).toEqual([
+      { url: 'https://bizfileonline.sos.ca.gov/llc', title: 'Form LLC-1', confidenceScore: 82, visitedAt: expect.any(String) }
+    ]);
+
+    // Revisiting updates the visit; another page of the same form joins the filing
+    await endeavorStore.attachDetection(endeavor.id,
+      { url: 'https://bizfileonline.sos.ca.gov/llc', formType: 'llc_formation', confidenceScore: 91 });
+    await endeavorStore.attachDetection(endeavor.id,
+      { url: 'https://bizfileonline.sos.ca.gov/llc/review', state: 'CA', formType: 'llc_formation', confidenceScore: 75 });
+    expect(filing.visitedUrls.map(visit => [visit.url, visit.confidenceScore])).toEqual([
+      ['https://bizfileonline.sos.ca.gov/llc', 91],
+      ['https://bizfileonline.sos.ca.gov/llc/review', 75]
+    ]);
+
+    // A different state gets its own filing
+    const delaware = await endeavorStore.attachDetection(endeavor.id,
+      { url: 'https://corp.delaware.gov/', state: 'DE', confidenceScore: 60 });
+    expect(delaware.name).toBe('DE filing');
+    expect(stored[ENDEAVORS_KEY][0].filings).toHaveLength(2);
+  });
+
+  test('keeps the filing status once work has moved past not started', async () => {
+    const { endeavorStore } = loadEndeavorStore();
+    const endeavor = await endeavorStore.createEndeavor({ name: 'Acme', state: 'CA' });
+    const filing = await endeavorStore.addFiling(endeavor.id, { name: 'Articles', formType: 'llc_formation' });
+
+    await endeavorStore.updateFiling(endeavor.id, filing.id, { status: 'submitted', confirmationNumber: '2024-123' });
+    await endeavorStore.attachDetection(endeavor.id, { url: 'https://bizfileonline.sos.ca.gov/llc', formType: 'llc_formation' });
+
+    expect(filing.status).toBe('submitted');
+    expect(await endeavorStore.updateFiling(endeavor.id, filing.id, { status: 'lost' })).toBeNull();
+  });
+
+  test('ignores detections without a URL or endeavor', async () => {
+    const { endeavorStore } = loadEndeavorStore();
+    const endeavor = await endeavorStore.createEndeavor({ name: 'Acme' });
+
+    expect(await endeavorStore.attachDetection(endeavor.id, { state: 'CA' })).toBeNull();
+    expect(await endeavorStore.attachDetection('endeavor_missing', { url: 'https://example.gov' })).toBeNull();
+    expect(endeavor.filings).toEqual([]);
+  });
+});
@@ -0,0 +1,58 @@
+// entityAdvisor.test.js - Tests for the entity type recommendation wizard
+
+const { loadModule, readExtensionJson } = require('./helpers/moduleLoader');
+
+const knowledge = readExtensionJson('knowledge/entities/entity_types.json');
+
+function loadAdvisor() {
+  return loadModule('entityAdvisor.js', ['entityAdvisor', 'QUESTIONS', 'RULES']);
+}
+
+describe('EntityAdvisor', () => {
+  test('every rule cites an existing knowledge entry', () => {
+    const { entityAdvisor, QUESTIONS, RULES } = loadAdvisor();
+
+    // Rules whose entry is missing are skipped, so each answer's reasons must cover its rules
+    const cited = QUESTIONS.flatMap(q => q.options.map(o => entityAdvisor.score(knowledge, { [q.id]: o.value })))
+      .flat().reduce((count, r) => count + r.reasons.filter(reason => reason.text).length, 0);
+    expect(cited).toBe(RULES.length);
+  });
+
+  test('recommends an LLC for a single owner wanting protection and pass-through taxes', () => {
+    const { entityAdvisor } = loadAdvisor();
+    const results = entityAdvisor.score(knowledge, {
+      liability: 'essential', owners: 'one', investors: 'no', tax: 'pass_through'
+    });
+
+    expect(results[0]).toMatchObject({ type: 'llc', shortName: 'LLC', score: 7 });
+    expect(results[0].reasons[0]).toEqual({
+      question: 'liability',
+      points: 3,
+      source: 'llc.advantages[0]',
+      text: 'Limited liability protection for all members'
+    });
+    expect(results.find(r => r.type === 'partnership')).toMatchObject({ excluded: true });
+    expect(results[results.length - 1].type).toBe('partnership');
+  });
+
+  test('recommends a C corporation when raising outside investment', () => {
+    const { entityAdvisor } = loadAdvisor();
+    const results = entityAdvisor.score(knowledge, {
+      liability: 'essential', owners: 'several', investors: 'yes', tax: 'reinvest'
+    });
+
+    expect(results[0]).toMatchObject({ type: 'corporation', shortName: 'C Corporation' });
+    expect(results[0].reasons.map(r => r.source)).toContain('corporation.advantages[5]');
+    expect(results.find(r => r.type === 'sole_proprietorship').excluded).toBe(true);
+    expect(results.find(r => r.type === 'llc').reasons.map(r => r.source))
+      .toContain('choosing_factors.tax_considerations.options.flexible[0]');
+  });
+
+  test('favors an S corporation for lowering self-employment tax', () => {
+    const { entityAdvisor } = loadAdvisor();
+    const results = entityAdvisor.score(knowledge, { liability: 'essential', tax: 'self_employment' });
+
+    expect(results[0].type).toBe('s_corporation');
+    expect(results[0].reasons[1].text).toBe('Potential tax savings on self-employment taxes');
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ */
+// fieldCorrections.test.js - Tests for per-form field classification corrections
+
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { loadModule, readModuleSource, createStorage, quietConsole } = require('./helpers/moduleLoader');
+
+const CORRECTIONS_KEY = 'BRA_FieldCorrections';
+
+function loadCorrections(chrome) {
+  return loadModule('fieldCorrections.js', ['fieldCorrections'], { chrome, CORRECTIONS_KEY }).fieldCorrections;
+}
+
+/**
+ * Run FieldDetector (fallback patterns, no knowledge loader) on a page at url
+ */
+async function detect(url, html, chrome) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole: new VirtualConsole() });
+  try {
+    const factory = dom.window.eval(`(function(console, chrome) {
+${readModuleSource('fieldDetector.js')}
+initializationAttempted = true;
+return FieldDetector;
+})`);
+    const FieldDetector = factory(quietConsole, chrome);
+    const detector = new FieldDetector(dom.window.document);
+    const fields = await detector.detectFields();
+    return { detector, fields };
+  } finally {
+    dom.window.close();
+  }
+}
+
+const FORM_HTML = `
+  <form>
+    <label for="org">Organization</label><input id="org" name="org_name" type="text">
+    <label for="ref">Reference number</label><input id="ref" name="ref_no" type="text">
+    <label for="email">Email address</label><input id="email" name="email" type="email">
+  </form>`;
+
+describe('FieldCorrections', () => {
+  test('stores, removes and resets corrections per form', async () => {
+    const { chrome, stored } = createStorage();
+    const corrections = loadCorrections(chrome);
+
+    await corrections.setCorrection('mytax.dc.gov/fr500', 'org_name',
+      { category: 'business_name', label: 'Organization', originalCategory: 'form_field' },
+      { url: 'https://mytax.dc.gov/fr500', state: 'DC' });
+    await corrections.setCorrection('mytax.dc.gov/fr500', 'ref_no', { ignore: true });
+
+    expect(await corrections.getForForm('mytax.dc.gov/fr500')).toEqual({
+      org_name: { category: 'business_name', label: 'Organization', originalCategory: 'form_field' },
+      ref_no: { ignore: true }
+    });
+    expect(stored[CORRECTIONS_KEY]['mytax.dc.gov/fr500'].state).toBe('DC');
+
+    expect(await corrections.removeCorrection('mytax.dc.gov/fr500', 'ref_no')).toBe(true);
+    await corrections.reset('mytax.dc.gov/fr500');
+    expect(await corrections.getAll()).toEqual({});
+
+    await expect(corrections.setCorrection('mytax.dc.gov/fr500', 'x', {})).rejects.toThrow(/category or ignore/);
+  });
+
+  test('formats corrections by state for overrides.json', async () => {
+    const { chrome } = createStorage();
+    const corrections = loadCorrections(chrome);
+    await corrections.setCorrection('mytax.dc.gov/fr500', 'org_name',
+      { category: 'business_name', label: 'Organization', originalCategory: 'form_field' },
+      { url: 'https://mytax.dc.gov/fr500', state: 'DC' });
+    await corrections.setCorrection('example.com/apply', 'ref_no', { ignore: true }, { url: 'https://example.com/apply' });
+
+    expect(corrections.toOverrides(await corrections.getAll())).toEqual({
+      DC: {
+        field_classification_overrides: {
+          'mytax.dc.gov/fr500': {
+            url: 'https://mytax.dc.gov/fr500',
+            fields: { org_name: { category: 'business_name', label: 'Organization' } }
+          }
+        }
+      },
+      unknown: {
+        field_classification_overrides: {
+          'example.com/apply': { url: 'https://example.com/apply', fields: { ref_no: { ignore: true } } }
+        }
+      }
+    });
+  });
+});
+
+describe('FieldDetector corrections', () => {
+  test('fingerprints the form by host and path with record ids collapsed', async () => {
+    const { chrome } = createStorage();
+    const { detector } = await detect('https://MyTax.dc.gov/FR500/123456/step?x=1#/owners', FORM_HTML, chrome);
+
+    expect(detector.formFingerprint).toBe('mytax.dc.gov/fr500/:id/step/owners');
+    expect(detector.getCorrectionKey({ name: '', id: 'biz' })).toBe('#biz');
+    expect(detector.getCorrectionKey({ label: { text: 'Business Name:' } })).toBe('label:business_name');
+  });
+
+  test('applies corrections ahead of pattern scoring and drops ignored fields', async () => {
+    const url = 'https://mytax.dc.gov/fr500/123456';
+    const { chrome } = createStorage({
+      [CORRECTIONS_KEY]: {
+        'mytax.dc.gov/fr500/:id': {
+          fields: { org_name: { category: 'business_name' }, ref_no: { ignore: true }, email: { category: 'phone' } }
+        }
+      }
+    });
+
+    const { detector, fields } = await detect(url, FORM_HTML, chrome);
+
+    expect(fields.map(f => f.name)).toEqual(['org_name', 'email']);
+    expect(fields[0].classification).toMatchObject({ category: 'business_name', confidence: 100, corrected: true });
+    expect(fields[1].classification.category).toBe('phone');
+    expect(detector.getUIData().formFingerprint).toBe('mytax.dc.gov/fr500/:id');
+  });
+
+  test('gives each field a stable id shared with the panel', async () => {
+    const html = `${FORM_HTML}
+      <form>
+        <label>Street <input type="text"></label>
+        <label>Street <input type="text"></label>
+      </form>`;
+    const { chrome } = createStorage();
+
+    const first = await detect('https://mytax.dc.gov/fr500', html, chrome);
+    const uiIds = Object.values(first.detector.getUIData().categories)
+      .flatMap(category => category.fields.map(field => field.fieldId));
+    const ids = first.fields.map(field => field.fieldId);
+
+    expect(ids).toEqual(expect.arrayContaining(['org_name', 'ref_no', 'email', 'label:street', 'label:street~2']));
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(uiIds.sort()).toEqual([...ids].sort());
+
+    const second = await detect('https://mytax.dc.gov/fr500', html, chrome);
+    second.detector.getUIData();
+    expect(second.fields.map(field => field.fieldId)).toEqual(ids);
+  });
+
+  test('leaves other forms alone', async () => {
+    const { chrome } = createStorage({
+      [CORRECTIONS_KEY]: { 'other.gov/apply': { fields: { email: { category: 'phone' } } } }
+    });
+
+    const { fields } = await detect('https://mytax.dc.gov/fr500', FORM_HTML, chrome);
+    expect(fields.find(f => f.name === 'email').classification.category).toBe('email');
+  });
+});
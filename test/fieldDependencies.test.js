@@ -0,0 +1,121 @@
+// fieldDependencies.test.js - Tests for learning which controls reveal which fields
+
+const { loadModule, createStorage } = require('./helpers/moduleLoader');
+
+function loadFieldDependencies(stored = {}) {
+  return loadModule('fieldDependencies.js', ['fieldDependencies', 'getControlKey'], createStorage(stored));
+}
+
+const FORM_HTML = `
+  <form>
+    <label for="entityType">Entity type</label>
+    <select id="entityType" name="entityType">
+      <option value="">Choose...</option>
+      <option value="llc">LLC</option>
+      <option value="corp">Corporation</option>
+    </select>
+    <div id="corp-fields" hidden>
+      <label for="shares">Authorized Shares</label><input id="shares" name="shares">
+      <label for="par">Par Value</label><input id="par" name="parValue">
+    </div>
+    <div id="llc-fields">
+      <label for="managers">Managers</label><input id="managers" name="managers">
+    </div>
+    <label><input type="checkbox" name="foreign"> Foreign entity</label>
+  </form>
+`;
+
+// The page's own script: choosing Corporation shows the share fields
+function wireEntityType() {
+  document.getElementById('entityType').addEventListener('change', event => {
+    const corp = event.target.value === 'corp';
+    document.getElementById('corp-fields').hidden = !corp;
+    document.getElementById('llc-fields').style.display = corp ? 'none' : '';
+  });
+}
+
+function choose(select, value) {
+  select.value = value;
+  select.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+describe('FieldDependencies', () => {
+  beforeEach(() => {
+    document.body.innerHTML = FORM_HTML;
+  });
+
+  test('compares field visibility between snapshots', () => {
+    const { fieldDependencies } = loadFieldDependencies();
+    const before = fieldDependencies.snapshot(document);
+
+    document.getElementById('corp-fields').hidden = false;
+    document.getElementById('llc-fields').style.display = 'none';
+    const after = fieldDependencies.snapshot(document);
+
+    expect(before.get('shares')).toEqual({ visible: false, label: 'Authorized Shares' });
+    expect(fieldDependencies.diff(before, after)).toEqual({
+      reveals: { shares: 'Authorized Shares', parValue: 'Par Value' },
+      hides: { managers: 'Managers' }
+    });
+  });
+
+  test('learns what a control reveals from the mutations after it changes', async () => {
+    const { fieldDependencies } = loadFieldDependencies();
+    wireEntityType();
+    fieldDependencies.remember(document);
+
+    const select = document.getElementById('entityType');
+    choose(select, 'corp');
+    const change = await fieldDependencies.observeChange(select, document);
+
+    expect(change).toEqual({
+      key: 'entityType',
+      label: 'Entity type',
+      type: 'choice',
+      value: 'corp',
+      valueLabel: 'Corporation',
+      reveals: { shares: 'Authorized Shares', parValue: 'Par Value' },
+      hides: { managers: 'Managers' }
+    });
+
+    // A change that reveals nothing isn't a dependency
+    const checkbox = document.querySelector('[name="foreign"]');
+    checkbox.checked = true;
+    expect(await fieldDependencies.observeChange(checkbox, document)).toBeNull();
+  });
+
+  test('stores the graph per form and flattens it into rules', async () => {
+    const stored = {};
+    const { fieldDependencies } = loadFieldDependencies(stored);
+    const form = 'corp.delaware.gov/formation';
+
+    await fieldDependencies.record(form, {
+      key: 'entityType', label: 'Entity type', type: 'choice', value: 'corp', valueLabel: 'Corporation',
+      reveals: { shares: 'Authorized Shares' }, hides: { managers: 'Managers' }
+    });
+    await fieldDependencies.record(form, {
+      key: 'entityType', label: 'Entity type', type: 'choice', value: 'llc', valueLabel: 'LLC',
+      reveals: { managers: 'Managers' }, hides: { shares: 'Authorized Shares' }
+    });
+    const controls = await fieldDependencies.getForForm(form);
+
+    expect(fieldDependencies.toRules(controls)).toEqual([
+      { key: 'entityType', label: 'Entity type', type: 'choice', value: 'corp', valueLabel: 'Corporation', reveals: ['Authorized Shares'], hides: ['Managers'] },
+      { key: 'entityType', label: 'Entity type', type: 'choice', value: 'llc', valueLabel: 'LLC', reveals: ['Managers'], hides: ['Authorized Shares'] }
+    ]);
+    expect(fieldDependencies.isController(controls, 'entityType')).toBe(true);
+    expect(fieldDependencies.isController(controls, 'shares')).toBe(false);
+    expect(await fieldDependencies.getForForm('other.gov/apply')).toEqual({});
+
+    await fieldDependencies.reset(form);
+    expect(stored.BRA_FieldDependencies).toEqual({});
+  });
+
+  test('keys radio groups by name and other fields by name or id', () => {
+    const { getControlKey } = loadFieldDependencies();
+    document.body.innerHTML = '<input type="radio" name="structure" value="member"><input id="solo">';
+
+    expect(getControlKey(document.querySelector('[type="radio"]'))).toBe('structure');
+    expect(getControlKey(document.getElementById('solo'))).toBe('#solo');
+  });
+});
@@ -0,0 +1,71 @@
+// fieldFocus.test.js - Tests for highlighting the panel entry of the focused page field
+
+const { loadScript } = require('./helpers/moduleLoader');
+
+function loadFieldFocus(fields, window = globalThis.window) {
+  const chrome = { runtime: { sendMessage: jest.fn() } };
+  const detectionResult = { fieldDetection: { fields } };
+  const focus = loadScript('content.js', ['findDetectedField', 'focusTrackedDocuments', 'reportFocusedField', 'trackFrameFocus'],
+    { chrome, window, detectionResult });
+  document.addEventListener('focusin', focus.reportFocusedField, true);
+  return { chrome, detectionResult, ...focus };
+}
+
+// focusin as the browser fires it when an element gains focus
+function focusIn(element) {
+  const view = element.ownerDocument.defaultView;
+  element.dispatchEvent(new view.FocusEvent('focusin', { bubbles: true, composed: true }));
+}
+
+describe('Field focus', () => {
+  let focus;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<input id="business_name"><bra-address></bra-address><iframe id="filing"></iframe>';
+  });
+
+  afterEach(() => {
+    document.removeEventListener('focusin', focus.reportFocusedField, true);
+  });
+
+  test('reports fields inside shadow roots by their own element, not the host', () => {
+    const shadow = document.querySelector('bra-address').attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<input id="city">';
+    focus = loadFieldFocus([
+      { fieldId: 'field_business_name', element: document.getElementById('business_name') },
+      { fieldId: 'field_city', element: shadow.getElementById('city') }
+    ]);
+
+    focusIn(document.getElementById('business_name'));
+    focusIn(shadow.getElementById('city'));
+
+    expect(focus.chrome.runtime.sendMessage.mock.calls.map(([message]) => message)).toEqual([
+      { action: 'fieldFocused', fieldId: 'field_business_name' },
+      { action: 'fieldFocused', fieldId: 'field_city' }
+    ]);
+  });
+
+  test('listens in the same-origin frames fields were detected in', () => {
+    const frameDocument = document.getElementById('filing').contentDocument;
+    frameDocument.body.innerHTML = '<input id="agent_email">';
+    focus = loadFieldFocus([{ fieldId: 'field_agent_email', element: frameDocument.getElementById('agent_email') }]);
+
+    focusIn(frameDocument.getElementById('agent_email'));
+    expect(focus.chrome.runtime.sendMessage).not.toHaveBeenCalled();
+
+    // Detecting twice adds one listener per frame document
+    focus.trackFrameFocus(focus.detectionResult);
+    focus.trackFrameFocus(focus.detectionResult);
+    focusIn(frameDocument.getElementById('agent_email'));
+    expect(focus.chrome.runtime.sendMessage.mock.calls.map(([message]) => message)).toEqual([
+      { action: 'fieldFocused', fieldId: 'field_agent_email' }
+    ]);
+  });
+
+  test('leaves reporting to the top frame', () => {
+    focus = loadFieldFocus([{ fieldId: 'field_business_name', element: document.getElementById('business_name') }], { top: {} });
+
+    focusIn(document.getElementById('business_name'));
+    expect(focus.chrome.runtime.sendMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,134 @@
+// fieldGuidance.test.js - Tests for in-page field guidance badges
+
+const { loadModule, createStorage, readExtensionJson } = require('./helpers/moduleLoader');
+
+function readGuidance(state) {
+  return readExtensionJson(`knowledge/states/${state}/overrides.json`).form_field_guidance.common_fields;
+}
+
+function loadFieldGuidance(stored = {}) {
+  const i18n = {
+    init: jest.fn(async () => 'en'),
+    t: (key, value) => (key === 'guidanceFor' ? `Guidance for ${value}` : `Tip: ${value}`)
+  };
+
+  return loadModule('fieldGuidance.js', ['fieldGuidance', 'findGuidance'], { ...createStorage(stored), i18n });
+}
+
+function field(element, category, label) {
+  return { element, name: element.name, id: element.id, label: { text: label }, classification: category ? { category } : null };
+}
+
+describe('FieldGuidance', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form>
+        <label>Business Name <input name="entityName"></label>
+        <label>Principal Office Address <input name="principalStreet"></label>
+        <label>Mailing Address <input name="mailStreet"></label>
+        <label>Authorized Shares <input name="shares"></label>
+        <label>Par Value <input name="parValue"></label>
+        <label>Phone <input name="phone"></label>
+      </form>
+    `;
+  });
+
+  test('matches guidance by category and by label', () => {
+    const { findGuidance } = loadFieldGuidance();
+    const de = readGuidance('de');
+    const ca = readGuidance('ca');
+    const input = name => document.querySelector(`[name="${name}"]`);
+
+    expect(findGuidance(field(input('entityName'), 'business_name', 'Business Name'), de).key).toBe('entity_name');
+    expect(findGuidance(field(input('shares'), 'number_field', 'Authorized Shares'), de).key).toBe('authorized_shares');
+    expect(findGuidance(field(input('parValue'), null, 'Par Value'), de).key).toBe('par_value');
+    expect(findGuidance(field(input('principalStreet'), 'address', 'Principal Office Address'), ca).key).toBe('principal_address');
+    expect(findGuidance(field(input('mailStreet'), 'address', 'Mailing Address'), ca)).toBeNull();
+    expect(findGuidance(field(input('phone'), 'phone', 'Phone'), de)).toBeNull();
+  });
+
+  test('attaches style-isolated badges with accessible tooltips', async () => {
+    const { fieldGuidance } = loadFieldGuidance();
+    const fields = Array.from(document.querySelectorAll('input')).map(input =>
+      field(input, input.name === 'entityName' ? 'business_name' : null, input.closest('label').textContent.trim()));
+
+    const count = await fieldGuidance.attach(fields, readGuidance('de'), document);
+    const hosts = document.querySelectorAll('[data-bra-guidance]');
+
+    expect(count).toBe(3);
+    expect(Array.from(hosts).map(host => host.getAttribute('data-bra-guidance')))
+      .toEqual(['entity_name', 'authorized_shares', 'par_value']);
+
+    const shadow = hosts[0].shadowRoot;
+    const badge = shadow.querySelector('button');
+    const tooltip = shadow.querySelector('[role="tooltip"]');
+    expect(hosts[0].previousElementSibling.name).toBe('entityName');
+    expect(badge.getAttribute('aria-label')).toBe('Guidance for Business Name');
+    expect(badge.getAttribute('aria-describedby')).toBe(tooltip.id);
+    expect(tooltip.textContent).toContain('The official name of your business entity.');
+    expect(tooltip.textContent).toContain('Tip: Must include required designation');
+    // Badge content is not part of the page's own text
+    expect(document.querySelector('label').textContent.trim()).toBe('Business Name');
+  });
+
+  test('opens on click or Enter and closes with Escape', async () => {
+    const { fieldGuidance } = loadFieldGuidance();
+    const input = document.querySelector('[name="shares"]');
+    await fieldGuidance.attach([field(input, null, 'Authorized Shares')], readGuidance('de'), document);
+
+    const shadow = document.querySelector('[data-bra-guidance]').shadowRoot;
+    const badge = shadow.querySelector('button');
+    const tooltip = shadow.querySelector('[role="tooltip"]');
+
+    badge.click();
+    expect(badge.getAttribute('aria-expanded')).toBe('true');
+    badge.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    expect(badge.getAttribute('aria-expanded')).toBe('false');
+    expect(tooltip.classList.contains('dismissed')).toBe(true);
+  });
+
+  test('re-attaching replaces badges and removeAll clears them', async () => {
+    const { fieldGuidance } = loadFieldGuidance();
+    const input = document.querySelector('[name="parValue"]');
+    const fields = [field(input, null, 'Par Value')];
+
+    await fieldGuidance.attach(fields, readGuidance('de'), document);
+    await fieldGuidance.attach(fields, readGuidance('de'), document);
+    expect(document.querySelectorAll('[data-bra-guidance]')).toHaveLength(1);
+
+    fieldGuidance.removeAll(document);
+    expect(document.querySelectorAll('[data-bra-guidance]')).toHaveLength(0);
+  });
+
+  test('removes badges next to fields in shadow roots', async () => {
+    const { fieldGuidance } = loadFieldGuidance();
+    const widget = document.createElement('div');
+    document.body.appendChild(widget);
+    const shadow = widget.attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<label>Par Value <input name="parValue"></label>';
+    const fields = [field(shadow.querySelector('input'), null, 'Par Value')];
+
+    await fieldGuidance.attach(fields, readGuidance('de'), document);
+    expect(shadow.querySelectorAll('[data-bra-guidance]')).toHaveLength(1);
+    expect(document.querySelectorAll('[data-bra-guidance]')).toHaveLength(0);
+
+    // Re-attaching doesn't pile badges up, and removeAll reaches the shadow root
+    await fieldGuidance.attach(fields, readGuidance('de'), document);
+    expect(shadow.querySelectorAll('[data-bra-guidance]')).toHaveLength(1);
+    fieldGuidance.removeAll(document);
+    expect(shadow.querySelectorAll('[data-bra-guidance]')).toHaveLength(0);
+  });
+
+  test('can be turned off per site', async () => {
+    const stored = {};
+    const { fieldGuidance } = loadFieldGuidance(stored);
+
+    expect(await fieldGuidance.isEnabled('corp.delaware.gov')).toBe(true);
+    await fieldGuidance.setEnabled('corp.delaware.gov', false);
+    expect(await fieldGuidance.isEnabled('corp.delaware.gov')).toBe(false);
+    expect(await fieldGuidance.isEnabled('bizfileonline.sos.ca.gov')).toBe(true);
+
+    await fieldGuidance.setEnabled('corp.delaware.gov', true);
+    expect(stored.BRA_GuidanceDisabledSites).toEqual([]);
+  });
+});
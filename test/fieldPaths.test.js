@@ -0,0 +1,120 @@
+/**
+ * @jest-environment node
+ */
+// fieldPaths.test.js - Tests for detecting fields inside shadow roots and same-origin frames
+
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { readModuleSource, quietConsole } = require('./helpers/moduleLoader');
+
+/**
+ * Page with a light DOM field, a web component with a shadow root and a
+ * same-origin iframe that holds another web component
+ */
+function createPage() {
+  const dom = new JSDOM(`
+    <form>
+      <label for="business_name">Business Name</label>
+      <input id="business_name" name="business_name">
+      <bra-address id="principal"></bra-address>
+      <iframe id="filing"></iframe>
+    </form>
+  `, { runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole: new VirtualConsole() });
+  const document = dom.window.document;
+
+  const shadow = document.getElementById('principal').attachShadow({ mode: 'open' });
+  shadow.innerHTML = '<label for="city">City</label><input id="city" name="city">';
+
+  const frameDocument = document.getElementById('filing').contentDocument;
+  frameDocument.body.innerHTML = '<label for="agent_email">Email</label><input id="agent_email" name="agent_email"><bra-agent></bra-agent>';
+  frameDocument.querySelector('bra-agent').attachShadow({ mode: 'open' }).innerHTML =
+    '<label for="agent_phone">Phone</label><input id="agent_phone" name="agent_phone">';
+
+  const factory = dom.window.eval(`(function(console) {
+${readModuleSource('fieldDetector.js')}
+initializationAttempted = true;
+return FieldDetector;
+})`);
+  const FieldDetector = factory(quietConsole);
+  return { dom, document, shadow, frameDocument, detector: new FieldDetector(document) };
+}
+
+describe('Field paths', () => {
+  test('merges fields from shadow roots and frames with the path to each', async () => {
+    const { dom, detector } = createPage();
+    try {
+      const fields = await detector.detectFields();
+      const paths = Object.fromEntries(fields.map(field => [field.name, detector.formatElementPath(field.path)]));
+
+      expect(paths).toEqual({
+        business_name: '',
+        city: 'shadow:bra-address#principal',
+        agent_email: 'frame:iframe#filing',
+        agent_phone: 'frame:iframe#filing > shadow:bra-agent[0]'
+      });
+      expect(fields.find(field => field.name === 'city').label.text).toBe('City');
+    } finally {
+      dom.window.close();
+    }
+  });
+
+  test('resolves a path to the shadow root or frame document it points to', () => {
+    const { dom, document, shadow, frameDocument, detector } = createPage();
+    try {
+      const agentPath = [
+        { type: 'frame', tagName: 'iframe', id: 'filing', index: 0 },
+        { type: 'shadow', tagName: 'bra-agent', id: '', index: 0 }
+      ];
+
+      expect(detector.resolveElementPath([])).toBe(document);
+      expect(detector.resolveElementPath([{ type: 'shadow', tagName: 'bra-address', id: 'principal', index: 0 }])).toBe(shadow);
+      expect(detector.resolveElementPath(agentPath.slice(0, 1))).toBe(frameDocument);
+      expect(detector.resolveElementPath(agentPath)).toBe(frameDocument.querySelector('bra-agent').shadowRoot);
+
+      // An id that changed falls back to the index; a removed host resolves to nothing
+      expect(detector.resolveElementPath([{ type: 'frame', tagName: 'iframe', id: 'renamed', index: 0 }])).toBe(frameDocument);
+      frameDocument.querySelector('bra-agent').remove();
+      expect(detector.resolveElementPath(agentPath)).toBeNull();
+    } finally {
+      dom.window.close();
+    }
+  });
+
+  test('finds a field element again after its web component re-renders', async () => {
+    const { dom, shadow, detector } = createPage();
+    try {
+      const fields = await detector.detectFields();
+      const city = fields.find(field => field.name === 'city');
+
+      shadow.innerHTML = '<label for="city">City</label><input id="city" name="city">';
+      expect(city.element.isConnected).toBe(false);
+      expect(detector.findFieldElement(city)).toBe(shadow.getElementById('city'));
+    } finally {
+      dom.window.close();
+    }
+  });
+
+  test('adds controls with a rendered box that detection passed over', async () => {
+    const { dom, document, shadow, detector } = createPage();
+    try {
+      shadow.innerHTML += '<label><input type="radio" name="entity_type" value="llc" aria-label="Entity Type" style="opacity: 0"> LLC</label>' +
+        '<label><input type="radio" name="entity_type" value="corp" style="opacity: 0"> Corporation</label>';
+      // jsdom has no layout; give every control a box except the business name
+      dom.window.HTMLElement.prototype.getBoundingClientRect = function() {
+        const size = this.id === 'business_name' ? 0 : 16;
+        return { top: 0, left: 0, bottom: size, right: size, width: size, height: size };
+      };
+
+      const fields = await detector.detectFields();
+      expect(fields.map(field => field.name)).not.toContain('entity_type');
+
+      const known = new Set(fields.map(field => field.element));
+      const rendered = detector.detectRenderedFields(known);
+      expect(rendered.map(field => [field.name, field.elements?.length, detector.formatElementPath(field.path)])).toEqual([
+        ['entity_type', 2, 'shadow:bra-address#principal']
+      ]);
+      expect(rendered[0].classification).toBeTruthy();
+    } finally {
+      dom.window.close();
+    }
+  });
+});
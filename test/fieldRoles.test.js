@@ -0,0 +1,96 @@
+// fieldRoles.test.js - Tests for filling person fields from whoever holds the section's role
+
+const { loadScript } = require('./helpers/moduleLoader');
+
+function loadFieldRoles() {
+  return loadScript('content.js', ['PERSON_CATEGORIES', 'ROLE_PATTERNS', 'ADDRESS_CATEGORIES', 'MAILING_SECTION_PATTERN', 'describeFieldContext', 'detectFieldRole', 'findBestOption', 'applyFieldValue', 'buildFillPlan'],
+    { detectionResult: null });
+}
+
+// Detected field for an input, classified as category
+function createField(input, category, extra = {}) {
+  return { element: input, name: input.name, label: { text: input.getAttribute('aria-label') }, classification: { category, confidence: 80 }, ...extra };
+}
+
+describe('Field roles', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <fieldset><legend>Registered Agent</legend>
+        <input name="ra_name" aria-label="Full Name">
+        <input name="ra_city" aria-label="City">
+      </fieldset>
+      <fieldset><legend>Organizer Information</legend>
+        <input name="org_name" aria-label="Name">
+      </fieldset>
+      <input name="contact_email" aria-label="Email">
+      <input name="entity" aria-label="Business Name">
+    `;
+  });
+
+  test('reads the role from the fieldset legend, section or label', () => {
+    const { detectFieldRole } = loadFieldRoles();
+    const input = name => document.querySelector(`[name="${name}"]`);
+
+    expect(detectFieldRole({ element: input('ra_name') })).toBe('registered_agent');
+    expect(detectFieldRole({ element: input('org_name') })).toBe('organizer');
+    expect(detectFieldRole({ element: input('contact_email'), section: { name: 'Incorporator' } })).toBe('organizer');
+    expect(detectFieldRole({ element: input('contact_email'), label: { text: 'President email' } })).toBe('officer');
+    expect(detectFieldRole({ element: input('contact_email'), section: { label: 'Managing members' } })).toBe('member');
+    expect(detectFieldRole({ element: input('contact_email'), label: { text: 'Email' } })).toBeNull();
+  });
+
+  test('plans person fields from the role holder and business fields from the profile', () => {
+    const { buildFillPlan } = loadFieldRoles();
+    const input = name => document.querySelector(`[name="${name}"]`);
+    const fields = [
+      createField(input('ra_name'), 'name'),
+      createField(input('ra_city'), 'city'),
+      createField(input('org_name'), 'name'),
+      createField(input('contact_email'), 'email'),
+      createField(input('entity'), 'business_name')
+    ];
+
+    const plan = buildFillPlan(
+      { name: 'Ada Lovelace', email: 'office@acme.test', city: 'Sacramento', business_name: 'Acme Widgets LLC' },
+      { registered_agent: { name: 'Grace Hopper' }, organizer: { name: 'Ada Lovelace' } },
+      fields
+    );
+
+    expect(plan.map(entry => [entry.field.element.name, entry.role, entry.value])).toEqual([
+      ['ra_name', 'registered_agent', 'Grace Hopper'],
+      // The agent has no city, and the business's city is not used in their section
+      ['org_name', 'organizer', 'Ada Lovelace'],
+      ['contact_email', null, 'office@acme.test'],
+      ['entity', null, 'Acme Widgets LLC']
+    ]);
+  });
+
+  test('plans address fields in a mailing section from the mailing address', () => {
+    const { buildFillPlan } = loadFieldRoles();
+    document.body.innerHTML = `
+      <input name="street" aria-label="Street Address">
+      <fieldset><legend>Mailing Address</legend>
+        <input name="mail_street" aria-label="Street">
+        <input name="mail_city" aria-label="City">
+      </fieldset>
+    `;
+    const input = name => document.querySelector(`[name="${name}"]`);
+    const fields = [
+      createField(input('street'), 'address'),
+      createField(input('mail_street'), 'address'),
+      createField(input('mail_city'), 'city')
+    ];
+
+    const plan = buildFillPlan(
+      { address: '1 Main St', city: 'Sacramento', mailing_address: 'PO Box 42', mailing_city: 'Oakland' },
+      {},
+      fields
+    );
+
+    expect(plan.map(entry => [entry.field.element.name, entry.value])).toEqual([
+      ['street', '1 Main St'],
+      ['mail_street', 'PO Box 42'],
+      ['mail_city', 'Oakland']
+    ]);
+  });
+});
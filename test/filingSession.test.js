@@ -0,0 +1,162 @@
+// filingSession.test.js - Tests for tracking the steps of multi-page filing wizards
+
+const { loadScript } = require('./helpers/moduleLoader');
+
+function loadStepParsing() {
+  return loadScript('content.js', [
+    'SENSITIVE_CATEGORIES', 'SENSITIVE_FIELD_PATTERN', 'REDACTED_VALUE', 'STEP_INDICATOR_PATTERN',
+    'parseStepIndicator', 'readFieldValue', 'isSensitiveField', 'snapshotFieldValue'
+  ], { reportError: jest.fn() });
+}
+
+function loadFilingSessions() {
+  const chrome = { storage: { session: { set: jest.fn(async () => {}) } } };
+  return {
+    chrome,
+    ...loadScript('background.js', [
+      'FILING_SESSIONS_KEY', 'filingSessions', 'saveFilingSessions', 'getStepKey', 'summarizeFilingSession', 'recordFilingStep'
+    ], { chrome })
+  };
+}
+
+// Wizard step as content.js reports it
+function createStep(url, indicator, fields = [], reason = 'detected') {
+  return { url, title: 'LLC Registration', state: 'DC', indicator, fields, reason };
+}
+
+describe('Filing sessions', () => {
+  describe('step indicators', () => {
+    test('reads "Step 2 of 5" wording from headings', () => {
+      const { parseStepIndicator } = loadStepParsing();
+      document.body.innerHTML = '<h2>Step 2 of 5:  Registered   Agent</h2>';
+
+      expect(parseStepIndicator()).toEqual({ current: 2, total: 5, label: 'Step 2 of 5: Registered Agent' });
+    });
+
+    test('reads step lists marked with aria-current and step progressbars', () => {
+      const { parseStepIndicator } = loadStepParsing();
+
+      document.body.innerHTML = '<ol><li>Entity</li><li>Agent</li><li aria-current="step">Review</li><li>Pay</li></ol>';
+      expect(parseStepIndicator()).toEqual({ current: 3, total: 4, label: 'Review' });
+
+      document.body.innerHTML = '<div role="progressbar" aria-valuenow="4" aria-valuemax="6" aria-valuetext="Officers"></div>';
+      expect(parseStepIndicator()).toEqual({ current: 4, total: 6, label: 'Officers' });
+
+      // A percentage bar is not a step counter
+      document.body.innerHTML = '<div role="progressbar" aria-valuenow="40" aria-valuemax="100"></div>';
+      expect(parseStepIndicator()).toBeNull();
+    });
+
+    test('falls back to the page text and ignores impossible positions', () => {
+      const { parseStepIndicator } = loadStepParsing();
+
+      document.body.innerHTML = '<p>You are on page 3 / 4 of the application.</p>';
+      expect(parseStepIndicator()).toEqual({ current: 3, total: 4, label: 'page 3 / 4' });
+
+      document.body.innerHTML = '<h1>Part 7 of 3</h1>';
+      expect(parseStepIndicator()).toBeNull();
+    });
+
+    test('redacts sensitive values entered on a step', () => {
+      const { snapshotFieldValue } = loadStepParsing();
+      document.body.innerHTML = '<input name="ssn" value="123-45-6789"><input name="city" value="Washington"><input name="pin">';
+      const field = name => ({ element: document.querySelector(`[name="${name}"]`), name });
+
+      expect(snapshotFieldValue(field('ssn'))).toEqual({ value: '[redacted]', filled: true, redacted: true });
+      expect(snapshotFieldValue(field('city'))).toEqual({ value: 'Washington', filled: true, redacted: false });
+      expect(snapshotFieldValue(field('pin'))).toEqual({ value: '', filled: false, redacted: false });
+    });
+  });
+
+  describe('reporting steps', () => {
+    function loadStepReporting(window) {
+      const chrome = { runtime: { sendMessage: jest.fn() } };
+      const detectionResult = {
+        isBusinessRegistrationForm: true,
+        url: 'https://corponline.dcra.dc.gov/wizard',
+        state: 'DC',
+        stepIndicator: { current: 2, total: 4 },
+        fieldDetection: { fields: [] }
+      };
+      const { recordWizardStep } = loadScript('content.js', [
+        'SENSITIVE_CATEGORIES', 'SENSITIVE_FIELD_PATTERN', 'REDACTED_VALUE', 'lastWizardStepSignature',
+        'readFieldValue', 'isSensitiveField', 'snapshotFieldValue', 'recordWizardStep'
+      ], { chrome, window, detectionResult });
+      return { chrome, recordWizardStep };
+    }
+
+    test('reports the top frame\'s step once per set of values', () => {
+      const window = {};
+      window.top = window;
+      const { chrome, recordWizardStep } = loadStepReporting(window);
+
+      recordWizardStep('detected');
+      recordWizardStep('detected');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+      expect(chrome.runtime.sendMessage.mock.calls[0][0]).toMatchObject({
+        action: 'wizardStepRecorded',
+        step: { url: 'https://corponline.dcra.dc.gov/wizard', state: 'DC', indicator: { current: 2, total: 4 }, reason: 'detected' }
+      });
+    });
+
+    test('leaves steps of embedded frames to the top frame', () => {
+      const { chrome, recordWizardStep } = loadStepReporting({ top: {} });
+
+      recordWizardStep('detected');
+      recordWizardStep('submit');
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('background sessions', () => {
+    test('records steps in wizard order and summarizes what remains', () => {
+      const { chrome, recordFilingStep, FILING_SESSIONS_KEY, filingSessions } = loadFilingSessions();
+
+      recordFilingStep(7, createStep('https://corponline.dcra.dc.gov/wizard?page=1', { current: 1, total: 4 }, [
+        { label: 'Business Name', required: true, filled: true },
+        { label: 'Purpose', required: true, filled: false }
+      ]));
+      const session = recordFilingStep(7, createStep('https://corponline.dcra.dc.gov/wizard?page=3', { current: 3, total: 4 }));
+
+      expect(session.steps.map(step => step.stepNumber)).toEqual([1, 3]);
+      expect(session.progress).toEqual({ current: 3, total: 4, visited: 2, remaining: [2, 4], missingRequired: 1 });
+      expect(session.state).toBe('DC');
+      expect(chrome.storage.session.set).toHaveBeenLastCalledWith({ [FILING_SESSIONS_KEY]: filingSessions });
+    });
+
+    test('updates a step left by submit without moving the current step', () => {
+      const { recordFilingStep } = loadFilingSessions();
+      const first = createStep('https://corponline.dcra.dc.gov/wizard', { current: 1, total: 3 });
+
+      recordFilingStep(7, first);
+      recordFilingStep(7, createStep('https://corponline.dcra.dc.gov/wizard', { current: 2, total: 3 }));
+      const firstSeenAt = recordFilingStep(7, first).steps[0].firstSeenAt;
+
+      const session = recordFilingStep(7, {
+        ...first,
+        fields: [{ label: 'Business Name', required: true, filled: true }],
+        reason: 'submit'
+      });
+      expect(session.steps).toHaveLength(2);
+      expect(session.steps[0]).toMatchObject({ filledCount: 1, lastReason: 'submit', firstSeenAt });
+      expect(session.progress.current).toBe(1);
+
+      // Unnumbered pages are keyed by URL and listed after the numbered steps
+      const confirmation = recordFilingStep(7, createStep('https://corponline.dcra.dc.gov/confirmation?id=9', null));
+      expect(confirmation.steps.map(step => step.key)).toEqual(['step-1', 'step-2', 'https://corponline.dcra.dc.gov/confirmation']);
+    });
+
+    test('starts a new session on another site or a wizard of another length', () => {
+      const { recordFilingStep, summarizeFilingSession } = loadFilingSessions();
+
+      const dc = recordFilingStep(7, createStep('https://corponline.dcra.dc.gov/wizard', { current: 1, total: 4 }));
+      const longer = recordFilingStep(7, createStep('https://corponline.dcra.dc.gov/other', { current: 1, total: 6 }));
+      const delaware = recordFilingStep(7, createStep('https://icis.corp.delaware.gov/', null));
+
+      expect(longer).not.toBe(dc);
+      expect(longer.steps).toHaveLength(1);
+      expect(delaware.origin).toBe('https://icis.corp.delaware.gov');
+      expect(summarizeFilingSession(delaware)).toEqual({ current: 1, total: 1, visited: 1, remaining: [], missingRequired: 0 });
+    });
+  });
+});
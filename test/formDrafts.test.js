@@ -0,0 +1,182 @@
+// formDrafts.test.js - Tests for saving and restoring form drafts
+
+const { webcrypto } = require('crypto');
+const { TextEncoder, TextDecoder } = require('util');
+const { loadModule, loadScript, createStorage } = require('./helpers/moduleLoader');
+
+/**
+ * indexedDB backed by a Map per database, enough for the draft key store
+ * @param {Object} databases - {name: Map}, changed in place
+ */
+function createIndexedDB(databases = {}) {
+  const later = callback => setTimeout(callback, 0);
+  return {
+    open(name) {
+      const open = {};
+      later(() => {
+        const isNew = !databases[name];
+        databases[name] = databases[name] || new Map();
+        const records = databases[name];
+        open.result = {
+          createObjectStore: jest.fn(),
+          close: jest.fn(),
+          transaction() {
+            const transaction = {
+              objectStore: () => ({
+                get: key => ({ result: records.get(key) }),
+                put: (value, key) => {
+                  records.set(key, value);
+                  return { result: key };
+                }
+              })
+            };
+            later(() => transaction.oncomplete());
+            return transaction;
+          }
+        };
+        if (isNew) open.onupgradeneeded();
+        open.onsuccess();
+      });
+      return open;
+    }
+  };
+}
+
+/**
+ * The background worker's draft encryption, answering formDrafts messages
+ * @param {Object} stored - storage.local contents
+ * @param {Object} databases - IndexedDB contents
+ */
+function loadDraftCrypto(stored, databases) {
+  const { chrome } = createStorage(stored);
+  return loadScript('background.js', [
+    'DRAFT_KEY_DB', 'DRAFT_KEY_STORE', 'DRAFT_KEY_ID', 'LEGACY_DRAFT_KEY_KEY', 'draftKeyPromise',
+    'runDraftKeyRequest', 'getDraftKey', 'toBase64', 'fromBase64', 'encryptDraftValue', 'decryptDraftValue'
+  ], {
+    chrome,
+    indexedDB: createIndexedDB(databases),
+    crypto: webcrypto,
+    btoa: text => Buffer.from(text, 'binary').toString('base64'),
+    atob: text => Buffer.from(text, 'base64').toString('binary'),
+    TextEncoder,
+    TextDecoder
+  });
+}
+
+function loadFormDrafts(stored = {}, databases = {}) {
+  const background = loadDraftCrypto(stored, databases);
+  const { chrome } = createStorage(stored);
+  chrome.runtime = {
+    sendMessage: jest.fn((message, callback) => {
+      const reply = message.action === 'encryptDraftValue'
+        ? background.encryptDraftValue(message.text).then(payload => ({ success: true, payload }))
+        : background.decryptDraftValue(message.payload).then(text => ({ success: true, text }));
+      reply.catch(error => ({ success: false, error: error.message })).then(callback);
+    })
+  };
+  return { ...loadModule('formDrafts.js', ['formDrafts', 'matchDraftFields'], { chrome }), background };
+}
+
+describe('FormDrafts', () => {
+  test('encrypts sensitive values and restores them', async () => {
+    const stored = {};
+    const databases = {};
+    const { formDrafts } = loadFormDrafts(stored, databases);
+
+    await formDrafts.save('form_a', [
+      { key: 'business_name', name: 'bizName', label: 'Business Name', category: 'business_name', value: 'Acme LLC' },
+      { key: 'ein', name: 'fein', label: 'EIN', category: 'ein', value: '12-3456789', sensitive: true },
+      { key: 'phone', name: 'phone', label: 'Phone', category: 'phone', value: '  ' }
+    ], { url: 'https://example.gov/apply' });
+
+    expect(JSON.stringify(stored.BRA_FormDrafts)).not.toContain('12-3456789');
+    expect(await formDrafts.getSummary('form_a')).toEqual({
+      savedAt: expect.any(Number),
+      fieldCount: 2,
+      sensitiveCount: 1
+    });
+
+    // A restarted worker reads the same key from IndexedDB
+    const { formDrafts: reloaded } = loadFormDrafts(stored, databases);
+    const draft = await reloaded.get('form_a');
+    expect(draft.fields.map(field => field.value)).toEqual(['Acme LLC', '12-3456789']);
+    expect(draft.fields[1].sensitive).toBe(true);
+  });
+
+  test('keeps the key non-extractable and moves a stored JWK into IndexedDB', async () => {
+    const legacyKey = await webcrypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const iv = new Uint8Array(12);
+    const data = await webcrypto.subtle.encrypt({ name: 'AES-GCM', iv }, legacyKey, new TextEncoder().encode('12-3456789'));
+    const stored = { BRA_DraftKey: await webcrypto.subtle.exportKey('jwk', legacyKey) };
+    const databases = {};
+    const { background } = loadFormDrafts(stored, databases);
+
+    // Values saved under the old key still decrypt
+    expect(await background.decryptDraftValue({
+      iv: Buffer.from(iv).toString('base64'),
+      data: Buffer.from(data).toString('base64')
+    })).toBe('12-3456789');
+    expect(stored).not.toHaveProperty('BRA_DraftKey');
+
+    const key = databases.BRA_DraftKeys.get('draft');
+    expect(key.extractable).toBe(false);
+    await expect(webcrypto.subtle.exportKey('jwk', key)).rejects.toThrow();
+  });
+
+  test('keeps earlier values for fields left empty when merging', async () => {
+    const { formDrafts } = loadFormDrafts();
+
+    await formDrafts.save('form_a', [
+      { key: 'business_name', value: 'Acme LLC' },
+      { key: 'city', value: 'Springfield' }
+    ]);
+    await formDrafts.save('form_a', [
+      { key: 'business_name', value: 'Acme Holdings LLC' },
+      { key: 'city', value: '' }
+    ], {}, { merge: true });
+
+    const draft = await formDrafts.get('form_a');
+    expect(draft.fields.map(field => [field.key, field.value])).toEqual([
+      ['business_name', 'Acme Holdings LLC'],
+      ['city', 'Springfield']
+    ]);
+
+    // Without merge the draft only has what is entered now
+    await formDrafts.save('form_a', [{ key: 'business_name', value: 'Acme LLC' }]);
+    expect((await formDrafts.get('form_a')).fields).toHaveLength(1);
+  });
+
+  test('matches saved fields when the page renumbers its ids', () => {
+    const { matchDraftFields } = loadFormDrafts();
+    const draftFields = [
+      { key: 'field-0', name: 'ctl00$Name', label: 'Business Name', category: 'business_name', value: 'Acme LLC' },
+      { key: 'field-1', name: 'ctl00$Street', label: 'Street Address:', category: 'address', value: '1 Main St' },
+      { key: 'field-2', name: 'ctl00$Ein', label: 'Federal ID', category: 'ein', value: '12-3456789' },
+      { key: 'field-3', name: 'ctl00$Notes', label: 'Notes', category: 'text_field', value: 'n/a' }
+    ];
+    const pageFields = [
+      { fieldId: 'field-5', name: 'ctl00$Name', label: { text: 'Name' }, classification: { category: 'business_name' } },
+      { fieldId: 'field-6', name: 'ctl01$Street', label: { text: 'Street address' }, classification: { category: 'address' } },
+      { fieldId: 'field-7', name: 'ctl01$Fein', label: { text: 'FEIN' }, classification: { category: 'ein' } },
+      { fieldId: 'field-8', name: 'ctl01$Comments', label: { text: 'Comments' }, classification: { category: 'text_field' } }
+    ];
+
+    const matches = matchDraftFields(draftFields, pageFields);
+    expect(matches.map(match => [match.field.fieldId, match.value])).toEqual([
+      ['field-5', 'Acme LLC'],
+      ['field-6', '1 Main St'],
+      ['field-7', '12-3456789']
+    ]);
+  });
+
+  test('discards a draft', async () => {
+    const { formDrafts } = loadFormDrafts();
+
+    await formDrafts.save('form_a', [{ key: 'business_name', value: 'Acme LLC' }]);
+    await formDrafts.save('form_b', [{ key: 'business_name', value: 'Beta Inc' }]);
+    await formDrafts.discard('form_a');
+
+    expect(await formDrafts.getSummary('form_a')).toBeNull();
+    expect(await formDrafts.get('form_b')).toMatchObject({ fields: [{ value: 'Beta Inc' }] });
+  });
+});
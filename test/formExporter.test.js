@@ -0,0 +1,97 @@
+// formExporter.test.js - Tests for JSON Schema and CSV export of detected forms
+
+const { loadModule } = require('./helpers/moduleLoader');
+
+function loadFormExporter() {
+  return loadModule('formExporter.js', ['formExporter']);
+}
+
+/**
+ * getUIData()-shaped data for a small registration form
+ */
+function buildUIData() {
+  document.body.innerHTML = `
+    <select id="entity"><option value="">Select...</option><option value="llc">LLC</option><option value="corp">Corporation</option></select>`;
+
+  return {
+    totalFields: 4,
+    categories: {
+      'Business Information': {
+        label: 'Business Information',
+        fields: [
+          { label: 'Business Name', name: 'biz_name', id: 'biz', type: 'text', required: true, category: 'business_name', confidence: 92 },
+          { label: 'Entity Type', name: '', id: 'entity', type: 'select-one', element: document.getElementById('entity'), required: true, category: 'entity_type', confidence: 80 }
+        ]
+      },
+      'Contact': {
+        label: 'Contact',
+        fields: [
+          { label: 'Email, primary', name: 'email', id: '', type: 'email', required: false, category: 'email', confidence: 95 },
+          {
+            label: 'Services', name: 'services', id: '', type: 'multi_select', originalType: 'checkbox', required: false,
+            options: [{ value: 'tax', label: 'Tax filing' }, { value: 'payroll', label: 'Payroll' }]
+          }
+        ]
+      }
+    }
+  };
+}
+
+describe('FormExporter', () => {
+  test('builds a JSON Schema with enums, required keys and category annotations', () => {
+    const { formExporter } = loadFormExporter();
+    const schema = formExporter.toJSONSchema(buildUIData(), { title: 'Register', url: 'https://corp.dcra.dc.gov/', state: 'DC' });
+
+    expect(schema.required).toEqual(['biz_name', 'entity']);
+    expect(schema.properties.biz_name).toMatchObject({ type: 'string', title: 'Business Name', 'x-bra-category': 'business_name' });
+    expect(schema.properties.entity.enum).toEqual(['llc', 'corp']);
+    expect(schema.properties.entity['x-bra-option-labels']).toEqual({ llc: 'LLC', corp: 'Corporation' });
+    expect(schema.properties.email.format).toBe('email');
+    expect(schema.properties.services).toMatchObject({ type: 'array', items: { type: 'string', enum: ['tax', 'payroll'] } });
+    expect(schema['x-bra-sections']).toEqual([
+      { name: 'Business Information', fields: ['biz_name', 'entity'] },
+      { name: 'Contact', fields: ['email', 'services'] }
+    ]);
+    expect(schema['x-bra-state']).toBe('DC');
+  });
+
+  test('keeps property keys unique', () => {
+    const { formExporter } = loadFormExporter();
+    const uiData = {
+      categories: {
+        Other: { label: 'Other', fields: [{ label: 'Phone', name: 'phone', type: 'tel' }, { label: 'Phone', name: 'phone', type: 'tel' }] }
+      }
+    };
+
+    expect(Object.keys(formExporter.toJSONSchema(uiData).properties)).toEqual(['phone', 'phone_2']);
+  });
+
+  test('writes a CSV inventory with quoted values', () => {
+    const { formExporter } = loadFormExporter();
+    const lines = formExporter.toCSV(buildUIData()).trim().split('\r\n');
+
+    expect(lines[0]).toBe('section,label,name,id,type,required,category,confidence,options');
+    expect(lines[2]).toBe('Business Information,Entity Type,,entity,select-one,yes,entity_type,80,LLC | Corporation');
+    expect(lines[3]).toBe('Contact,"Email, primary",email,,email,no,email,95,');
+    expect(lines[4]).toBe('Contact,Services,services,,checkbox,no,,,Tax filing | Payroll');
+  });
+
+  test('keeps cells that look like spreadsheet formulas as text', () => {
+    const { formExporter } = loadFormExporter();
+    const uiData = {
+      categories: {
+        Other: {
+          label: '@Other',
+          fields: [
+            { label: '=HYPERLINK("https://example.com","Click")', name: '+1', id: '-cmd', type: 'text' },
+            { label: 'Amount - USD', name: 'amount', id: 'amount', type: 'text' }
+          ]
+        }
+      }
+    };
+    const lines = formExporter.toCSV(uiData).trim().split('\r\n');
+
+    expect(lines[1]).toBe(`'@Other,"'=HYPERLINK(""https://example.com"",""Click"")",'+1,'-cmd,text,no,,,`);
+    expect(lines[2]).toBe("'@Other,Amount - USD,amount,amount,text,no,,,");
+  });
+});
@@ -0,0 +1,175 @@
+// moduleLoader.js - Loads extension ES modules into tests without a bundler
+
+const fs = require('fs');
+const path = require('path');
+
+const EXTENSION_DIR = path.join(__dirname, '../../extension');
+
+// Console that swallows the modules' [BRA-...] logging
+const quietConsole = ['log', 'info', 'warn', 'error', 'debug', 'group', 'groupCollapsed', 'groupEnd', 'table']
+  .reduce((stub, method) => ({ ...stub, [method]: () => {} }), {});
+
+/**
+ * Source of a module with its import/export lines removed, so it can be
+ * evaluated as a function body
+ * @param {string} file - File under extension/modules
+ * @returns {string} Source
+ */
+function readModuleSource(file) {
+  return fs.readFileSync(path.join(EXTENSION_DIR, 'modules', file), 'utf8')
+    .replace(/^import .*$/gm, '')
+    .replace(/^export .*$/gm, '');
+}
+
+/**
+ * Evaluate a module and return some of its top-level names
+ * @param {string} file - File under extension/modules
+ * @param {Array} names - Top-level names to return, e.g. ['nameChecker']
+ * @param {Object} scope - What the module imports or reads as globals,
+ *   e.g. {chrome, knowledgeLoader}; console defaults to a quiet one
+ * @returns {Object} The requested names
+ */
+function loadModule(file, names, scope = {}) {
+  const context = { console: quietConsole, ...scope };
+  const keys = Object.keys(context);
+  return new Function(...keys, `${readModuleSource(file)}\nreturn { ${names.join(', ')} };`)(
+    ...keys.map(key => context[key])
+  );
+}
+
+/**
+ * Top-level declarations of a classic script (content.js, background.js),
+ * cut out by name so they can run without the rest of the script
+ * @param {string} file - Path under extension/
+ * @param {Array} declarations - Function, const or let names
+ * @returns {string} Source of those declarations, in the given order
+ */
+function readScriptDeclarations(file, declarations) {
+  const lines = fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8').split('\n');
+
+  return declarations.map(name => {
+    const start = lines.findIndex(line => new RegExp(`^(?:async function|function|const|let) ${name}\\b`).test(line));
+    if (start < 0) {
+      throw new Error(`${name} is not declared at the top level of ${file}`);
+    }
+
+    // Functions end at a closing brace in the first column; constants when
+    // their brackets balance at the end of a statement
+    let end = start;
+    if (/function/.test(lines[start])) {
+      while (lines[end] !== '}') end++;
+    } else {
+      let depth = 0;
+      for (;; end++) {
+        depth += (lines[end].match(/[{[(]/g) || []).length - (lines[end].match(/[}\])]/g) || []).length;
+        if (depth === 0 && /;\s*(\/\/.*)?$/.test(lines[end])) break;
+      }
+    }
+    return lines.slice(start, end + 1).join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Evaluate some top-level declarations of a classic script
+ * @param {string} file - Path under extension/
+ * @param {Array} declarations - Declarations to evaluate, e.g.
+ *   ['PERSON_CATEGORIES', 'detectFieldRole']
+ * @param {Object} scope - Globals and other script state the declarations
+ *   read, e.g. {detectionResult}; console defaults to a quiet one
+ * @returns {Object} The declared names
+ */
+function loadScript(file, declarations, scope = {}) {
+  const context = { console: quietConsole, ...scope };
+  const keys = Object.keys(context);
+  return new Function(...keys, `${readScriptDeclarations(file, declarations)}\nreturn { ${declarations.join(', ')} };`)(
+    ...keys.map(key => context[key])
+  );
+}
+
+/**
+ * chrome.storage.local backed by a plain object
+ * @param {Object} stored - Initial contents, changed in place
+ * @returns {Object} {stored, chrome}
+ */
+function createStorage(stored = {}) {
+  return {
+    stored,
+    chrome: {
+      storage: {
+        local: {
+          get: jest.fn(async keys => {
+            if (keys == null) return { ...stored };
+            return Object.fromEntries([].concat(keys).filter(key => key in stored).map(key => [key, stored[key]]));
+          }),
+          set: jest.fn(async items => Object.assign(stored, items)),
+          remove: jest.fn(async keys => [].concat(keys).forEach(key => delete stored[key]))
+        }
+      }
+    }
+  };
+}
+
+/**
+ * The i18n module reading the real _locales messages, for modules that word
+ * their messages with it
+ * @param {string} locale - Locale chosen in the panel
+ * @returns {Object} i18n, loaded on the modules' first init()
+ */
+function createI18n(locale = 'en') {
+  const chrome = {
+    runtime: { getURL: file => file },
+    i18n: { getUILanguage: () => 'en-US' },
+    storage: createStorage({ BRA_Locale: locale }).chrome.storage
+  };
+  return loadModule('i18n.js', ['i18n'], { chrome, fetch: fetchFromDisk, LOCALE_KEY: 'BRA_Locale', DEFAULT_LOCALE: 'en' }).i18n;
+}
+
+/**
+ * Read a JSON file of the extension
+ * @param {string} file - Path under extension/
+ * @returns {Object} Parsed JSON
+ */
+function readExtensionJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'));
+}
+
+/**
+ * fetch() of an extension file (chrome.runtime.getURL() paths are read from
+ * the extension directory)
+ * @param {string} file - Path under extension/
+ * @returns {Promise<Object>} Response-like {ok, status, json, text}
+ */
+async function fetchFromDisk(file) {
+  const fullPath = path.join(EXTENSION_DIR, file);
+  if (!fs.existsSync(fullPath)) {
+    return { ok: false, status: 404 };
+  }
+  const text = fs.readFileSync(fullPath, 'utf8');
+  return { ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text };
+}
+
+/**
+ * State data shaped like knowledgeLoader.loadStateData() (forms.json plus
+ * the overrides.json sections)
+ * @param {string} code - Two-letter state code
+ * @returns {Object} State data
+ */
+function readStateData(code) {
+  const dir = `knowledge/states/${code.toLowerCase()}`;
+  const { state, description, ...sections } = readExtensionJson(`${dir}/overrides.json`);
+  return { ...readExtensionJson(`${dir}/forms.json`), ...sections };
+}
+
+module.exports = {
+  EXTENSION_DIR,
+  quietConsole,
+  readModuleSource,
+  loadModule,
+  readScriptDeclarations,
+  loadScript,
+  createStorage,
+  createI18n,
+  readExtensionJson,
+  fetchFromDisk,
+  readStateData
+};
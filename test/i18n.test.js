@@ -0,0 +1,131 @@
+// i18n.test.js - Tests for UI translations and translated knowledge
+
+const fs = require('fs');
+const path = require('path');
+const { EXTENSION_DIR, loadModule, createStorage, fetchFromDisk } = require('./helpers/moduleLoader');
+
+function readMessages(locale) {
+  return JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, '_locales', locale, 'messages.json'), 'utf8'));
+}
+
+function createChrome(stored = {}, uiLanguage = 'en-US') {
+  return {
+    runtime: { getURL: file => file },
+    i18n: { getUILanguage: () => uiLanguage },
+    storage: {
+      ...createStorage(stored).chrome.storage,
+      onChanged: { addListener: jest.fn() }
+    }
+  };
+}
+
+function loadI18n(chrome) {
+  return loadModule('i18n.js', ['i18n', 'resolveLocale', 'formatMessage'],
+    { chrome, fetch: fetchFromDisk, LOCALE_KEY: 'BRA_Locale', DEFAULT_LOCALE: 'en' });
+}
+
+function loadKnowledgeLoader(chrome) {
+  return loadModule('knowledgeLoader.js', ['knowledgeLoader', 'applyTranslation'],
+    { chrome, fetch: fetchFromDisk, globalThis: {} });
+}
+
+describe('I18n', () => {
+  test('every English message is translated to Spanish with the same placeholders', () => {
+    const en = readMessages('en');
+    const es = readMessages('es');
+
+    expect(Object.keys(es).sort()).toEqual(Object.keys(en).sort());
+    Object.entries(en).forEach(([key, entry]) => {
+      expect(es[key].message).toBeTruthy();
+      expect(Object.keys(es[key].placeholders || {})).toEqual(Object.keys(entry.placeholders || {}));
+    });
+  });
+
+  test('formats substitutions like chrome.i18n.getMessage', () => {
+    const { formatMessage } = loadI18n(createChrome());
+    const entry = {
+      message: 'Step $current$ of $total$ ($$5 fee)',
+      placeholders: { current: { content: '$1' }, total: { content: '$2' } }
+    };
+
+    expect(formatMessage(entry, ['2', '4'])).toBe('Step 2 of 4 ($5 fee)');
+    expect(formatMessage({ message: 'Hello $1' }, 'Ana')).toBe('Hello Ana');
+  });
+
+  test('picks the stored locale, then the browser language', async () => {
+    const { i18n, resolveLocale } = loadI18n(createChrome({}, 'es-MX'));
+
+    expect(resolveLocale('es_ES')).toBe('es');
+    expect(resolveLocale('fr')).toBe('en');
+    expect(await i18n.init()).toBe('es');
+
+    const stored = loadI18n(createChrome({ BRA_Locale: 'en' }, 'es-MX'));
+    expect(await stored.i18n.init()).toBe('en');
+  });
+
+  test('translates messages and falls back to English', async () => {
+    const { i18n } = loadI18n(createChrome());
+    await i18n.init();
+    // A partial translation
+    i18n.messages = { send: { message: 'Enviar' } };
+    i18n.locale = 'es';
+
+    expect(i18n.t('send')).toBe('Enviar');
+    expect(i18n.t('checkAgain')).toBe('Check Again');
+    expect(i18n.t('fieldsNeedAttention', '3')).toBe('3 fields need attention');
+    expect(i18n.t('missingMessage')).toBe('missingMessage');
+  });
+
+  test('setLocale saves the choice and translates static markup', async () => {
+    const stored = {};
+    const { i18n } = loadI18n(createChrome(stored));
+    await i18n.setLocale('es');
+
+    document.body.innerHTML = `
+      <button data-i18n="checkAgain">Check Again</button>
+      <input data-i18n-placeholder="chatPlaceholder" data-i18n-aria-label="send">
+    `;
+    i18n.translateDocument(document);
+
+    expect(stored.BRA_Locale).toBe('es');
+    expect(document.querySelector('button').textContent).toBe('Comprobar de nuevo');
+    expect(document.querySelector('input').getAttribute('placeholder')).toBe('Escriba su pregunta aquí...');
+    expect(document.querySelector('input').getAttribute('aria-label')).toBe('Enviar');
+    expect(document.documentElement.lang).toBe('es');
+  });
+});
+
+describe('Knowledge translations', () => {
+  test('only replaces text, keeping English where the translation is missing', () => {
+    const { applyTranslation } = loadKnowledgeLoader(createChrome());
+    const base = { fee: 70, tips: ['First', 'Second'], guide: { description: 'Name', tips: 'Check it' } };
+    const translated = applyTranslation(base, {
+      fee: 'setenta',
+      tips: ['Primero'],
+      guide: { description: 'Nombre', extra: 'ignored' }
+    });
+
+    expect(translated).toEqual({ fee: 70, tips: ['Primero', 'Second'], guide: { description: 'Nombre', tips: 'Check it' } });
+    expect(base.guide.description).toBe('Name');
+  });
+
+  test('loads Spanish form field guidance when the locale is Spanish', async () => {
+    const { knowledgeLoader } = loadKnowledgeLoader(createChrome({ BRA_Locale: 'es' }));
+    const ca = await knowledgeLoader.loadStateData('CA');
+    const guidance = ca.form_field_guidance.common_fields;
+
+    expect(guidance.entity_name.description).toBe('El nombre oficial de su entidad comercial.');
+    expect(knowledgeLoader.getStateSources('CA')).toContain('knowledge/locales/es/states/ca/overrides.json');
+    // Untranslated knowledge keeps its English text and values
+    expect(ca.validation_overrides).toBeDefined();
+
+    // DC has no Spanish overlay, so it loads in English
+    const dc = await knowledgeLoader.loadStateData('DC');
+    expect(knowledgeLoader.getStateSources('DC').some(source => source.includes('locales'))).toBe(false);
+    expect(dc).toBeTruthy();
+
+    knowledgeLoader.setLocale('en');
+    const english = await knowledgeLoader.loadStateData('CA');
+    expect(english.form_field_guidance.common_fields.entity_name.description).toBe('The official name of your business entity.');
+  });
+});
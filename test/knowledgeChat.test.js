@@ -0,0 +1,102 @@
+// knowledgeChat.test.js - Tests for answering registration questions from the knowledge base
+
+const { loadModule, createStorage, createI18n, fetchFromDisk } = require('./helpers/moduleLoader');
+
+function loadKnowledgeChat(locale = 'en') {
+  const chrome = {
+    runtime: { getURL: file => file },
+    storage: {
+      ...createStorage().chrome.storage,
+      onChanged: { addListener: jest.fn() }
+    }
+  };
+  const { knowledgeLoader, STATE_NAME_TO_CODE } = loadModule('knowledgeLoader.js', ['knowledgeLoader', 'STATE_NAME_TO_CODE'],
+    { chrome, fetch: fetchFromDisk, globalThis: {} });
+  return loadModule('knowledgeChat.js', ['knowledgeChat'],
+    { chrome, fetch: fetchFromDisk, knowledgeLoader, STATE_NAME_TO_CODE, i18n: createI18n(locale) }).knowledgeChat;
+}
+
+describe('KnowledgeChat', () => {
+  test('finds states by name and by unambiguous code', () => {
+    const knowledgeChat = loadKnowledgeChat();
+
+    expect(knowledgeChat.findState('What does an LLC cost in California?')).toBe('CA');
+    expect(knowledgeChat.findState('CA LLC fee')).toBe('CA');
+    expect(knowledgeChat.findState('Do I need a registered agent in Washington, D.C.?')).toBe('DC');
+    expect(knowledgeChat.findState('Is it OK to file in Oregon?')).toBe('OR');
+    expect(knowledgeChat.findState('what is the fee in ca')).toBeNull();
+  });
+
+  test('reads everyday-word codes only next to state or filing wording', () => {
+    const knowledgeChat = loadKnowledgeChat();
+
+    expect(knowledgeChat.findState('HI, what is the LLC fee?')).toBeNull();
+    expect(knowledgeChat.findState('Is that OK?')).toBeNull();
+    expect(knowledgeChat.findState('Where do I put my ID number?')).toBeNull();
+    expect(knowledgeChat.findState('Is an LLC OK in DE?')).toBe('DE');
+
+    expect(knowledgeChat.findState('LLC fee in OR')).toBe('OR');
+    expect(knowledgeChat.findState('OH annual report due date')).toBe('OH');
+    expect(knowledgeChat.findState('OK')).toBe('OK');
+    expect(knowledgeChat.findState('ME?')).toBe('ME');
+  });
+
+  test('answers from the state knowledge files and names them as sources', async () => {
+    const knowledgeChat = loadKnowledgeChat();
+
+    const cost = await knowledgeChat.answer('What does an LLC cost in California?');
+    expect(cost).toMatchObject({ stateCode: 'CA', entityType: 'llc', sources: ['knowledge/states/ca/forms.json'] });
+    expect(cost.text).toMatch(/^Forming an LLC in California \(Articles of Organization \(LLC-1\)\) costs \$70 to file\./);
+
+    const form = await knowledgeChat.answer('What form do I file for a corporation in California?');
+    expect(form.text).toContain('filed with the California Secretary of State');
+    expect(form.sources).toEqual(['knowledge/states/ca/forms.json', 'knowledge/states/ca/agencies.json']);
+
+    const naming = await knowledgeChat.answer('What are the naming rules?', { stateCode: 'DE', entityType: 'llc' });
+    expect(naming.text).toBe('Delaware LLC names must include one of: LLC, L.L.C., Limited Liability Company. They may not use: Bank, Trust, University, College, Insurance.');
+    expect(naming.sources).toEqual(['knowledge/states/de/overrides.json']);
+  });
+
+  test('answers Spanish questions in Spanish', async () => {
+    const knowledgeChat = loadKnowledgeChat('es');
+
+    const cost = await knowledgeChat.answer('¿Cuánto cuesta una LLC en California?');
+    expect(cost).toMatchObject({ stateCode: 'CA', entityType: 'llc', sources: ['knowledge/states/ca/forms.json'] });
+    expect(cost.text).toMatch(/^Constituir una LLC en California \(Articles of Organization \(LLC-1\)\) cuesta \$70\./);
+
+    const form = await knowledgeChat.answer('¿Qué formulario necesito para una corporación en California?');
+    expect(form.entityType).toBe('corporation');
+    expect(form.text).toMatch(/^Una corporación en California se constituye con .+, que se presenta ante California Secretary of State/);
+
+    const agent = await knowledgeChat.answer('¿Necesito un agente registrado en Delaware?');
+    expect(agent.text).toMatch(/^Requisito de agente registrado en Delaware: /);
+
+    expect((await knowledgeChat.answer('¿Cuánto es la tasa?')).text).toMatch(/^¿Para qué estado es\?/);
+  });
+
+  test('explains entity types from entity_types.json', async () => {
+    const knowledgeChat = loadKnowledgeChat();
+
+    const result = await knowledgeChat.answer('What is an S corp?', { stateCode: 'CA' });
+    expect(result.text).toMatch(/^S Corporation: .+ Advantages: .+ Disadvantages: .+ Taxation: /);
+    expect(result.sources).toEqual(['knowledge/entities/entity_types.json']);
+  });
+
+  test('asks for the state or says when there is no knowledge for it', async () => {
+    const knowledgeChat = loadKnowledgeChat();
+
+    expect((await knowledgeChat.answer('How much is the fee?')).text).toMatch(/^Which state is this for\?/);
+    expect(await knowledgeChat.answer('What does an LLC cost in Texas?')).toEqual({
+      text: "I don't have knowledge for TX yet.", sources: [], stateCode: 'TX', entityType: 'llc'
+    });
+    expect((await knowledgeChat.answer('hello there')).text).toBeNull();
+  });
+
+  test('falls back to the detected state when the greeting looks like a code', async () => {
+    const knowledgeChat = loadKnowledgeChat();
+
+    const result = await knowledgeChat.answer('HI, what is the LLC fee?', { stateCode: 'CA' });
+    expect(result.stateCode).toBe('CA');
+    expect(result.text).toContain('California');
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * @jest-environment node
+ */
+// migrateStateKnowledge.test.js - Tests for converting legacy state files to the state directory layout
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StateKnowledgeMigrator = require('../tools/migrateStateKnowledge');
+const { readExtensionJson } = require('./helpers/moduleLoader');
+
+// Legacy single-file layout, as california.json and delaware.json were
+const LEGACY_STATE = {
+  state_code: 'TX',
+  state_name: 'Texas',
+  business_registration: {
+    governing_agency: 'Texas Secretary of State',
+    website: 'https://www.sos.state.tx.us/',
+    urls: {
+      main: 'https://www.sos.state.tx.us/corp/',
+      online_filing: 'https://www.sos.state.tx.us/corp/sosda/'
+    },
+    forms: {
+      llc: {
+        main_form: 'Certificate of Formation (Form 205)',
+        filing_fee: 300,
+        processing_time: 'Standard: 2-3 business days'
+      }
+    },
+    requirements: {
+      registered_agent: { required: true, description: 'All entities must designate a registered agent.' },
+      naming_conventions: { llc: { required_terms: ['LLC', 'Limited Liability Company'] } }
+    },
+    additional_filings: {
+      franchise_tax: { required: true, description: 'Annual franchise tax report.' }
+    }
+  },
+  form_field_guidance: {
+    common_fields: { entity_name: { description: 'The official name of your business entity.' } }
+  }
+};
+
+describe('StateKnowledgeMigrator', () => {
+  let migrator;
+  let statesDir;
+
+  beforeEach(() => {
+    migrator = new StateKnowledgeMigrator();
+    migrator.log = jest.fn();
+    statesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bra-states-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(statesDir, { recursive: true, force: true });
+  });
+
+  function writeLegacy(legacy = LEGACY_STATE) {
+    const legacyPath = path.join(statesDir, 'texas.json');
+    fs.writeFileSync(legacyPath, JSON.stringify(legacy));
+    return legacyPath;
+  }
+
+  const readOutput = file => JSON.parse(fs.readFileSync(path.join(statesDir, 'tx', file), 'utf8'));
+
+  test('converts a legacy file to forms, agencies and overrides and back without losing values', () => {
+    const canonical = migrator.toCanonical(LEGACY_STATE);
+
+    expect(canonical.forms.forms.business_registration).toMatchObject({
+      url: 'https://www.sos.state.tx.us/corp/',
+      agency: 'SOS',
+      entity_specific: { llc: { form_name: 'Certificate of Formation (Form 205)', filing_fee: 300 } }
+    });
+    expect(canonical.agencies.agencies.SOS.online_portals.online_filing).toEqual({
+      url: 'https://www.sos.state.tx.us/corp/sosda/', description: 'Online filing'
+    });
+    expect(canonical.overrides.validation_overrides.business_name.naming_conventions).toEqual(
+      LEGACY_STATE.business_registration.requirements.naming_conventions
+    );
+    expect(canonical.overrides.requirements).not.toHaveProperty('naming_conventions');
+
+    expect(migrator.toLegacy(canonical)).toEqual(LEGACY_STATE);
+    expect(migrator.findDifference(LEGACY_STATE, migrator.toLegacy(canonical))).toBeNull();
+  });
+
+  test('round-trips the migrated California and Delaware directories', () => {
+    ['ca', 'de'].forEach(code => {
+      const files = Object.fromEntries(['forms', 'agencies', 'overrides']
+        .map(file => [file, readExtensionJson(`knowledge/states/${code}/${file}.json`)]));
+      const legacy = migrator.toLegacy(files);
+
+      expect(legacy.state_code).toBe(code.toUpperCase());
+      expect(migrator.findDifference(legacy, migrator.toLegacy(migrator.toCanonical(legacy)))).toBeNull();
+    });
+  });
+
+  test('writes the state directory and removes the legacy file when asked', () => {
+    const legacyPath = writeLegacy();
+
+    expect(migrator.migrateFile(legacyPath, { dryRun: true })).toBe(true);
+    expect(fs.existsSync(path.join(statesDir, 'tx'))).toBe(false);
+
+    expect(migrator.migrateFile(legacyPath, { removeLegacy: true })).toBe(true);
+    expect(migrator.toLegacy({
+      forms: readOutput('forms.json'),
+      agencies: readOutput('agencies.json'),
+      overrides: readOutput('overrides.json')
+    })).toEqual(LEGACY_STATE);
+    expect(fs.existsSync(legacyPath)).toBe(false);
+
+    // An existing directory is only replaced with force
+    writeLegacy();
+    expect(migrator.migrateFile(legacyPath)).toBe(false);
+    expect(migrator.errors[0]).toMatch(/already exists/);
+    expect(migrator.migrateFile(legacyPath, { force: true })).toBe(true);
+  });
+
+  test('refuses files with keys the migration does not map', () => {
+    const legacyPath = writeLegacy({
+      ...LEGACY_STATE,
+      business_registration: { ...LEGACY_STATE.business_registration, fees_schedule: {} }
+    });
+
+    expect(migrator.migrateFile(legacyPath)).toBe(false);
+    expect(migrator.errors).toEqual([
+      'Keys the migration does not map (extend it before migrating): business_registration.fees_schedule'
+    ]);
+    expect(fs.existsSync(path.join(statesDir, 'tx'))).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+// nameChecker.test.js - Tests for business name compliance checks
+
+const { loadModule, createI18n, readExtensionJson } = require('./helpers/moduleLoader');
+
+function readKnowledge(file) {
+  return readExtensionJson(`knowledge/${file}`);
+}
+
+/**
+ * Load NameChecker with a knowledge loader that reads the real knowledge files
+ */
+function loadNameChecker(locale = 'en') {
+  const knowledgeLoader = {
+    commonPatterns: { validation_rules: readKnowledge('common/validation-rules.json') },
+    initialize: jest.fn(),
+    loadStateData: jest.fn(async code => readKnowledge(`states/${code.toLowerCase()}/overrides.json`))
+  };
+
+  return loadModule('nameChecker.js', ['nameChecker', 'NameChecker', 'normalizeEntityType'], { knowledgeLoader, i18n: createI18n(locale) });
+}
+
+describe('NameChecker', () => {
+  test('accepts a name with the required designator', async () => {
+    const { nameChecker } = loadNameChecker();
+    const result = await nameChecker.checkName('Sunrise Bakery L.L.C.', { stateCode: 'CA', entityType: 'llc' });
+
+    expect(result.compliant).toBe(true);
+    expect(result.suggestion).toBeNull();
+  });
+
+  test('flags a missing designator and a prohibited term for the entity type', async () => {
+    const { nameChecker } = loadNameChecker();
+    const result = await nameChecker.checkName('Sunrise Bakery Inc.', { stateCode: 'CA', entityType: 'Limited Liability Company' });
+
+    expect(result.issues.map(issue => issue.type)).toEqual(['missing_designator', 'prohibited_term']);
+    expect(result.suggestion).toBe('Sunrise Bakery LLC');
+  });
+
+  test('flags state restricted words and drops them from the suggestion', async () => {
+    const { nameChecker } = loadNameChecker();
+    const result = await nameChecker.checkName('Federal Consulting Inc.', { stateCode: 'DC', entityType: 'corporation' });
+
+    expect(result.issues).toEqual([
+      expect.objectContaining({ type: 'restricted_word', term: 'Federal' })
+    ]);
+    expect(result.suggestion).toBe('Consulting Inc.');
+  });
+
+  test('words the issues in the language chosen in the panel', async () => {
+    const { nameChecker } = loadNameChecker('es');
+    const result = await nameChecker.checkName('Sunrise Bakery Inc.', { stateCode: 'CA', entityType: 'llc' });
+
+    expect(result.issues.map(issue => issue.message)).toEqual([
+      expect.stringMatching(/^El nombre de una sociedad de responsabilidad limitada debe incluir uno de: .*LLC/),
+      expect.stringMatching(/no puede usarse en el nombre de este tipo de entidad en CA$/)
+    ]);
+  });
+
+  test('falls back to the common designators without state conventions', async () => {
+    const { nameChecker } = loadNameChecker();
+    const result = await nameChecker.checkName('Capitol Widgets', { entityType: 's_corporation' });
+
+    expect(result.entityType).toBe('corporation');
+    expect(result.issues.map(issue => issue.type)).toEqual(['missing_designator']);
+    expect(result.suggestion).toBe('Capitol Widgets Inc.');
+  });
+
+  test('only checks restricted words when the entity type is unknown', async () => {
+    const { nameChecker } = loadNameChecker();
+    const result = await nameChecker.checkName('Congress Street Cafe', { stateCode: 'DC' });
+
+    expect(result.entityType).toBeNull();
+    expect(result.issues.map(issue => issue.term)).toEqual(['Congress']);
+  });
+});
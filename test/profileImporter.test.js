@@ -0,0 +1,139 @@
+// profileImporter.test.js - Tests for importing profiles from CSV, JSON and vCard
+
+const { loadModule, createStorage, createI18n, readExtensionJson } = require('./helpers/moduleLoader');
+
+async function loadImporter(stored = {}) {
+  const { chrome } = createStorage(stored);
+  const knowledgeLoader = {
+    commonPatterns: {
+      field_definitions: readExtensionJson('knowledge/common/field-definitions.json'),
+      validation_rules: readExtensionJson('knowledge/common/validation-rules.json')
+    },
+    initialize: jest.fn(),
+    loadStateData: jest.fn(async () => null)
+  };
+
+  const { profileStore, ENTITY_TYPE_LABELS } = loadModule('profileStore.js', ['profileStore', 'ENTITY_TYPE_LABELS'], { chrome });
+  const { validationEngine } = loadModule('validationEngine.js', ['validationEngine'], { knowledgeLoader, i18n: createI18n() });
+  const { profileImporter, parseCsv, parseVCard } = loadModule('profileImporter.js', ['profileImporter', 'parseCsv', 'parseVCard'],
+    { knowledgeLoader, validationEngine, profileStore, ENTITY_TYPE_LABELS });
+
+  await profileImporter.initialize();
+  return { profileImporter, profileStore, parseCsv, parseVCard };
+}
+
+describe('ProfileImporter', () => {
+  test('parses quoted CSV and suggests a mapping onto field definitions', async () => {
+    const { profileImporter, parseCsv } = await loadImporter();
+
+    const csv = 'Company Name;FEIN;Type;Notes\r\n"Acme; Sons LLC";123456789;L.L.C.;"said ""hi"""\r\n\r\n';
+    expect(parseCsv(csv)).toEqual({
+      headers: ['Company Name', 'FEIN', 'Type', 'Notes'],
+      rows: [['Acme; Sons LLC', '123456789', 'L.L.C.', 'said "hi"']]
+    });
+
+    const source = profileImporter.parse('Business Name,EIN/Federal Tax ID,ZIP Code,Email,Favourite Color\nAcme,,,,', 'clients.csv');
+    expect(source.format).toBe('csv');
+    expect(profileImporter.suggestMapping(source.headers)).toEqual(['entityName', 'ein', 'zip', 'email', '']);
+  });
+
+  test('reports invalid values and leaves them out of the dry run', async () => {
+    const { profileImporter, profileStore } = await loadImporter();
+    const source = profileImporter.parse([
+      'Business Name,FEIN,Type,Formation State,Formation Date,Email,Owner',
+      'Acme LLC,123456789,L.L.C.,ca,3/5/2021,not-an-email,Jane Q Roe',
+      ',98-7654321,Corporation,DE,,,',
+      'Acme LLC,12-3456789,LLC,CA,,,'
+    ].join('\n'), 'clients.csv');
+
+    const profiles = profileImporter.toProfiles(source, profileImporter.suggestMapping(source.headers));
+    const plan = profileImporter.plan(profiles, await profileStore.getProfiles());
+
+    expect(plan.map(entry => entry.action)).toEqual(['create', 'skip', 'skip']);
+
+    const [acme] = plan;
+    expect(acme.profile.entity).toMatchObject({ business_name: 'Acme LLC', entity_type: 'llc', formation_state: 'CA', formation_date: '2021-03-05' });
+    expect(acme.profile.tax_ids.ein).toBe('12-3456789');
+    expect(acme.profile.contact.email).toBe('');
+    expect(acme.errors).toEqual([
+      { path: 'contact.email', label: 'Email Address', value: 'not-an-email', message: 'Please enter a valid email address' }
+    ]);
+    expect(acme.profile.people[0]).toMatchObject({ first_name: 'Jane Q', last_name: 'Roe' });
+
+    expect(plan[1].errors.map(error => error.path)).toEqual(['entity.business_name']);
+    expect(plan[2].warnings.map(warning => warning.message)).toContain('Same business as entry 1');
+
+    // Nothing is saved by planning
+    expect(await profileStore.getProfiles()).toEqual([]);
+  });
+
+  test('reads vCards and merges into the business with the same name', async () => {
+    const stored = {};
+    const { profileImporter, profileStore, parseVCard } = await loadImporter(stored);
+    const existing = profileStore.createEmptyProfile('Acme');
+    existing.entity.business_name = 'Acme LLC';
+    existing.contact.phone = '555-000-1111';
+    await profileStore.saveProfile(existing);
+
+    const vcard = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      'N:Roe;Jane;;;',
+      'FN:Jane Roe',
+      'ORG:Acme LLC;Finance',
+      'TITLE:Managing Member',
+      'EMAIL;TYPE=HOME:jane@example.com',
+      'EMAIL;TYPE=WORK:jane@acme.example',
+      'ADR;TYPE=WORK:;;1 Main St\\, Suite 2;Springfield;IL;62701;USA',
+      'END:VCARD'
+    ].join('\r\n');
+
+    expect(parseVCard(vcard)).toEqual([{
+      ownerName: 'Jane Roe',
+      entityName: 'Acme LLC',
+      ownerTitle: 'Managing Member',
+      email: 'jane@acme.example',
+      street1: '1 Main St, Suite 2',
+      city: 'Springfield',
+      state: 'IL',
+      zip: '62701'
+    }]);
+
+    const source = profileImporter.parse(vcard, 'contacts.vcf');
+    const plan = profileImporter.plan(profileImporter.toProfiles(source), await profileStore.getProfiles());
+    expect(plan[0]).toMatchObject({ action: 'update', errors: [] });
+
+    expect(await profileImporter.apply(plan)).toEqual({ created: 0, updated: 1 });
+    const [saved] = stored.BRA_BusinessProfiles;
+    expect(saved.id).toBe(existing.id);
+    expect(saved.contact).toEqual({ email: 'jane@acme.example', phone: '555-000-1111' });
+    expect(saved.people.map(person => [person.first_name, person.title])).toEqual([['Jane', 'Managing Member']]);
+  });
+
+  test('imports exported JSON profiles as new businesses', async () => {
+    const stored = {};
+    const { profileImporter } = await loadImporter(stored);
+
+    const source = profileImporter.parse(JSON.stringify({
+      profiles: [{
+        id: 'profile_old',
+        label: 'Beta',
+        entity: { business_name: 'Beta Inc', entity_type: 'corporation' },
+        principal_address: { street: '9 Elm Ave', city: 'Dover', state: 'DE', zip: '19901' },
+        people: [{ id: 'person_old', first_name: 'Sam', last_name: 'Lee', roles: ['officer'] }]
+      }]
+    }), 'profiles.json');
+    expect(source.format).toBe('json');
+
+    const plan = profileImporter.plan(profileImporter.toProfiles(source), []);
+    expect(plan[0]).toMatchObject({ action: 'create', errors: [] });
+    expect(plan[0].warnings.map(warning => warning.path)).toEqual(expect.arrayContaining(['tax_ids.ein', 'entity.formation_date']));
+
+    await profileImporter.apply(plan);
+    const [saved] = stored.BRA_BusinessProfiles;
+    expect(saved.id).not.toBe('profile_old');
+    expect(saved.people[0]).toMatchObject({ first_name: 'Sam', roles: ['officer'] });
+    expect(saved.people[0].id).not.toBe('person_old');
+    expect(stored.BRA_ActiveProfileId).toBe(saved.id);
+  });
+});
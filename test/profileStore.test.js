@@ -0,0 +1,124 @@
+// profileStore.test.js - Tests for business profiles and their auto-fill values
+
+const { loadModule, createStorage } = require('./helpers/moduleLoader');
+
+function loadProfileStore(stored = {}) {
+  return loadModule('profileStore.js', ['profileStore', 'PROFILES_KEY', 'ACTIVE_PROFILE_KEY', 'ACTIVE_PERSON_KEY'], createStorage(stored));
+}
+
+function createProfile(profileStore) {
+  const profile = profileStore.createEmptyProfile('Acme');
+  profile.entity.business_name = 'Acme Widgets LLC';
+  profile.entity.entity_type = 'llc';
+  profile.principal_address = { street: '1 Main St', street2: 'Suite 200', city: 'Sacramento', state: 'CA', zip: '95814' };
+  profile.contact = { email: 'office@acme.test', phone: '' };
+  profile.tax_ids = { ein: '12-3456789', ssn: '' };
+
+  const organizer = { ...profileStore.createEmptyPerson(), id: 'person_ada', first_name: 'Ada', last_name: 'Lovelace', phone: '555-0100', roles: ['organizer'] };
+  const agent = {
+    ...profileStore.createEmptyPerson(),
+    id: 'person_grace',
+    first_name: 'Grace',
+    last_name: 'Hopper',
+    roles: ['registered_agent'],
+    address: { street: '9 Agent Way', city: 'Fresno', state: 'CA', zip: '93721' }
+  };
+  profile.people = [organizer, agent];
+  return profile;
+}
+
+describe('ProfileStore', () => {
+  test('flattens a profile into fill values keyed by field category', () => {
+    const { profileStore } = loadProfileStore();
+    const profile = createProfile(profileStore);
+
+    expect(profileStore.toFillData(profile)).toEqual({
+      business_name: 'Acme Widgets LLC',
+      entity_type: 'Limited Liability Company',
+      business_structure: 'Limited Liability Company',
+      name: 'Ada Lovelace',
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      email: 'office@acme.test',
+      // The business has no phone, so the contact person's is used
+      phone: '555-0100',
+      address: '1 Main St, Suite 200',
+      city: 'Sacramento',
+      state: 'CA',
+      zip: '95814',
+      // Without a saved mailing address, mailing sections get the principal one
+      mailing_address: '1 Main St, Suite 200',
+      mailing_city: 'Sacramento',
+      mailing_state: 'CA',
+      mailing_zip: '95814',
+      ein: '12-3456789'
+    });
+
+    expect(profileStore.toFillData(profile, profile.people[1]).name).toBe('Grace Hopper');
+    expect(profileStore.toFillData(null)).toEqual({});
+  });
+
+  test('fills mailing sections from the mailing address', () => {
+    const { profileStore } = loadProfileStore();
+    const profile = createProfile(profileStore);
+    profile.mailing_address = { street: 'PO Box 42', street2: '', city: 'Oakland', state: 'CA', zip: '94612' };
+
+    expect(profileStore.toFillData(profile)).toMatchObject({
+      address: '1 Main St, Suite 200',
+      city: 'Sacramento',
+      mailing_address: 'PO Box 42',
+      mailing_city: 'Oakland',
+      mailing_state: 'CA',
+      mailing_zip: '94612'
+    });
+  });
+
+  test('uses the active person for name fields', async () => {
+    const { profileStore } = loadProfileStore();
+    const profile = createProfile(profileStore);
+
+    await profileStore.saveProfile(profile);
+    await profileStore.setActiveProfile(profile.id, 'person_grace');
+
+    expect(profileStore.toFillData(profile).first_name).toBe('Grace');
+    expect((await profileStore.getActiveAccount()).person.id).toBe('person_grace');
+  });
+
+  test('builds fill values per role from the people holding them', () => {
+    const { profileStore } = loadProfileStore();
+    const profile = createProfile(profileStore);
+
+    expect(profileStore.getRoleFillData(profile)).toEqual({
+      organizer: { name: 'Ada Lovelace', first_name: 'Ada', last_name: 'Lovelace', phone: '555-0100' },
+      registered_agent: {
+        name: 'Grace Hopper',
+        first_name: 'Grace',
+        last_name: 'Hopper',
+        address: '9 Agent Way',
+        city: 'Fresno',
+        state: 'CA',
+        zip: '93721'
+      }
+    });
+  });
+
+  test('keeps the active profile and person valid across reloads and deletes', async () => {
+    const stored = {};
+    const { profileStore, PROFILES_KEY, ACTIVE_PROFILE_KEY, ACTIVE_PERSON_KEY } = loadProfileStore(stored);
+    const first = createProfile(profileStore);
+    const second = { ...profileStore.createEmptyProfile('Second'), id: 'profile_second' };
+
+    await profileStore.saveProfile(first);
+    await profileStore.saveProfile(second);
+    expect(stored[ACTIVE_PROFILE_KEY]).toBe(first.id);
+    expect(stored[PROFILES_KEY]).toHaveLength(2);
+
+    // A person outside the profile is not selected
+    await profileStore.setActiveProfile(second.id, 'person_ada');
+    expect(stored[ACTIVE_PERSON_KEY]).toBeNull();
+
+    await profileStore.deleteProfile(second.id);
+    const { profileStore: reloaded } = loadProfileStore(stored);
+    expect((await reloaded.getActiveProfile()).id).toBe(first.id);
+  });
+});
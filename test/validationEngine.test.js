@@ -0,0 +1,105 @@
+// validationEngine.test.js - Tests for field validation from the common rules and state overrides
+
+const { loadModule, loadScript, createStorage, createI18n, fetchFromDisk } = require('./helpers/moduleLoader');
+
+function loadValidationEngine(locale = 'en') {
+  const chrome = {
+    runtime: { getURL: file => file },
+    storage: {
+      ...createStorage().chrome.storage,
+      onChanged: { addListener: jest.fn() }
+    }
+  };
+  const { knowledgeLoader } = loadModule('knowledgeLoader.js', ['knowledgeLoader'],
+    { chrome, fetch: fetchFromDisk, globalThis: {} });
+  return loadModule('validationEngine.js', ['validationEngine'], { knowledgeLoader, i18n: createI18n(locale) }).validationEngine;
+}
+
+// Detected field classified as category
+function createField(category, extra = {}) {
+  return { tagName: 'input', type: 'text', name: category, classification: { category }, ...extra };
+}
+
+describe('ValidationEngine', () => {
+  test('validates values against the common rules', async () => {
+    const validationEngine = loadValidationEngine();
+    await validationEngine.loadRules();
+
+    expect(validationEngine.validateField(createField('ein'), '12-3456789')).toEqual({ valid: true, message: '' });
+    expect(validationEngine.validateField(createField('ein'), '123456789')).toEqual({
+      valid: false, message: 'Please enter a valid EIN (e.g., 12-3456789)'
+    });
+    expect(validationEngine.validateField(createField('state'), 'ZZ').valid).toBe(false);
+    expect(validationEngine.validateField(createField('city'), 'X').valid).toBe(false);
+    expect(validationEngine.validateField(createField('formation_date'), '2024-01-31')).toEqual({
+      valid: false, message: 'Please use the format MM/DD/YYYY'
+    });
+
+    // Native date pickers and selects already constrain their values
+    expect(validationEngine.validateField(createField('formation_date', { type: 'date' }), '2024-01-31').valid).toBe(true);
+    expect(validationEngine.validateField(createField('state', { tagName: 'select' }), 'ZZ').valid).toBe(true);
+  });
+
+  test('only reports empty fields that are required when asked to', async () => {
+    const validationEngine = loadValidationEngine();
+    await validationEngine.loadRules();
+    const field = createField('email', { required: true });
+
+    expect(validationEngine.validateField(field, '  ').valid).toBe(true);
+    expect(validationEngine.validateField(field, '', { requireValue: true })).toEqual({
+      valid: false, message: 'This field is required'
+    });
+    expect(validationEngine.validateField(createField('email'), '', { requireValue: true }).valid).toBe(true);
+  });
+
+  test('applies the state unique ids and restricted words', async () => {
+    const validationEngine = loadValidationEngine();
+    await validationEngine.loadRules('DC');
+    const fr500 = createField(null, { name: 'taxId', label: { text: 'FR-500 Number' } });
+
+    expect(validationEngine.validateField(fr500, 'FR123456789').valid).toBe(true);
+    expect(validationEngine.validateField(fr500, 'FR12345')).toEqual({
+      valid: false, message: 'DC-specific tax registration number must match the format FR[0-9]{9}'
+    });
+    expect(validationEngine.validateField(createField('business_name'), 'Federal Widgets LLC')).toEqual({
+      valid: false, message: 'Business names in DC cannot include "Federal"'
+    });
+
+    // Other states don't carry DC's overrides
+    await validationEngine.loadRules('CA');
+    expect(validationEngine.validateField(fr500, 'FR12345').valid).toBe(true);
+    expect(validationEngine.validateField(createField('business_name'), 'Federal Widgets LLC').valid).toBe(true);
+  });
+
+  test('words its own messages in the language chosen in the panel', async () => {
+    const validationEngine = loadValidationEngine('es');
+    await validationEngine.loadRules('DC');
+
+    expect(validationEngine.validateField(createField('formation_date'), '2024-01-31').message).toBe('Use el formato MM/DD/YYYY');
+    expect(validationEngine.validateField(createField('ein'), '123456789').message).toBe('Introduzca un EIN válido (p. ej., 12-3456789)');
+    expect(validationEngine.validateField(createField('email', { required: true }), '', { requireValue: true }).message)
+      .toBe('Este campo es obligatorio');
+    expect(validationEngine.validateField(createField('business_name'), 'Federal Widgets LLC').message)
+      .toBe('Los nombres de empresas en DC no pueden incluir "Federal"');
+  });
+});
+
+describe('Validation hints', () => {
+  test('keeps one hint next to a field inside a shadow root and removes it once valid', () => {
+    const { showValidationHint } = loadScript('content.js', ['showValidationHint']);
+    document.body.innerHTML = '<bra-address></bra-address>';
+    const shadow = document.querySelector('bra-address').attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<input id="zip">';
+    const input = shadow.getElementById('zip');
+
+    showValidationHint(input, { valid: false, message: 'Please enter a valid ZIP code' });
+    showValidationHint(input, { valid: false, message: 'Please enter a valid ZIP code' });
+    expect(shadow.querySelectorAll('[role="alert"]')).toHaveLength(1);
+    expect(input.nextElementSibling.textContent).toBe('Please enter a valid ZIP code');
+    expect(input.getAttribute('aria-invalid')).toBe('true');
+
+    showValidationHint(input, { valid: true, message: '' });
+    expect(shadow.querySelectorAll('[role="alert"]')).toHaveLength(0);
+    expect(input.hasAttribute('aria-invalid')).toBe(false);
+  });
+});
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+
+/**
+ * Converts legacy single-file state knowledge (california.json / delaware.json
+ * layout: business_registration + form_field_guidance) into the canonical
+ * state directory layout used by DC and _template:
+ *
+ *   knowledge/states/<code>/forms.json      state, forms, form_detection_rules
+ *   knowledge/states/<code>/agencies.json   state, agencies
+ *   knowledge/states/<code>/overrides.json  validation_overrides, requirements,
+ *                                           additional_filings, filing_deadlines,
+ *                                           form_field_guidance, ...
+ *
+ * Every conversion is verified by converting the result back to the legacy
+ * layout and comparing it with the original; nothing is written if any value
+ * would be lost.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Keys of the legacy layout the migration knows how to map
+const LEGACY_TOP_LEVEL_KEYS = ['state_code', 'state_name', 'business_registration', 'form_field_guidance'];
+const LEGACY_REGISTRATION_KEYS = ['governing_agency', 'website', 'urls', 'forms', 'requirements', 'additional_filings'];
+
+// Legacy per-entity form keys renamed in the canonical entity_specific block
+const ENTITY_KEY_RENAMES = {
+    main_form: 'form_name'
+};
+
+class StateKnowledgeMigrator {
+    constructor() {
+        this.errors = [];
+    }
+
+    log(message, type = 'info') {
+        const prefix = {
+            error: '❌',
+            warning: '⚠️',
+            success: '✅',
+            info: 'ℹ️'
+        }[type] || '';
+        console.log(`${prefix} ${message}`);
+    }
+
+    /**
+     * Check a legacy file only uses keys this migration maps
+     */
+    findUnmappedKeys(legacy) {
+        const unmapped = Object.keys(legacy).filter(key => !LEGACY_TOP_LEVEL_KEYS.includes(key));
+        Object.keys(legacy.business_registration || {}).forEach(key => {
+            if (!LEGACY_REGISTRATION_KEYS.includes(key)) {
+                unmapped.push(`business_registration.${key}`);
+            }
+        });
+        return unmapped;
+    }
+
+    /**
+     * Short agency key from its name, e.g. "California Secretary of State" -> "SOS"
+     */
+    agencyKey(agencyName, stateName) {
+        const words = String(agencyName || '')
+            .replace(new RegExp(`^${stateName}\\s+`, 'i'), '')
+            .split(/\s+/)
+            .filter(Boolean);
+        return words.map(word => word[0].toUpperCase()).join('') || 'AGENCY';
+    }
+
+    humanize(key) {
+        const text = key.replace(/_/g, ' ').replace(/\b(llc|dba)\b/g, term => term.toUpperCase());
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    stripProtocol(url) {
+        return String(url).replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+    }
+
+    renameKeys(object, renames) {
+        return Object.fromEntries(Object.entries(object).map(([key, value]) => [renames[key] || key, value]));
+    }
+
+    /**
+     * Drop undefined values so absent legacy sections stay absent
+     */
+    compact(object) {
+        return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+    }
+
+    /**
+     * Convert a legacy state file into the canonical {forms, agencies, overrides} files
+     */
+    toCanonical(source) {
+        // Work on a copy so the canonical files never share objects with the source
+        const legacy = JSON.parse(JSON.stringify(source));
+        const code = legacy.state_code;
+        const name = legacy.state_name;
+        const registration = legacy.business_registration || {};
+        const urls = registration.urls || {};
+        const entityForms = registration.forms || {};
+        const agencyKey = this.agencyKey(registration.governing_agency, name);
+        const { naming_conventions: namingConventions, ...requirements } = registration.requirements || {};
+
+        const forms = {
+            state: code,
+            state_full: name,
+            forms: {
+                business_registration: this.compact({
+                    name: 'Business Registration',
+                    url: urls.main || registration.website,
+                    agency: agencyKey,
+                    description: `Register a new business entity with the ${registration.governing_agency}`,
+                    identifiers: {
+                        urls: [...new Set(Object.values(urls).map(url => this.stripProtocol(url)))],
+                        form_titles: Object.values(entityForms).map(form => form.main_form).filter(Boolean)
+                    },
+                    entity_specific: registration.forms
+                        ? Object.fromEntries(Object.entries(entityForms).map(([entityType, form]) =>
+                            [entityType, this.renameKeys(form, ENTITY_KEY_RENAMES)]))
+                        : undefined
+                })
+            },
+            form_detection_rules: {
+                priority_urls: registration.website ? [this.stripProtocol(registration.website).split('/')[0]] : [],
+                title_keywords: [name, registration.governing_agency].filter(Boolean)
+            }
+        };
+
+        const agencies = {
+            state: code,
+            agencies: {
+                [agencyKey]: this.compact({
+                    full_name: registration.governing_agency,
+                    website: registration.website,
+                    online_portals: registration.urls
+                        ? Object.fromEntries(Object.entries(urls).map(([key, url]) =>
+                            [key, { url: url, description: this.humanize(key) }]))
+                        : undefined
+                })
+            }
+        };
+
+        const overrides = this.compact({
+            state: code,
+            description: `${name} business registration requirements`,
+            validation_overrides: namingConventions
+                ? { business_name: { naming_conventions: namingConventions } }
+                : undefined,
+            requirements: registration.requirements ? requirements : undefined,
+            additional_filings: registration.additional_filings,
+            form_field_guidance: legacy.form_field_guidance
+        });
+
+        return { forms, agencies, overrides };
+    }
+
+    /**
+     * Rebuild the legacy layout from canonical files (used to prove the
+     * conversion kept every value)
+     */
+    toLegacy({ forms, agencies, overrides }) {
+        const registrationForm = forms.forms?.business_registration || {};
+        const agency = agencies.agencies?.[registrationForm.agency] || {};
+        const reverseRenames = Object.fromEntries(Object.entries(ENTITY_KEY_RENAMES).map(([from, to]) => [to, from]));
+        const namingConventions = overrides.validation_overrides?.business_name?.naming_conventions;
+
+        const requirements = overrides.requirements || namingConventions
+            ? this.compact({ ...(overrides.requirements || {}), naming_conventions: namingConventions })
+            : undefined;
+
+        return this.compact({
+            state_code: forms.state,
+            state_name: forms.state_full,
+            business_registration: this.compact({
+                governing_agency: agency.full_name,
+                website: agency.website,
+                urls: agency.online_portals
+                    ? Object.fromEntries(Object.entries(agency.online_portals).map(([key, portal]) => [key, portal.url]))
+                    : undefined,
+                forms: registrationForm.entity_specific
+                    ? Object.fromEntries(Object.entries(registrationForm.entity_specific).map(([entityType, form]) =>
+                        [entityType, this.renameKeys(form, reverseRenames)]))
+                    : undefined,
+                requirements: requirements,
+                additional_filings: overrides.additional_filings
+            }),
+            form_field_guidance: overrides.form_field_guidance
+        });
+    }
+
+    /**
+     * Order-insensitive deep comparison; returns the first differing path or null
+     */
+    findDifference(expected, actual, keyPath = '') {
+        if (typeof expected !== typeof actual || Array.isArray(expected) !== Array.isArray(actual)) {
+            return keyPath || '(root)';
+        }
+        if (expected === null || typeof expected !== 'object') {
+            return expected === actual ? null : keyPath || '(root)';
+        }
+
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        for (const key of keys) {
+            const difference = this.findDifference(expected[key], actual[key], keyPath ? `${keyPath}.${key}` : key);
+            if (difference) return difference;
+        }
+        return null;
+    }
+
+    /**
+     * Migrate one legacy file into <statesDir>/<code>/
+     */
+    migrateFile(legacyPath, options = {}) {
+        this.errors = [];
+
+        if (!fs.existsSync(legacyPath)) {
+            this.errors.push(`State file not found: ${legacyPath}`);
+            return this.reportResults(legacyPath);
+        }
+
+        const legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+
+        if (!legacy.state_code || !legacy.business_registration) {
+            this.errors.push('Not a legacy state file (expected state_code and business_registration)');
+            return this.reportResults(legacyPath);
+        }
+
+        const unmapped = this.findUnmappedKeys(legacy);
+        if (unmapped.length > 0) {
+            this.errors.push(`Keys the migration does not map (extend it before migrating): ${unmapped.join(', ')}`);
+            return this.reportResults(legacyPath);
+        }
+
+        const canonical = this.toCanonical(legacy);
+        const difference = this.findDifference(legacy, this.toLegacy(canonical));
+        if (difference) {
+            this.errors.push(`Conversion is not lossless, value differs at: ${difference}`);
+            return this.reportResults(legacyPath);
+        }
+
+        const outputDir = path.join(options.statesDir || path.dirname(legacyPath), legacy.state_code.toLowerCase());
+        if (fs.existsSync(outputDir) && !options.force) {
+            this.errors.push(`${outputDir} already exists (use --force to overwrite)`);
+            return this.reportResults(legacyPath);
+        }
+
+        if (options.dryRun) {
+            this.log(`Would write ${outputDir}/{forms,agencies,overrides}.json`);
+        } else {
+            fs.mkdirSync(outputDir, { recursive: true });
+            ['forms', 'agencies', 'overrides'].forEach(file => {
+                fs.writeFileSync(path.join(outputDir, `${file}.json`), JSON.stringify(canonical[file], null, 2) + '\n');
+            });
+            this.log(`Wrote ${outputDir}/{forms,agencies,overrides}.json`);
+
+            if (options.removeLegacy) {
+                fs.unlinkSync(legacyPath);
+                this.log(`Removed ${legacyPath}`);
+            }
+        }
+
+        return this.reportResults(legacyPath);
+    }
+
+    /**
+     * Migrate every legacy *.json file in a states directory
+     */
+    migrateAll(statesDir, options = {}) {
+        const files = fs.readdirSync(statesDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.join(statesDir, file));
+
+        if (files.length === 0) {
+            this.log(`No legacy state files in ${statesDir}`, 'success');
+            return true;
+        }
+
+        return files.map(file => this.migrateFile(file, { ...options, statesDir })).every(Boolean);
+    }
+
+    reportResults(legacyPath) {
+        const name = path.basename(legacyPath);
+        if (this.errors.length > 0) {
+            this.errors.forEach(error => this.log(`${name}: ${error}`, 'error'));
+            return false;
+        }
+        this.log(`${name} migrated losslessly`, 'success');
+        return true;
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {
+        dryRun: args.includes('--dry-run'),
+        force: args.includes('--force'),
+        removeLegacy: args.includes('--remove-legacy')
+    };
+    const targets = args.filter(arg => !arg.startsWith('--'));
+
+    if (targets.length === 0) {
+        console.log('Usage: node tools/migrateStateKnowledge.js <legacy-state.json | states-dir> [--dry-run] [--force] [--remove-legacy]');
+        console.log('Example: node tools/migrateStateKnowledge.js extension/knowledge/states --remove-legacy');
+        process.exit(1);
+    }
+
+    const migrator = new StateKnowledgeMigrator();
+    const ok = targets.every(target =>
+        fs.statSync(target).isDirectory()
+            ? migrator.migrateAll(target, options)
+            : migrator.migrateFile(target, options)
+    );
+    process.exit(ok ? 0 : 1);
+}
+
+module.exports = StateKnowledgeMigrator;
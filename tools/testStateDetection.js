@@ -382,8 +382,8 @@ if (require.main === module) {
     
     if (args.length === 0) {
         console.log('Usage: node testStateDetection.js <state-file-path> [test-urls...]');
-        console.log('Example: node testStateDetection.js ../knowledge/states/california.json');
-        console.log('         node testStateDetection.js ../knowledge/states/california.json "https://bizfile.sos.ca.gov/forms/llc"');
+        console.log('Example: node testStateDetection.js ../knowledge/states/ca/forms.json');
+        console.log('         node testStateDetection.js ../knowledge/states/ca/forms.json "https://bizfile.sos.ca.gov/forms/llc"');
         process.exit(1);
     }
     